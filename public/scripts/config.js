@@ -0,0 +1,78 @@
+/**
+ * VELOURA runtime configuration
+ * Read by VelouraApp on startup; edit per deployment.
+ */
+window.VELOURA_CONFIG = {
+    analytics: {
+        // Generic HTTP collector, e.g. the local mock: node tools/mock-collector.js
+        collectorUrl: null,
+        // GA4 / Firebase Analytics Measurement Protocol
+        ga4: {
+            measurementId: null,
+            apiSecret: null
+        },
+        // Log batches to the console; with no sink at all, events are not sent anywhere
+        console: ['localhost', '127.0.0.1'].includes(window.location.hostname),
+        batchSize: 20,
+        flushInterval: 10000
+    },
+    offline: {
+        // Service worker for offline caching; set to null to turn it off (e.g. while editing files locally)
+        serviceWorker: '/sw.js'
+    },
+    rewards: {
+        // Member points rules; anything left out uses RewardsProgram.DEFAULT_RULES
+        pointsPerPeso: 0.1,
+        // Value of one point in centavos
+        pointValue: 10,
+        expiryDays: 365
+    },
+    payments: {
+        // Payment API holding the gateway's secret keys (see HttpPaymentProvider);
+        // without one, only cash on delivery is offered unless the sandbox is on
+        endpoint: null,
+        // Fake card and wallet payments for development (never take real money):
+        // card 4242 4242 4242 4242 is approved, 4000 0000 0000 3220 asks for
+        // 3-D Secure, 4000 0000 0000 0002 is declined
+        sandbox: ['localhost', '127.0.0.1'].includes(window.location.hostname),
+        // Cards are tokenized straight at the gateway with its public key
+        card: {
+            tokenizeUrl: null,
+            publicKey: null
+        },
+        // Largest cash on delivery order, in centavos
+        codLimit: 2000000,
+        // Where the sandbox sends its payment webhooks; on localhost, the mock order
+        // service started with: node tools/mock-orders.js
+        sandboxWebhookUrl: ['localhost', '127.0.0.1'].includes(window.location.hostname)
+            ? 'http://localhost:8789/payments/webhook'
+            : null
+    },
+    newsletter: {
+        // Subscriber API; on localhost, the mock started with: node tools/mock-newsletter.js
+        endpoint: ['localhost', '127.0.0.1'].includes(window.location.hostname)
+            ? 'http://localhost:8788/newsletter'
+            : null,
+        // Without an endpoint the sign-up form is hidden, unless local is set: then
+        // subscribers are kept in this browser and no email is sent (for development)
+        local: false,
+        // With local, log confirmation and unsubscribe links to the console
+        debug: false
+    },
+    firebase: {
+        // Web app config from the Firebase console (Project settings > Your apps)
+        options: {
+            apiKey: null,
+            authDomain: 'gaspar-ecommerce.firebaseapp.com',
+            projectId: 'gaspar-ecommerce',
+            appId: null
+        },
+        // Local emulators started with: firebase emulators:start
+        emulators: ['localhost', '127.0.0.1'].includes(window.location.hostname)
+            ? {
+                auth: 'http://127.0.0.1:9099',
+                firestore: { host: '127.0.0.1', port: 8080 }
+            }
+            : null
+    }
+};
@@ -14,13 +14,35 @@ class BaseComponent {
         this.name = name;
         this.state = {};
         this.observers = [];
+        this.bus = null;
+        this.history = null;
     }
 
     /**
-     * Subscribe to component state changes
+     * Subscribe to component state changes; returns an unsubscribe function
      */
     subscribe(observer) {
         this.observers.push(observer);
+        return () => {
+            this.observers = this.observers.filter(registered => registered !== observer);
+        };
+    }
+
+    /**
+     * Send this component's domain events through a shared EventHandler
+     */
+    connect(bus) {
+        this.bus = bus;
+        return this;
+    }
+
+    /**
+     * Emit a domain event such as "cart:item_added" (no-op until connected)
+     */
+    emit(eventName, data) {
+        if (this.bus) {
+            this.bus.emit(eventName, data);
+        }
     }
 
     /**
@@ -34,6 +56,9 @@ class BaseComponent {
      * Update component state
      */
     setState(newState) {
+        if (this.history && this.history.auto) {
+            this.record();
+        }
         this.state = { ...this.state, ...newState };
         this.notify();
     }
@@ -45,6 +70,123 @@ class BaseComponent {
         return { ...this.state };
     }
 
+    /**
+     * Opt in to undo/redo history of up to `limit` entries. With auto, every
+     * setState is recorded; otherwise call record() before changes worth undoing.
+     */
+    enableHistory(options = {}) {
+        this.history = {
+            past: [],
+            future: [],
+            limit: options.limit || BaseComponent.HISTORY_LIMIT,
+            auto: options.auto !== false
+        };
+        return this;
+    }
+
+    /**
+     * JSON-safe copy of what history records (override to narrow it down)
+     */
+    toHistoryEntry() {
+        return JSON.parse(JSON.stringify(this.state));
+    }
+
+    /**
+     * Put a recorded entry back (override when state lives outside this.state)
+     */
+    restoreHistoryEntry(entry) {
+        this.state = JSON.parse(JSON.stringify(entry));
+        this.notify();
+    }
+
+    /**
+     * Save the current state as an undo step; returns its id
+     */
+    record(label = '') {
+        if (!this.history) return null;
+
+        const step = { id: generateId(), label, at: new Date().toISOString(), entry: this.toHistoryEntry() };
+        this.history.past.push(step);
+        if (this.history.past.length > this.history.limit) {
+            this.history.past.shift();
+        }
+        this.history.future = [];
+        return step.id;
+    }
+
+    canUndo() {
+        return Boolean(this.history && this.history.past.length > 0);
+    }
+
+    canRedo() {
+        return Boolean(this.history && this.history.future.length > 0);
+    }
+
+    /**
+     * Step back one change. With a step id, only undo if that is still the latest change.
+     * Returns whether anything changed.
+     */
+    undo(stepId = null) {
+        if (!this.canUndo()) return false;
+
+        const step = this.history.past[this.history.past.length - 1];
+        if (stepId && step.id !== stepId) return false;
+
+        this.history.past.pop();
+        this.history.future.push({ ...step, entry: this.toHistoryEntry() });
+        this.restoreHistoryEntry(step.entry);
+        this.emit('history:undone', { component: this.name, label: step.label });
+        return true;
+    }
+
+    /**
+     * Reapply the last undone change; returns whether anything changed
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+
+        const step = this.history.future.pop();
+        this.history.past.push({ ...step, entry: this.toHistoryEntry() });
+        this.restoreHistoryEntry(step.entry);
+        this.emit('history:redone', { component: this.name, label: step.label });
+        return true;
+    }
+
+    clearHistory() {
+        if (this.history) {
+            this.history.past = [];
+            this.history.future = [];
+        }
+    }
+
+    /**
+     * Current state and history as JSON, e.g. to attach to a bug report
+     */
+    exportSnapshot() {
+        return JSON.stringify({
+            component: this.name,
+            exportedAt: new Date().toISOString(),
+            state: this.toHistoryEntry(),
+            history: this.history ? { past: this.history.past, future: this.history.future } : null
+        });
+    }
+
+    /**
+     * Load a snapshot from exportSnapshot()
+     */
+    importSnapshot(json) {
+        const snapshot = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!snapshot || snapshot.component !== this.name || !snapshot.state) {
+            throw new Error(`Not a ${this.name} snapshot`);
+        }
+
+        this.restoreHistoryEntry(snapshot.state);
+        if (this.history && snapshot.history) {
+            this.history.past = (snapshot.history.past || []).slice(-this.history.limit);
+            this.history.future = snapshot.history.future || [];
+        }
+    }
+
     /**
      * Log component info
      */
@@ -53,8 +195,15 @@ class BaseComponent {
     }
 }
 
+BaseComponent.HISTORY_LIMIT = 50;
+
 /**
  * EventHandler - Base class for handling events
+ *
+ * Event names are "domain:action" (e.g. "cart:item_added"). Listeners on
+ * "cart:*" hear every cart event and listeners on "*" hear everything; they
+ * are called with (data, eventName). A throwing listener is logged and does
+ * not stop the others.
  */
 class EventHandler {
     constructor() {
@@ -62,13 +211,26 @@ class EventHandler {
     }
 
     /**
-     * Register event listener
+     * Register event listener; returns an unsubscribe function
      */
     on(eventName, callback) {
         if (!this.eventListeners[eventName]) {
             this.eventListeners[eventName] = [];
         }
         this.eventListeners[eventName].push(callback);
+        return () => this.off(eventName, callback);
+    }
+
+    /**
+     * Register a listener that is removed after its first call
+     */
+    once(eventName, callback) {
+        const listener = (data, name) => {
+            this.off(eventName, listener);
+            callback(data, name);
+        };
+        listener.callback = callback;
+        return this.on(eventName, listener);
     }
 
     /**
@@ -77,515 +239,10907 @@ class EventHandler {
     off(eventName, callback) {
         if (this.eventListeners[eventName]) {
             this.eventListeners[eventName] = this.eventListeners[eventName].filter(
-                cb => cb !== callback
+                cb => cb !== callback && cb.callback !== callback
             );
         }
     }
 
     /**
-     * Emit event
+     * Emit event to exact, namespace ("cart:*") and wildcard ("*") listeners
      */
     emit(eventName, data) {
-        if (this.eventListeners[eventName]) {
-            this.eventListeners[eventName].forEach(callback => {
-                callback(data);
-            });
-        }
+        const namespace = eventName.includes(':') ? `${eventName.split(':')[0]}:*` : null;
+        const listeners = [eventName, namespace, '*']
+            .filter(Boolean)
+            .flatMap(name => this.eventListeners[name] || []);
+
+        listeners.forEach(callback => {
+            try {
+                callback(data, eventName);
+            } catch (err) {
+                console.error(`EventHandler listener error for ${eventName}`, err);
+            }
+        });
     }
 }
 
-// ==================== SHOPPING CART ====================
+// ==================== UTILITIES ====================
 
 /**
- * Cart - Shopping cart functionality
+ * Escape a value for safe interpolation into HTML markup
  */
-class Cart extends BaseComponent {
-    constructor() {
-        super('Cart');
-        this.items = [];
-        this.totalPrice = 0;
+function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Generate a random unique id
+ */
+function generateId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
     }
 
-    /**
-     * Add item to cart
-     */
-    addItem(product) {
-        const existingItem = this.items.find(item => item.name === product.name);
-        
-        if (existingItem) {
-            existingItem.quantity += 1;
-        } else {
-            this.items.push({
-                ...product,
-                quantity: 1
-            });
-        }
+    const bytes = new Uint8Array(16);
+    window.crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
 
-        this.calculateTotal();
-        this.setState({ items: this.items, totalPrice: this.totalPrice });
-        this.log(`Added ${product.name} to cart`);
-    }
+// ==================== STORAGE ====================
 
+/**
+ * StorageAdapter - Interface for persisting JSON-serializable values
+ *
+ * Adapters are synchronous, mirroring the Web Storage API.
+ */
+class StorageAdapter {
     /**
-     * Remove item from cart
+     * Read a stored value (null when missing)
      */
-    removeItem(productName) {
-        this.items = this.items.filter(item => item.name !== productName);
-        this.calculateTotal();
-        this.setState({ items: this.items, totalPrice: this.totalPrice });
-        this.log(`Removed ${productName} from cart`);
+    getItem(key) {
+        throw new Error(`${this.constructor.name} must implement getItem(${key})`);
     }
 
     /**
-     * Calculate total price
+     * Store a value
      */
-    calculateTotal() {
-        this.totalPrice = this.items.reduce((total, item) => {
-            return total + (parseFloat(item.price) * item.quantity);
-        }, 0);
+    setItem(key, value) {
+        throw new Error(`${this.constructor.name} must implement setItem(${key})`);
     }
 
     /**
-     * Get cart items count
+     * Remove a stored value
      */
-    getItemCount() {
-        return this.items.reduce((count, item) => count + item.quantity, 0);
+    removeItem(key) {
+        throw new Error(`${this.constructor.name} must implement removeItem(${key})`);
     }
 
     /**
-     * Clear cart
+     * Watch for changes made outside this page (returns an unsubscribe function)
      */
-    clearCart() {
-        this.items = [];
-        this.totalPrice = 0;
-        this.setState({ items: [], totalPrice: 0 });
-        this.log('Cart cleared');
+    subscribe(key, callback) {
+        return () => {};
+    }
+}
+
+/**
+ * LocalStorageAdapter - Persists values in window.localStorage as JSON
+ */
+class LocalStorageAdapter extends StorageAdapter {
+    constructor(storage) {
+        super();
+        try {
+            this.storage = storage || window.localStorage;
+        } catch (err) {
+            // Access to localStorage throws when storage is disabled
+            console.error('LocalStorageAdapter unavailable', err);
+            this.storage = null;
+        }
+    }
+
+    getItem(key) {
+        if (!this.storage) return null;
+
+        try {
+            const raw = this.storage.getItem(key);
+            return raw === null ? null : JSON.parse(raw);
+        } catch (err) {
+            console.error('LocalStorageAdapter getItem error', err);
+            return null;
+        }
+    }
+
+    setItem(key, value) {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (err) {
+            console.error('LocalStorageAdapter setItem error', err);
+        }
+    }
+
+    removeItem(key) {
+        if (!this.storage) return;
+
+        try {
+            this.storage.removeItem(key);
+        } catch (err) {
+            console.error('LocalStorageAdapter removeItem error', err);
+        }
     }
 
     /**
-     * Get cart data
+     * The storage event only fires in other tabs of the same origin
      */
-    getCartData() {
-        return {
-            items: this.items,
-            totalPrice: this.totalPrice,
-            itemCount: this.getItemCount()
+    subscribe(key, callback) {
+        const listener = (e) => {
+            if (e.key !== key) return;
+
+            try {
+                callback(e.newValue === null ? null : JSON.parse(e.newValue));
+            } catch (err) {
+                console.error('LocalStorageAdapter subscribe error', err);
+            }
         };
+
+        window.addEventListener('storage', listener);
+        return () => window.removeEventListener('storage', listener);
     }
 }
 
-// ==================== NOTIFICATION SYSTEM ====================
-
 /**
- * Notification - Handles user notifications
+ * MemoryStorageAdapter - Non-persistent adapter for tests and fallbacks
  */
-class Notification extends BaseComponent {
+class MemoryStorageAdapter extends StorageAdapter {
     constructor() {
-        super('Notification');
-        this.notifications = [];
+        super();
+        this.values = new Map();
     }
 
-    /**
-     * Show notification
-     */
-    show(message, type = 'info', duration = 3000) {
-        const notification = {
-            id: Date.now(),
-            message,
-            type, // success, error, warning, info
-            timestamp: new Date()
-        };
+    getItem(key) {
+        return this.values.has(key) ? JSON.parse(this.values.get(key)) : null;
+    }
 
-        this.notifications.push(notification);
-        this.setState({ notifications: this.notifications });
+    setItem(key, value) {
+        this.values.set(key, JSON.stringify(value));
+    }
 
-        // Show toast in DOM
-        this.displayToast(notification, duration);
+    removeItem(key) {
+        this.values.delete(key);
+    }
+}
 
-        this.log(`${type.toUpperCase()}: ${message}`);
+// ==================== I18N ====================
+
+/**
+ * I18n - Active locale, message catalogs and Intl date formatting
+ *
+ * Messages are flat maps of keys to strings with {name} placeholders. A message
+ * may instead map Intl.PluralRules categories to strings ({ one, other }), chosen
+ * by params.count. Missing messages fall back to the default locale, then the key.
+ */
+class I18n extends BaseComponent {
+    constructor(options = {}) {
+        super('I18n');
+        this.messages = { ...I18n.MESSAGES, ...options.messages };
+        this.defaultLocale = options.defaultLocale || 'en';
+        this.storage = options.storage || new LocalStorageAdapter();
+        this.storageKey = options.storageKey || 'veloura.locale';
+        this.pluralRules = {};
 
-        // Auto remove after duration
-        setTimeout(() => this.remove(notification.id), duration);
+        const saved = this.storage.getItem(this.storageKey);
+        this.state = { locale: saved && this.messages[saved] ? saved : this.defaultLocale };
     }
 
     /**
-     * Display toast notification in DOM
+     * Get supported locale codes
      */
-    displayToast(notification, duration) {
-        const toast = document.createElement('div');
-        toast.className = `toast toast-${notification.type}`;
-        toast.innerHTML = `
-            <div class="toast-container">
-                <span class="toast-icon">
-                    ${this.getIcon(notification.type)}
-                </span>
-                <span class="toast-message">${notification.message}</span>
-                <button class="toast-close">&times;</button>
-            </div>
-        `;
-
-        document.body.appendChild(toast);
-
-        // Trigger animation
-        setTimeout(() => toast.classList.add('show'), 10);
+    getLocales() {
+        return Object.keys(this.messages);
+    }
 
-        // Close button handler
-        toast.querySelector('.toast-close').addEventListener('click', () => {
-            toast.classList.remove('show');
-            setTimeout(() => toast.remove(), 300);
-        });
+    getLocale() {
+        return this.state.locale;
+    }
 
-        // Auto remove
-        setTimeout(() => {
-            toast.classList.remove('show');
-            setTimeout(() => toast.remove(), 300);
-        }, duration);
+    /**
+     * Name of a locale in its own language, for the language picker
+     */
+    getLocaleName(locale) {
+        return (this.messages[locale] || {})['locale.name'] || locale;
     }
 
     /**
-     * Get icon based on notification type
+     * BCP 47 tag used for Intl formatting ('fil' -> 'fil-PH')
      */
-    getIcon(type) {
-        const icons = {
-            success: '<i class="fas fa-check-circle"></i>',
-            error: '<i class="fas fa-exclamation-circle"></i>',
-            warning: '<i class="fas fa-warning"></i>',
-            info: '<i class="fas fa-info-circle"></i>'
-        };
-        return icons[type] || icons.info;
+    getLocaleTag(locale = this.state.locale) {
+        return I18n.LOCALE_TAGS[locale] || locale;
     }
 
     /**
-     * Remove notification
+     * Choose the display language
      */
-    remove(notificationId) {
-        this.notifications = this.notifications.filter(n => n.id !== notificationId);
-        this.setState({ notifications: this.notifications });
+    setLocale(locale) {
+        if (!this.messages[locale]) {
+            throw new Error(`Unsupported locale: ${locale}`);
+        }
+
+        this.storage.setItem(this.storageKey, locale);
+        this.setState({ locale });
+        this.log(`Locale set to ${locale}`);
     }
 
     /**
-     * Success notification shortcut
+     * Whether a message exists for a key
      */
-    success(message, duration) {
-        this.show(message, 'success', duration);
+    has(key) {
+        return this.lookup(key) !== undefined;
+    }
+
+    lookup(key) {
+        const current = this.messages[this.state.locale] || {};
+        return key in current ? current[key] : (this.messages[this.defaultLocale] || {})[key];
     }
 
     /**
-     * Error notification shortcut
+     * Translate a key, choosing a plural form by params.count and filling placeholders
      */
-    error(message, duration) {
-        this.show(message, 'error', duration);
+    t(key, params = {}) {
+        let message = this.lookup(key);
+        if (message === undefined) {
+            this.log(`Missing message: ${key}`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            message = message[this.getPluralRules().select(Number(params.count) || 0)] ?? message.other;
+        }
+        return I18n.interpolate(message, params);
     }
 
     /**
-     * Warning notification shortcut
+     * Translate a key to HTML: the message is escaped, then markup
+     * placeholders (e.g. { link: '<a href="/">…</a>' }) are filled in as given
      */
-    warning(message, duration) {
-        this.show(message, 'warning', duration);
+    html(key, params = {}, markup = {}) {
+        return I18n.interpolate(escapeHTML(this.t(key, params)), markup);
     }
 
     /**
-     * Info notification shortcut
+     * Fill {name} placeholders, leaving unknown ones as written
      */
-    info(message, duration) {
-        this.show(message, 'info', duration);
+    static interpolate(message, params = {}) {
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
     }
-}
 
-// ==================== ANALYTICS ====================
+    getPluralRules() {
+        const tag = this.getLocaleTag();
+        if (!this.pluralRules[tag]) {
+            this.pluralRules[tag] = new Intl.PluralRules(tag);
+        }
+        return this.pluralRules[tag];
+    }
 
-/**
- * Analytics - Track user interactions
- */
-class Analytics extends BaseComponent {
-    constructor() {
-        super('Analytics');
-        this.events = [];
-        this.sessionStart = new Date();
+    /**
+     * Format a date (or ISO string / timestamp) for the active locale
+     */
+    formatDate(value, options = I18n.DATE_FORMAT) {
+        return new Intl.DateTimeFormat(this.getLocaleTag(), options).format(new Date(value));
     }
 
     /**
-     * Track event
+     * Translate static markup: data-i18n sets the text, and
+     * data-i18n-attr="placeholder:key;aria-label:key" sets attributes
      */
-    trackEvent(eventName, eventData = {}) {
-        const event = {
-            name: eventName,
-            data: eventData,
-            timestamp: new Date(),
-            sessionDuration: Date.now() - this.sessionStart.getTime()
-        };
+    translateElements(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) element.setAttribute(attribute, this.t(key));
+            });
+        });
+    }
+}
 
-        this.events.push(event);
-        this.setState({ events: this.events });
-        this.log(`Event tracked: ${eventName}`);
+I18n.LOCALE_TAGS = {
+    en: 'en-PH',
+    fil: 'fil-PH'
+};
+
+I18n.DATE_FORMAT = { dateStyle: 'medium' };
+I18n.DATE_TIME_FORMAT = { dateStyle: 'medium', timeStyle: 'short' };
+
+I18n.MESSAGES = {
+    en: {
+        'locale.name': 'English',
+        'locale.label': 'Language',
+
+        'nav.features': 'Features',
+        'nav.products': 'Products',
+        'nav.about': 'About',
+        'nav.contact': 'Contact',
+        'nav.currency': 'Display currency',
+        'nav.wishlist': 'Wishlist',
+        'nav.account': 'My Account',
+        'nav.greeting': 'Hi, {name}',
+        'nav.greetingAnonymous': 'Hi there',
+
+        'common.close': 'Close',
+        'common.backHome': 'Back to home',
+        'common.free': 'FREE',
+
+        'error.title': 'Something went wrong',
+        'error.text': 'Please try again or {link}.',
+        'error.home': 'go back home',
+
+        'hero.welcome': 'Welcome to',
+        'hero.subtitle': 'Find Accessories that match your style',
+        'hero.description': 'Discover our exclusive collection of luxury jewelry, handbags, scarves, and accessories designed to transform your everyday look into a statement.',
+        'hero.explore': 'Explore Now',
+
+        'features.title': 'Why Choose VELOURA?',
+        'features.quality': 'Luxury Quality',
+        'features.qualityText': 'Every VELOURA accessory is crafted from the finest, premium materials, ensuring a luxurious feel that elevates your style with elegance.',
+        'features.sellers': 'Trusted Sellers',
+        'features.sellersText': 'Shop confidently knowing our curated sellers are verified and trusted, providing you with genuine fashion pieces and exceptional service.',
+        'features.authentic': 'Authentic Guarantee',
+        'features.authenticText': 'Each product comes with a certificate of authenticity, so you can enjoy your accessories with the assurance that they are 100% original.',
+
+        'catalog.title': 'Featured Collections',
+        'catalog.search': 'Search products',
+        'catalog.searchPlaceholder': 'Search jewelry, bags, scarves...',
+        'catalog.sortBy': 'Sort by',
+        'catalog.results': { one: '{count} product', other: '{count} products' },
+        'catalog.empty': 'No products match your search.',
+        'catalog.clearFilters': 'Clear filters',
+        'catalog.category': 'Category',
+        'catalog.price': 'Price',
+        'catalog.priceUnder': 'Under {amount}',
+        'catalog.priceAndUp': '{amount} & up',
+        'catalog.priceFrom': 'From {price}',
+        'catalog.soldOut': 'Sold out',
+        'catalog.lowStock': 'Only {count} left',
+        'catalog.chooseOptions': 'Choose options for {name}',
+        'catalog.addToCart': 'Add {name} to cart',
+        'catalog.saveToWishlist': 'Save {name} to wishlist',
+        'catalog.restockLabel': 'Sold out — get an email when it\'s back',
+        'catalog.restockPlaceholder': 'Your email',
+        'catalog.restockEmail': 'Email for back-in-stock notice for {name}',
+        'catalog.notifyMe': 'Notify Me',
+
+        'product.title': 'Product',
+        'product.notFound': 'Product not found',
+        'product.notFoundText': 'This product may no longer be available. {link}.',
+        'product.browse': 'Browse our collections',
+        'product.back': 'Back to collections',
+        'product.addToCart': 'Add to Cart',
+        'product.showImage': 'Show image {index} of {count}',
+        'product.zoomIn': 'Zoom image',
+        'product.zoomOut': 'Zoom out',
+        'product.unavailable': 'This combination is unavailable',
+        'product.outOfStock': 'Out of stock',
+        'product.inStock': 'In stock',
+
+        'recommendations.recent': 'Recently Viewed',
+        'recommendations.together': 'Frequently Bought Together',
+        'recommendations.similar': 'You May Also Like',
+        'recommendations.completeLook': 'Complete the Look',
+        'recommendations.add': 'Add',
+        'recommendations.view': 'View',
+
+        'rewards.title': 'Member Rewards',
+        'rewards.intro': 'Members earn {points} points for every {amount} spent once their order is delivered, and can use them for discounts at checkout. Points expire {days} days after they are earned.',
+        'rewards.signIn': 'Sign in or create an account above to start earning.',
+        'rewards.loading': 'Loading your points…',
+        'rewards.balance': { one: '{count} point', other: '{count} points' },
+        'rewards.worth': 'Worth {amount}',
+        'rewards.multiplier': '{multiplier}× points on every order',
+        'rewards.nextTier': { one: '{count} more point to reach {tier}', other: '{count} more points to reach {tier}' },
+        'rewards.topTier': 'You\'ve reached our highest tier.',
+        'rewards.expiring': { one: '{count} point expires on {date}', other: '{count} points expire on {date}' },
+        'rewards.history': 'Points History',
+        'rewards.noHistory': 'Your points history will appear here after your first order.',
+        'rewards.entry.earn': 'Earned on order {orderNumber}',
+        'rewards.entry.redeem': 'Redeemed on order {orderNumber}',
+        'rewards.entry.expire': 'Points expired',
+        'rewards.entry.restore': 'Returned from cancelled order {orderNumber}',
+        'rewards.entry.reverse': 'Removed for refunded order {orderNumber}',
+        'rewards.tier.member': 'Member',
+        'rewards.tier.silver': 'Silver',
+        'rewards.tier.gold': 'Gold',
+        'rewards.earnEstimate': { one: 'You\'ll earn {count} point once this order is delivered.', other: 'You\'ll earn {count} points once this order is delivered.' },
+        'rewards.guestEarn': { one: 'Sign in to earn {count} point with this order.', other: 'Sign in to earn {count} points with this order.' },
+        'rewards.available': 'You have {balance} points. Use up to {max} on this order:',
+        'rewards.apply': 'Use Points',
+        'rewards.applied': { one: 'Using {count} point on this order.', other: 'Using {count} points on this order.' },
+        'rewards.remove': 'Remove',
+        'rewards.summaryLine': { one: 'Rewards ({count} point)', other: 'Rewards ({count} points)' },
+        'rewards.invalidPoints': 'Enter a whole number of points.',
+        'rewards.belowMinimum': 'Use at least {min} points.',
+        'rewards.step': 'Use points in steps of {step}.',
+        'rewards.overLimit': 'You can use up to {max} points on this order.',
+        'rewards.orderEarned': { one: '{count} point earned', other: '{count} points earned' },
+        'rewards.orderEarnOnDelivery': { one: '{count} point to be earned on delivery', other: '{count} points to be earned on delivery' },
+        'rewards.orderRedeemed': { one: '{count} point redeemed for {amount}', other: '{count} points redeemed for {amount}' },
+        'rewards.orderReturned': { one: '{count} point returned to your balance', other: '{count} points returned to your balance' },
+
+        'sort.featured': 'Featured',
+        'sort.price-asc': 'Price: Low to High',
+        'sort.price-desc': 'Price: High to Low',
+        'sort.newest': 'Newest',
+        'sort.popular': 'Most Popular',
+
+        'category.handbags': 'Handbags',
+        'category.jewelry': 'Jewelry',
+        'category.scarves': 'Scarves',
+
+        'about.title': 'About VELOURA',
+        'about.lead': 'We are dedicated to curating the finest fashion accessories that embody timeless elegance and uncompromising quality. Every piece is carefully selected from trusted global sellers to ensure authenticity and superior craftsmanship.',
+        'about.since': 'Since 2025, we\'ve been sourcing luxury accessories globally',
+        'about.trusted': 'Trusted by fashion enthusiasts and style icons worldwide',
+        'about.stylists': 'Expert stylists provide personalized recommendations',
+        'about.ethical': 'Committed to ethical and sustainable fashion practices',
+        'highlights.title': 'Shop Highlights',
+        'highlights.shipping': 'Free Shipping',
+        'highlights.shippingText': 'Enjoy free shipping on orders over ₱2,500 across the Philippines.',
+        'highlights.shop': 'Shop Collections',
+        'highlights.giftWrap': 'Gift Wrap & Cards',
+        'highlights.giftWrapText': 'Add premium gift wrapping and a personalized card to any item in your cart.',
+        'highlights.learnMore': 'Learn More',
+        'highlights.rewards': 'Member Rewards',
+        'highlights.rewardsText': 'Earn points on every purchase and unlock exclusive offers.',
+        'highlights.join': 'Join Now',
+        'contact.title': 'Get in Touch',
+        'contact.location': 'Location',
+        'contact.phone': 'Phone',
+        'contact.email': 'Email',
+
+        'cart.title': 'Your Cart',
+        'cart.empty': 'Your cart is empty. Start shopping!',
+        'cart.promoCode': 'Promo code',
+        'cart.apply': 'Apply',
+        'cart.subtotal': 'Subtotal',
+        'cart.total': 'Total',
+        'cart.checkout': 'Checkout',
+        'cart.viewFull': 'View Full Cart',
+        'cart.clear': 'Clear Cart',
+        'cart.notEligible': 'Not eligible',
+        'cart.removePromo': 'Remove promo code {code}',
+        'cart.quantityFor': 'Quantity for {name}',
+        'cart.quantity': 'Quantity',
+        'cart.decrease': 'Decrease quantity',
+        'cart.increase': 'Increase quantity',
+        'cart.remove': 'Remove {name}',
+        'cart.saveForLater': 'Save for later',
+        'cart.outOfStock': 'Sorry, {name} is out of stock',
+        'cart.stockLimit': 'Only {count} of {name} available',
+        'cart.emptyPage': 'Your cart is empty. {link}',
+        'cart.startShopping': 'Start shopping!',
+        'wishlist.title': 'Your Wishlist',
+        'wishlist.empty': 'Nothing saved yet. Tap the {icon} on any product to save it. {link}.',
+        'wishlist.browse': 'Browse collections',
+        'wishlist.moveToCart': 'Move to Cart',
+        'wishlist.remove': 'Remove {name} from wishlist',
+        'promo.invalid': '"{code}" is not a valid promo code',
+        'promo.alreadyApplied': 'Promo code {code} is already applied',
+        'promo.notCombinable': 'Promo code {code} cannot be combined with other codes',
+        'promo.notActive': 'Promo code {code} is not active yet',
+        'promo.expired': 'Promo code {code} expired on {date}',
+        'promo.limitReached': 'Promo code {code} has reached its usage limit',
+        'promo.minSpend': 'Spend at least {amount} to use {code}',
+        'promo.categoryOnly': 'Promo code {code} only applies to {category} items',
+        'promo.unavailable': 'Promo codes are not available right now',
+        'payment.title': 'Payment',
+        'payment.methods.card': 'Credit / Debit Card',
+        'payment.methods.gcash': 'GCash',
+        'payment.methods.maya': 'Maya',
+        'payment.methods.cod': 'Cash on Delivery',
+        'payment.notes.card': 'Visa, Mastercard, JCB, Amex',
+        'payment.notes.gcash': 'Pay in the GCash app',
+        'payment.notes.maya': 'Pay in the Maya app',
+        'payment.notes.cod': 'Pay the courier',
+        'payment.brands.visa': 'Visa',
+        'payment.brands.mastercard': 'Mastercard',
+        'payment.brands.amex': 'American Express',
+        'payment.brands.jcb': 'JCB',
+        'payment.brands.card': 'Card',
+        'payment.cardEnding': '{brand} ending in {last4}',
+        'payment.noMethods': 'No payment method is available for this order total. Remove some items or contact us to complete your order.',
+        'payment.sandboxNote': 'Sandbox mode: no real payment is taken. Use card 4242 4242 4242 4242, 4000 0000 0000 3220 for 3-D Secure or 4000 0000 0000 0002 to see a decline.',
+        'payment.status.processing': 'Processing payment…',
+        'payment.status.action': 'Waiting for authorisation…',
+        'payment.status.succeeded': 'Paid',
+        'payment.status.pending': 'Pay on delivery',
+        'payment.status.failed': 'Payment failed',
+        'payment.retry': 'Try again',
+        'payment.changeMethod': 'Change payment method',
+        'payment.errors.declined': 'Your payment was declined. Please try another card or payment method.',
+        'payment.errors.insufficient-funds': 'Your card has insufficient funds. Please try another card or payment method.',
+        'payment.errors.authentication-failed': 'We could not verify your payment. Please try again.',
+        'payment.errors.action-blocked': 'Your browser blocked the payment window. Allow pop-ups and try again.',
+        'payment.errors.network': 'We could not reach the payment service. Check your connection and try again.',
+        'payment.errors.unavailable': 'Payments are not available right now. Please try again in a moment.',
+        'payment.errors.method-unavailable': 'That payment method is not available for your order total. Please choose another.',
+        'payment.errors.refund-failed': 'We could not refund your payment. Please contact us.',
+        'payment.errors.invalid-signature': 'We could not confirm your payment. Please contact us.',
+        'gift.add': 'Add gift wrap or a card',
+        'gift.edit': 'Edit gift options',
+        'gift.wrap': 'Gift wrap',
+        'gift.noWrap': 'No gift wrap',
+        'gift.wrapPrice': '+{price} each',
+        'gift.wraps.classic': 'Classic Kraft',
+        'gift.wraps.signature': 'VELOURA Signature Box',
+        'gift.wraps.luxe': 'Luxe Velvet Pouch',
+        'gift.cardOnly': 'Gift card only',
+        'gift.message': 'Gift card message',
+        'gift.save': 'Save',
+        'gift.remove': 'Remove',
+        'gift.wrapTotal': 'Gift wrap',
+        'gift.recipient': 'Gift recipient',
+        'gift.addRecipient': 'Sending a gift? Add the recipient\'s address',
+        'gift.recipientFor': 'Gift recipient: {name}',
+        'gift.recipientHint': 'Items with gift wrap or a card are delivered here instead of the shipping address.',
+
+        'checkout.title': 'Checkout',
+        'checkout.stepContact': 'Contact',
+        'checkout.stepShipping': 'Shipping',
+        'checkout.stepDelivery': 'Delivery',
+        'checkout.stepPayment': 'Payment',
+        'checkout.stepReview': 'Review',
+        'checkout.email': 'Email',
+        'checkout.phone': 'Mobile Number',
+        'checkout.toShipping': 'Continue to Shipping',
+        'checkout.fullName': 'Full Name',
+        'checkout.street': 'Street Address',
+        'checkout.city': 'City',
+        'checkout.province': 'Province',
+        'checkout.postalCode': 'Postal Code',
+        'checkout.back': 'Back',
+        'checkout.toDelivery': 'Continue to Delivery',
+        'checkout.shippingMethod': 'Shipping Method',
+        'checkout.review': 'Review Order',
+        'checkout.toPayment': 'Continue to Payment',
+        'checkout.paymentMethod': 'Payment Method',
+        'checkout.cardName': 'Name on Card',
+        'checkout.cardNumber': 'Card Number',
+        'checkout.cardExpiry': 'Expiry (MM/YY)',
+        'checkout.cardCvc': 'CVC',
+        'checkout.placeOrder': 'Place Order',
+        'checkout.thanks': 'Thank you for your order!',
+        'checkout.orderNumber': 'Your order number is',
+        'checkout.continue': 'Continue Shopping',
+        'checkout.shipping': 'Shipping',
+        'checkout.contact': 'Contact',
+        'checkout.shipTo': 'Ship to',
+        'checkout.items': 'Items',
+        'checkout.taxIncluded': '{label} (included)',
+        'checkout.reservedFor': 'Your items are reserved for {time}',
+        'checkout.stockShortfall': '{items}. Please update your cart.',
+        'checkout.reserveError': 'We could not reserve your items. Please try again.',
+        'checkout.reservationExpired': 'Your item reservation expired. Continue to reserve them again.',
+        'checkout.orderUnconfirmed': 'We are still saving your order. Keep this page open until your connection is back; its status updates once it is confirmed.',
+        'shipping.methods.standard': 'Standard Delivery (3-5 days)',
+        'shipping.methods.express': 'Express Delivery (1-2 days)',
+        'shipping.methods.pickup': 'Store Pickup (Lipa City)',
+        'tax.vat': 'VAT (12%)',
+
+        'account.loading': 'Loading your account…',
+        'account.unavailable': 'Signing in is not available right now. Orders placed on this device are listed below.',
+        'account.email': 'Email',
+        'account.password': 'Password',
+        'account.signIn': 'Sign In',
+        'account.forgotPassword': 'Forgot your password?',
+        'account.sendReset': 'Send Reset Link',
+        'account.createTitle': 'Create an Account',
+        'account.name': 'Name',
+        'account.confirmPassword': 'Confirm Password',
+        'account.create': 'Create Account',
+        'account.profile': 'Profile',
+        'account.verified': 'Verified',
+        'account.saveProfile': 'Save Profile',
+        'account.signOut': 'Sign Out',
+        'account.addresses': 'Addresses',
+        'account.noAddresses': 'No saved addresses yet.',
+        'account.default': 'Default',
+        'account.makeDefault': 'Make default',
+        'account.remove': 'Remove',
+        'account.addAddress': 'Add an address',
+        'account.addressLabel': 'Label (e.g. Home, Office)',
+        'account.useAsDefault': 'Use as default address',
+        'account.saveAddress': 'Save Address',
+        'account.orders': 'Recent Orders',
+        'account.noOrders': 'You have not placed any orders on this device yet.',
+        'account.trackOrder': 'Track an order',
+        'auth.errors.emailInUse': 'An account with this email already exists. Try signing in instead.',
+        'auth.errors.invalidEmail': 'Please enter a valid email address.',
+        'auth.errors.invalidCredential': 'Incorrect email or password.',
+        'auth.errors.weakPassword': 'Please choose a password with at least 6 characters.',
+        'auth.errors.tooManyRequests': 'Too many attempts. Please wait a moment and try again.',
+        'auth.errors.network': 'We could not reach the server. Check your connection and try again.',
+        'auth.errors.generic': 'Something went wrong. Please try again.',
+
+        'order.title': 'Order {orderNumber}',
+        'order.placed': 'Placed {date} · Status: {status}',
+        'order.notFound': 'Order not found',
+        'order.notFoundText': 'We could not find order {orderNumber} on this device. {link}.',
+        'order.status.pending': 'Order placed',
+        'order.status.paid': 'Payment confirmed',
+        'order.status.packed': 'Packed',
+        'order.status.shipped': 'Shipped',
+        'order.status.delivered': 'Delivered',
+        'order.status.cancelled': 'Cancelled',
+        'order.status.refunded': 'Refunded',
+        'track.title': 'Track Your Order',
+        'track.intro': 'Enter the order number from your confirmation and the email you used at checkout.',
+        'track.orderNumber': 'Order number',
+        'track.submit': 'Find Order',
+
+        'footer.newsletterTitle': 'Join the VELOURA List',
+        'footer.newsletterText': 'New arrivals and members-only offers. We\'ll email you a link to confirm.',
+        'footer.tagline': 'Premium fashion accessories',
+        'footer.shop': 'Shop',
+        'footer.jewelry': 'Jewelry',
+        'footer.handbags': 'Handbags',
+        'footer.scarves': 'Scarves',
+        'footer.accessories': 'Accessories',
+        'footer.care': 'Customer Care',
+        'footer.trackOrder': 'Track Order',
+        'footer.sizeGuide': 'Size Guide',
+        'footer.faq': 'FAQ',
+        'footer.legal': 'Legal',
+        'footer.privacy': 'Privacy Policy',
+        'footer.cookies': 'Cookie Settings',
+        'footer.terms': 'Terms & Conditions',
+        'footer.disclaimer': 'Disclaimer',
+        'footer.refunds': 'Refund Policy',
+
+        'sizeGuide.title': 'Size Guide',
+        'sizeGuide.necklaces': 'Necklaces',
+        'sizeGuide.length': 'Length',
+        'sizeGuide.style': 'Style',
+        'sizeGuide.sitsAt': 'Sits at',
+        'sizeGuide.neckBase': 'Base of the neck',
+        'sizeGuide.collarbone': 'Collarbone',
+        'sizeGuide.aboveBust': 'Above the bust',
+        'sizeGuide.scarves': 'Scarves',
+        'sizeGuide.size': 'Size',
+        'sizeGuide.dimensions': 'Dimensions',
+        'sizeGuide.bestFor': 'Best for',
+        'sizeGuide.square': 'Square 90cm',
+        'sizeGuide.skinny': 'Skinny 150cm',
+        'sizeGuide.squareUse': 'Neck ties, head wraps',
+        'sizeGuide.skinnyUse': 'Bag handles, hair ribbons',
+        'faq.title': 'Frequently Asked Questions',
+        'faq.shippingQuestion': 'How long does shipping take?',
+        'faq.shippingAnswer': 'Standard shipping arrives in 3–5 business days and express in 1–2 business days within the Philippines.',
+        'faq.returnsQuestion': 'Can I return an item?',
+        'faq.returnsAnswer': 'Unworn items in their original packaging can be returned within 30 days of delivery.',
+        'faq.ordersQuestion': 'Where can I see my order?',
+        'faq.ordersVisit': 'Visit',
+        'faq.ordersOr': 'or',
+        'faq.ordersWith': 'with your order number.',
+        'notFound.title': 'Page Not Found',
+        'notFound.text': 'The page you are looking for does not exist.',
+        'notFound.home': 'Return to the homepage',
+
+        'consent.title': 'Your privacy choices',
+        'consent.text': 'We use necessary storage to keep your cart and settings. With your permission we also use analytics to improve the shop and marketing to personalize offers. See our',
+        'consent.necessary': 'Necessary (always on)',
+        'consent.analytics': 'Analytics',
+        'consent.marketing': 'Marketing',
+        'consent.save': 'Save Choices',
+        'consent.acceptAll': 'Accept All',
+        'consent.rejectAll': 'Necessary Only',
+        'consent.customize': 'Customize',
+
+        'newsletter.email': 'Email',
+        'newsletter.subscribe': 'Subscribe',
+        'newsletter.subscribing': 'Subscribing…',
+        'newsletter.retry': 'Try again',
+        'newsletter.pending': 'Almost done! Check your inbox for a link to confirm your subscription.',
+        'newsletter.resent': 'We sent your confirmation link again. Check your inbox (and spam folder).',
+        'newsletter.subscribed': 'You are already subscribed. Thank you!',
+        'newsletter.title': 'Newsletter',
+        'newsletter.confirming': 'Confirming your subscription…',
+        'newsletter.unsubscribePrompt': 'Unsubscribe from the VELOURA newsletter?',
+        'newsletter.unsubscribe': 'Unsubscribe',
+        'newsletter.invalidLink': 'This newsletter link is not valid.',
+        'newsletter.status.confirmed': 'You are subscribed. Welcome to the VELOURA list!',
+        'newsletter.status.unsubscribed': 'You have been unsubscribed and will not receive any more newsletters.',
+        'newsletter.status.invalid': 'This link has expired or was already used.',
+        'newsletter.tooManyRequests': 'Too many requests. Please wait a moment and try again.',
+        'newsletter.serviceError': 'We could not reach the newsletter service.',
+        'newsletter.error': 'We could not subscribe you right now.',
+        'newsletter.rateLimited': {
+            one: 'Too many attempts. Please try again in {count} minute.',
+            other: 'Too many attempts. Please try again in {count} minutes.'
+        },
+
+        'validation.required': 'This field is required',
+        'validation.email': 'Invalid email format',
+        'validation.minLength': 'Must be at least {value} characters',
+        'validation.maxLength': 'Must be at most {value} characters',
+        'validation.pattern': 'Invalid format',
+        'validation.phone': 'Enter a valid Philippine phone number',
+        'validation.postalCode': 'Enter a valid 4-digit postal code',
+        'validation.match': 'Does not match {field}',
+        'validation.custom': 'Invalid value',
+        'validation.passwordMismatch': 'Passwords do not match',
+        'validation.shippingMethod': 'Please choose a shipping method',
+        'validation.paymentMethod': 'Please choose a payment method',
+        'validation.cardNumber': 'Please enter a valid card number',
+        'validation.cardExpiry': 'Please enter a future expiry date as MM/YY',
+        'validation.cardCvc': 'Please enter the 3 or 4 digit security code',
+        'validation.giftWrap': 'Please choose a gift wrap from the list',
+
+        'toast.added': '✨ {name} added to cart!',
+        'toast.viewCart': 'View cart',
+        'toast.undo': 'Undo',
+        'toast.removed': '{name} removed from cart',
+        'toast.cleared': 'Your cart was cleared',
+        'toast.orderPlaced': '🎉 Order {orderNumber} placed! Thank you for shopping with VELOURA.',
+        'toast.stockAdjusted': 'Quantities were updated to match available stock: {names}',
+        'toast.catalogError': 'Unable to load products. Please try again later.',
+        'toast.productUnavailable': 'Sorry, that product is no longer available.',
+        'toast.chooseOptions': 'Choose your options for {name}',
+        'toast.optionUnavailable': 'Sorry, that option is no longer available.',
+        'toast.optionOutOfStock': '{name} is out of stock in that option.',
+        'toast.wishlistSaved': '♡ {name} saved to your wishlist',
+        'toast.wishlistRemoved': '{name} removed from your wishlist',
+        'toast.savedForLater': '{name} saved for later',
+        'toast.currencyUnsupported': 'That currency is not supported.',
+        'toast.localeUnsupported': 'That language is not supported.',
+        'toast.undoExpired': 'That change can no longer be undone.',
+        'toast.restockDuplicate': 'You are already on the list for this item.',
+        'toast.restockSaved': 'We\'ll email you as soon as it\'s back in stock.',
+        'toast.restockError': 'We could not save your request. Please try again.',
+        'toast.cartMerged': 'Your saved cart was combined with the items you added before signing in.',
+        'toast.cartLoadError': 'We could not load the cart saved to your account.',
+        'toast.welcomeBack': 'Welcome back!',
+        'toast.accountCreated': 'Your account has been created.',
+        'toast.resetSent': 'If an account exists for that email, a reset link is on its way.',
+        'toast.profileSaved': 'Profile saved.',
+        'toast.profileError': 'We could not save your profile. Please try again.',
+        'toast.signedOut': 'You have been signed out.',
+        'toast.addressSaved': 'Address saved.',
+        'toast.addressRemoved': 'Address removed.',
+        'toast.defaultAddress': 'Default address updated.',
+        'toast.addressError': 'We could not update your addresses. Please try again.',
+        'toast.promoRequired': 'Please enter a promo code',
+        'toast.promoApplied': '🏷️ {label} applied!',
+        'toast.giftSaved': '🎁 Gift options saved',
+        'toast.giftRecipientSaved': '🎁 Gift items will be sent to {name}',
+        'toast.orderNotFound': 'We could not find an order with that number and email.',
+        'toast.trackError': 'We could not look up your order right now. Please try again.',
+        'toast.orderError': 'We could not place your order. Please try again.',
+        'toast.explore': 'Explore our amazing products!',
+        'toast.rewardsError': 'We could not load your rewards points. Please try again later.',
+        'toast.pointsOnDelivery': { one: '⭐ You\'ll earn {count} point once your order is delivered.', other: '⭐ You\'ll earn {count} points once your order is delivered.' },
+        'toast.pointsRemoved': 'Your points balance has changed, so the points were removed from this order. Please review and try again.',
+        'toast.region': 'Notifications',
+        'toast.dismiss': 'Dismiss notification',
+
+        'network.offline': 'You\'re offline. Changes will sync when you reconnect.',
+        'network.online': 'You\'re back online.',
+        'network.synced': 'You\'re back online. Your changes have been synced.',
+        'network.updateAvailable': 'A new version of VELOURA is available.',
+        'network.reload': 'Reload'
+    },
+    fil: {
+        'locale.name': 'Filipino',
+        'locale.label': 'Wika',
+
+        'nav.features': 'Mga Tampok',
+        'nav.products': 'Mga Produkto',
+        'nav.about': 'Tungkol sa Amin',
+        'nav.contact': 'Makipag-ugnayan',
+        'nav.currency': 'Currency na ipinapakita',
+        'nav.wishlist': 'Wishlist',
+        'nav.account': 'Aking Account',
+        'nav.greeting': 'Kumusta, {name}',
+        'nav.greetingAnonymous': 'Kumusta',
+
+        'common.close': 'Isara',
+        'common.backHome': 'Bumalik sa home',
+        'common.free': 'LIBRE',
+
+        'error.title': 'May nangyaring mali',
+        'error.text': 'Pakisubukang muli o {link}.',
+        'error.home': 'bumalik sa home',
+
+        'hero.welcome': 'Maligayang pagdating sa',
+        'hero.subtitle': 'Maghanap ng accessories na babagay sa iyong estilo',
+        'hero.description': 'Tuklasin ang aming eksklusibong koleksyon ng mamahaling alahas, handbag, scarf, at accessories na gagawing kapansin-pansin ang iyong pang-araw-araw na itsura.',
+        'hero.explore': 'Tuklasin Ngayon',
+
+        'features.title': 'Bakit VELOURA?',
+        'features.quality': 'Marangyang Kalidad',
+        'features.qualityText': 'Bawat VELOURA accessory ay gawa sa pinakamahusay na premium na materyales, para sa marangyang pakiramdam na nagpapaganda sa iyong estilo.',
+        'features.sellers': 'Mapagkakatiwalaang Seller',
+        'features.sellersText': 'Mamili nang panatag dahil beripikado at mapagkakatiwalaan ang aming mga seller, na nagbibigay ng tunay na fashion pieces at mahusay na serbisyo.',
+        'features.authentic': 'Garantiyang Orihinal',
+        'features.authenticText': 'May kasamang certificate of authenticity ang bawat produkto, kaya makatitiyak kang 100% orihinal ang iyong accessories.',
+
+        'catalog.title': 'Mga Tampok na Koleksyon',
+        'catalog.search': 'Maghanap ng produkto',
+        'catalog.searchPlaceholder': 'Maghanap ng alahas, bag, scarf...',
+        'catalog.sortBy': 'Ayusin ayon sa',
+        'catalog.results': { one: '{count} produkto', other: '{count} na produkto' },
+        'catalog.empty': 'Walang produktong tumugma sa iyong paghahanap.',
+        'catalog.clearFilters': 'Alisin ang mga filter',
+        'catalog.category': 'Kategorya',
+        'catalog.price': 'Presyo',
+        'catalog.priceUnder': 'Mas mababa sa {amount}',
+        'catalog.priceAndUp': '{amount} pataas',
+        'catalog.priceFrom': 'Mula {price}',
+        'catalog.soldOut': 'Ubos na',
+        'catalog.lowStock': '{count} na lang ang natitira',
+        'catalog.chooseOptions': 'Pumili ng opsyon para sa {name}',
+        'catalog.addToCart': 'Idagdag ang {name} sa cart',
+        'catalog.saveToWishlist': 'I-save ang {name} sa wishlist',
+        'catalog.restockLabel': 'Ubos na — padadalhan ka namin ng email kapag mayroon na ulit',
+        'catalog.restockPlaceholder': 'Iyong email',
+        'catalog.restockEmail': 'Email para sa abiso kapag may stock na ulit ang {name}',
+        'catalog.notifyMe': 'Abisuhan Ako',
+
+        'product.title': 'Produkto',
+        'product.notFound': 'Hindi nahanap ang produkto',
+        'product.notFoundText': 'Maaaring hindi na available ang produktong ito. {link}.',
+        'product.browse': 'Tingnan ang aming mga koleksyon',
+        'product.back': 'Bumalik sa mga koleksyon',
+        'product.addToCart': 'Idagdag sa Cart',
+        'product.showImage': 'Ipakita ang larawan {index} ng {count}',
+        'product.zoomIn': 'I-zoom ang larawan',
+        'product.zoomOut': 'I-zoom out',
+        'product.unavailable': 'Hindi available ang kombinasyong ito',
+        'product.outOfStock': 'Ubos na ang stock',
+        'product.inStock': 'May stock',
+
+        'recommendations.recent': 'Kamakailang Tiningnan',
+        'recommendations.together': 'Madalas Bilhin nang Magkasama',
+        'recommendations.similar': 'Baka Magustuhan Mo Rin',
+        'recommendations.completeLook': 'Kumpletuhin ang Porma',
+        'recommendations.add': 'Idagdag',
+        'recommendations.view': 'Tingnan',
+
+        'rewards.title': 'Member Rewards',
+        'rewards.intro': 'Ang mga miyembro ay kumikita ng {points} puntos sa bawat {amount} na nagastos kapag na-deliver na ang kanilang order, at magagamit ito bilang diskwento sa checkout. Mag-e-expire ang puntos {days} araw matapos itong makuha.',
+        'rewards.signIn': 'Mag-sign in o gumawa ng account sa itaas para magsimulang kumita.',
+        'rewards.loading': 'Nilo-load ang iyong puntos…',
+        'rewards.balance': { one: '{count} puntos', other: '{count} puntos' },
+        'rewards.worth': 'Halagang {amount}',
+        'rewards.multiplier': '{multiplier}× puntos sa bawat order',
+        'rewards.nextTier': { one: '{count} puntos pa para maabot ang {tier}', other: '{count} puntos pa para maabot ang {tier}' },
+        'rewards.topTier': 'Naabot mo na ang pinakamataas na antas.',
+        'rewards.expiring': { one: '{count} puntos ang mag-e-expire sa {date}', other: '{count} puntos ang mag-e-expire sa {date}' },
+        'rewards.history': 'Kasaysayan ng Puntos',
+        'rewards.noHistory': 'Makikita rito ang kasaysayan ng iyong puntos pagkatapos ng iyong unang order.',
+        'rewards.entry.earn': 'Nakuha sa order {orderNumber}',
+        'rewards.entry.redeem': 'Ginamit sa order {orderNumber}',
+        'rewards.entry.expire': 'Nag-expire na puntos',
+        'rewards.entry.restore': 'Ibinalik mula sa na-cancel na order {orderNumber}',
+        'rewards.entry.reverse': 'Binawi para sa na-refund na order {orderNumber}',
+        'rewards.tier.member': 'Member',
+        'rewards.tier.silver': 'Silver',
+        'rewards.tier.gold': 'Gold',
+        'rewards.earnEstimate': { one: 'Kikita ka ng {count} puntos kapag na-deliver na ang order na ito.', other: 'Kikita ka ng {count} puntos kapag na-deliver na ang order na ito.' },
+        'rewards.guestEarn': { one: 'Mag-sign in para kumita ng {count} puntos sa order na ito.', other: 'Mag-sign in para kumita ng {count} puntos sa order na ito.' },
+        'rewards.available': 'Mayroon kang {balance} puntos. Gumamit ng hanggang {max} sa order na ito:',
+        'rewards.apply': 'Gamitin ang Puntos',
+        'rewards.applied': { one: 'Gumagamit ng {count} puntos sa order na ito.', other: 'Gumagamit ng {count} puntos sa order na ito.' },
+        'rewards.remove': 'Alisin',
+        'rewards.summaryLine': { one: 'Rewards ({count} puntos)', other: 'Rewards ({count} puntos)' },
+        'rewards.invalidPoints': 'Maglagay ng buong bilang ng puntos.',
+        'rewards.belowMinimum': 'Gumamit ng hindi bababa sa {min} puntos.',
+        'rewards.step': 'Gumamit ng puntos nang paisa-isang {step}.',
+        'rewards.overLimit': 'Hanggang {max} puntos lang ang magagamit sa order na ito.',
+        'rewards.orderEarned': { one: '{count} puntos ang nakuha', other: '{count} puntos ang nakuha' },
+        'rewards.orderEarnOnDelivery': { one: '{count} puntos ang makukuha pagka-deliver', other: '{count} puntos ang makukuha pagka-deliver' },
+        'rewards.orderRedeemed': { one: '{count} puntos ang ginamit para sa {amount}', other: '{count} puntos ang ginamit para sa {amount}' },
+        'rewards.orderReturned': { one: '{count} puntos ang ibinalik sa iyong balanse', other: '{count} puntos ang ibinalik sa iyong balanse' },
+
+        'sort.featured': 'Tampok',
+        'sort.price-asc': 'Presyo: Mababa hanggang Mataas',
+        'sort.price-desc': 'Presyo: Mataas hanggang Mababa',
+        'sort.newest': 'Pinakabago',
+        'sort.popular': 'Pinakasikat',
+
+        'category.handbags': 'Handbag',
+        'category.jewelry': 'Alahas',
+        'category.scarves': 'Scarf',
+
+        'about.title': 'Tungkol sa VELOURA',
+        'about.lead': 'Layunin naming piliin ang pinakamahusay na fashion accessories na may walang-kupas na ganda at mataas na kalidad. Maingat na pinipili ang bawat piraso mula sa mapagkakatiwalaang seller sa buong mundo para matiyak na ito ay orihinal at mahusay ang pagkakagawa.',
+        'about.since': 'Mula 2025, kumukuha na kami ng mamahaling accessories mula sa iba\'t ibang panig ng mundo',
+        'about.trusted': 'Pinagkakatiwalaan ng mga mahilig sa fashion at mga style icon sa buong mundo',
+        'about.stylists': 'Mga dalubhasang stylist na nagbibigay ng personal na rekomendasyon',
+        'about.ethical': 'Tapat sa etikal at sustainable na fashion',
+        'highlights.title': 'Mga Tampok sa Shop',
+        'highlights.shipping': 'Libreng Shipping',
+        'highlights.shippingText': 'Libre ang shipping sa mga order na higit ₱2,500 saanman sa Pilipinas.',
+        'highlights.shop': 'Mamili sa Koleksyon',
+        'highlights.giftWrap': 'Gift Wrap at Card',
+        'highlights.giftWrapText': 'Magdagdag ng premium na gift wrap at personalized na card sa kahit anong item sa iyong cart.',
+        'highlights.learnMore': 'Alamin Pa',
+        'highlights.rewards': 'Rewards para sa Miyembro',
+        'highlights.rewardsText': 'Makakuha ng points sa bawat pagbili at magbukas ng mga eksklusibong alok.',
+        'highlights.join': 'Sumali Ngayon',
+        'contact.title': 'Makipag-ugnayan',
+        'contact.location': 'Lokasyon',
+        'contact.phone': 'Telepono',
+        'contact.email': 'Email',
+
+        'cart.title': 'Iyong Cart',
+        'cart.empty': 'Walang laman ang iyong cart. Magsimulang mamili!',
+        'cart.promoCode': 'Promo code',
+        'cart.apply': 'Gamitin',
+        'cart.subtotal': 'Subtotal',
+        'cart.total': 'Kabuuan',
+        'cart.checkout': 'Checkout',
+        'cart.viewFull': 'Tingnan ang Buong Cart',
+        'cart.clear': 'I-clear ang Cart',
+        'cart.notEligible': 'Hindi kwalipikado',
+        'cart.removePromo': 'Alisin ang promo code na {code}',
+        'cart.quantityFor': 'Dami ng {name}',
+        'cart.quantity': 'Dami',
+        'cart.decrease': 'Bawasan ang dami',
+        'cart.increase': 'Dagdagan ang dami',
+        'cart.remove': 'Alisin ang {name}',
+        'cart.saveForLater': 'I-save para sa susunod',
+        'cart.outOfStock': 'Paumanhin, ubos na ang {name}',
+        'cart.stockLimit': '{count} lang ang available na {name}',
+        'cart.emptyPage': 'Walang laman ang iyong cart. {link}',
+        'cart.startShopping': 'Magsimulang mamili!',
+        'wishlist.title': 'Iyong Wishlist',
+        'wishlist.empty': 'Wala ka pang na-save. Pindutin ang {icon} sa anumang produkto para i-save ito. {link}.',
+        'wishlist.browse': 'Tingnan ang mga koleksyon',
+        'wishlist.moveToCart': 'Ilipat sa Cart',
+        'wishlist.remove': 'Alisin ang {name} sa wishlist',
+        'promo.invalid': 'Hindi valid na promo code ang "{code}"',
+        'promo.alreadyApplied': 'Naka-apply na ang promo code na {code}',
+        'promo.notCombinable': 'Hindi maisasabay ang promo code na {code} sa ibang code',
+        'promo.notActive': 'Hindi pa aktibo ang promo code na {code}',
+        'promo.expired': 'Nag-expire ang promo code na {code} noong {date}',
+        'promo.limitReached': 'Naabot na ng promo code na {code} ang limitasyon nito',
+        'promo.minSpend': 'Gumastos ng hindi bababa sa {amount} para magamit ang {code}',
+        'promo.categoryOnly': 'Para lang sa mga {category} item ang promo code na {code}',
+        'promo.unavailable': 'Hindi available ang mga promo code ngayon',
+        'payment.title': 'Bayad',
+        'payment.methods.card': 'Credit / Debit Card',
+        'payment.methods.gcash': 'GCash',
+        'payment.methods.maya': 'Maya',
+        'payment.methods.cod': 'Cash on Delivery',
+        'payment.notes.card': 'Visa, Mastercard, JCB, Amex',
+        'payment.notes.gcash': 'Magbayad sa GCash app',
+        'payment.notes.maya': 'Magbayad sa Maya app',
+        'payment.notes.cod': 'Magbayad sa courier',
+        'payment.brands.visa': 'Visa',
+        'payment.brands.mastercard': 'Mastercard',
+        'payment.brands.amex': 'American Express',
+        'payment.brands.jcb': 'JCB',
+        'payment.brands.card': 'Card',
+        'payment.cardEnding': '{brand} na nagtatapos sa {last4}',
+        'payment.noMethods': 'Walang paraan ng pagbabayad para sa kabuuang ito. Mag-alis ng ilang item o makipag-ugnayan sa amin para makumpleto ang order.',
+        'payment.sandboxNote': 'Sandbox mode: walang totoong bayad na kukunin. Gamitin ang card 4242 4242 4242 4242, 4000 0000 0000 3220 para sa 3-D Secure o 4000 0000 0000 0002 para makita ang pagtanggi.',
+        'payment.status.processing': 'Pinoproseso ang bayad…',
+        'payment.status.action': 'Hinihintay ang pag-apruba…',
+        'payment.status.succeeded': 'Bayad na',
+        'payment.status.pending': 'Babayaran sa paghahatid',
+        'payment.status.failed': 'Hindi natuloy ang bayad',
+        'payment.retry': 'Subukang muli',
+        'payment.changeMethod': 'Palitan ang paraan ng pagbabayad',
+        'payment.errors.declined': 'Tinanggihan ang iyong bayad. Subukan ang ibang card o paraan ng pagbabayad.',
+        'payment.errors.insufficient-funds': 'Kulang ang pondo ng iyong card. Subukan ang ibang card o paraan ng pagbabayad.',
+        'payment.errors.authentication-failed': 'Hindi namin ma-verify ang iyong bayad. Pakisubukang muli.',
+        'payment.errors.action-blocked': 'Hinarang ng iyong browser ang payment window. Payagan ang pop-ups at subukang muli.',
+        'payment.errors.network': 'Hindi namin maabot ang payment service. Tingnan ang iyong koneksyon at subukang muli.',
+        'payment.errors.unavailable': 'Hindi available ang pagbabayad ngayon. Pakisubukang muli mamaya.',
+        'payment.errors.method-unavailable': 'Hindi available ang paraan ng pagbabayad na ito para sa kabuuan ng iyong order. Pumili ng iba.',
+        'payment.errors.refund-failed': 'Hindi namin ma-refund ang iyong bayad. Makipag-ugnayan sa amin.',
+        'payment.errors.invalid-signature': 'Hindi namin makumpirma ang iyong bayad. Makipag-ugnayan sa amin.',
+        'gift.add': 'Magdagdag ng gift wrap o card',
+        'gift.edit': 'Baguhin ang gift options',
+        'gift.wrap': 'Gift wrap',
+        'gift.noWrap': 'Walang gift wrap',
+        'gift.wrapPrice': '+{price} bawat isa',
+        'gift.wraps.classic': 'Classic Kraft',
+        'gift.wraps.signature': 'VELOURA Signature Box',
+        'gift.wraps.luxe': 'Luxe Velvet Pouch',
+        'gift.cardOnly': 'Gift card lamang',
+        'gift.message': 'Mensahe sa gift card',
+        'gift.save': 'I-save',
+        'gift.remove': 'Alisin',
+        'gift.wrapTotal': 'Gift wrap',
+        'gift.recipient': 'Padadalhan ng regalo',
+        'gift.addRecipient': 'Magpapadala ng regalo? Ilagay ang address ng padadalhan',
+        'gift.recipientFor': 'Padadalhan ng regalo: {name}',
+        'gift.recipientHint': 'Dito ipapadala ang mga item na may gift wrap o card sa halip na sa shipping address.',
+
+        'checkout.title': 'Checkout',
+        'checkout.stepContact': 'Contact',
+        'checkout.stepShipping': 'Address',
+        'checkout.stepDelivery': 'Paghahatid',
+        'checkout.stepPayment': 'Bayad',
+        'checkout.stepReview': 'Suriin',
+        'checkout.email': 'Email',
+        'checkout.phone': 'Numero ng Mobile',
+        'checkout.toShipping': 'Magpatuloy sa Address',
+        'checkout.fullName': 'Buong Pangalan',
+        'checkout.street': 'Kalye at Numero',
+        'checkout.city': 'Lungsod',
+        'checkout.province': 'Lalawigan',
+        'checkout.postalCode': 'Postal Code',
+        'checkout.back': 'Bumalik',
+        'checkout.toDelivery': 'Magpatuloy sa Paghahatid',
+        'checkout.shippingMethod': 'Paraan ng Pagpapadala',
+        'checkout.review': 'Suriin ang Order',
+        'checkout.toPayment': 'Magpatuloy sa Pagbabayad',
+        'checkout.paymentMethod': 'Paraan ng Pagbabayad',
+        'checkout.cardName': 'Pangalan sa Card',
+        'checkout.cardNumber': 'Numero ng Card',
+        'checkout.cardExpiry': 'Expiry (MM/YY)',
+        'checkout.cardCvc': 'CVC',
+        'checkout.placeOrder': 'Ilagay ang Order',
+        'checkout.thanks': 'Salamat sa iyong order!',
+        'checkout.orderNumber': 'Ang numero ng iyong order ay',
+        'checkout.continue': 'Magpatuloy sa Pamimili',
+        'checkout.shipping': 'Pagpapadala',
+        'checkout.contact': 'Contact',
+        'checkout.shipTo': 'Ipadala sa',
+        'checkout.items': 'Mga Item',
+        'checkout.taxIncluded': '{label} (kasama na)',
+        'checkout.reservedFor': 'Naka-reserve ang iyong mga item sa loob ng {time}',
+        'checkout.stockShortfall': '{items}. Paki-update ang iyong cart.',
+        'checkout.reserveError': 'Hindi namin ma-reserve ang iyong mga item. Pakisubukang muli.',
+        'checkout.reservationExpired': 'Nag-expire na ang reservation ng iyong mga item. Magpatuloy para i-reserve muli ang mga ito.',
+        'checkout.orderUnconfirmed': 'Sine-save pa namin ang iyong order. Panatilihing bukas ang page na ito hanggang bumalik ang iyong koneksyon; mag-a-update ang status nito kapag nakumpirma na.',
+        'shipping.methods.standard': 'Standard na Delivery (3-5 araw)',
+        'shipping.methods.express': 'Express na Delivery (1-2 araw)',
+        'shipping.methods.pickup': 'Kunin sa Tindahan (Lipa City)',
+        'tax.vat': 'VAT (12%)',
+
+        'account.loading': 'Nilo-load ang iyong account…',
+        'account.unavailable': 'Hindi available ang pag-sign in ngayon. Nakalista sa ibaba ang mga order na ginawa sa device na ito.',
+        'account.email': 'Email',
+        'account.password': 'Password',
+        'account.signIn': 'Mag-sign In',
+        'account.forgotPassword': 'Nakalimutan ang iyong password?',
+        'account.sendReset': 'Ipadala ang Reset Link',
+        'account.createTitle': 'Gumawa ng Account',
+        'account.name': 'Pangalan',
+        'account.confirmPassword': 'Kumpirmahin ang Password',
+        'account.create': 'Gumawa ng Account',
+        'account.profile': 'Profile',
+        'account.verified': 'Beripikado',
+        'account.saveProfile': 'I-save ang Profile',
+        'account.signOut': 'Mag-sign Out',
+        'account.addresses': 'Mga Address',
+        'account.noAddresses': 'Wala ka pang naka-save na address.',
+        'account.default': 'Default',
+        'account.makeDefault': 'Gawing default',
+        'account.remove': 'Alisin',
+        'account.addAddress': 'Magdagdag ng address',
+        'account.addressLabel': 'Label (hal. Bahay, Opisina)',
+        'account.useAsDefault': 'Gamitin bilang default na address',
+        'account.saveAddress': 'I-save ang Address',
+        'account.orders': 'Mga Kamakailang Order',
+        'account.noOrders': 'Wala ka pang order na ginawa sa device na ito.',
+        'account.trackOrder': 'Subaybayan ang isang order',
+        'auth.errors.emailInUse': 'May account na gamit ang email na ito. Subukang mag-sign in.',
+        'auth.errors.invalidEmail': 'Maglagay ng wastong email address.',
+        'auth.errors.invalidCredential': 'Mali ang email o password.',
+        'auth.errors.weakPassword': 'Pumili ng password na may hindi bababa sa 6 na character.',
+        'auth.errors.tooManyRequests': 'Masyadong maraming pagsubok. Maghintay sandali at subukang muli.',
+        'auth.errors.network': 'Hindi namin maabot ang server. Suriin ang iyong koneksyon at subukang muli.',
+        'auth.errors.generic': 'May nangyaring mali. Pakisubukang muli.',
+
+        'order.title': 'Order {orderNumber}',
+        'order.placed': 'Inilagay noong {date} · Status: {status}',
+        'order.notFound': 'Hindi nahanap ang order',
+        'order.notFoundText': 'Hindi namin mahanap ang order {orderNumber} sa device na ito. {link}.',
+        'order.status.pending': 'Nailagay ang order',
+        'order.status.paid': 'Kumpirmado ang bayad',
+        'order.status.packed': 'Naka-pack na',
+        'order.status.shipped': 'Naipadala na',
+        'order.status.delivered': 'Na-deliver na',
+        'order.status.cancelled': 'Kinansela',
+        'order.status.refunded': 'Na-refund',
+        'track.title': 'Subaybayan ang Iyong Order',
+        'track.intro': 'Ilagay ang order number mula sa iyong kumpirmasyon at ang email na ginamit mo sa checkout.',
+        'track.orderNumber': 'Order number',
+        'track.submit': 'Hanapin ang Order',
+
+        'footer.newsletterTitle': 'Sumali sa VELOURA List',
+        'footer.newsletterText': 'Mga bagong dating at alok para sa miyembro lamang. Padadalhan ka namin ng link para kumpirmahin.',
+        'footer.tagline': 'Premium na fashion accessories',
+        'footer.shop': 'Mamili',
+        'footer.jewelry': 'Alahas',
+        'footer.handbags': 'Handbag',
+        'footer.scarves': 'Scarf',
+        'footer.accessories': 'Accessories',
+        'footer.care': 'Serbisyo sa Customer',
+        'footer.trackOrder': 'Subaybayan ang Order',
+        'footer.sizeGuide': 'Gabay sa Sukat',
+        'footer.faq': 'FAQ',
+        'footer.legal': 'Legal',
+        'footer.privacy': 'Patakaran sa Privacy',
+        'footer.cookies': 'Mga Setting ng Cookie',
+        'footer.terms': 'Mga Tuntunin at Kundisyon',
+        'footer.disclaimer': 'Disclaimer',
+        'footer.refunds': 'Patakaran sa Refund',
+
+        'sizeGuide.title': 'Gabay sa Sukat',
+        'sizeGuide.necklaces': 'Mga Kuwintas',
+        'sizeGuide.length': 'Haba',
+        'sizeGuide.style': 'Estilo',
+        'sizeGuide.sitsAt': 'Tumatapat sa',
+        'sizeGuide.neckBase': 'Puno ng leeg',
+        'sizeGuide.collarbone': 'Collarbone',
+        'sizeGuide.aboveBust': 'Itaas ng dibdib',
+        'sizeGuide.scarves': 'Mga Scarf',
+        'sizeGuide.size': 'Sukat',
+        'sizeGuide.dimensions': 'Dimensyon',
+        'sizeGuide.bestFor': 'Bagay para sa',
+        'sizeGuide.square': 'Parisukat 90cm',
+        'sizeGuide.skinny': 'Manipis 150cm',
+        'sizeGuide.squareUse': 'Pantali sa leeg, pambalot sa ulo',
+        'sizeGuide.skinnyUse': 'Tali sa bag, laso sa buhok',
+        'faq.title': 'Mga Madalas Itanong',
+        'faq.shippingQuestion': 'Gaano katagal ang pagpapadala?',
+        'faq.shippingAnswer': 'Dumarating ang standard shipping sa loob ng 3–5 araw ng trabaho at ang express sa loob ng 1–2 araw ng trabaho sa loob ng Pilipinas.',
+        'faq.returnsQuestion': 'Puwede ko bang ibalik ang isang item?',
+        'faq.returnsAnswer': 'Maaaring ibalik ang mga hindi pa nagamit na item na nasa orihinal na packaging sa loob ng 30 araw mula sa delivery.',
+        'faq.ordersQuestion': 'Saan ko makikita ang aking order?',
+        'faq.ordersVisit': 'Pumunta sa',
+        'faq.ordersOr': 'o sa',
+        'faq.ordersWith': 'gamit ang iyong order number.',
+        'notFound.title': 'Hindi Nahanap ang Pahina',
+        'notFound.text': 'Hindi umiiral ang pahinang hinahanap mo.',
+        'notFound.home': 'Bumalik sa homepage',
+
+        'consent.title': 'Iyong mga pagpipilian sa privacy',
+        'consent.text': 'Gumagamit kami ng kinakailangang storage para itago ang iyong cart at mga setting. Kapag pumayag ka, gumagamit din kami ng analytics para mapabuti ang shop at ng marketing para i-personalize ang mga alok. Tingnan ang aming',
+        'consent.necessary': 'Kinakailangan (laging naka-on)',
+        'consent.analytics': 'Analytics',
+        'consent.marketing': 'Marketing',
+        'consent.save': 'I-save ang mga Pinili',
+        'consent.acceptAll': 'Tanggapin Lahat',
+        'consent.rejectAll': 'Kinakailangan Lang',
+        'consent.customize': 'I-customize',
+
+        'newsletter.email': 'Email',
+        'newsletter.subscribe': 'Mag-subscribe',
+        'newsletter.subscribing': 'Nagsu-subscribe…',
+        'newsletter.retry': 'Subukang muli',
+        'newsletter.pending': 'Halos tapos na! Tingnan ang iyong inbox para sa link na magkukumpirma ng iyong subscription.',
+        'newsletter.resent': 'Ipinadala naming muli ang iyong confirmation link. Tingnan ang iyong inbox (at spam folder).',
+        'newsletter.subscribed': 'Naka-subscribe ka na. Salamat!',
+        'newsletter.title': 'Newsletter',
+        'newsletter.confirming': 'Kinukumpirma ang iyong subscription…',
+        'newsletter.unsubscribePrompt': 'Mag-unsubscribe sa VELOURA newsletter?',
+        'newsletter.unsubscribe': 'Mag-unsubscribe',
+        'newsletter.invalidLink': 'Hindi wasto ang newsletter link na ito.',
+        'newsletter.status.confirmed': 'Naka-subscribe ka na. Maligayang pagdating sa VELOURA list!',
+        'newsletter.status.unsubscribed': 'Na-unsubscribe ka na at hindi ka na makatatanggap ng mga newsletter.',
+        'newsletter.status.invalid': 'Nag-expire na o nagamit na ang link na ito.',
+        'newsletter.tooManyRequests': 'Masyadong maraming request. Maghintay sandali at subukang muli.',
+        'newsletter.serviceError': 'Hindi namin maabot ang newsletter service.',
+        'newsletter.error': 'Hindi ka namin ma-subscribe sa ngayon.',
+        'newsletter.rateLimited': {
+            one: 'Masyadong maraming pagsubok. Pakisubukang muli pagkalipas ng {count} minuto.',
+            other: 'Masyadong maraming pagsubok. Pakisubukang muli pagkalipas ng {count} minuto.'
+        },
+
+        'validation.required': 'Kailangang sagutan ang field na ito',
+        'validation.email': 'Hindi wasto ang format ng email',
+        'validation.minLength': 'Dapat ay hindi bababa sa {value} character',
+        'validation.maxLength': 'Hanggang {value} character lamang',
+        'validation.pattern': 'Hindi wasto ang format',
+        'validation.phone': 'Maglagay ng wastong numero ng telepono sa Pilipinas',
+        'validation.postalCode': 'Maglagay ng wastong 4-digit na postal code',
+        'validation.match': 'Hindi tugma sa {field}',
+        'validation.custom': 'Hindi wasto ang value',
+        'validation.passwordMismatch': 'Hindi magkatugma ang mga password',
+        'validation.shippingMethod': 'Pumili ng paraan ng pagpapadala',
+        'validation.paymentMethod': 'Pumili ng paraan ng pagbabayad',
+        'validation.cardNumber': 'Maglagay ng wastong numero ng card',
+        'validation.cardExpiry': 'Maglagay ng expiry date na hindi pa lumilipas (MM/YY)',
+        'validation.cardCvc': 'Ilagay ang 3 o 4 na digit na security code',
+        'validation.giftWrap': 'Pumili ng gift wrap mula sa listahan',
+
+        'toast.added': '✨ Naidagdag ang {name} sa cart!',
+        'toast.viewCart': 'Tingnan ang cart',
+        'toast.undo': 'Ibalik',
+        'toast.removed': 'Inalis ang {name} sa cart',
+        'toast.cleared': 'Na-clear ang iyong cart',
+        'toast.orderPlaced': '🎉 Natanggap na ang order {orderNumber}! Salamat sa pamimili sa VELOURA.',
+        'toast.stockAdjusted': 'In-update ang dami para tumugma sa available na stock: {names}',
+        'toast.catalogError': 'Hindi ma-load ang mga produkto. Pakisubukang muli mamaya.',
+        'toast.productUnavailable': 'Paumanhin, hindi na available ang produktong iyon.',
+        'toast.chooseOptions': 'Piliin ang mga opsyon para sa {name}',
+        'toast.optionUnavailable': 'Paumanhin, hindi na available ang opsyong iyon.',
+        'toast.optionOutOfStock': 'Ubos na ang {name} sa opsyong iyon.',
+        'toast.wishlistSaved': '♡ Na-save ang {name} sa iyong wishlist',
+        'toast.wishlistRemoved': 'Inalis ang {name} sa iyong wishlist',
+        'toast.savedForLater': 'Na-save ang {name} para sa susunod',
+        'toast.currencyUnsupported': 'Hindi suportado ang currency na iyon.',
+        'toast.localeUnsupported': 'Hindi suportado ang wikang iyon.',
+        'toast.undoExpired': 'Hindi na maibabalik ang pagbabagong iyon.',
+        'toast.restockDuplicate': 'Nasa listahan ka na para sa item na ito.',
+        'toast.restockSaved': 'Mag-e-email kami sa iyo sa sandaling may stock na ulit.',
+        'toast.restockError': 'Hindi namin na-save ang iyong request. Pakisubukang muli.',
+        'toast.cartMerged': 'Pinagsama ang naka-save mong cart at ang mga item na idinagdag mo bago mag-sign in.',
+        'toast.cartLoadError': 'Hindi ma-load ang cart na naka-save sa iyong account.',
+        'toast.welcomeBack': 'Maligayang pagbabalik!',
+        'toast.accountCreated': 'Nagawa na ang iyong account.',
+        'toast.resetSent': 'Kung may account para sa email na iyon, padating na ang reset link.',
+        'toast.profileSaved': 'Na-save ang profile.',
+        'toast.profileError': 'Hindi na-save ang iyong profile. Pakisubukang muli.',
+        'toast.signedOut': 'Naka-sign out ka na.',
+        'toast.addressSaved': 'Na-save ang address.',
+        'toast.addressRemoved': 'Inalis ang address.',
+        'toast.defaultAddress': 'Na-update ang default na address.',
+        'toast.addressError': 'Hindi na-update ang iyong mga address. Pakisubukang muli.',
+        'toast.promoRequired': 'Maglagay ng promo code',
+        'toast.promoApplied': '🏷️ Nagamit ang {label}!',
+        'toast.giftSaved': '🎁 Na-save ang gift options',
+        'toast.giftRecipientSaved': '🎁 Ipapadala kay {name} ang mga regalo',
+        'toast.orderNotFound': 'Walang nahanap na order na may ganoong numero at email.',
+        'toast.trackError': 'Hindi mahanap ang iyong order sa ngayon. Pakisubukang muli.',
+        'toast.orderError': 'Hindi mailagay ang iyong order. Pakisubukang muli.',
+        'toast.explore': 'Tuklasin ang aming mga kahanga-hangang produkto!',
+        'toast.rewardsError': 'Hindi ma-load ang iyong rewards points. Pakisubukang muli mamaya.',
+        'toast.pointsOnDelivery': { one: '⭐ Kikita ka ng {count} puntos kapag na-deliver na ang iyong order.', other: '⭐ Kikita ka ng {count} puntos kapag na-deliver na ang iyong order.' },
+        'toast.pointsRemoved': 'Nagbago ang iyong puntos kaya inalis ang mga ito sa order na ito. Pakisuri at subukang muli.',
+        'toast.region': 'Mga Abiso',
+        'toast.dismiss': 'Isara ang abiso',
+
+        'network.offline': 'Offline ka. Masi-sync ang mga pagbabago kapag nakakonekta ka na ulit.',
+        'network.online': 'Online ka na ulit.',
+        'network.synced': 'Online ka na ulit. Na-sync na ang iyong mga pagbabago.',
+        'network.updateAvailable': 'May bagong bersyon ng VELOURA.',
+        'network.reload': 'I-reload'
+    }
+};
+
+// ==================== MONEY & CURRENCY ====================
+
+/**
+ * Money - Immutable amount in integer minor units plus an ISO 4217 currency code
+ */
+class Money {
+    constructor(amount, currency = 'PHP') {
+        if (!Number.isSafeInteger(amount)) {
+            throw new TypeError(`Money amount must be an integer in minor units, got ${amount}`);
+        }
+
+        this.amount = amount;
+        this.currency = String(currency).toUpperCase();
+        Object.freeze(this);
+    }
+
+    /**
+     * Zero amount in a currency
+     */
+    static zero(currency = 'PHP') {
+        return new Money(0, currency);
+    }
+
+    /**
+     * Create from a major-unit value (e.g. 149.99)
+     */
+    static fromMajor(value, currency = 'PHP') {
+        return new Money(Math.round(Number(value) * 10 ** Money.minorDigits(currency)), currency);
+    }
+
+    /**
+     * Revive from a plain { amount, currency } object
+     */
+    static fromJSON(data) {
+        return new Money(data.amount, data.currency);
+    }
+
+    /**
+     * Number of minor-unit digits for a currency (2 for PHP, 0 for JPY)
+     */
+    static minorDigits(currency) {
+        const code = String(currency).toUpperCase();
+        if (!(code in Money.digitsCache)) {
+            Money.digitsCache[code] = new Intl.NumberFormat('en', {
+                style: 'currency',
+                currency: code
+            }).resolvedOptions().maximumFractionDigits;
+        }
+        return Money.digitsCache[code];
+    }
+
+    /**
+     * Ensure another amount uses the same currency
+     */
+    assertSameCurrency(other) {
+        if (other.currency !== this.currency) {
+            throw new Error(`Currency mismatch: ${this.currency} vs ${other.currency}`);
+        }
+    }
+
+    add(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.amount + other.amount, this.currency);
+    }
+
+    subtract(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.amount - other.amount, this.currency);
+    }
+
+    /**
+     * Multiply by a quantity or rate, rounding to the nearest minor unit
+     */
+    multiply(factor) {
+        return new Money(Math.round(this.amount * factor), this.currency);
+    }
+
+    /**
+     * Compare with another amount (-1, 0 or 1)
+     */
+    compare(other) {
+        this.assertSameCurrency(other);
+        return Math.sign(this.amount - other.amount);
+    }
+
+    equals(other) {
+        return other instanceof Money && other.currency === this.currency && other.amount === this.amount;
+    }
+
+    isZero() {
+        return this.amount === 0;
+    }
+
+    isNegative() {
+        return this.amount < 0;
+    }
+
+    /**
+     * Value in major units (for display only)
+     */
+    toMajor() {
+        return this.amount / 10 ** Money.minorDigits(this.currency);
+    }
+
+    /**
+     * Format for a locale using Intl.NumberFormat
+     */
+    format(locale = 'en-PH') {
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: this.currency
+        }).format(this.toMajor());
+    }
+
+    toJSON() {
+        return { amount: this.amount, currency: this.currency };
+    }
+
+    toString() {
+        return this.format();
+    }
+}
+
+Money.digitsCache = {};
+
+/**
+ * CurrencyConverter - Active display currency, locale and conversion table
+ *
+ * Prices are charged in the catalog currency; converted amounts are for display.
+ */
+class CurrencyConverter extends BaseComponent {
+    constructor(options = {}) {
+        super('CurrencyConverter');
+        this.baseCurrency = options.baseCurrency || 'PHP';
+        // Units of each currency per one unit of the base currency
+        this.rates = { ...CurrencyConverter.DEFAULT_RATES, ...options.rates };
+        this.storage = options.storage || new LocalStorageAdapter();
+        this.storageKey = options.storageKey || 'veloura.currency';
+
+        const saved = this.storage.getItem(this.storageKey);
+        this.state = {
+            currency: saved && this.rates[saved] ? saved : this.baseCurrency,
+            locale: options.locale || 'en-PH'
+        };
+    }
+
+    /**
+     * Get supported currency codes
+     */
+    getCurrencies() {
+        return Object.keys(this.rates);
+    }
+
+    /**
+     * Choose the display currency
+     */
+    setCurrency(currency) {
+        const code = String(currency).toUpperCase();
+        if (!this.rates[code]) {
+            throw new Error(`Unsupported currency: ${currency}`);
+        }
+
+        this.storage.setItem(this.storageKey, code);
+        this.setState({ currency: code });
+        this.log(`Currency set to ${code}`);
+    }
+
+    /**
+     * Choose the formatting locale
+     */
+    setLocale(locale) {
+        this.setState({ locale });
+    }
+
+    /**
+     * Convert an amount to another currency
+     */
+    convert(money, currency = this.state.currency) {
+        const target = String(currency).toUpperCase();
+        if (money.currency === target) return money;
+
+        const sourceRate = this.rates[money.currency];
+        const targetRate = this.rates[target];
+        if (!sourceRate || !targetRate) {
+            throw new Error(`No conversion rate for ${money.currency} to ${target}`);
+        }
+
+        const digitShift = Money.minorDigits(target) - Money.minorDigits(money.currency);
+        return new Money(Math.round(money.amount * (targetRate / sourceRate) * 10 ** digitShift), target);
+    }
+
+    /**
+     * Convert to the active currency and format for the active locale
+     */
+    format(money) {
+        return this.convert(money).format(this.state.locale);
+    }
+}
+
+CurrencyConverter.DEFAULT_RATES = {
+    PHP: 1,
+    USD: 0.0172,
+    EUR: 0.0159,
+    SGD: 0.0231,
+    JPY: 2.61
+};
+
+// ==================== PRODUCT CATALOG ====================
+
+/**
+ * ProductCatalog - Loads products from a JSON source and renders the product grid
+ *
+ * Prices are stored in minor units (centavos for PHP) to keep arithmetic exact.
+ */
+class ProductCatalog extends BaseComponent {
+    constructor(source = '/data/products.json', currency = new CurrencyConverter(), i18n = new I18n()) {
+        super('ProductCatalog');
+        this.source = source;
+        this.currency = currency;
+        this.i18n = i18n;
+        this.container = null;
+        this.products = [];
+        this.visibleProducts = null;
+        this.state = { products: [], loaded: false };
+
+        // Redraw prices and labels when the display currency or language changes
+        this.currency.subscribe(() => this.render(this.container, this.visibleProducts));
+        this.i18n.subscribe(() => this.render(this.container, this.visibleProducts));
+    }
+
+    /**
+     * Load products from the configured source (URL or array)
+     */
+    async load() {
+        let data = this.source;
+
+        if (typeof this.source === 'string') {
+            const response = await fetch(this.source);
+            if (!response.ok) {
+                throw new Error(`Failed to load catalog (${response.status})`);
+            }
+            data = await response.json();
+        }
+
+        const products = Array.isArray(data) ? data : (data.products || []);
+        this.products = products.map(product => this.normalizeProduct(product));
+        this.setState({ products: this.products, loaded: true });
+        this.log(`Loaded ${this.products.length} products`);
+        return this.products;
+    }
+
+    /**
+     * Normalize a raw product record from the catalog source
+     */
+    normalizeProduct(product) {
+        if (!product.id || !product.name || !Number.isInteger(product.price)) {
+            throw new Error(`Invalid product record: ${JSON.stringify(product)}`);
+        }
+
+        const sku = product.sku || String(product.id);
+        // Products without variants sell as a single default variant
+        const variants = Array.isArray(product.variants) && product.variants.length
+            ? product.variants
+            : [{ sku, options: {}, price: product.price, stock: product.stock }];
+        const options = Array.isArray(product.options) ? product.options : [];
+        const image = product.image || '';
+        const normalizedVariants = variants.map(variant => this.normalizeVariant(variant, product, options));
+
+        return {
+            id: String(product.id),
+            sku,
+            name: product.name,
+            description: product.description || '',
+            price: product.price,
+            currency: product.currency || 'PHP',
+            image,
+            images: Array.isArray(product.images) && product.images.length ? product.images : [image].filter(Boolean),
+            category: product.category || 'accessories',
+            addedAt: product.addedAt || null,
+            // Sellable stock is the sum of the variants' stock
+            stock: normalizedVariants.reduce((total, variant) => total + variant.stock, 0),
+            badge: product.badge || null,
+            sizeGuide: product.sizeGuide === true,
+            options: options.map(option => ({
+                name: option.name,
+                label: option.label || option.name,
+                values: Array.isArray(option.values) ? option.values.map(String) : []
+            })),
+            variants: normalizedVariants
+        };
+    }
+
+    /**
+     * Normalize a variant, inheriting the product price when it has none
+     */
+    normalizeVariant(variant, product, options) {
+        if (!variant.sku) {
+            throw new Error(`Variant without SKU on product ${product.id}`);
+        }
+
+        const selected = variant.options || {};
+        return {
+            sku: String(variant.sku),
+            options: { ...selected },
+            label: options.map(option => selected[option.name]).filter(Boolean).join(' / '),
+            price: Number.isInteger(variant.price) ? variant.price : product.price,
+            stock: Number.isInteger(variant.stock) ? variant.stock : 0
+        };
+    }
+
+    /**
+     * Get all products
+     */
+    getProducts() {
+        return [...this.products];
+    }
+
+    /**
+     * Find product by id
+     */
+    getProduct(productId) {
+        return this.products.find(product => product.id === productId) || null;
+    }
+
+    /**
+     * Find a product variant by SKU
+     */
+    getVariant(product, sku) {
+        return product.variants.find(variant => variant.sku === sku) || null;
+    }
+
+    /**
+     * Find a product and variant by variant SKU
+     */
+    findBySku(sku) {
+        for (const product of this.products) {
+            const variant = this.getVariant(product, sku);
+            if (variant) return { product, variant };
+        }
+        return null;
+    }
+
+    /**
+     * Whether a stock level should be flagged as running low
+     */
+    isLowStock(stock) {
+        return stock > 0 && stock <= ProductCatalog.LOW_STOCK_THRESHOLD;
+    }
+
+    /**
+     * Find the variant matching every selected option value
+     */
+    findVariant(product, selections) {
+        return product.variants.find(variant =>
+            product.options.every(option => variant.options[option.name] === selections[option.name])
+        ) || null;
+    }
+
+    /**
+     * First variant in stock, falling back to the first variant
+     */
+    getDefaultVariant(product) {
+        return product.variants.find(variant => variant.stock > 0) || product.variants[0];
+    }
+
+    /**
+     * Whether a product needs options chosen before it can be added to the cart
+     */
+    hasVariants(product) {
+        return product.variants.length > 1;
+    }
+
+    /**
+     * Format a product (or variant) price for display
+     */
+    formatPrice(product, variant = null) {
+        const price = this.currency.format(this.getPrice(product, variant));
+        if (variant) return price;
+
+        // Cards show the lowest variant price when prices differ
+        const prices = new Set(product.variants.map(item => item.price));
+        return prices.size > 1 ? this.i18n.t('catalog.priceFrom', { price }) : price;
+    }
+
+    /**
+     * Get product (or variant) price as Money; products default to their lowest variant price
+     */
+    getPrice(product, variant = null) {
+        const amount = variant
+            ? variant.price
+            : Math.min(...product.variants.map(item => item.price));
+        return new Money(amount, product.currency);
+    }
+
+    /**
+     * Render product cards (all products by default) into the grid container
+     */
+    render(container, products = null) {
+        if (!container) return;
+
+        this.container = container;
+        this.visibleProducts = products;
+        const visible = products || this.products;
+        container.innerHTML = visible.length
+            ? visible.map(product => this.renderCard(product)).join('')
+            : `
+                <div class="col-12 catalog-empty text-center">
+                    <p>${this.i18n.html('catalog.empty')}</p>
+                    <button type="button" class="btn btn-outline-dark btn-sm" data-filter-action="clear">${this.i18n.html('catalog.clearFilters')}</button>
+                </div>
+            `;
+    }
+
+    /**
+     * Build product card markup
+     */
+    renderCard(product) {
+        const badge = product.badge
+            ? `<span class="badge-${escapeHTML(product.badge.type)}">${escapeHTML(product.badge.label)}</span>`
+            : '';
+        let stockBadge = '';
+        if (product.stock === 0) {
+            stockBadge = `<span class="badge-stock badge-out-of-stock">${this.i18n.html('catalog.soldOut')}</span>`;
+        } else if (this.isLowStock(product.stock)) {
+            stockBadge = `<span class="badge-stock badge-low-stock">${this.i18n.html('catalog.lowStock', { count: product.stock })}</span>`;
+        }
+        const label = this.i18n.html(this.hasVariants(product) ? 'catalog.chooseOptions' : 'catalog.addToCart', { name: product.name });
+        // Sold-out products swap the add button for a back-in-stock form
+        const addButton = product.stock === 0 ? '' : `
+            <button class="btn-add-cart" data-product-id="${escapeHTML(product.id)}" aria-label="${label}">
+                <i class="fas fa-shopping-cart"></i>
+            </button>
+        `;
+
+        return `
+            <div class="col-md-6 col-lg-3">
+                <div class="product-card" data-product-id="${escapeHTML(product.id)}">
+                    <div class="product-image">
+                        <img src="${escapeHTML(product.image)}" alt="${escapeHTML(product.name)}" class="img-fluid">
+                        ${badge}
+                        ${stockBadge}
+                        ${this.renderWishlistButton(product)}
+                    </div>
+                    <div class="product-info">
+                        <h5><a href="/product/${encodeURIComponent(product.id)}" class="product-link">${escapeHTML(product.name)}</a></h5>
+                        <p class="product-description">${escapeHTML(product.description)}</p>
+                        <div class="d-flex justify-content-between align-items-center">
+                            <span class="product-price">${this.formatPrice(product)}</span>
+                            ${addButton}
+                        </div>
+                        ${product.stock === 0 ? this.renderRestockForm(product, product.sku) : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Build the wishlist heart toggle (saved state is synced by the app)
+     */
+    renderWishlistButton(product) {
+        return `
+            <button type="button" class="btn-wishlist" data-product-id="${escapeHTML(product.id)}" aria-pressed="false" aria-label="${this.i18n.html('catalog.saveToWishlist', { name: product.name })}">
+                <i class="far fa-heart"></i>
+            </button>
+        `;
+    }
+
+    /**
+     * Build the back-in-stock notify form shown in place of the add button
+     */
+    renderRestockForm(product, sku) {
+        return `
+            <form class="restock-form" data-product-id="${escapeHTML(product.id)}" data-sku="${escapeHTML(sku)}" novalidate>
+                <p class="restock-form-label">${this.i18n.html('catalog.restockLabel')}</p>
+                <div class="d-flex gap-2">
+                    <input type="email" class="form-control form-control-sm" name="email" placeholder="${this.i18n.html('catalog.restockPlaceholder')}" aria-label="${this.i18n.html('catalog.restockEmail', { name: product.name })}" required>
+                    <button type="submit" class="btn btn-sm btn-outline-dark">${this.i18n.html('catalog.notifyMe')}</button>
+                </div>
+            </form>
+        `;
+    }
+}
+
+/**
+ * Stock at or below this level shows a low-stock badge
+ */
+ProductCatalog.LOW_STOCK_THRESHOLD = 5;
+
+// ==================== INVENTORY ====================
+
+/**
+ * InventoryService - Interface for live stock, checkout reservations and
+ * back-in-stock requests
+ *
+ * Implementations may talk to a remote API, so every method but
+ * getStockLevel() is async. getStockLevel() answers from what is already
+ * loaded: catalog stock less units sold, before reservations.
+ * reserve() resolves to { isValid, reservation, unavailable } where
+ * unavailable lists { sku, requested, available } for lines that can't be held.
+ * commit() is given the placed order's tracking id.
+ */
+class InventoryService {
+    getStockLevel(sku) {
+        throw new Error('InventoryService.getStockLevel not implemented');
+    }
+
+    async getAvailable(sku) {
+        throw new Error('InventoryService.getAvailable not implemented');
+    }
+
+    async reserve(items, ttl) {
+        throw new Error('InventoryService.reserve not implemented');
+    }
+
+    async release(reservationId) {
+        throw new Error('InventoryService.release not implemented');
+    }
+
+    async commit(reservationId, trackingId) {
+        throw new Error('InventoryService.commit not implemented');
+    }
+
+    async requestRestockNotice(sku, email) {
+        throw new Error('InventoryService.requestRestockNotice not implemented');
+    }
+}
+
+/**
+ * Default reservation lifetime (10 minutes)
+ */
+InventoryService.DEFAULT_TTL = 10 * 60 * 1000;
+
+/**
+ * LocalInventoryService - Inventory fake backed by the catalog and a StorageAdapter
+ *
+ * Starting stock comes from the catalog; sales and reservations are kept in
+ * storage so tabs on the same device see each other's holds. Used in tests and
+ * when Firebase is not configured.
+ */
+class LocalInventoryService extends InventoryService {
+    constructor(options = {}) {
+        super();
+        this.catalog = options.catalog;
+        this.storage = options.storage || new LocalStorageAdapter();
+        this.storageKey = options.storageKey || 'veloura.inventory';
+        this.now = options.now || (() => Date.now());
+    }
+
+    /**
+     * Load sales, unexpired reservations and restock requests
+     */
+    load() {
+        const data = this.storage.getItem(this.storageKey) || {};
+        return {
+            sold: data.sold || {},
+            reservations: (data.reservations || []).filter(reservation => reservation.expiresAt > this.now()),
+            restockRequests: data.restockRequests || []
+        };
+    }
+
+    save(data) {
+        this.storage.setItem(this.storageKey, data);
+    }
+
+    getStockLevel(sku) {
+        const match = this.catalog.findBySku(sku);
+        return Math.max(0, (match ? match.variant.stock : 0) - (this.load().sold[sku] || 0));
+    }
+
+    /**
+     * Stock left for a SKU after sales and other shoppers' reservations
+     */
+    calculateAvailable(data, sku, excludeReservationId = null) {
+        const match = this.catalog.findBySku(sku);
+        const stock = match ? match.variant.stock : 0;
+        const held = data.reservations
+            .filter(reservation => reservation.id !== excludeReservationId)
+            .reduce((total, reservation) => {
+                const line = reservation.items.find(item => item.sku === sku);
+                return total + (line ? line.quantity : 0);
+            }, 0);
+
+        return Math.max(0, stock - (data.sold[sku] || 0) - held);
+    }
+
+    async getAvailable(sku) {
+        return this.calculateAvailable(this.load(), sku);
+    }
+
+    async reserve(items, ttl = InventoryService.DEFAULT_TTL) {
+        const data = this.load();
+        const unavailable = items
+            .map(item => ({ sku: item.sku, requested: item.quantity, available: this.calculateAvailable(data, item.sku) }))
+            .filter(line => line.available < line.requested);
+
+        if (unavailable.length > 0) {
+            return { isValid: false, reservation: null, unavailable };
+        }
+
+        const reservation = {
+            id: generateId(),
+            items: items.map(item => ({ sku: item.sku, quantity: item.quantity })),
+            expiresAt: this.now() + ttl
+        };
+        data.reservations.push(reservation);
+        this.save(data);
+        return { isValid: true, reservation, unavailable: [] };
+    }
+
+    async release(reservationId) {
+        const data = this.load();
+        data.reservations = data.reservations.filter(reservation => reservation.id !== reservationId);
+        this.save(data);
+    }
+
+    async commit(reservationId) {
+        const data = this.load();
+        const reservation = data.reservations.find(held => held.id === reservationId);
+        if (!reservation) {
+            throw new Error('Stock reservation has expired');
+        }
+
+        reservation.items.forEach(item => {
+            data.sold[item.sku] = (data.sold[item.sku] || 0) + item.quantity;
+        });
+        data.reservations = data.reservations.filter(held => held.id !== reservationId);
+        this.save(data);
+    }
+
+    async requestRestockNotice(sku, email) {
+        const data = this.load();
+        const normalized = email.trim().toLowerCase();
+        const duplicate = data.restockRequests.some(request => request.sku === sku && request.email === normalized);
+
+        if (!duplicate) {
+            data.restockRequests.push({ sku, email: normalized, requestedAt: new Date(this.now()).toISOString() });
+            this.save(data);
+        }
+        return { isValid: true, duplicate };
+    }
+}
+
+/**
+ * FirestoreInventoryService - Sales, stock holds and restock requests in Firestore
+ *
+ * Starting stock comes from the catalog. Documents (see firestore.rules):
+ * - inventory/{sku} { sold }: units sold, counted from orders by the order
+ *   service (tools/mock-orders.js locally), which cancels orders it cannot fill
+ * - reservations/{id} { items, skus, status, expiresAt }: checkout holds;
+ *   commit() marks one 'committed' with the order's trackingId, and the order
+ *   service deletes it once the order is counted (and expired holds with it)
+ * - restockRequests/{id} { sku, email, requestedAt }: keyed by a SHA-256 of SKU
+ *   and email, so a shopper can find their own request but nobody can list them
+ * Sold counts are followed live so getStockLevel() can answer straight away.
+ */
+class FirestoreInventoryService extends InventoryService {
+    constructor(firebase, options = {}) {
+        super();
+        this.firebase = firebase;
+        this.catalog = options.catalog;
+        this.now = options.now || (() => Date.now());
+        this.sold = {};
+
+        if (options.autoStart !== false) {
+            this.start();
+        }
+    }
+
+    async getFirestore() {
+        const [db, sdk] = await Promise.all([this.firebase.getFirestore(), this.firebase.load('firestore')]);
+        return { db, sdk };
+    }
+
+    /**
+     * Follow the sold counts of every SKU
+     */
+    start() {
+        const onError = err => console.error('FirestoreInventoryService start error', err);
+        this.getFirestore().then(({ db, sdk }) => {
+            sdk.onSnapshot(sdk.collection(db, 'inventory'), snapshot => {
+                this.sold = Object.fromEntries(snapshot.docs.map(doc => [doc.id, doc.data().sold || 0]));
+            }, onError);
+        }).catch(onError);
+    }
+
+    getStockLevel(sku) {
+        const match = this.catalog.findBySku(sku);
+        return Math.max(0, (match ? match.variant.stock : 0) - (this.sold[sku] || 0));
+    }
+
+    /**
+     * Units of a SKU held by other shoppers; committed holds count until the order service records the sale
+     */
+    async getHeld({ db, sdk }, sku) {
+        const snapshot = await sdk.getDocs(sdk.query(sdk.collection(db, 'reservations'), sdk.where('skus', 'array-contains', sku)));
+        return snapshot.docs
+            .map(doc => doc.data())
+            .filter(reservation => reservation.status === 'committed' || reservation.expiresAt > this.now())
+            .reduce((total, reservation) => {
+                const line = reservation.items.find(item => item.sku === sku);
+                return total + (line ? line.quantity : 0);
+            }, 0);
+    }
+
+    /**
+     * Stock left for a SKU after sales and reservations, refreshing its sold count
+     */
+    async calculateAvailable(firestore, sku) {
+        const { db, sdk } = firestore;
+        const [snapshot, held] = await Promise.all([sdk.getDoc(sdk.doc(db, 'inventory', sku)), this.getHeld(firestore, sku)]);
+        this.sold[sku] = snapshot.exists() ? snapshot.data().sold || 0 : 0;
+        return Math.max(0, this.getStockLevel(sku) - held);
+    }
+
+    async getAvailable(sku) {
+        return this.calculateAvailable(await this.getFirestore(), sku);
+    }
+
+    async reserve(items, ttl = InventoryService.DEFAULT_TTL) {
+        const firestore = await this.getFirestore();
+        const available = await Promise.all(items.map(item => this.calculateAvailable(firestore, item.sku)));
+        const unavailable = items
+            .map((item, index) => ({ sku: item.sku, requested: item.quantity, available: available[index] }))
+            .filter(line => line.available < line.requested);
+
+        if (unavailable.length > 0) {
+            return { isValid: false, reservation: null, unavailable };
+        }
+
+        const { db, sdk } = firestore;
+        const reservation = {
+            id: generateId(),
+            items: items.map(item => ({ sku: item.sku, quantity: item.quantity })),
+            expiresAt: this.now() + ttl
+        };
+        await sdk.setDoc(sdk.doc(db, 'reservations', reservation.id), {
+            items: reservation.items,
+            skus: reservation.items.map(item => item.sku),
+            status: 'held',
+            expiresAt: reservation.expiresAt,
+            createdAt: sdk.serverTimestamp()
+        });
+        return { isValid: true, reservation, unavailable: [] };
+    }
+
+    async release(reservationId) {
+        const { db, sdk } = await this.getFirestore();
+        await sdk.deleteDoc(sdk.doc(db, 'reservations', reservationId));
+    }
+
+    /**
+     * Mark a hold as used by an order; rules refuse it once the hold has expired
+     */
+    async commit(reservationId, trackingId) {
+        const { db, sdk } = await this.getFirestore();
+        try {
+            await sdk.updateDoc(sdk.doc(db, 'reservations', reservationId), { status: 'committed', trackingId });
+        } catch (err) {
+            throw err.code === 'permission-denied' ? new Error('Stock reservation has expired') : err;
+        }
+    }
+
+    async getRequestId(sku, email) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${sku}:${email}`));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    async requestRestockNotice(sku, email) {
+        const { db, sdk } = await this.getFirestore();
+        const normalized = email.trim().toLowerCase();
+        const ref = sdk.doc(db, 'restockRequests', await this.getRequestId(sku, normalized));
+        const duplicate = (await sdk.getDoc(ref)).exists();
+
+        if (!duplicate) {
+            await sdk.setDoc(ref, { sku, email: normalized, requestedAt: sdk.serverTimestamp() });
+        }
+        return { isValid: true, duplicate };
+    }
+}
+
+// ==================== SEARCH & FILTERS ====================
+
+/**
+ * SearchIndex - Typo-tolerant keyword index over product names and descriptions
+ *
+ * Every query word must match a word in the product, either exactly, as a
+ * prefix (for search-as-you-type) or within a small edit distance.
+ */
+class SearchIndex {
+    constructor(fields = SearchIndex.FIELD_WEIGHTS) {
+        this.fields = fields;
+        this.documents = new Map();
+    }
+
+    /**
+     * Lowercase words without accents
+     */
+    static tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Edit distance counting adjacent swaps as one edit
+     */
+    static distance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (row, i) => [i]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * Typos allowed for a query word of this length
+     */
+    static maxTypos(term) {
+        if (term.length >= 8) return 2;
+        return term.length >= 4 ? 1 : 0;
+    }
+
+    /**
+     * Index products, replacing any previous documents
+     */
+    build(products) {
+        this.documents.clear();
+        products.forEach(product => {
+            const tokens = new Map();
+            Object.entries(this.fields).forEach(([field, weight]) => {
+                SearchIndex.tokenize(product[field]).forEach(token => {
+                    tokens.set(token, Math.max(tokens.get(token) || 0, weight));
+                });
+            });
+            this.documents.set(product.id, tokens);
+        });
+        return this;
+    }
+
+    /**
+     * How well a query word matches an indexed word (0 for no match)
+     */
+    matchTerm(term, token) {
+        if (term === token) return 1;
+        if (term.length >= 2 && token.startsWith(term)) return 0.8;
+
+        const typos = SearchIndex.maxTypos(term);
+        if (typos === 0) return 0;
+        // Compare against the start of longer words too, so "neckl" still finds "necklace"
+        const candidate = token.length > term.length + typos ? token.slice(0, term.length) : token;
+        return SearchIndex.distance(term, candidate) <= typos ? 0.6 : 0;
+    }
+
+    /**
+     * Score products for a query: Map of product id to score, or null for an empty query
+     */
+    search(query) {
+        const terms = SearchIndex.tokenize(query);
+        if (terms.length === 0) return null;
+
+        const results = new Map();
+        this.documents.forEach((tokens, id) => {
+            let score = 0;
+            for (const term of terms) {
+                let best = 0;
+                tokens.forEach((weight, token) => {
+                    best = Math.max(best, weight * this.matchTerm(term, token));
+                });
+                if (best === 0) return;
+                score += best;
+            }
+            results.set(id, score);
+        });
+        return results;
+    }
+}
+
+/**
+ * Field weights: name matches rank above description matches
+ */
+SearchIndex.FIELD_WEIGHTS = { name: 3, description: 1 };
+
+/**
+ * CatalogFilter - Search, facet and sort state for the product grid
+ *
+ * State mirrors the URL query string (q, category, price, sort) so filtered
+ * views can be shared and bookmarked.
+ */
+class CatalogFilter extends BaseComponent {
+    constructor(catalog, options = {}) {
+        super('CatalogFilter');
+        this.catalog = catalog;
+        this.index = options.index || new SearchIndex();
+        this.getPopularity = options.getPopularity || (() => ({}));
+        this.state = { ...CatalogFilter.DEFAULTS };
+
+        // Reindex whenever the catalog (re)loads
+        this.catalog.subscribe(() => this.index.build(this.catalog.getProducts()));
+    }
+
+    /**
+     * Merge new filter values, dropping unknown price ranges and sort options
+     */
+    setFilters(filters) {
+        const next = { ...this.state, ...filters };
+        this.setState({
+            q: String(next.q || '').slice(0, 100),
+            category: String(next.category || ''),
+            price: CatalogFilter.PRICE_RANGES.some(range => range.id === next.price) ? next.price : '',
+            sort: CatalogFilter.SORT_OPTIONS.some(option => option.id === next.sort) ? next.sort : CatalogFilter.DEFAULTS.sort
+        });
+    }
+
+    reset() {
+        this.setFilters(CatalogFilter.DEFAULTS);
+    }
+
+    fromSearchParams(params) {
+        this.setFilters({
+            q: params.get('q') || '',
+            category: params.get('category') || '',
+            price: params.get('price') || '',
+            sort: params.get('sort') || ''
+        });
+    }
+
+    /**
+     * Query string parameters for the non-default filters
+     */
+    toSearchParams() {
+        const params = new URLSearchParams();
+        Object.keys(CatalogFilter.DEFAULTS).forEach(key => {
+            const value = key === 'q' ? this.state.q.trim() : this.state[key];
+            if (value && value !== CatalogFilter.DEFAULTS[key]) {
+                params.set(key, value);
+            }
+        });
+        return params;
+    }
+
+    isActive() {
+        return this.toSearchParams().toString() !== '';
+    }
+
+    matchesPrice(product, rangeId) {
+        const range = CatalogFilter.PRICE_RANGES.find(item => item.id === rangeId);
+        if (!range) return true;
+
+        const price = this.catalog.getPrice(product).amount;
+        return (range.min === null || price >= range.min) && (range.max === null || price < range.max);
+    }
+
+    /**
+     * Products matching the search and the facets, except the ones in `ignore`
+     */
+    filterProducts(scores, ignore = []) {
+        const { category, price } = this.state;
+        return this.catalog.getProducts().filter(product =>
+            (!scores || scores.has(product.id)) &&
+            (ignore.includes('category') || !category || product.category === category) &&
+            (ignore.includes('price') || this.matchesPrice(product, price))
+        );
+    }
+
+    /**
+     * Filtered and sorted products for the grid
+     */
+    getResults() {
+        const scores = this.index.search(this.state.q);
+        return this.sortProducts(this.filterProducts(scores), scores);
+    }
+
+    sortProducts(products, scores) {
+        const sorted = [...products];
+        const popularity = this.state.sort === 'popular' ? this.getPopularity() : {};
+        const price = product => this.catalog.getPrice(product).amount;
+        const added = product => (product.addedAt ? Date.parse(product.addedAt) : 0);
+
+        const comparators = {
+            // Catalog order, or relevance while searching
+            featured: (a, b) => (scores ? scores.get(b.id) - scores.get(a.id) : 0),
+            'price-asc': (a, b) => price(a) - price(b),
+            'price-desc': (a, b) => price(b) - price(a),
+            newest: (a, b) => added(b) - added(a),
+            popular: (a, b) => (popularity[b.id] || 0) - (popularity[a.id] || 0)
+        };
+        // Array sort is stable, so ties keep catalog order
+        return sorted.sort(comparators[this.state.sort]);
+    }
+
+    /**
+     * Category and price-range counts; each facet counts as if its own selection were cleared
+     */
+    getFacets() {
+        const scores = this.index.search(this.state.q);
+        const byCategory = this.filterProducts(scores, ['category']);
+        const byPrice = this.filterProducts(scores, ['price']);
+        const categories = [...new Set(this.catalog.getProducts().map(product => product.category))];
+
+        return {
+            categories: categories.map(id => ({
+                id,
+                count: byCategory.filter(product => product.category === id).length
+            })),
+            prices: CatalogFilter.PRICE_RANGES.map(range => ({
+                ...range,
+                count: byPrice.filter(product => this.matchesPrice(product, range.id)).length
+            }))
+        };
+    }
+}
+
+CatalogFilter.DEFAULTS = { q: '', category: '', price: '', sort: 'featured' };
+
+/**
+ * Price ranges in PHP minor units (min inclusive, max exclusive)
+ */
+CatalogFilter.PRICE_RANGES = [
+    { id: 'under-150', min: null, max: 15000 },
+    { id: '150-200', min: 15000, max: 20000 },
+    { id: '200-up', min: 20000, max: null }
+];
+
+/**
+ * Sort orders; their names are the sort.{id} messages
+ */
+CatalogFilter.SORT_OPTIONS = [
+    { id: 'featured' },
+    { id: 'price-asc' },
+    { id: 'price-desc' },
+    { id: 'newest' },
+    { id: 'popular' }
+];
+
+/**
+ * CatalogFilterPanel - Search box, sort select and facet buttons above the product grid
+ */
+class CatalogFilterPanel extends BaseComponent {
+    constructor(filter, element, currency = new CurrencyConverter(), i18n = new I18n()) {
+        super('CatalogFilterPanel');
+        this.filter = filter;
+        this.element = element;
+        this.currency = currency;
+        this.i18n = i18n;
+        this.searchTimer = null;
+
+        if (!this.element) return;
+
+        this.renderSortOptions();
+        this.element.addEventListener('input', (e) => this.handleInput(e));
+        this.element.addEventListener('change', (e) => this.handleChange(e));
+        this.element.addEventListener('submit', (e) => e.preventDefault());
+        this.element.addEventListener('click', (e) => this.handleClick(e));
+
+        this.filter.subscribe(() => this.render());
+        this.filter.catalog.subscribe(() => this.render());
+        this.currency.subscribe(() => this.render());
+        this.i18n.subscribe(() => {
+            this.renderSortOptions();
+            this.render();
+        });
+    }
+
+    renderSortOptions() {
+        const sort = this.element.querySelector('select[name="sort"]');
+        if (!sort) return;
+
+        sort.innerHTML = CatalogFilter.SORT_OPTIONS
+            .map(option => `<option value="${option.id}">${this.i18n.html(`sort.${option.id}`)}</option>`)
+            .join('');
+        sort.value = this.filter.getState().sort;
+    }
+
+    /**
+     * Search as the shopper types, after a short pause
+     */
+    handleInput(e) {
+        if (e.target.name !== 'q') return;
+
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.filter.setFilters({ q: e.target.value }), CatalogFilterPanel.SEARCH_DELAY);
+    }
+
+    handleChange(e) {
+        if (e.target.name === 'sort') {
+            this.filter.setFilters({ sort: e.target.value });
+        }
+    }
+
+    handleClick(e) {
+        const facet = e.target.closest('[data-facet]');
+        if (facet) {
+            const { facet: name, value } = facet.dataset;
+            // Selecting the active value again clears it
+            this.filter.setFilters({ [name]: this.filter.getState()[name] === value ? '' : value });
+        } else if (e.target.closest('[data-filter-action="clear"]')) {
+            this.filter.reset();
+        }
+    }
+
+    /**
+     * Name a category in the current language; categories without a message show their id
+     */
+    getCategoryLabel(id) {
+        const key = `category.${id}`;
+        return this.i18n.has(key) ? this.i18n.t(key) : id.charAt(0).toUpperCase() + id.slice(1);
+    }
+
+    /**
+     * Label a price range in the display currency
+     */
+    getPriceLabel(range) {
+        const format = amount => this.currency.format(new Money(amount, 'PHP'));
+        if (range.min === null) return this.i18n.t('catalog.priceUnder', { amount: format(range.max) });
+        if (range.max === null) return this.i18n.t('catalog.priceAndUp', { amount: format(range.min) });
+        return `${format(range.min)} – ${format(range.max)}`;
+    }
+
+    renderFacet(name, item, label, active) {
+        return `
+            <button type="button" class="catalog-facet${active ? ' active' : ''}" data-facet="${name}" data-value="${escapeHTML(item.id)}" aria-pressed="${active}"${item.count === 0 && !active ? ' disabled' : ''}>
+                ${escapeHTML(label)} <span class="catalog-facet-count">${item.count}</span>
+            </button>
+        `;
+    }
+
+    /**
+     * Sync controls with filter state and redraw facet counts
+     */
+    render() {
+        if (!this.element || !this.filter.catalog.getState().loaded) return;
+
+        const state = this.filter.getState();
+        const search = this.element.querySelector('input[name="q"]');
+        const sort = this.element.querySelector('select[name="sort"]');
+        const facets = this.element.querySelector('.catalog-facets');
+        const count = this.element.querySelector('.catalog-results-count');
+
+        // Leave the search box alone while the shopper is typing in it
+        if (search && document.activeElement !== search) search.value = state.q;
+        if (sort) sort.value = state.sort;
+
+        if (facets) {
+            const { categories, prices } = this.filter.getFacets();
+            facets.innerHTML = `
+                <div class="catalog-facet-group" role="group" aria-label="${this.i18n.html('catalog.category')}">
+                    ${categories.map(item => this.renderFacet('category', item, this.getCategoryLabel(item.id), state.category === item.id)).join('')}
+                </div>
+                <div class="catalog-facet-group" role="group" aria-label="${this.i18n.html('catalog.price')}">
+                    ${prices.map(item => this.renderFacet('price', item, this.getPriceLabel(item), state.price === item.id)).join('')}
+                </div>
+                ${this.filter.isActive() ? `<button type="button" class="btn btn-link btn-sm" data-filter-action="clear">${this.i18n.html('catalog.clearFilters')}</button>` : ''}
+            `;
+        }
+        if (count) {
+            const total = this.filter.getResults().length;
+            count.textContent = this.i18n.t('catalog.results', { count: total });
+        }
+    }
+}
+
+/**
+ * Pause after typing before searching (ms)
+ */
+CatalogFilterPanel.SEARCH_DELAY = 200;
+
+// ==================== PROMOTIONS ====================
+
+/**
+ * DiscountEngine - Validates promo codes and turns them into cart adjustments
+ *
+ * Supported rule types: percentage, fixed, buy_x_get_y. Any rule may be scoped
+ * to a category and limited by minSpend, startsAt/expiresAt and usageLimit.
+ *
+ * usageLimit is held by the order service, which counts placed orders by their
+ * promoCodes and cancels those over the limit (tools/mock-orders.js locally).
+ * The count kept here covers only this browser and lets a code be refused before paying.
+ */
+class DiscountEngine extends BaseComponent {
+    constructor(options = {}) {
+        super('DiscountEngine');
+        this.source = options.source || '/data/promotions.json';
+        this.rules = (options.rules || []).map(rule => this.normalizeRule(rule));
+        this.usageStorage = options.usageStorage || new LocalStorageAdapter();
+        this.usageKey = options.usageKey || 'veloura.promo-usage';
+        this.i18n = options.i18n || new I18n();
+        this.state = { rules: this.rules, loaded: Boolean(options.rules) };
+    }
+
+    /**
+     * Load promotion rules from the configured source
+     */
+    async load() {
+        const response = await fetch(this.source);
+        if (!response.ok) {
+            throw new Error(`Failed to load promotions (${response.status})`);
+        }
+
+        const data = await response.json();
+        const rules = Array.isArray(data) ? data : (data.promotions || []);
+        this.rules = rules.map(rule => this.normalizeRule(rule));
+        this.setState({ rules: this.rules, loaded: true });
+        this.log(`Loaded ${this.rules.length} promotions`);
+        return this.rules;
+    }
+
+    /**
+     * Normalize a raw promotion rule
+     */
+    normalizeRule(rule) {
+        if (!rule.code || !DiscountEngine.RULE_TYPES.includes(rule.type)) {
+            throw new Error(`Invalid promotion rule: ${JSON.stringify(rule)}`);
+        }
+
+        return {
+            code: String(rule.code).toUpperCase(),
+            type: rule.type,
+            value: Number(rule.value) || 0,
+            label: rule.label || rule.code,
+            category: rule.category || null,
+            minSpend: Number.isInteger(rule.minSpend) ? rule.minSpend : 0,
+            buy: rule.buy || 0,
+            get: rule.get || 0,
+            startsAt: rule.startsAt ? new Date(rule.startsAt) : null,
+            expiresAt: rule.expiresAt ? new Date(rule.expiresAt) : null,
+            usageLimit: Number.isInteger(rule.usageLimit) ? rule.usageLimit : null,
+            stackable: rule.stackable !== false
+        };
+    }
+
+    /**
+     * Find rule by code (case-insensitive)
+     */
+    findRule(code) {
+        const normalized = String(code || '').trim().toUpperCase();
+        return this.rules.find(rule => rule.code === normalized) || null;
+    }
+
+    /**
+     * Get redemption counts per code made in this browser
+     */
+    getUsage() {
+        return this.usageStorage.getItem(this.usageKey) || {};
+    }
+
+    /**
+     * Record redemptions in this browser once an order is placed (see the usageLimit note above)
+     */
+    recordUsage(codes) {
+        const usage = this.getUsage();
+        codes.forEach(code => {
+            usage[code] = (usage[code] || 0) + 1;
+        });
+        this.usageStorage.setItem(this.usageKey, usage);
+    }
+
+    /**
+     * Cart lines a rule applies to
+     */
+    getEligibleItems(rule, items) {
+        return rule.category ? items.filter(item => item.category === rule.category) : items;
+    }
+
+    /**
+     * Check whether a rule can be used with the given cart contents
+     */
+    checkRule(rule, items, subtotal, now = new Date()) {
+        const { code, category } = rule;
+        if (rule.startsAt && now < rule.startsAt) {
+            return this.i18n.t('promo.notActive', { code });
+        }
+        if (rule.expiresAt && now > rule.expiresAt) {
+            return this.i18n.t('promo.expired', { code, date: this.i18n.formatDate(rule.expiresAt) });
+        }
+        if (rule.usageLimit !== null && (this.getUsage()[code] || 0) >= rule.usageLimit) {
+            return this.i18n.t('promo.limitReached', { code });
+        }
+        if (subtotal.amount < rule.minSpend) {
+            const amount = new Money(rule.minSpend, subtotal.currency).format(this.i18n.getLocaleTag());
+            return this.i18n.t('promo.minSpend', { code, amount });
+        }
+        if (this.getEligibleItems(rule, items).length === 0) {
+            return this.i18n.t('promo.categoryOnly', { code, category });
+        }
+        return null;
+    }
+
+    /**
+     * Validate a code before applying it to a cart
+     */
+    validate(code, items, subtotal, appliedCodes = [], now = new Date()) {
+        const rule = this.findRule(code);
+        if (!rule) {
+            return { isValid: false, error: this.i18n.t('promo.invalid', { code: String(code).trim() }) };
+        }
+        if (appliedCodes.includes(rule.code)) {
+            return { isValid: false, error: this.i18n.t('promo.alreadyApplied', { code: rule.code }) };
+        }
+
+        const appliedRules = appliedCodes.map(applied => this.findRule(applied)).filter(Boolean);
+        if (appliedRules.length > 0 && (!rule.stackable || appliedRules.some(applied => !applied.stackable))) {
+            return { isValid: false, error: this.i18n.t('promo.notCombinable', { code: rule.code }) };
+        }
+
+        const error = this.checkRule(rule, items, subtotal, now);
+        return error ? { isValid: false, error } : { isValid: true, rule };
+    }
+
+    /**
+     * Calculate the discount for a single rule
+     */
+    calculateDiscount(rule, items, currency) {
+        const eligible = this.getEligibleItems(rule, items);
+        const eligibleTotal = eligible.reduce(
+            (total, item) => total.add(new Money(item.price, currency).multiply(item.quantity)),
+            Money.zero(currency)
+        );
+
+        if (rule.type === 'percentage') {
+            return eligibleTotal.multiply(rule.value / 100);
+        }
+
+        if (rule.type === 'fixed') {
+            return new Money(Math.min(rule.value, eligibleTotal.amount), currency);
+        }
+
+        // buy_x_get_y: the cheapest units in each group of (buy + get) are discounted
+        const units = eligible
+            .flatMap(item => Array(item.quantity).fill(item.price))
+            .sort((a, b) => a - b);
+        const freeUnits = Math.floor(units.length / (rule.buy + rule.get)) * rule.get;
+        const freeTotal = units.slice(0, freeUnits).reduce((total, price) => total + price, 0);
+        return new Money(freeTotal, currency).multiply((rule.value || 100) / 100);
+    }
+
+    /**
+     * Build cart adjustments (negative amounts) for the applied codes
+     */
+    calculate(codes, items, subtotal, now = new Date()) {
+        let remaining = subtotal;
+
+        return codes.reduce((adjustments, code) => {
+            const rule = this.findRule(code);
+            if (!rule || this.checkRule(rule, items, subtotal, now)) {
+                return adjustments;
+            }
+
+            const discount = this.calculateDiscount(rule, items, subtotal.currency);
+            const capped = discount.compare(remaining) > 0 ? remaining : discount;
+            if (capped.isZero()) {
+                return adjustments;
+            }
+
+            remaining = remaining.subtract(capped);
+            adjustments.push({
+                type: 'discount',
+                code: rule.code,
+                label: rule.label,
+                category: rule.category,
+                amount: new Money(-capped.amount, capped.currency)
+            });
+            return adjustments;
+        }, []);
+    }
+}
+
+DiscountEngine.RULE_TYPES = ['percentage', 'fixed', 'buy_x_get_y'];
+
+// ==================== SHOPPING CART ====================
+
+/**
+ * Cart - Shopping cart functionality
+ *
+ * Cart state is saved through a StorageAdapter and kept in sync across tabs
+ * via BroadcastChannel (when available) and the adapter's own change events.
+ */
+class Cart extends BaseComponent {
+    constructor(options = {}) {
+        super('Cart');
+        this.items = [];
+        this.promoCodes = [];
+        this.currency = options.currency || 'PHP';
+        this.discountEngine = options.discountEngine || null;
+        this.catalog = options.catalog || null;
+        // Stock levels net of sales; without it the catalog's starting stock is the limit
+        this.inventory = options.inventory || null;
+        this.i18n = options.i18n || new I18n();
+        this.totalPrice = 0;
+        this.storage = options.storage || new LocalStorageAdapter();
+        this.storageKey = options.storageKey || 'veloura.cart';
+        this.migrations = { ...Cart.MIGRATIONS, ...options.migrations };
+        this.giftWrapStyles = options.giftWrapStyles || Cart.GIFT_WRAP_STYLES;
+        this.giftMessageLimit = options.giftMessageLimit || Cart.GIFT_MESSAGE_LIMIT;
+        // Where gift lines are delivered, when not to the shipping address
+        this.giftRecipient = null;
+        this.lastSavedAt = 0;
+
+        if (options.history !== false) {
+            this.enableHistory({ limit: options.historyLimit || Cart.HISTORY_LIMIT, auto: false });
+        }
+        this.restore();
+        this.setupSync(options.channelName || 'veloura-cart');
+    }
+
+    /**
+     * Add item to cart, returning { isValid, error } when stock runs out
+     */
+    addItem(product) {
+        const existingItem = this.getItem(product.sku);
+        const limit = this.getStockLimit(product.sku);
+
+        if ((existingItem ? existingItem.quantity : 0) + 1 > limit) {
+            return { isValid: false, error: this.getStockMessage(product.name, limit) };
+        }
+
+        this.record('add');
+        if (existingItem) {
+            existingItem.quantity += 1;
+        } else {
+            this.items.push({
+                ...product,
+                quantity: 1
+            });
+        }
+
+        this.commit();
+        this.log(`Added ${product.name} to cart`);
+        this.emit('cart:item_added', { item: this.getItem(product.sku), quantity: 1 });
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * Most units of a SKU left to sell (unlimited until the catalog loads)
+     */
+    getStockLimit(sku) {
+        const match = this.catalog ? this.catalog.findBySku(sku) : null;
+        if (!match) return Infinity;
+        return this.inventory ? this.inventory.getStockLevel(sku) : match.variant.stock;
+    }
+
+    getStockMessage(name, limit) {
+        return limit === 0
+            ? this.i18n.t('cart.outOfStock', { name })
+            : this.i18n.t('cart.stockLimit', { name, count: limit });
+    }
+
+    /**
+     * Point lines migrated from product-id keys at the product's default variant,
+     * folding them into an existing line for that SKU. Returns whether any line changed.
+     */
+    resolveLegacyLines() {
+        if (!this.catalog) return false;
+
+        let resolved = false;
+        this.items = this.items.reduce((items, item) => {
+            const product = item.sku === item.id && !this.catalog.findBySku(item.sku)
+                ? this.catalog.getProduct(item.id)
+                : null;
+            if (!product) return [...items, item];
+
+            const variant = this.catalog.getDefaultVariant(product);
+            const existing = items.find(line => line.sku === variant.sku);
+            resolved = true;
+            if (existing) {
+                existing.quantity += item.quantity;
+                return items;
+            }
+            return [...items, {
+                ...item,
+                sku: variant.sku,
+                options: { ...variant.options },
+                variantLabel: variant.label,
+                price: variant.price
+            }];
+        }, []);
+        return resolved;
+    }
+
+    /**
+     * Reduce lines above current stock levels, returning the names of changed lines
+     */
+    enforceStockLimits() {
+        const resolved = this.resolveLegacyLines();
+        const changed = [];
+        this.items = this.items.filter(item => {
+            const limit = this.getStockLimit(item.sku);
+            if (item.quantity <= limit) return true;
+
+            changed.push(item.name);
+            item.quantity = limit;
+            return limit > 0;
+        });
+
+        if (resolved || changed.length > 0) {
+            this.commit();
+        }
+        return changed;
+    }
+
+    /**
+     * Remove item from cart; reason and the undo step id travel with cart:item_removed
+     */
+    removeItem(sku, reason = 'removed') {
+        const index = this.items.findIndex(item => item.sku === sku);
+        if (index === -1) return;
+
+        const historyId = this.record('remove');
+        const [item] = this.items.splice(index, 1);
+        this.commit();
+        this.log(`Removed ${sku} from cart`);
+        this.emit('cart:item_removed', { item, index, reason, historyId });
+    }
+
+    /**
+     * Set the quantity of a cart line (removes the line at zero)
+     *
+     * Quantities above the stock limit are capped and reported as { isValid: false, error }.
+     */
+    setQuantity(sku, quantity) {
+        const item = this.getItem(sku);
+        if (!item) return { isValid: false, error: null };
+
+        const requested = Math.max(0, Math.floor(Number(quantity)) || 0);
+        const limit = this.getStockLimit(sku);
+        const nextQuantity = Math.min(requested, limit);
+        const result = requested > limit
+            ? { isValid: false, error: this.getStockMessage(item.name, limit) }
+            : { isValid: true, error: null };
+
+        if (nextQuantity === 0) {
+            this.removeItem(sku);
+            return result;
+        }
+
+        const previousQuantity = item.quantity;
+        if (nextQuantity !== previousQuantity) {
+            this.record('quantity');
+        }
+        item.quantity = nextQuantity;
+        this.commit();
+        this.log(`Set ${item.name} quantity to ${nextQuantity}`);
+        if (nextQuantity !== previousQuantity) {
+            this.emit('cart:quantity_changed', { item, previousQuantity });
+        }
+        return result;
+    }
+
+    /**
+     * Decrease the quantity of a cart line by one
+     */
+    decrementItem(sku) {
+        const item = this.getItem(sku);
+        if (item) {
+            this.setQuantity(sku, item.quantity - 1);
+        }
+    }
+
+    /**
+     * Find a cart line by variant SKU
+     */
+    getItem(sku) {
+        return this.items.find(item => item.sku === sku) || null;
+    }
+
+    /**
+     * Apply a promo code, returning { isValid, error }
+     */
+    applyPromoCode(code) {
+        if (!this.discountEngine) {
+            return { isValid: false, error: this.i18n.t('promo.unavailable') };
+        }
+
+        const result = this.discountEngine.validate(code, this.items, this.getSubtotal(), this.promoCodes);
+        if (result.isValid) {
+            this.record('promo');
+            this.promoCodes.push(result.rule.code);
+            this.commit();
+            this.log(`Applied promo code ${result.rule.code}`);
+            this.emit('cart:promo_applied', { code: result.rule.code });
+        }
+        return result;
+    }
+
+    /**
+     * Remove an applied promo code
+     */
+    removePromoCode(code) {
+        this.record('promo');
+        this.promoCodes = this.promoCodes.filter(applied => applied !== code);
+        this.commit();
+        this.log(`Removed promo code ${code}`);
+        this.emit('cart:promo_removed', { code });
+    }
+
+    /**
+     * Get gift wrap styles on offer
+     */
+    getGiftWrapStyles() {
+        return [...this.giftWrapStyles];
+    }
+
+    /**
+     * Find gift wrap style by id
+     */
+    getGiftWrapStyle(id) {
+        return this.giftWrapStyles.find(style => style.id === id) || null;
+    }
+
+    /**
+     * Get a gift wrap style's name in the current language
+     */
+    getGiftWrapLabel(id) {
+        const style = this.getGiftWrapStyle(id);
+        const key = `gift.wraps.${id}`;
+        if (this.i18n.has(key)) return this.i18n.t(key);
+        return style ? style.label : id;
+    }
+
+    /**
+     * Set a line's gift wrap style and card message ({ wrap, message }), returning { isValid, error }
+     *
+     * null, or an empty style and message, removes the gift options. The message
+     * length is checked with FormValidator before this is called.
+     */
+    setGiftOptions(sku, gift) {
+        const { wrap = null, message = '' } = gift || {};
+        const item = this.getItem(sku);
+        if (!item) return { isValid: false, error: null };
+        if (wrap && !this.getGiftWrapStyle(wrap)) {
+            return { isValid: false, error: this.i18n.t('validation.giftWrap') };
+        }
+
+        const text = String(message || '').trim();
+        this.record('gift');
+        item.gift = wrap || text ? { wrap: wrap || null, message: text } : null;
+        this.commit();
+        this.log(`Set gift options for ${item.name}`);
+        this.emit('cart:gift_updated', { item });
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * Send gift lines to a separate address ({ fullName, street, city, province, postalCode }), or null
+     */
+    setGiftRecipient(address) {
+        this.record('gift');
+        this.giftRecipient = address ? { ...address } : null;
+        this.commit();
+        this.log(address ? `Set gift recipient ${address.fullName}` : 'Removed gift recipient');
+        this.emit('cart:gift_recipient_updated', { recipient: this.giftRecipient });
+    }
+
+    /**
+     * Get gift wrap charge for a line: the style price for every unit
+     */
+    getGiftCharge(item) {
+        const style = item.gift ? this.getGiftWrapStyle(item.gift.wrap) : null;
+        return style
+            ? new Money(style.price, this.currency).multiply(item.quantity)
+            : Money.zero(this.currency);
+    }
+
+    /**
+     * Get gift wrap charges for all lines as Money
+     */
+    getGiftTotal() {
+        return this.items.reduce(
+            (total, item) => total.add(this.getGiftCharge(item)),
+            Money.zero(this.currency)
+        );
+    }
+
+    /**
+     * Get discount adjustments for the applied promo codes
+     */
+    getAdjustments() {
+        if (!this.discountEngine || this.promoCodes.length === 0) return [];
+
+        return this.discountEngine.calculate(this.promoCodes, this.items, this.getSubtotal());
+    }
+
+    /**
+     * Get total of all discounts as a positive Money amount
+     */
+    getDiscountTotal() {
+        return this.getAdjustments().reduce(
+            (total, adjustment) => total.subtract(adjustment.amount),
+            Money.zero(this.currency)
+        );
+    }
+
+    /**
+     * Calculate total price (in minor units)
+     */
+    calculateTotal() {
+        this.totalPrice = this.getTotal().amount;
+    }
+
+    /**
+     * Get line total as Money
+     */
+    getLineTotal(item) {
+        return new Money(item.price, item.currency || this.currency).multiply(item.quantity);
+    }
+
+    /**
+     * Get sum of cart lines as Money
+     */
+    getSubtotal() {
+        return this.items.reduce(
+            (total, item) => total.add(this.getLineTotal(item)),
+            Money.zero(this.currency)
+        );
+    }
+
+    /**
+     * Get cart total with gift wrap, after discounts, as Money
+     *
+     * Promo codes discount the products only, never the gift wrap.
+     */
+    getTotal() {
+        return this.getSubtotal().add(this.getGiftTotal()).subtract(this.getDiscountTotal());
+    }
+
+    /**
+     * Get cart items count
+     */
+    getItemCount() {
+        return this.items.reduce((count, item) => count + item.quantity, 0);
+    }
+
+    /**
+     * Clear cart; reason ('cleared', 'order_placed', 'signed_out') travels with cart:cleared
+     *
+     * Only a shopper's own clear can be undone: after an order or sign-out the
+     * history is dropped so the old lines cannot come back.
+     */
+    clearCart(reason = 'cleared') {
+        const { items, promoCodes, giftRecipient } = this;
+        let historyId = null;
+        if (reason === 'cleared') {
+            historyId = items.length > 0 || promoCodes.length > 0 || giftRecipient ? this.record('clear') : null;
+        } else {
+            this.clearHistory();
+        }
+
+        this.items = [];
+        this.promoCodes = [];
+        this.giftRecipient = null;
+        this.commit();
+        this.log('Cart cleared');
+        this.emit('cart:cleared', { items, promoCodes, giftRecipient, reason, historyId });
+    }
+
+    /**
+     * Cart history records lines, promo codes and the gift recipient
+     */
+    toHistoryEntry() {
+        return JSON.parse(JSON.stringify({
+            version: Cart.SCHEMA_VERSION,
+            items: this.items,
+            promoCodes: this.promoCodes,
+            giftRecipient: this.giftRecipient
+        }));
+    }
+
+    /**
+     * Restore recorded lines (capped at current stock) and save
+     */
+    restoreHistoryEntry(entry) {
+        const migrated = this.migrate(entry);
+        this.items = (migrated.items || []).map(item => ({ ...item }));
+        this.promoCodes = [...(migrated.promoCodes || [])];
+        this.giftRecipient = migrated.giftRecipient || null;
+        this.items = this.items.filter(item => {
+            item.quantity = Math.min(item.quantity, this.getStockLimit(item.sku));
+            return item.quantity > 0;
+        });
+        this.commit();
+    }
+
+    /**
+     * Get cart data
+     */
+    getCartData() {
+        return {
+            items: this.items,
+            subtotal: this.getSubtotal().amount,
+            adjustments: this.getAdjustments().map(adjustment => ({
+                ...adjustment,
+                amount: adjustment.amount.amount
+            })),
+            promoCodes: [...this.promoCodes],
+            giftTotal: this.getGiftTotal().amount,
+            giftRecipient: this.giftRecipient ? { ...this.giftRecipient } : null,
+            totalPrice: this.totalPrice,
+            currency: this.currency,
+            itemCount: this.getItemCount()
+        };
+    }
+
+    /**
+     * Recalculate totals, notify observers and persist the cart
+     */
+    commit() {
+        this.refresh();
+        this.save();
+    }
+
+    /**
+     * Recalculate totals and notify observers without saving
+     */
+    refresh() {
+        this.calculateTotal();
+        this.setState({ items: this.items, totalPrice: this.totalPrice });
+        this.emit('cart:updated', { itemCount: this.getItemCount(), totalPrice: this.totalPrice });
+    }
+
+    /**
+     * Serialize cart for storage
+     */
+    toSnapshot() {
+        return {
+            version: Cart.SCHEMA_VERSION,
+            savedAt: this.lastSavedAt,
+            items: this.items,
+            promoCodes: this.promoCodes,
+            giftRecipient: this.giftRecipient
+        };
+    }
+
+    /**
+     * Save cart to storage and let other tabs know
+     */
+    save() {
+        this.lastSavedAt = Date.now();
+        const snapshot = this.toSnapshot();
+        this.storage.setItem(this.storageKey, snapshot);
+
+        if (this.channel) {
+            this.channel.postMessage(snapshot);
+        }
+    }
+
+    /**
+     * Load cart from storage
+     */
+    restore() {
+        const snapshot = this.storage.getItem(this.storageKey);
+        if (snapshot) {
+            this.applySnapshot(snapshot);
+        }
+    }
+
+    /**
+     * Upgrade a saved snapshot to the current schema version
+     */
+    migrate(snapshot) {
+        let migrated = snapshot;
+        let version = Number.isInteger(snapshot.version) ? snapshot.version : 0;
+
+        while (version < Cart.SCHEMA_VERSION) {
+            const migration = this.migrations[version];
+            if (!migration) {
+                throw new Error(`No cart migration from schema version ${version}`);
+            }
+            migrated = migration(migrated);
+            version += 1;
+        }
+
+        return { ...migrated, version };
+    }
+
+    /**
+     * Replace cart contents with a saved snapshot and notify observers
+     */
+    applySnapshot(snapshot) {
+        try {
+            const migrated = this.migrate(snapshot);
+            this.items = Array.isArray(migrated.items) ? migrated.items : [];
+            this.promoCodes = Array.isArray(migrated.promoCodes) ? migrated.promoCodes : [];
+            this.giftRecipient = migrated.giftRecipient || null;
+            this.lastSavedAt = migrated.savedAt || 0;
+            // Steps recorded in this tab no longer describe the new contents
+            this.clearHistory();
+            this.refresh();
+        } catch (err) {
+            console.error('Cart applySnapshot error', err);
+        }
+    }
+
+    /**
+     * Merge a guest cart snapshot into a signed-in shopper's saved snapshot
+     *
+     * Conflict rules:
+     * - Lines for the same SKU keep the larger quantity, not the sum, so signing
+     *   in again on the same device never doubles the cart
+     * - Lines found in only one cart are kept, saved lines first
+     * - Line details (price, name, image) come from the guest line, which was
+     *   built from the current catalog
+     * - Promo codes from both carts are kept; codes that no longer apply show as
+     *   not eligible
+     * - A gift recipient entered as a guest replaces the saved one
+     * Both snapshots must already be migrated. Stock limits are applied afterwards
+     * with enforceStockLimits().
+     */
+    static merge(guest, saved) {
+        if (!saved) return guest;
+
+        const guestItems = guest.items || [];
+        const items = (saved.items || []).map(savedItem => {
+            const guestItem = guestItems.find(item => item.sku === savedItem.sku);
+            return guestItem
+                ? { ...savedItem, ...guestItem, quantity: Math.max(savedItem.quantity, guestItem.quantity) }
+                : savedItem;
+        });
+        guestItems.forEach(guestItem => {
+            if (!items.some(item => item.sku === guestItem.sku)) {
+                items.push(guestItem);
+            }
+        });
+
+        return {
+            version: Cart.SCHEMA_VERSION,
+            savedAt: Math.max(guest.savedAt || 0, saved.savedAt || 0),
+            items,
+            promoCodes: [...new Set([...(saved.promoCodes || []), ...(guest.promoCodes || [])])],
+            giftRecipient: guest.giftRecipient || saved.giftRecipient || null
+        };
+    }
+
+    /**
+     * Apply a cart change made in another tab
+     */
+    handleExternalChange(snapshot) {
+        if (!snapshot) {
+            this.items = [];
+            this.promoCodes = [];
+            this.giftRecipient = null;
+            this.refresh();
+            return;
+        }
+
+        // The same change can arrive via both BroadcastChannel and the storage event
+        if (snapshot.savedAt && snapshot.savedAt === this.lastSavedAt) return;
+
+        this.applySnapshot(snapshot);
+        this.log('Cart updated from another tab');
+    }
+
+    /**
+     * Listen for cart changes made in other tabs
+     */
+    setupSync(channelName) {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(channelName);
+            this.channel.onmessage = (e) => this.handleExternalChange(e.data);
+        }
+
+        this.unsubscribeStorage = this.storage.subscribe(
+            this.storageKey,
+            snapshot => this.handleExternalChange(snapshot)
+        );
+    }
+}
+
+/**
+ * Undo steps kept per tab
+ */
+Cart.HISTORY_LIMIT = 20;
+
+/**
+ * Current cart snapshot schema version
+ */
+Cart.SCHEMA_VERSION = 4;
+
+/**
+ * Snapshot migrations keyed by the version they upgrade from
+ */
+Cart.MIGRATIONS = {
+    // Version 0: a bare array of cart items
+    0: snapshot => ({ items: Array.isArray(snapshot) ? snapshot : snapshot.items || [] }),
+    // Version 1: no promo codes
+    1: snapshot => ({ ...snapshot, promoCodes: [] }),
+    // Version 2: lines keyed by product id, without variant options; the SKU stays the
+    // product id until resolveLegacyLines() maps it to the default variant once the catalog loads
+    2: snapshot => ({
+        ...snapshot,
+        items: snapshot.items.map(item => ({ options: {}, variantLabel: '', ...item, sku: item.sku || item.id }))
+    }),
+    // Version 3: no gift options
+    3: snapshot => ({
+        ...snapshot,
+        items: snapshot.items.map(item => ({ gift: null, ...item })),
+        giftRecipient: null
+    })
+};
+
+/**
+ * Gift wrap styles; price is per wrapped unit in minor units
+ */
+Cart.GIFT_WRAP_STYLES = [
+    { id: 'classic', label: 'Classic Kraft', price: 4900 },
+    { id: 'signature', label: 'VELOURA Signature Box', price: 9900 },
+    { id: 'luxe', label: 'Luxe Velvet Pouch', price: 14900 }
+];
+
+/**
+ * Longest gift card message, in characters
+ */
+Cart.GIFT_MESSAGE_LIMIT = 150;
+
+// ==================== CART DRAWER ====================
+
+/**
+ * CartDrawer - Off-canvas cart view, redrawn whenever the cart changes
+ */
+class CartDrawer extends BaseComponent {
+    constructor(cart, element, currency = new CurrencyConverter(), i18n = new I18n()) {
+        super('CartDrawer');
+        this.cart = cart;
+        this.element = element;
+        this.currency = currency;
+        this.i18n = i18n;
+        this.state = { open: false };
+
+        this.cart.subscribe(() => this.render());
+        this.currency.subscribe(() => this.render());
+        this.i18n.subscribe(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Open the drawer
+     */
+    open() {
+        if (!this.element) return;
+
+        if (window.bootstrap && window.bootstrap.Offcanvas) {
+            window.bootstrap.Offcanvas.getOrCreateInstance(this.element).show();
+        } else {
+            this.element.classList.add('show');
+        }
+        this.setState({ open: true });
+    }
+
+    /**
+     * Close the drawer
+     */
+    close() {
+        if (!this.element) return;
+
+        if (window.bootstrap && window.bootstrap.Offcanvas) {
+            window.bootstrap.Offcanvas.getOrCreateInstance(this.element).hide();
+        } else {
+            this.element.classList.remove('show');
+        }
+        this.setState({ open: false });
+    }
+
+    /**
+     * Render cart lines and subtotal
+     */
+    render() {
+        if (!this.element) return;
+
+        const { items } = this.cart.getCartData();
+        const list = this.element.querySelector('.cart-drawer-items');
+        const subtotal = this.element.querySelector('.cart-drawer-subtotal');
+        const adjustments = this.element.querySelector('.cart-drawer-adjustments');
+        const gift = this.element.querySelector('.cart-drawer-gift');
+        const recipient = this.element.querySelector('.cart-drawer-gift-recipient');
+        const total = this.element.querySelector('.cart-drawer-total');
+        const footer = this.element.querySelector('.cart-drawer-footer');
+
+        if (list) {
+            list.innerHTML = items.length
+                ? items.map(item => this.renderLine(item)).join('')
+                : `<p class="cart-drawer-empty">${this.i18n.html('cart.empty')}</p>`;
+        }
+        if (subtotal) {
+            subtotal.textContent = this.currency.format(this.cart.getSubtotal());
+        }
+        if (adjustments) {
+            adjustments.innerHTML = this.renderAdjustments();
+        }
+        if (gift) {
+            const giftTotal = this.cart.getGiftTotal();
+            gift.hidden = giftTotal.isZero();
+            gift.querySelector('.cart-drawer-gift-total').textContent = this.currency.format(giftTotal);
+        }
+        if (recipient) {
+            recipient.hidden = items.length === 0;
+            recipient.innerHTML = items.length ? this.renderGiftRecipient('cart-drawer') : '';
+        }
+        if (total) {
+            total.textContent = this.currency.format(this.cart.getTotal());
+        }
+        if (footer) {
+            footer.hidden = items.length === 0;
+        }
+    }
+
+    /**
+     * Build applied promo code and discount markup
+     */
+    renderAdjustments() {
+        const adjustments = this.cart.getAdjustments();
+
+        return this.cart.promoCodes.map(code => {
+            const adjustment = adjustments.find(applied => applied.code === code);
+            const amount = adjustment
+                ? `<span class="cart-adjustment-amount">${this.currency.format(adjustment.amount)}</span>`
+                : `<span class="cart-adjustment-note">${this.i18n.html('cart.notEligible')}</span>`;
+
+            return `
+                <li class="cart-adjustment d-flex justify-content-between align-items-center">
+                    <span>
+                        <i class="fas fa-tag"></i> ${escapeHTML(adjustment ? adjustment.label : code)}
+                        <button type="button" class="btn-remove-promo" data-action="remove-promo" data-code="${escapeHTML(code)}" aria-label="${this.i18n.html('cart.removePromo', { code })}">&times;</button>
+                    </span>
+                    ${amount}
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Build cart line markup; idPrefix keeps form ids unique when the drawer and cart page both show a line
+     */
+    renderLine(item, idPrefix = 'cart-drawer') {
+        const sku = escapeHTML(item.sku);
+        const name = escapeHTML(item.name);
+        const variant = item.variantLabel
+            ? `<span class="cart-line-variant">${escapeHTML(item.variantLabel)}</span>`
+            : '';
+        const limit = this.cart.getStockLimit(item.sku);
+
+        return `
+            <div class="cart-line" data-sku="${sku}">
+                <img src="${escapeHTML(item.image)}" alt="${name}" class="cart-line-image">
+                <div class="cart-line-info">
+                    <h6 class="cart-line-name"><a href="/product/${encodeURIComponent(item.id)}" class="product-link">${name}</a></h6>
+                    ${variant}
+                    <span class="cart-line-price">${this.currency.format(new Money(item.price, item.currency))}</span>
+                    <div class="cart-line-stepper" role="group" aria-label="${this.i18n.html('cart.quantityFor', { name: item.name })}">
+                        <button type="button" class="btn-stepper" data-action="decrement" data-sku="${sku}" aria-label="${this.i18n.html('cart.decrease')}">&minus;</button>
+                        <input type="number" class="cart-line-quantity" min="0"${Number.isFinite(limit) ? ` max="${limit}"` : ''} value="${item.quantity}" data-action="set-quantity" data-sku="${sku}" aria-label="${this.i18n.html('cart.quantity')}">
+                        <button type="button" class="btn-stepper" data-action="increment" data-sku="${sku}" aria-label="${this.i18n.html('cart.increase')}"${item.quantity >= limit ? ' disabled' : ''}>+</button>
+                    </div>
+                    ${this.renderGiftOptions(item, idPrefix)}
+                </div>
+                <div class="cart-line-actions">
+                    <span class="cart-line-total">${this.currency.format(this.cart.getLineTotal(item))}</span>
+                    <button type="button" class="btn-remove-line" data-action="remove" data-sku="${sku}" aria-label="${this.i18n.html('cart.remove', { name: item.name })}">
+                        <i class="fas fa-trash-alt"></i>
+                    </button>
+                    <button type="button" class="btn-save-later" data-action="save-for-later" data-sku="${sku}">${this.i18n.html('cart.saveForLater')}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Build a line's gift summary and the gift wrap / card message form
+     */
+    renderGiftOptions(item, idPrefix) {
+        const sku = escapeHTML(item.sku);
+        const formId = `${idPrefix}-gift-${item.sku.replace(/[^\w-]/g, '-')}`;
+        const { gift } = item;
+        const message = gift ? gift.message : '';
+        const styles = this.cart.getGiftWrapStyles().map(style => `
+            <option value="${escapeHTML(style.id)}"${gift && gift.wrap === style.id ? ' selected' : ''}>
+                ${escapeHTML(this.cart.getGiftWrapLabel(style.id))} (${this.i18n.html('gift.wrapPrice', { price: this.currency.format(new Money(style.price, this.cart.currency)) })})
+            </option>
+        `).join('');
+
+        let summary = '';
+        if (gift) {
+            const charge = this.cart.getGiftCharge(item);
+            summary = `
+                <p class="cart-line-gift">
+                    <i class="fas fa-gift"></i> ${escapeHTML(gift.wrap ? this.cart.getGiftWrapLabel(gift.wrap) : this.i18n.t('gift.cardOnly'))}${charge.isZero() ? '' : ` &middot; ${this.currency.format(charge)}`}
+                    ${message ? `<q class="gift-message">${escapeHTML(message)}</q>` : ''}
+                </p>
+            `;
+        }
+
+        return `
+            ${summary}
+            <details class="cart-line-gift-options">
+                <summary>${this.i18n.html(gift ? 'gift.edit' : 'gift.add')}</summary>
+                <form class="gift-form" id="${formId}" data-sku="${sku}" novalidate>
+                    <label for="${formId}-wrap" class="form-label">${this.i18n.html('gift.wrap')}</label>
+                    <select class="form-select form-select-sm" id="${formId}-wrap" name="giftWrap">
+                        <option value="">${this.i18n.html('gift.noWrap')}</option>
+                        ${styles}
+                    </select>
+                    <label for="${formId}-message" class="form-label">${this.i18n.html('gift.message')}</label>
+                    <textarea class="form-control form-control-sm" id="${formId}-message" name="giftMessage" rows="2" data-limit="${this.cart.giftMessageLimit}">${escapeHTML(message)}</textarea>
+                    <small class="gift-message-count" aria-live="polite">${message.length}/${this.cart.giftMessageLimit}</small>
+                    <div class="d-flex gap-2">
+                        <button type="submit" class="btn btn-sm btn-outline-dark">${this.i18n.html('gift.save')}</button>
+                        ${gift ? `<button type="button" class="btn btn-sm btn-link" data-action="remove-gift" data-sku="${sku}">${this.i18n.html('gift.remove')}</button>` : ''}
+                    </div>
+                </form>
+            </details>
+        `;
+    }
+
+    /**
+     * Build the gift recipient address form, with the saved address when there is one
+     */
+    renderGiftRecipient(idPrefix) {
+        const recipient = this.cart.giftRecipient;
+        const formId = `${idPrefix}-gift-recipient`;
+        const field = (name, label, autocomplete) => `
+            <label for="${formId}-${name}" class="form-label">${this.i18n.html(label)}</label>
+            <input type="text" class="form-control form-control-sm" id="${formId}-${name}" name="${name}" value="${escapeHTML(recipient ? recipient[name] : '')}" autocomplete="section-gift ${autocomplete}">
+        `;
+
+        return `
+            <details class="gift-recipient">
+                <summary><i class="fas fa-gift"></i> ${recipient ? this.i18n.html('gift.recipientFor', { name: recipient.fullName }) : this.i18n.html('gift.addRecipient')}</summary>
+                ${recipient ? `<p class="gift-recipient-address">${escapeHTML(recipient.street)}, ${escapeHTML(recipient.city)}, ${escapeHTML(recipient.province)} ${escapeHTML(recipient.postalCode)}</p>` : ''}
+                <p class="gift-recipient-hint">${this.i18n.html('gift.recipientHint')}</p>
+                <form class="gift-recipient-form" id="${formId}" novalidate>
+                    ${field('fullName', 'checkout.fullName', 'name')}
+                    ${field('street', 'checkout.street', 'street-address')}
+                    ${field('city', 'checkout.city', 'address-level2')}
+                    ${field('province', 'checkout.province', 'address-level1')}
+                    ${field('postalCode', 'checkout.postalCode', 'postal-code')}
+                    <div class="d-flex gap-2">
+                        <button type="submit" class="btn btn-sm btn-outline-dark">${this.i18n.html('gift.save')}</button>
+                        ${recipient ? `<button type="button" class="btn btn-sm btn-link" data-action="remove-gift-recipient">${this.i18n.html('gift.remove')}</button>` : ''}
+                    </div>
+                </form>
+            </details>
+        `;
+    }
+}
+
+// ==================== WISHLIST ====================
+
+/**
+ * Wishlist - Saved-for-later products, persisted and shared across tabs
+ *
+ * Entries are keyed by variant SKU when one was chosen (e.g. saved from the
+ * cart), otherwise by product id.
+ */
+class Wishlist extends BaseComponent {
+    constructor(options = {}) {
+        super('Wishlist');
+        this.storage = options.storage || new LocalStorageAdapter();
+        this.storageKey = options.storageKey || 'veloura.wishlist';
+        this.items = this.storage.getItem(this.storageKey) || [];
+        this.state = { items: this.items };
+
+        this.unsubscribeStorage = this.storage.subscribe(this.storageKey, items => {
+            this.items = items || [];
+            this.setState({ items: this.items });
+        });
+    }
+
+    /**
+     * Key for a wishlist entry
+     */
+    getKey(entry) {
+        return entry.sku || entry.id;
+    }
+
+    getItems() {
+        return [...this.items];
+    }
+
+    getItem(key) {
+        return this.items.find(item => this.getKey(item) === key) || null;
+    }
+
+    getCount() {
+        return this.items.length;
+    }
+
+    /**
+     * Whether any entry (any variant) of a product is saved
+     */
+    has(productId) {
+        return this.items.some(item => item.id === productId);
+    }
+
+    /**
+     * Save an entry; saving the same key again is a no-op
+     */
+    add(entry) {
+        if (this.getItem(this.getKey(entry))) return;
+
+        this.items = [{ ...entry, addedAt: new Date().toISOString() }, ...this.items];
+        this.commit();
+        this.log(`Saved ${entry.name}`);
+    }
+
+    remove(key) {
+        this.items = this.items.filter(item => this.getKey(item) !== key);
+        this.commit();
+        this.log(`Removed ${key}`);
+    }
+
+    /**
+     * Save a product, or remove every entry for it if already saved; returns whether it is now saved
+     */
+    toggle(product) {
+        if (this.has(product.id)) {
+            this.items = this.items.filter(item => item.id !== product.id);
+            this.commit();
+            return false;
+        }
+
+        this.add(product);
+        return true;
+    }
+
+    commit() {
+        this.storage.setItem(this.storageKey, this.items);
+        this.setState({ items: this.items });
+    }
+}
+
+/**
+ * WishlistView - Saved items page for /wishlist
+ */
+class WishlistView {
+    constructor(wishlist, catalog, currency, i18n = new I18n()) {
+        this.wishlist = wishlist;
+        this.catalog = catalog;
+        this.currency = currency;
+        this.i18n = i18n;
+        this.container = null;
+
+        this.wishlist.subscribe(() => {
+            if (this.container) this.draw();
+        });
+        this.i18n.subscribe(() => {
+            if (this.container) this.draw();
+        });
+    }
+
+    async render(container) {
+        if (!this.catalog.getState().loaded) {
+            await this.catalog.load();
+        }
+
+        this.container = container;
+        this.draw();
+    }
+
+    /**
+     * Current catalog price for an entry, falling back to the saved price
+     */
+    formatPrice(item) {
+        const product = this.catalog.getProduct(item.id);
+        if (!product) return this.currency.format(new Money(item.price, item.currency));
+
+        const variant = item.sku ? this.catalog.getVariant(product, item.sku) : null;
+        return this.catalog.formatPrice(product, variant);
+    }
+
+    draw() {
+        const items = this.wishlist.getItems();
+        const rows = items.map(item => {
+            const key = escapeHTML(this.wishlist.getKey(item));
+            const name = escapeHTML(item.name);
+            return `
+                <div class="cart-line wishlist-line">
+                    <img src="${escapeHTML(item.image)}" alt="${name}" class="cart-line-image">
+                    <div class="cart-line-info">
+                        <h6 class="cart-line-name"><a href="/product/${encodeURIComponent(item.id)}" class="product-link">${name}</a></h6>
+                        ${item.variantLabel ? `<span class="cart-line-variant">${escapeHTML(item.variantLabel)}</span>` : ''}
+                        <span class="cart-line-price">${this.formatPrice(item)}</span>
+                    </div>
+                    <div class="cart-line-actions">
+                        <button type="button" class="btn btn-sm btn-primary btn-checkout" data-wishlist-action="move-to-cart" data-key="${key}">${this.i18n.html('wishlist.moveToCart')}</button>
+                        <button type="button" class="btn-remove-line" data-wishlist-action="remove" data-key="${key}" aria-label="${this.i18n.html('wishlist.remove', { name: item.name })}">
+                            <i class="fas fa-trash-alt"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.container.innerHTML = `
+            <div class="container route-page wishlist-page">
+                <h2 class="section-title">${this.i18n.html('wishlist.title')}</h2>
+                ${items.length ? rows : `<p class="cart-drawer-empty">${this.i18n.html('wishlist.empty', {}, {
+                    icon: '<i class="far fa-heart"></i>',
+                    link: `<a href="/#products">${this.i18n.html('wishlist.browse')}</a>`
+                })}</p>`}
+            </div>
+        `;
+    }
+
+    destroy() {
+        this.container = null;
+    }
+}
+
+// ==================== NOTIFICATION SYSTEM ====================
+
+/**
+ * Notification - Queued toast notifications
+ *
+ * At most maxVisible toasts show at once, stacked in a live region; the rest
+ * wait their turn. Repeating a message that is still showing or queued bumps
+ * its count and restarts its timer instead of adding another toast. Timers
+ * pause while a toast is hovered or focused. Messages are rendered as text.
+ */
+class Notification extends BaseComponent {
+    constructor(options = {}) {
+        super('Notification');
+        this.maxVisible = options.maxVisible || Notification.MAX_VISIBLE;
+        this.i18n = options.i18n || new I18n();
+        this.notifications = [];
+        this.region = null;
+        this.state = { notifications: [] };
+    }
+
+    /**
+     * Show notification; options is a duration in ms or { duration, actions }
+     * where actions are [{ label, onClick }]. Returns the notification id.
+     */
+    show(message, type = 'info', options = {}) {
+        const { duration = Notification.DEFAULT_DURATION, actions = [] } = typeof options === 'number'
+            ? { duration: options }
+            : options;
+        const text = String(message);
+        // Leave time to reach an action button
+        const visibleFor = actions.length > 0 ? Math.max(duration, Notification.ACTION_DURATION) : duration;
+
+        const duplicate = this.notifications.find(notification => notification.type === type && notification.message === text);
+        if (duplicate) {
+            duplicate.count += 1;
+            duplicate.actions = actions;
+            duplicate.duration = visibleFor;
+            if (duplicate.element) {
+                this.updateToast(duplicate);
+                this.startTimer(duplicate);
+            }
+            this.publish();
+            return duplicate.id;
+        }
+
+        const notification = {
+            id: `toast-${generateId()}`,
+            message: text,
+            type, // success, error, warning, info
+            actions,
+            count: 1,
+            duration: visibleFor,
+            timestamp: new Date(),
+            element: null,
+            timer: null,
+            remaining: visibleFor,
+            startedAt: 0,
+            paused: false,
+            hovered: false,
+            focused: false
+        };
+
+        this.notifications.push(notification);
+        this.log(`${type.toUpperCase()}: ${text}`);
+        this.flush();
+        this.publish();
+        return notification.id;
+    }
+
+    /**
+     * Show queued notifications while there is room
+     */
+    flush() {
+        const visible = this.notifications.filter(notification => notification.element).length;
+        this.notifications
+            .filter(notification => !notification.element)
+            .slice(0, Math.max(0, this.maxVisible - visible))
+            .forEach(notification => this.displayToast(notification));
+    }
+
+    /**
+     * Polite live region holding the toast stack (created on first use)
+     */
+    getRegion() {
+        if (!this.region) {
+            this.region = document.createElement('div');
+            this.region.className = 'toast-stack';
+            this.region.setAttribute('aria-live', 'polite');
+            document.body.appendChild(this.region);
+        }
+        // Labelled on each use so it follows the language
+        this.region.setAttribute('aria-label', this.i18n.t('toast.region'));
+        return this.region;
+    }
+
+    /**
+     * Display toast notification in DOM
+     */
+    displayToast(notification) {
+        const toast = document.createElement('div');
+        toast.id = notification.id;
+        toast.className = `toast toast-${notification.type}`;
+        // Errors interrupt the screen reader; everything else waits its turn
+        if (notification.type === 'error') {
+            toast.setAttribute('role', 'alert');
+        }
+        toast.innerHTML = `
+            <div class="toast-container">
+                <span class="toast-icon" aria-hidden="true">
+                    ${this.getIcon(notification.type)}
+                </span>
+                <span class="toast-message"></span>
+                <span class="toast-count" hidden></span>
+                <span class="toast-actions"></span>
+                <button type="button" class="toast-close" aria-label="${this.i18n.html('toast.dismiss')}">&times;</button>
+            </div>
+        `;
+        toast.querySelector('.toast-message').textContent = notification.message;
+
+        toast.querySelector('.toast-close').addEventListener('click', () => this.remove(notification.id));
+        toast.addEventListener('mouseenter', () => this.setHold(notification, { hovered: true }));
+        toast.addEventListener('mouseleave', () => this.setHold(notification, { hovered: false }));
+        toast.addEventListener('focusin', () => this.setHold(notification, { focused: true }));
+        toast.addEventListener('focusout', (e) => this.setHold(notification, { focused: toast.contains(e.relatedTarget) }));
+
+        notification.element = toast;
+        this.updateToast(notification);
+        this.getRegion().appendChild(toast);
+
+        // Trigger animation
+        setTimeout(() => toast.classList.add('show'), 10);
+        this.startTimer(notification);
+    }
+
+    /**
+     * Redraw the repeat count and action buttons of a displayed toast
+     */
+    updateToast(notification) {
+        const count = notification.element.querySelector('.toast-count');
+        count.textContent = `×${notification.count}`;
+        count.hidden = notification.count < 2;
+
+        const actions = notification.element.querySelector('.toast-actions');
+        actions.innerHTML = '';
+        notification.actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                this.remove(notification.id);
+                try {
+                    action.onClick();
+                } catch (err) {
+                    console.error('Notification action error', err);
+                }
+            });
+            actions.appendChild(button);
+        });
+    }
+
+    /**
+     * (Re)start the auto-dismiss timer with the full duration
+     */
+    startTimer(notification) {
+        notification.remaining = notification.duration;
+        if (!notification.paused) {
+            this.runTimer(notification);
+        }
+    }
+
+    runTimer(notification) {
+        clearTimeout(notification.timer);
+        notification.startedAt = Date.now();
+        notification.timer = setTimeout(() => this.remove(notification.id), notification.remaining);
+    }
+
+    /**
+     * Pause while hovered or focused, resuming with the time that was left
+     */
+    setHold(notification, hold) {
+        Object.assign(notification, hold);
+        const held = notification.hovered || notification.focused;
+
+        if (held && !notification.paused) {
+            clearTimeout(notification.timer);
+            notification.remaining = Math.max(0, notification.remaining - (Date.now() - notification.startedAt));
+            notification.paused = true;
+        } else if (!held && notification.paused) {
+            notification.paused = false;
+            this.runTimer(notification);
+        }
+    }
+
+    /**
+     * Get icon based on notification type
+     */
+    getIcon(type) {
+        const icons = {
+            success: '<i class="fas fa-check-circle"></i>',
+            error: '<i class="fas fa-exclamation-circle"></i>',
+            warning: '<i class="fas fa-warning"></i>',
+            info: '<i class="fas fa-info-circle"></i>'
+        };
+        return icons[type] || icons.info;
+    }
+
+    /**
+     * Remove notification and show the next queued one
+     */
+    remove(notificationId) {
+        const notification = this.notifications.find(n => n.id === notificationId);
+        if (!notification) return;
+
+        clearTimeout(notification.timer);
+        this.notifications = this.notifications.filter(n => n !== notification);
+        if (notification.element) {
+            const toast = notification.element;
+            toast.classList.remove('show');
+            setTimeout(() => toast.remove(), 300);
+        }
+
+        this.flush();
+        this.publish();
+    }
+
+    /**
+     * Share a plain copy of the queue with observers
+     */
+    publish() {
+        this.setState({
+            notifications: this.notifications.map(({ id, message, type, count, timestamp, element }) => ({
+                id, message, type, count, timestamp, visible: Boolean(element)
+            }))
+        });
+    }
+
+    /**
+     * Success notification shortcut
+     */
+    success(message, options) {
+        return this.show(message, 'success', options);
+    }
+
+    /**
+     * Error notification shortcut
+     */
+    error(message, options) {
+        return this.show(message, 'error', options);
+    }
+
+    /**
+     * Warning notification shortcut
+     */
+    warning(message, options) {
+        return this.show(message, 'warning', options);
+    }
+
+    /**
+     * Info notification shortcut
+     */
+    info(message, options) {
+        return this.show(message, 'info', options);
+    }
+}
+
+Notification.MAX_VISIBLE = 3;
+Notification.DEFAULT_DURATION = 3000;
+
+/**
+ * Minimum time a toast with action buttons stays up
+ */
+Notification.ACTION_DURATION = 6000;
+
+// ==================== PRIVACY ====================
+
+/**
+ * ConsentManager - Stores the shopper's tracking choices per category
+ *
+ * "necessary" is always granted; "analytics" and "marketing" are opt-in.
+ */
+class ConsentManager extends BaseComponent {
+    constructor(options = {}) {
+        super('ConsentManager');
+        this.storage = options.storage || new LocalStorageAdapter();
+        this.storageKey = options.storageKey || 'veloura.consent';
+
+        const saved = this.storage.getItem(this.storageKey);
+        // Choices made under an older policy version are asked for again
+        const isCurrent = saved && saved.version === ConsentManager.POLICY_VERSION;
+        this.state = {
+            decided: Boolean(isCurrent),
+            choices: isCurrent ? { ...saved.choices, necessary: true } : ConsentManager.defaultChoices(),
+            updatedAt: isCurrent ? saved.updatedAt : null
+        };
+    }
+
+    /**
+     * Choices before the shopper decides: only necessary storage
+     */
+    static defaultChoices() {
+        return ConsentManager.CATEGORIES.reduce((choices, category) => {
+            choices[category] = category === 'necessary';
+            return choices;
+        }, {});
+    }
+
+    /**
+     * Whether the shopper has made a choice under the current policy
+     */
+    hasDecided() {
+        return this.state.decided;
+    }
+
+    /**
+     * Whether a category is allowed
+     */
+    hasConsent(category) {
+        return category === 'necessary' || this.state.choices[category] === true;
+    }
+
+    /**
+     * Save choices for each category
+     */
+    save(choices) {
+        const normalized = ConsentManager.CATEGORIES.reduce((result, category) => {
+            result[category] = category === 'necessary' || choices[category] === true;
+            return result;
+        }, {});
+        const updatedAt = new Date().toISOString();
+
+        this.storage.setItem(this.storageKey, {
+            version: ConsentManager.POLICY_VERSION,
+            choices: normalized,
+            updatedAt
+        });
+        this.setState({ decided: true, choices: normalized, updatedAt });
+        this.log(`Consent saved: ${JSON.stringify(normalized)}`);
+    }
+
+    /**
+     * Allow every category
+     */
+    acceptAll() {
+        this.save({ analytics: true, marketing: true });
+    }
+
+    /**
+     * Allow only necessary storage
+     */
+    rejectAll() {
+        this.save({});
+    }
+}
+
+ConsentManager.CATEGORIES = ['necessary', 'analytics', 'marketing'];
+
+/**
+ * Bump when the privacy policy changes in a way that needs fresh consent
+ */
+ConsentManager.POLICY_VERSION = 1;
+
+/**
+ * ConsentBanner - Banner and preferences panel for ConsentManager
+ */
+class ConsentBanner extends BaseComponent {
+    constructor(consent, element) {
+        super('ConsentBanner');
+        this.consent = consent;
+        this.element = element;
+
+        if (this.element) {
+            this.element.addEventListener('click', (e) => this.handleClick(e));
+        }
+        if (!this.consent.hasDecided()) {
+            this.show();
+        }
+    }
+
+    /**
+     * Show the banner with the saved choices preselected
+     */
+    show() {
+        if (!this.element) return;
+
+        const { choices } = this.consent.getState();
+        this.element.querySelectorAll('input[name="consent"]').forEach(input => {
+            input.checked = choices[input.value] === true;
+        });
+        this.element.hidden = false;
+    }
+
+    /**
+     * Hide the banner
+     */
+    hide() {
+        if (this.element) {
+            this.element.hidden = true;
+        }
+    }
+
+    /**
+     * Handle banner buttons
+     */
+    handleClick(e) {
+        const control = e.target.closest('[data-consent-action]');
+        if (!control) return;
+
+        switch (control.dataset.consentAction) {
+            case 'accept-all':
+                this.consent.acceptAll();
+                break;
+            case 'reject-all':
+                this.consent.rejectAll();
+                break;
+            case 'customize':
+                this.element.querySelector('.consent-preferences').hidden = false;
+                return;
+            case 'save': {
+                const choices = {};
+                this.element.querySelectorAll('input[name="consent"]').forEach(input => {
+                    choices[input.value] = input.checked;
+                });
+                this.consent.save(choices);
+                break;
+            }
+            default:
+                return;
+        }
+        this.hide();
+    }
+}
+
+/**
+ * PIIScrubber - Hashes or removes personal data from analytics payloads
+ *
+ * Hashed fields become "sha256:<hex>" so events can still be joined without
+ * exposing the raw value; dropped fields are removed entirely. Emails and
+ * phone numbers found inside other string values are redacted.
+ */
+class PIIScrubber {
+    constructor(options = {}) {
+        this.hashFields = options.hashFields || ['email', 'phone', 'userId'];
+        this.dropFields = options.dropFields || [
+            'password', 'fullName', 'name', 'street', 'address', 'postalCode', 'cardNumber', 'cvc', 'message'
+        ];
+    }
+
+    /**
+     * SHA-256 hex digest of a normalized value (null where SubtleCrypto is unavailable)
+     */
+    async hash(value) {
+        if (!window.crypto || !window.crypto.subtle) return null;
+
+        const normalized = String(value).trim().toLowerCase();
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+        return 'sha256:' + Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Redact emails and phone numbers inside free text
+     */
+    redactText(value) {
+        return value
+            .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[redacted-email]')
+            .replace(/(?:\+63|0)9\d{2}[\s-]?\d{3}[\s-]?\d{4}/g, '[redacted-phone]');
+    }
+
+    /**
+     * Scrub a payload recursively
+     */
+    async scrub(data) {
+        if (Array.isArray(data)) {
+            return Promise.all(data.map(value => this.scrub(value)));
+        }
+        if (typeof data === 'string') {
+            return this.redactText(data);
+        }
+        if (!data || typeof data !== 'object') {
+            return data;
+        }
+
+        const scrubbed = {};
+        for (const [key, value] of Object.entries(data)) {
+            if (this.dropFields.includes(key)) continue;
+
+            if (this.hashFields.includes(key) && value !== null && value !== undefined && value !== '') {
+                // Fail closed: without a hash the field is dropped, never sent raw
+                const hashed = await this.hash(value);
+                if (hashed) scrubbed[key] = hashed;
+            } else {
+                scrubbed[key] = await this.scrub(value);
+            }
+        }
+        return scrubbed;
+    }
+}
+
+// ==================== ANALYTICS TRANSPORT ====================
+
+/**
+ * Promisify an IndexedDB request
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IndexedDBQueue - Durable outbox for undelivered analytics batches
+ */
+class IndexedDBQueue {
+    constructor(dbName = 'veloura-analytics', storeName = 'outbox') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create) the database
+     */
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+            };
+            this.dbPromise = idbRequest(request);
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a callback against the object store in a transaction
+     */
+    async withStore(mode, callback) {
+        const db = await this.open();
+        const transaction = db.transaction(this.storeName, mode);
+        const result = await callback(transaction.objectStore(this.storeName));
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        return result;
+    }
+
+    add(record) {
+        return this.withStore('readwrite', store => idbRequest(store.add(record)));
+    }
+
+    getAll(limit) {
+        return this.withStore('readonly', store => idbRequest(store.getAll(null, limit)));
+    }
+
+    remove(ids) {
+        return this.withStore('readwrite', store => Promise.all(ids.map(id => idbRequest(store.delete(id)))));
+    }
+
+    clear() {
+        return this.withStore('readwrite', store => idbRequest(store.clear()));
+    }
+}
+
+/**
+ * MemoryQueue - In-memory outbox used when IndexedDB is unavailable
+ */
+class MemoryQueue {
+    constructor() {
+        this.records = [];
+        this.nextId = 1;
+    }
+
+    async add(record) {
+        const id = this.nextId++;
+        this.records.push({ ...record, id });
+        return id;
+    }
+
+    async getAll(limit) {
+        return this.records.slice(0, limit);
+    }
+
+    async remove(ids) {
+        this.records = this.records.filter(record => !ids.includes(record.id));
+    }
+
+    async clear() {
+        this.records = [];
+    }
+}
+
+/**
+ * AnalyticsSink - Destination for batches of analytics events
+ */
+class AnalyticsSink {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Deliver a batch; rejects when the batch should be retried
+     */
+    async send(events) {
+        throw new Error(`${this.constructor.name} must implement send(${events.length} events)`);
+    }
+
+    /**
+     * Deliver a batch while the page unloads; returns false when not delivered
+     */
+    sendBeacon(events) {
+        return false;
+    }
+}
+
+/**
+ * HttpSink - Posts batches as JSON to a generic collector endpoint
+ */
+class HttpSink extends AnalyticsSink {
+    constructor(endpoint, options = {}) {
+        super(options.name || 'http');
+        this.endpoint = endpoint;
+        this.headers = options.headers || {};
+    }
+
+    async send(events) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify({ events }),
+            keepalive: true
+        });
+        if (!response.ok) {
+            throw new Error(`Collector responded with ${response.status}`);
+        }
+    }
+
+    sendBeacon(events) {
+        if (!navigator.sendBeacon) return false;
+
+        // text/plain keeps the beacon a "simple" request without a CORS preflight
+        const body = new Blob([JSON.stringify({ events })], { type: 'text/plain' });
+        return navigator.sendBeacon(this.endpoint, body);
+    }
+}
+
+/**
+ * GA4Sink - Sends events in the GA4 / Firebase Analytics shape
+ *
+ * Uses gtag() when it is on the page, otherwise the Measurement Protocol.
+ */
+class GA4Sink extends AnalyticsSink {
+    constructor(options = {}) {
+        super(options.name || 'ga4');
+        this.measurementId = options.measurementId;
+        this.apiSecret = options.apiSecret;
+        this.endpoint = options.endpoint || 'https://www.google-analytics.com/mp/collect';
+    }
+
+    /**
+     * GA4 event names: letters, digits and underscores, max 40 characters
+     */
+    toEventName(name) {
+        return String(name).replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 40);
+    }
+
+    /**
+     * GA4 params are flat with values up to 100 characters
+     */
+    toParams(event) {
+        const params = { engagement_time_msec: 1, session_duration_ms: event.sessionDuration };
+        Object.entries(event.data || {}).forEach(([key, value]) => {
+            const paramName = key.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase().slice(0, 40);
+            params[paramName] = typeof value === 'object' && value !== null
+                ? JSON.stringify(value).slice(0, 100)
+                : (typeof value === 'string' ? value.slice(0, 100) : value);
+        });
+        return params;
+    }
+
+    /**
+     * Build Measurement Protocol payloads (max 25 events per request)
+     */
+    toPayloads(events) {
+        const payloads = [];
+        for (let i = 0; i < events.length; i += 25) {
+            const chunk = events.slice(i, i + 25);
+            payloads.push({
+                client_id: chunk[0].clientId,
+                events: chunk.map(event => ({ name: this.toEventName(event.name), params: this.toParams(event) }))
+            });
+        }
+        return payloads;
+    }
+
+    getUrl() {
+        return `${this.endpoint}?measurement_id=${encodeURIComponent(this.measurementId)}&api_secret=${encodeURIComponent(this.apiSecret || '')}`;
+    }
+
+    async send(events) {
+        if (typeof window.gtag === 'function') {
+            events.forEach(event => window.gtag('event', this.toEventName(event.name), this.toParams(event)));
+            return;
+        }
+
+        for (const payload of this.toPayloads(events)) {
+            const response = await fetch(this.getUrl(), {
+                method: 'POST',
+                body: JSON.stringify(payload),
+                keepalive: true
+            });
+            if (!response.ok) {
+                throw new Error(`GA4 responded with ${response.status}`);
+            }
+        }
+    }
+
+    sendBeacon(events) {
+        if (!navigator.sendBeacon) return false;
+
+        return this.toPayloads(events).every(payload => navigator.sendBeacon(this.getUrl(), JSON.stringify(payload)));
+    }
+}
+
+/**
+ * ConsoleSink - Logs batches for local development
+ */
+class ConsoleSink extends AnalyticsSink {
+    constructor() {
+        super('console');
+    }
+
+    async send(events) {
+        console.log(`%c📈 Analytics batch (${events.length})`, 'color: #45b7d1; font-weight: bold;', events);
+    }
+
+    sendBeacon(events) {
+        console.log(`%c📈 Analytics beacon (${events.length})`, 'color: #45b7d1; font-weight: bold;', events);
+        return true;
+    }
+}
+
+/**
+ * AnalyticsTransport - Batches events, delivers them to sinks and retries failures
+ *
+ * Batches a sink could not take are kept per sink in the outbox queue
+ * (IndexedDB when available) and retried with backoff once back online.
+ * With a consent manager, nothing is sent or retried without "analytics" consent.
+ */
+class AnalyticsTransport extends BaseComponent {
+    constructor(options = {}) {
+        super('AnalyticsTransport');
+        this.sinks = options.sinks || [];
+        this.consent = options.consent || null;
+        this.batchSize = options.batchSize || 20;
+        this.flushInterval = options.flushInterval || 10000;
+        this.maxRetryDelay = options.maxRetryDelay || 5 * 60 * 1000;
+        this.queue = options.queue || (typeof indexedDB !== 'undefined' ? new IndexedDBQueue() : new MemoryQueue());
+        this.buffer = [];
+        this.retryDelay = this.flushInterval;
+        this.nextRetryAt = 0;
+        this.flushing = null;
+        this.state = { buffered: 0, lastFlushAt: null, lastError: null };
+
+        if (options.autoStart !== false) {
+            this.start();
+        }
+    }
+
+    /**
+     * Start interval flushing and page lifecycle listeners
+     */
+    start() {
+        this.timer = setInterval(() => this.flush(), this.flushInterval);
+        this.handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') this.flushBeacon();
+        };
+        this.handlePageHide = () => this.flushBeacon();
+        this.handleOnline = () => this.flush({ force: true });
+
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('pagehide', this.handlePageHide);
+        window.addEventListener('online', this.handleOnline);
+    }
+
+    /**
+     * Stop flushing and remove listeners
+     */
+    stop() {
+        clearInterval(this.timer);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('pagehide', this.handlePageHide);
+        window.removeEventListener('online', this.handleOnline);
+    }
+
+    /**
+     * Add an event to the current batch
+     */
+    enqueue(event) {
+        // Without a sink there is nowhere to deliver, so events are dropped
+        if (this.sinks.length === 0) return;
+
+        this.buffer.push(event);
+        this.setState({ buffered: this.buffer.length });
+
+        if (this.buffer.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Deliver buffered events and retry queued batches
+     */
+    flush(options = {}) {
+        if (!this.flushing) {
+            this.flushing = this.deliver(options).finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    /**
+     * Whether the browser reports a network connection
+     */
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * Whether analytics consent allows sending (checked before every flush and retry)
+     */
+    isAllowed() {
+        return !this.consent || this.consent.hasConsent('analytics');
+    }
+
+    async deliver({ force = false } = {}) {
+        if (!this.isAllowed()) return;
+
+        const batch = this.buffer.splice(0, this.buffer.length);
+        this.setState({ buffered: 0 });
+
+        for (const sink of this.sinks) {
+            if (batch.length > 0) {
+                await this.sendOrQueue(sink, batch);
+            }
+        }
+
+        if (this.isOnline() && (force || Date.now() >= this.nextRetryAt)) {
+            await this.retryQueued();
+        }
+    }
+
+    /**
+     * Send a batch to a sink, queueing it on failure
+     */
+    async sendOrQueue(sink, events) {
+        try {
+            if (!this.isOnline()) {
+                throw new Error('Offline');
+            }
+            await sink.send(events);
+            this.setState({ lastFlushAt: new Date(), lastError: null });
+        } catch (err) {
+            this.setState({ lastError: err.message });
+            await this.queueBatch(sink, events);
+        }
+    }
+
+    /**
+     * Persist an undelivered batch for later retry
+     */
+    async queueBatch(sink, events) {
+        try {
+            await this.queue.add({ sink: sink.name, events, queuedAt: Date.now() });
+            this.log(`Queued ${events.length} events for ${sink.name}`);
+        } catch (err) {
+            console.error('AnalyticsTransport queueBatch error', err);
+        }
+    }
+
+    /**
+     * Retry queued batches, backing off while delivery keeps failing
+     */
+    async retryQueued() {
+        let records;
+        try {
+            records = await this.queue.getAll(50);
+        } catch (err) {
+            console.error('AnalyticsTransport retryQueued error', err);
+            return;
+        }
+
+        for (const record of records) {
+            if (!this.isAllowed()) return;
+
+            const sink = this.sinks.find(candidate => candidate.name === record.sink);
+            try {
+                if (sink) {
+                    await sink.send(record.events);
+                }
+                // Batches for sinks that are no longer configured are dropped
+                await this.queue.remove([record.id]);
+                this.retryDelay = this.flushInterval;
+            } catch (err) {
+                this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+                this.nextRetryAt = Date.now() + this.retryDelay;
+                this.setState({ lastError: err.message });
+                return;
+            }
+        }
+    }
+
+    /**
+     * Drop buffered events and queued batches that have not been sent yet
+     */
+    discard() {
+        this.buffer = [];
+        this.setState({ buffered: 0 });
+        return this.queue.clear().catch(err => console.error('AnalyticsTransport discard error', err));
+    }
+
+    /**
+     * Flush with navigator.sendBeacon while the page is being hidden or unloaded
+     */
+    flushBeacon() {
+        const batch = this.buffer.splice(0, this.buffer.length);
+        this.setState({ buffered: 0 });
+        if (batch.length === 0 || !this.isAllowed()) return;
+
+        this.sinks.forEach(sink => {
+            // Beacons sent offline are accepted by the browser but never arrive
+            if (!this.isOnline() || !sink.sendBeacon(batch)) {
+                // Best effort: the page may unload before this write completes
+                this.queueBatch(sink, batch);
+            }
+        });
+    }
+
+    /**
+     * Build a transport from configuration
+     *
+     * config: { collectorUrl, ga4: { measurementId, apiSecret }, console, batchSize, flushInterval }
+     */
+    static fromConfig(config = {}, options = {}) {
+        const sinks = [];
+        if (config.collectorUrl) {
+            sinks.push(new HttpSink(config.collectorUrl));
+        }
+        if (config.ga4 && config.ga4.measurementId) {
+            sinks.push(new GA4Sink(config.ga4));
+        }
+        if (config.console) {
+            sinks.push(new ConsoleSink());
+        }
+
+        return new AnalyticsTransport({
+            sinks,
+            consent: options.consent,
+            batchSize: config.batchSize,
+            flushInterval: config.flushInterval
+        });
+    }
+}
+
+// ==================== ANALYTICS ====================
+
+/**
+ * Analytics - Track user interactions
+ *
+ * Events are only recorded with "analytics" consent and pass through the
+ * PII scrubber before they are stored or handed to the transport.
+ */
+class Analytics extends BaseComponent {
+    constructor(options = {}) {
+        super('Analytics');
+        this.events = [];
+        this.sessionStart = new Date();
+        this.transport = options.transport || null;
+        this.storage = options.storage || new LocalStorageAdapter();
+        this.consent = options.consent || null;
+        this.scrubber = options.scrubber || new PIIScrubber();
+        this.clientId = null;
+        this.countsKey = 'veloura.product-interactions';
+        this.historyKey = 'veloura.interaction-history';
+        // Keeps events in order while payloads are scrubbed asynchronously
+        this.pending = Promise.resolve();
+
+        if (this.consent) {
+            this.consent.subscribe(() => this.handleConsentChange());
+        }
+    }
+
+    /**
+     * Whether events may be recorded
+     */
+    isEnabled() {
+        return !this.consent || this.consent.hasConsent('analytics');
+    }
+
+    /**
+     * Pseudonymous client id, created on first consented use
+     */
+    getClientId() {
+        if (!this.clientId) {
+            this.clientId = this.storage.getItem('veloura.client-id');
+        }
+        if (!this.clientId) {
+            this.clientId = generateId();
+            this.storage.setItem('veloura.client-id', this.clientId);
+        }
+        return this.clientId;
+    }
+
+    /**
+     * Drop unsent data when analytics consent is withdrawn
+     */
+    handleConsentChange() {
+        if (this.isEnabled()) return;
+
+        this.events = [];
+        this.clientId = null;
+        this.storage.removeItem('veloura.client-id');
+        this.storage.removeItem(this.countsKey);
+        this.storage.removeItem(this.historyKey);
+        if (this.transport) {
+            this.transport.discard();
+        }
+        this.setState({ events: this.events });
+        this.log('Analytics disabled by consent choice');
+    }
+
+    /**
+     * Track event
+     */
+    trackEvent(eventName, eventData = {}) {
+        if (!this.isEnabled()) return this.pending;
+
+        const timestamp = new Date();
+        this.pending = this.pending
+            .then(() => this.scrubber.scrub(eventData))
+            .then(data => {
+                // Consent may have been withdrawn while scrubbing
+                if (!this.isEnabled()) return;
+
+                const event = {
+                    id: generateId(),
+                    name: eventName,
+                    data,
+                    timestamp,
+                    sessionDuration: timestamp.getTime() - this.sessionStart.getTime(),
+                    clientId: this.getClientId(),
+                    page: window.location.pathname
+                };
+
+                this.events.push(event);
+                if (eventName === 'product_interaction') {
+                    this.recordInteraction(data, timestamp);
+                }
+                this.setState({ events: this.events });
+                this.log(`Event tracked: ${eventName}`);
+
+                if (this.transport) {
+                    this.transport.enqueue(event);
+                }
+            })
+            .catch(err => console.error('Analytics trackEvent error', err));
+
+        return this.pending;
+    }
+
+    /**
+     * Track page view
+     */
+    trackPageView(section, details = {}) {
+        this.trackEvent('page_view', { section, ...details });
+    }
+
+    /**
+     * Track product interaction; details are added to the event (e.g. cartProductIds)
+     */
+    trackProductInteraction(product, action, details = {}) {
+        return this.trackEvent('product_interaction', {
+            productId: product.id,
+            productName: product.name,
+            action,
+            ...details
+        });
+    }
+
+    /**
+     * Keep a running count per product and the latest interactions, newest last
+     */
+    recordInteraction(data, timestamp) {
+        if (!data.productId) return;
+
+        const counts = this.getInteractionCounts();
+        counts[data.productId] = (counts[data.productId] || 0) + 1;
+        this.storage.setItem(this.countsKey, counts);
+
+        const history = this.getInteractionHistory();
+        history.push({
+            productId: data.productId,
+            action: data.action,
+            cartProductIds: Array.isArray(data.cartProductIds) ? data.cartProductIds : [],
+            at: timestamp.toISOString()
+        });
+        this.storage.setItem(this.historyKey, history.slice(-Analytics.HISTORY_LIMIT));
+    }
+
+    /**
+     * product_interaction counts keyed by product id
+     */
+    getInteractionCounts() {
+        return this.storage.getItem(this.countsKey) || {};
+    }
+
+    /**
+     * Saved product_interaction events as { productId, action, cartProductIds, at }
+     */
+    getInteractionHistory() {
+        return this.storage.getItem(this.historyKey) || [];
+    }
+
+    /**
+     * Get analytics report
+     */
+    getReport() {
+        return {
+            totalEvents: this.events.length,
+            sessionDuration: Date.now() - this.sessionStart.getTime(),
+            events: this.events
+        };
+    }
+}
+
+/**
+ * Product interactions kept on the device for recommendations
+ */
+Analytics.HISTORY_LIMIT = 200;
+
+// ==================== RECOMMENDATIONS ====================
+
+/**
+ * RecommendationStrategy - Interface for product recommendations
+ *
+ * recommend() resolves to product ids, best match first. The context holds
+ * productIds (what the shopper is looking at: the open product or the cart
+ * lines) and excludeIds, which must not be returned. The client strategies
+ * below read the interaction history saved by Analytics; a server
+ * recommender can implement the same interface and take their place in
+ * Recommender.
+ */
+class RecommendationStrategy {
+    async recommend(context, limit) {
+        throw new Error('RecommendationStrategy.recommend not implemented');
+    }
+}
+
+/**
+ * RecentlyViewedStrategy - Products the shopper opened, newest first
+ */
+class RecentlyViewedStrategy extends RecommendationStrategy {
+    constructor(options = {}) {
+        super();
+        this.getHistory = options.getHistory || (() => []);
+    }
+
+    async recommend(context, limit) {
+        const viewed = this.getHistory()
+            .filter(entry => entry.action === 'view')
+            .map(entry => entry.productId)
+            .reverse();
+
+        return [...new Set(viewed)]
+            .filter(id => !context.excludeIds.includes(id))
+            .slice(0, limit);
+    }
+}
+
+/**
+ * FrequentlyBoughtTogetherStrategy - Products that were in the cart alongside
+ * the context products, most often first
+ */
+class FrequentlyBoughtTogetherStrategy extends RecommendationStrategy {
+    constructor(options = {}) {
+        super();
+        this.getHistory = options.getHistory || (() => []);
+    }
+
+    async recommend(context, limit) {
+        const scores = new Map();
+        const score = (id) => {
+            if (context.productIds.includes(id) || context.excludeIds.includes(id)) return;
+            scores.set(id, (scores.get(id) || 0) + 1);
+        };
+
+        // Each add to cart pairs the added product with the products already in the cart
+        this.getHistory()
+            .filter(entry => entry.action === 'add_to_cart')
+            .forEach(entry => {
+                const together = entry.cartProductIds || [];
+                if (context.productIds.includes(entry.productId)) {
+                    together.forEach(score);
+                }
+                if (together.some(id => context.productIds.includes(id))) {
+                    score(entry.productId);
+                }
+            });
+
+        return [...scores.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([id]) => id);
+    }
+}
+
+/**
+ * SameCategoryStrategy - Other products from the context products' categories,
+ * most popular first
+ */
+class SameCategoryStrategy extends RecommendationStrategy {
+    constructor(catalog, options = {}) {
+        super();
+        this.catalog = catalog;
+        this.getPopularity = options.getPopularity || (() => ({}));
+    }
+
+    async recommend(context, limit) {
+        const categories = new Set(context.productIds
+            .map(id => this.catalog.getProduct(id))
+            .filter(Boolean)
+            .map(product => product.category));
+        const popularity = this.getPopularity();
+
+        return this.catalog.getProducts()
+            .filter(product => categories.has(product.category))
+            .filter(product => !context.productIds.includes(product.id) && !context.excludeIds.includes(product.id))
+            .sort((a, b) => (popularity[b.id] || 0) - (popularity[a.id] || 0))
+            .slice(0, limit)
+            .map(product => product.id);
+    }
+}
+
+/**
+ * Recommender - Runs named strategies in turn until enough in-stock products are found
+ */
+class Recommender {
+    constructor(catalog, options = {}) {
+        this.catalog = catalog;
+        this.strategies = options.strategies || {};
+    }
+
+    /**
+     * Products from the named strategies, without duplicates or excluded products
+     */
+    async recommend(names, context = {}, limit = Recommender.DEFAULT_LIMIT) {
+        const productIds = context.productIds || [];
+        const excluded = new Set(context.excludeIds || []);
+        const picked = [];
+
+        for (const name of names) {
+            const strategy = this.strategies[name];
+            if (!strategy || picked.length >= limit) continue;
+
+            try {
+                const ids = await strategy.recommend({ productIds, excludeIds: [...excluded] }, limit - picked.length);
+                ids.forEach(id => {
+                    const product = this.catalog.getProduct(id);
+                    if (!product || product.stock === 0 || excluded.has(id) || picked.length >= limit) return;
+
+                    picked.push(product);
+                    excluded.add(id);
+                });
+            } catch (err) {
+                // A failing strategy leaves the others to fill the rail
+                console.error(`Recommender ${name} error`, err);
+            }
+        }
+        return picked;
+    }
+}
+
+/**
+ * Products per recommendation rail
+ */
+Recommender.DEFAULT_LIMIT = 4;
+
+/**
+ * RecommendationsView - Titled rails of recommended products
+ *
+ * Each rail is { id, title (i18n key), strategies }. Compact rails are a
+ * short list for the cart drawer; full rails reuse the catalog's product cards.
+ * A product appears in one rail only, and rails with no products are hidden.
+ */
+class RecommendationsView extends BaseComponent {
+    constructor(recommender, currency = new CurrencyConverter(), i18n = new I18n(), options = {}) {
+        super('RecommendationsView');
+        this.recommender = recommender;
+        this.catalog = recommender.catalog;
+        this.currency = currency;
+        this.i18n = i18n;
+        this.rails = options.rails || [];
+        this.limit = options.limit || Recommender.DEFAULT_LIMIT;
+        this.compact = options.compact === true;
+        this.container = null;
+        this.context = {};
+        this.renderCount = 0;
+        this.state = { productIds: [] };
+
+        this.currency.subscribe(() => this.render(this.container, this.context));
+        this.i18n.subscribe(() => this.render(this.container, this.context));
+    }
+
+    /**
+     * Render the rails for a context ({ productIds, excludeIds }) into a container
+     */
+    async render(container, context = {}) {
+        if (!container) return;
+
+        this.container = container;
+        this.context = context;
+        // Only the latest render may write to the container
+        const renderId = ++this.renderCount;
+        const shown = [...(context.excludeIds || [])];
+        const rails = [];
+
+        for (const rail of this.rails) {
+            const products = await this.recommender.recommend(rail.strategies, {
+                productIds: context.productIds || [],
+                excludeIds: shown
+            }, this.limit);
+            shown.push(...products.map(product => product.id));
+            if (products.length > 0) rails.push({ rail, products });
+        }
+        if (renderId !== this.renderCount) return;
+
+        container.innerHTML = rails.map(({ rail, products }) => this.renderRail(rail, products)).join('');
+        container.hidden = rails.length === 0;
+        this.setState({ productIds: shown.slice((context.excludeIds || []).length) });
+    }
+
+    /**
+     * Build one rail's markup
+     */
+    renderRail(rail, products) {
+        const title = this.i18n.html(rail.title);
+
+        if (this.compact) {
+            return `
+                <div class="recommendations-rail recommendations-compact" data-rail="${escapeHTML(rail.id)}">
+                    <h6 class="recommendations-title">${title}</h6>
+                    ${products.map(product => this.renderCompactItem(product)).join('')}
+                </div>
+            `;
+        }
+
+        return `
+            <div class="recommendations-rail" data-rail="${escapeHTML(rail.id)}">
+                <h3 class="recommendations-title">${title}</h3>
+                <div class="row g-4">${products.map(product => this.catalog.renderCard(product)).join('')}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Build a cart-drawer sized suggestion; products with options link to their page
+     */
+    renderCompactItem(product) {
+        const id = escapeHTML(product.id);
+        const href = `/product/${encodeURIComponent(product.id)}`;
+        const name = escapeHTML(product.name);
+        const action = this.catalog.hasVariants(product)
+            ? `<a href="${href}" class="btn btn-sm btn-outline-dark" aria-label="${this.i18n.html('catalog.chooseOptions', { name: product.name })}">${this.i18n.html('recommendations.view')}</a>`
+            : `<button type="button" class="btn btn-sm btn-outline-dark btn-add-cart" data-product-id="${id}" aria-label="${this.i18n.html('catalog.addToCart', { name: product.name })}">${this.i18n.html('recommendations.add')}</button>`;
+
+        return `
+            <div class="recommendation-item" data-product-id="${id}">
+                <img src="${escapeHTML(product.image)}" alt="${name}" class="cart-line-image">
+                <div class="cart-line-info">
+                    <h6 class="cart-line-name"><a href="${href}" class="product-link">${name}</a></h6>
+                    <span class="cart-line-price">${this.catalog.formatPrice(product)}</span>
+                </div>
+                ${action}
+            </div>
+        `;
+    }
+}
+
+// ==================== FORM VALIDATOR ====================
+
+/**
+ * FormValidator - Validate form data against declarative rule schemas
+ *
+ * A schema maps field names to rule lists. Rules are either a type name
+ * ('required', 'email', 'phone', 'postalCode') or an object such as
+ * { type: 'minLength', value: 8 }, { type: 'pattern', value: /^[A-Z]+$/ },
+ * { type: 'match', field: 'password' } or { type: 'custom', validate(value, formData) }.
+ * Custom validators may be async and return true, false or an error message.
+ * Messages (including a rule's own message) may be I18n keys such as 'validation.email'.
+ */
+class FormValidator extends BaseComponent {
+    constructor(schema = {}, options = {}) {
+        super('FormValidator');
+        this.i18n = options.i18n || new I18n();
+        this.rules = {};
+        this.addRules(schema);
+    }
+
+    /**
+     * Add validation rule
+     */
+    addRule(fieldName, rule) {
+        if (!this.rules[fieldName]) {
+            this.rules[fieldName] = [];
+        }
+        this.rules[fieldName].push(this.normalizeRule(rule));
+    }
+
+    /**
+     * Add every rule in a schema
+     */
+    addRules(schema) {
+        Object.entries(schema).forEach(([fieldName, rules]) => {
+            rules.forEach(rule => this.addRule(fieldName, rule));
+        });
+    }
+
+    /**
+     * Expand rule shorthand ('email') into rule objects
+     */
+    normalizeRule(rule) {
+        const normalized = typeof rule === 'string' ? { type: rule } : { ...rule };
+        if (!FormValidator.RULE_TYPES.includes(normalized.type)) {
+            throw new Error(`Unknown validation rule: ${normalized.type}`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Validate email
+     */
+    validateEmail(email) {
+        return FormValidator.PATTERNS.email.test(email);
+    }
+
+    /**
+     * Validate required field
+     */
+    validateRequired(value) {
+        return String(value ?? '').trim().length > 0;
+    }
+
+    /**
+     * Validate minimum length
+     */
+    validateMinLength(value, minLength) {
+        return value.length >= minLength;
+    }
+
+    /**
+     * Validate maximum length
+     */
+    validateMaxLength(value, maxLength) {
+        return value.length <= maxLength;
+    }
+
+    /**
+     * Validate Philippine mobile or landline number (spaces and dashes allowed)
+     */
+    validatePhone(phone) {
+        return FormValidator.PATTERNS.phone.test(phone.replace(/[\s-]/g, ''));
+    }
+
+    /**
+     * Validate Philippine postal code
+     */
+    validatePostalCode(postalCode) {
+        return FormValidator.PATTERNS.postalCode.test(postalCode);
+    }
+
+    /**
+     * Check a single rule, resolving to true or an error message
+     */
+    async checkRule(rule, value, formData) {
+        let outcome;
+
+        switch (rule.type) {
+            case 'required':
+                outcome = this.validateRequired(value);
+                break;
+            case 'email':
+                outcome = this.validateEmail(value);
+                break;
+            case 'minLength':
+                outcome = this.validateMinLength(value, rule.value);
+                break;
+            case 'maxLength':
+                outcome = this.validateMaxLength(value, rule.value);
+                break;
+            case 'pattern':
+                outcome = new RegExp(rule.value).test(value);
+                break;
+            case 'phone':
+                outcome = this.validatePhone(value);
+                break;
+            case 'postalCode':
+                outcome = this.validatePostalCode(value);
+                break;
+            case 'match':
+                outcome = value === String(formData[rule.field] ?? '');
+                break;
+            case 'custom':
+                outcome = await rule.validate(value, formData);
+                break;
+        }
+
+        if (outcome === true) return true;
+        return typeof outcome === 'string' ? this.translate(outcome) : this.getMessage(rule);
+    }
+
+    /**
+     * Get the error message for a failed rule in the active locale
+     */
+    getMessage(rule) {
+        return this.translate(rule.message || `validation.${rule.type}`, { value: rule.value, field: rule.field });
+    }
+
+    /**
+     * Translate catalog keys; plain strings only have their placeholders filled
+     */
+    translate(message, params = {}) {
+        return this.i18n.has(message) ? this.i18n.t(message, params) : I18n.interpolate(message, params);
+    }
+
+    /**
+     * Validate one field, returning every error message
+     */
+    async validateField(fieldName, formData, rules = this.rules[fieldName] || []) {
+        // Values are checked as read by getFormData, so passwords keep their spaces
+        const value = String(formData[fieldName] ?? '');
+        const isEmpty = !this.validateRequired(value);
+        const errors = [];
+
+        for (const rule of rules.map(rule => this.normalizeRule(rule))) {
+            // Optional fields are only checked once they have a value
+            if (isEmpty && rule.type !== 'required' && rule.type !== 'custom') continue;
+
+            const outcome = await this.checkRule(rule, value, formData);
+            if (outcome !== true) {
+                errors.push(outcome);
+                if (rule.type === 'required') break;
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate form data against a schema (defaults to the registered rules)
+     */
+    async validate(formData, schema = this.rules) {
+        const errors = {};
+
+        for (const [fieldName, rules] of Object.entries(schema)) {
+            const fieldErrors = await this.validateField(fieldName, formData, rules);
+            if (fieldErrors.length > 0) {
+                errors[fieldName] = fieldErrors;
+            }
+        }
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Read a form's values as strings, trimmed except for passwords
+     */
+    getFormData(form) {
+        return Object.fromEntries(
+            Array.from(new FormData(form).entries()).map(([key, value]) => {
+                const field = form.elements[key];
+                return [key, field && field.type === 'password' ? String(value) : String(value).trim()];
+            })
+        );
+    }
+
+    /**
+     * Get (or create) the inline error element for a field
+     */
+    getErrorElement(form, fieldName) {
+        const field = form.elements[fieldName];
+        const element = field instanceof RadioNodeList ? field[0] : field;
+        if (!element) return null;
+
+        const errorId = `${form.id || form.dataset.step || 'form'}-${fieldName}-error`;
+        let errorElement = document.getElementById(errorId);
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.id = errorId;
+            errorElement.className = 'invalid-feedback field-error';
+            const anchor = element.closest('fieldset') || element;
+            anchor.insertAdjacentElement(anchor === element ? 'afterend' : 'beforeend', errorElement);
+        }
+        return errorElement;
+    }
+
+    /**
+     * Show or clear inline errors for one field
+     */
+    showFieldErrors(form, fieldName, messages = []) {
+        const field = form.elements[fieldName];
+        if (!field) return;
+
+        const elements = field instanceof RadioNodeList ? Array.from(field) : [field];
+        const errorElement = this.getErrorElement(form, fieldName);
+        const hasErrors = messages.length > 0;
+
+        elements.forEach(element => {
+            const describedBy = (element.getAttribute('aria-describedby') || '')
+                .split(' ')
+                .filter(id => id && id !== errorElement.id);
+            if (hasErrors) describedBy.push(errorElement.id);
+
+            element.classList.toggle('is-invalid', hasErrors);
+            element.setAttribute('aria-invalid', String(hasErrors));
+            if (describedBy.length > 0) {
+                element.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                element.removeAttribute('aria-describedby');
+            }
+        });
+
+        errorElement.textContent = messages.join('. ');
+        errorElement.hidden = !hasErrors;
+    }
+
+    /**
+     * Validate a single field of a form and show its inline errors
+     */
+    async validateFormField(form, fieldName, schema = this.rules) {
+        if (!schema[fieldName]) return [];
+
+        const errors = await this.validateField(fieldName, this.getFormData(form), schema[fieldName]);
+        this.showFieldErrors(form, fieldName, errors);
+        return errors;
+    }
+
+    /**
+     * Show inline errors for a form, clearing fields that are now valid
+     */
+    showErrors(form, errors, schema = this.rules) {
+        const fieldNames = new Set([...Object.keys(schema), ...Object.keys(errors)]);
+        fieldNames.forEach(fieldName => this.showFieldErrors(form, fieldName, errors[fieldName] || []));
+
+        const firstInvalid = form.querySelector('[aria-invalid="true"]');
+        if (firstInvalid) {
+            firstInvalid.focus();
+        }
+    }
+}
+
+FormValidator.RULE_TYPES = [
+    'required', 'email', 'minLength', 'maxLength', 'pattern', 'phone', 'postalCode', 'match', 'custom'
+];
+
+FormValidator.PATTERNS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    // 09XXXXXXXXX / +639XXXXXXXXX mobile, or area code landline such as 043XXXXXXX
+    phone: /^(?:(?:\+63|0)9\d{9}|(?:\+63|0)[2-8]\d{7,8})$/,
+    postalCode: /^\d{4}$/
+};
+
+// ==================== NEWSLETTER ====================
+
+/**
+ * SubscriberStore - Interface for newsletter subscriptions with double opt-in
+ *
+ * subscribe() emails a confirmation link and resolves to { status }:
+ * 'pending' (new), 'resent' (already waiting for confirmation) or
+ * 'subscribed' (already confirmed). confirm() and unsubscribe() take the
+ * token from an emailed link and resolve to { status } of 'confirmed',
+ * 'unsubscribed' or 'invalid'. Failures reject with an Error whose code is
+ * 'rate-limited' (with retryAfter in ms), 'network' or 'unavailable'.
+ */
+class SubscriberStore {
+    async subscribe(email) {
+        throw new Error('SubscriberStore.subscribe not implemented');
+    }
+
+    async confirm(token) {
+        throw new Error('SubscriberStore.confirm not implemented');
+    }
+
+    async unsubscribe(token) {
+        throw new Error('SubscriberStore.unsubscribe not implemented');
+    }
+
+    /**
+     * Build the store described by the newsletter config; null when there is
+     * no subscriber API and the local fake is not turned on
+     */
+    static fromConfig(config = {}) {
+        if (config.endpoint) {
+            return new HttpSubscriberStore(config.endpoint);
+        }
+        return config.local ? new LocalSubscriberStore({ debug: config.debug }) : null;
+    }
+}
+
+/**
+ * HttpSubscriberStore - Subscriber store behind an HTTP API
+ *
+ * POSTs JSON to {endpoint}/subscribe { email }, {endpoint}/confirm { token }
+ * and {endpoint}/unsubscribe { token }; each responds with { status }. The
+ * server sends the emails and answers 429 with Retry-After when rate limited.
+ * See tools/mock-newsletter.js.
+ */
+class HttpSubscriberStore extends SubscriberStore {
+    constructor(endpoint) {
+        super();
+        this.endpoint = endpoint.replace(/\/$/, '');
+    }
+
+    async post(path, body) {
+        let response;
+        try {
+            response = await fetch(`${this.endpoint}/${path}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+        } catch (err) {
+            throw Object.assign(new Error('Newsletter service unreachable'), { code: 'network' });
+        }
+
+        if (response.status === 429) {
+            const retryAfter = Number(response.headers.get('Retry-After')) || 60;
+            throw Object.assign(new Error('Too many newsletter requests'), { code: 'rate-limited', retryAfter: retryAfter * 1000 });
+        }
+        if (!response.ok) {
+            throw Object.assign(new Error(`Newsletter service responded with ${response.status}`), { code: 'unavailable' });
+        }
+        return response.json();
+    }
+
+    subscribe(email) {
+        return this.post('subscribe', { email });
+    }
+
+    confirm(token) {
+        return this.post('confirm', { token });
+    }
+
+    unsubscribe(token) {
+        return this.post('unsubscribe', { token });
+    }
+}
+
+/**
+ * LocalSubscriberStore - Subscriber store fake kept in a StorageAdapter
+ *
+ * Used instead of an endpoint when newsletter.local is set. No email is sent
+ * and rate limits are only counted in this browser; with debug on,
+ * confirmation and unsubscribe links are logged to the console.
+ */
+class LocalSubscriberStore extends SubscriberStore {
+    constructor(options = {}) {
+        super();
+        this.storage = options.storage || new LocalStorageAdapter();
+        this.storageKey = options.storageKey || 'veloura.newsletter-subscribers';
+        this.now = options.now || (() => Date.now());
+        this.debug = Boolean(options.debug);
+    }
+
+    load() {
+        return this.storage.getItem(this.storageKey) || {};
+    }
+
+    save(subscribers) {
+        this.storage.setItem(this.storageKey, subscribers);
+    }
+
+    findByToken(subscribers, field, token) {
+        return Object.values(subscribers).find(subscriber => token && subscriber[field] === token) || null;
+    }
+
+    sendConfirmation(subscriber) {
+        if (!this.debug) return;
+
+        const origin = window.location.origin;
+        console.info(`📧 Confirm ${subscriber.email}: ${origin}/newsletter/confirm?token=${subscriber.confirmToken}`);
+        console.info(`📧 Unsubscribe ${subscriber.email}: ${origin}/newsletter/unsubscribe?token=${subscriber.unsubscribeToken}`);
+    }
+
+    async subscribe(email) {
+        const subscribers = this.load();
+        const key = email.trim().toLowerCase();
+        const existing = subscribers[key];
+
+        if (existing && existing.status === 'confirmed') {
+            return { status: 'subscribed' };
+        }
+
+        const subscriber = {
+            email: key,
+            status: 'pending',
+            confirmToken: existing && existing.status === 'pending' ? existing.confirmToken : generateId(),
+            unsubscribeToken: existing ? existing.unsubscribeToken : generateId(),
+            requestedAt: new Date(this.now()).toISOString()
+        };
+        subscribers[key] = subscriber;
+        this.save(subscribers);
+        this.sendConfirmation(subscriber);
+        return { status: existing && existing.status === 'pending' ? 'resent' : 'pending' };
+    }
+
+    async confirm(token) {
+        const subscribers = this.load();
+        const subscriber = this.findByToken(subscribers, 'confirmToken', token);
+        if (!subscriber || subscriber.status === 'unsubscribed') {
+            return { status: 'invalid' };
+        }
+
+        subscriber.status = 'confirmed';
+        subscriber.confirmedAt = subscriber.confirmedAt || new Date(this.now()).toISOString();
+        this.save(subscribers);
+        return { status: 'confirmed' };
+    }
+
+    async unsubscribe(token) {
+        const subscribers = this.load();
+        const subscriber = this.findByToken(subscribers, 'unsubscribeToken', token);
+        if (!subscriber) {
+            return { status: 'invalid' };
+        }
+
+        subscriber.status = 'unsubscribed';
+        subscriber.confirmToken = null;
+        this.save(subscribers);
+        return { status: 'unsubscribed' };
+    }
+}
+
+/**
+ * RateLimiter - Sliding window attempt counter kept in a StorageAdapter
+ */
+class RateLimiter {
+    constructor(options = {}) {
+        this.storage = options.storage || new LocalStorageAdapter();
+        this.storageKey = options.storageKey;
+        this.limit = options.limit || 3;
+        this.window = options.window || 10 * 60 * 1000;
+        this.now = options.now || (() => Date.now());
+    }
+
+    /**
+     * Record an attempt if allowed; resolves { allowed, retryAfter } (ms)
+     */
+    attempt() {
+        const now = this.now();
+        const attempts = (this.storage.getItem(this.storageKey) || []).filter(at => at > now - this.window);
+
+        if (attempts.length >= this.limit) {
+            return { allowed: false, retryAfter: attempts[0] + this.window - now };
+        }
+
+        this.storage.setItem(this.storageKey, [...attempts, now]);
+        return { allowed: true, retryAfter: 0 };
+    }
+}
+
+/**
+ * NewsletterForm - Footer sign-up form with loading, error and retry states
+ *
+ * Without a store nothing could send the confirmation email, so the sign-up is hidden.
+ * State: { status: 'idle' | 'loading' | 'success' | 'error', result, message, canRetry }
+ */
+class NewsletterForm extends BaseComponent {
+    constructor(element, store, validator, options = {}) {
+        super('NewsletterForm');
+        this.element = element;
+        this.store = store;
+        this.validator = validator;
+        this.i18n = options.i18n || new I18n();
+        this.rateLimiter = options.rateLimiter || new RateLimiter({
+            storageKey: 'veloura.newsletter-attempts',
+            limit: NewsletterForm.MAX_ATTEMPTS,
+            window: NewsletterForm.ATTEMPT_WINDOW
+        });
+        this.lastEmail = null;
+        this.state = { status: 'idle', result: null, message: '', canRetry: false };
+
+        if (this.element && !this.store) {
+            (this.element.closest('.newsletter-signup') || this.element).hidden = true;
+        } else if (this.element) {
+            this.bind();
+        }
+    }
+
+    bind() {
+        this.element.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        this.element.addEventListener('click', (e) => {
+            if (e.target.closest('[data-newsletter-action="retry"]')) {
+                this.send(this.lastEmail);
+            }
+        });
+        this.subscribe(() => this.render());
+    }
+
+    /**
+     * Validate the form and subscribe the email
+     */
+    async submit() {
+        const formData = this.validator.getFormData(this.element);
+
+        // People never see the honeypot field; bots fill it in. Look successful so they move on.
+        if (formData.website) {
+            this.element.reset();
+            this.setState({ status: 'success', result: null, message: this.i18n.t(NewsletterForm.MESSAGES.pending), canRetry: false });
+            return;
+        }
+
+        const result = await this.validator.validate(formData, NewsletterForm.SCHEMA);
+        this.validator.showErrors(this.element, result.errors, NewsletterForm.SCHEMA);
+        if (result.isValid) {
+            await this.send(formData.email);
+        }
+    }
+
+    async send(email) {
+        if (!email || this.state.status === 'loading') return;
+
+        const limit = this.rateLimiter.attempt();
+        if (!limit.allowed) {
+            this.setState({ status: 'error', result: 'rate-limited', message: this.getRateLimitMessage(limit.retryAfter), canRetry: false });
+            return;
+        }
+
+        this.lastEmail = email;
+        this.setState({ status: 'loading', result: null, message: this.i18n.t('newsletter.subscribing'), canRetry: false });
+
+        try {
+            const { status } = await this.store.subscribe(email);
+            this.element.reset();
+            this.setState({
+                status: 'success',
+                result: status,
+                message: this.i18n.t(NewsletterForm.MESSAGES[status] || NewsletterForm.MESSAGES.pending),
+                canRetry: false
+            });
+        } catch (err) {
+            console.error('NewsletterForm send error', err);
+            const rateLimited = err.code === 'rate-limited';
+            this.setState({
+                status: 'error',
+                result: err.code || 'unavailable',
+                message: rateLimited
+                    ? this.getRateLimitMessage(err.retryAfter)
+                    : this.i18n.t('newsletter.error'),
+                canRetry: !rateLimited
+            });
+        }
+    }
+
+    getRateLimitMessage(retryAfter) {
+        return this.i18n.t('newsletter.rateLimited', { count: Math.max(1, Math.ceil(retryAfter / 60000)) });
+    }
+
+    render() {
+        const { status, message, canRetry } = this.state;
+        const button = this.element.querySelector('[type="submit"]');
+        const output = this.element.querySelector('.newsletter-status');
+        const loading = status === 'loading';
+
+        this.element.setAttribute('aria-busy', String(loading));
+        button.disabled = loading;
+        button.innerHTML = loading
+            ? `<span class="spinner-border spinner-border-sm" aria-hidden="true"></span> ${this.i18n.html('newsletter.subscribing')}`
+            : this.i18n.html('newsletter.subscribe');
+        output.className = `newsletter-status newsletter-status-${status}`;
+        output.innerHTML = `${escapeHTML(message)}${canRetry
+            ? ` <button type="button" class="btn btn-link btn-sm" data-newsletter-action="retry">${this.i18n.html('newsletter.retry')}</button>`
+            : ''}`;
+    }
+}
+
+NewsletterForm.SCHEMA = {
+    email: ['required', 'email']
+};
+
+/**
+ * Message keys for each subscribe() outcome
+ */
+NewsletterForm.MESSAGES = {
+    pending: 'newsletter.pending',
+    resent: 'newsletter.resent',
+    subscribed: 'newsletter.subscribed'
+};
+
+/**
+ * Sign-up attempts allowed per browser in ATTEMPT_WINDOW (10 minutes)
+ */
+NewsletterForm.MAX_ATTEMPTS = 3;
+NewsletterForm.ATTEMPT_WINDOW = 10 * 60 * 1000;
+
+// ==================== FIREBASE & ACCOUNTS ====================
+
+/**
+ * FirebaseClient - Lazily loads the Firebase modular SDK from the CDN
+ *
+ * The page is a classic script, so SDK modules are pulled in with dynamic
+ * import() on first use. Services connect to the local emulators when
+ * config.emulators is set (see firebase.json).
+ */
+class FirebaseClient {
+    constructor(config = {}) {
+        this.config = config;
+        this.sdkUrl = `https://www.gstatic.com/firebasejs/${config.sdkVersion || FirebaseClient.SDK_VERSION}`;
+        this.modules = new Map();
+        this.app = null;
+        this.auth = null;
+        this.firestore = null;
+    }
+
+    /**
+     * Whether there is a project to talk to (real or emulated)
+     */
+    isConfigured() {
+        const options = this.config.options || {};
+        return Boolean(options.projectId && (options.apiKey || this.config.emulators));
+    }
+
+    /**
+     * Import an SDK module such as "auth" or "firestore" (cached)
+     */
+    load(name) {
+        if (!this.modules.has(name)) {
+            this.modules.set(name, import(`${this.sdkUrl}/firebase-${name}.js`));
+        }
+        return this.modules.get(name);
+    }
+
+    async getApp() {
+        if (!this.app) {
+            if (!this.isConfigured()) {
+                throw new Error('Firebase is not configured');
+            }
+            const { initializeApp } = await this.load('app');
+            // The emulators accept any API key
+            this.app = initializeApp({ ...this.config.options, apiKey: this.config.options.apiKey || 'emulator' });
+        }
+        return this.app;
+    }
+
+    getAuth() {
+        if (!this.auth) {
+            this.auth = Promise.all([this.getApp(), this.load('auth')]).then(([app, sdk]) => {
+                const auth = sdk.getAuth(app);
+                const emulators = this.config.emulators || {};
+                if (emulators.auth) {
+                    sdk.connectAuthEmulator(auth, emulators.auth, { disableWarnings: true });
+                }
+                return auth;
+            });
+        }
+        return this.auth;
+    }
+
+    getFirestore() {
+        if (!this.firestore) {
+            this.firestore = Promise.all([this.getApp(), this.load('firestore')]).then(([app, sdk]) => {
+                const db = sdk.getFirestore(app);
+                const emulators = this.config.emulators || {};
+                if (emulators.firestore) {
+                    sdk.connectFirestoreEmulator(db, emulators.firestore.host, emulators.firestore.port);
+                }
+                return db;
+            });
+        }
+        return this.firestore;
+    }
+}
+
+FirebaseClient.SDK_VERSION = '12.9.0';
+
+/**
+ * AuthService - Firebase Authentication state and email/password actions
+ *
+ * State: { ready, available, user } where user is a plain profile
+ * ({ uid, email, displayName, emailVerified }) or null.
+ */
+class AuthService extends BaseComponent {
+    constructor(firebase, options = {}) {
+        super('AuthService');
+        this.firebase = firebase;
+        this.i18n = options.i18n || new I18n();
+        this.state = { ready: false, available: firebase.isConfigured(), user: null };
+    }
+
+    /**
+     * Start listening to sign-in state
+     */
+    async init() {
+        if (!this.state.available) {
+            this.setState({ ready: true });
+            return;
+        }
+
+        try {
+            const [auth, sdk] = await Promise.all([this.firebase.getAuth(), this.firebase.load('auth')]);
+            sdk.onAuthStateChanged(auth, user => {
+                this.setState({ ready: true, user: user ? this.toProfile(user) : null });
+            });
+        } catch (err) {
+            console.error('AuthService init error', err);
+            this.setState({ ready: true, available: false });
+        }
+    }
+
+    toProfile(user) {
+        return {
+            uid: user.uid,
+            email: user.email,
+            displayName: user.displayName || '',
+            emailVerified: user.emailVerified
+        };
+    }
+
+    getUser() {
+        return this.state.user;
+    }
+
+    async signUp(email, password, displayName) {
+        const [auth, sdk] = await Promise.all([this.firebase.getAuth(), this.firebase.load('auth')]);
+        const { user } = await sdk.createUserWithEmailAndPassword(auth, email, password);
+        if (displayName) {
+            await sdk.updateProfile(user, { displayName });
+            this.setState({ user: this.toProfile(user) });
+        }
+        return this.toProfile(user);
+    }
+
+    async signIn(email, password) {
+        const [auth, sdk] = await Promise.all([this.firebase.getAuth(), this.firebase.load('auth')]);
+        const { user } = await sdk.signInWithEmailAndPassword(auth, email, password);
+        return this.toProfile(user);
+    }
+
+    async signOut() {
+        const [auth, sdk] = await Promise.all([this.firebase.getAuth(), this.firebase.load('auth')]);
+        await sdk.signOut(auth);
+    }
+
+    async resetPassword(email) {
+        const [auth, sdk] = await Promise.all([this.firebase.getAuth(), this.firebase.load('auth')]);
+        await sdk.sendPasswordResetEmail(auth, email);
+    }
+
+    async updateDisplayName(displayName) {
+        const [auth, sdk] = await Promise.all([this.firebase.getAuth(), this.firebase.load('auth')]);
+        if (!auth.currentUser) return;
+
+        await sdk.updateProfile(auth.currentUser, { displayName });
+        this.setState({ user: this.toProfile(auth.currentUser) });
+    }
+
+    /**
+     * Shopper-facing message for a Firebase Auth error
+     */
+    getErrorMessage(err) {
+        return this.i18n.t(AuthService.ERROR_MESSAGES[err && err.code] || 'auth.errors.generic');
+    }
+}
+
+/**
+ * Message keys for Firebase Auth error codes
+ */
+AuthService.ERROR_MESSAGES = {
+    'auth/email-already-in-use': 'auth.errors.emailInUse',
+    'auth/invalid-email': 'auth.errors.invalidEmail',
+    'auth/invalid-credential': 'auth.errors.invalidCredential',
+    'auth/user-not-found': 'auth.errors.invalidCredential',
+    'auth/wrong-password': 'auth.errors.invalidCredential',
+    'auth/weak-password': 'auth.errors.weakPassword',
+    'auth/too-many-requests': 'auth.errors.tooManyRequests',
+    'auth/network-request-failed': 'auth.errors.network'
+};
+
+/**
+ * FirestoreAccountStore - Per-user profile, addresses and saved cart in Firestore
+ *
+ * Documents: users/{uid} { displayName, phone, addresses[] } and
+ * carts/{uid} { snapshot } (a Cart snapshot). See firestore.rules.
+ */
+class FirestoreAccountStore {
+    constructor(firebase) {
+        this.firebase = firebase;
+    }
+
+    async getDocument(collection, uid) {
+        const [db, sdk] = await Promise.all([this.firebase.getFirestore(), this.firebase.load('firestore')]);
+        const snapshot = await sdk.getDoc(sdk.doc(db, collection, uid));
+        return snapshot.exists() ? snapshot.data() : null;
+    }
+
+    async setDocument(collection, uid, data) {
+        const [db, sdk] = await Promise.all([this.firebase.getFirestore(), this.firebase.load('firestore')]);
+        await sdk.setDoc(sdk.doc(db, collection, uid), { ...data, updatedAt: sdk.serverTimestamp() }, { merge: true });
+    }
+
+    async getProfile(uid) {
+        const data = await this.getDocument('users', uid) || {};
+        return {
+            displayName: data.displayName || '',
+            phone: data.phone || '',
+            addresses: Array.isArray(data.addresses) ? data.addresses : []
+        };
+    }
+
+    saveProfile(uid, profile) {
+        return this.setDocument('users', uid, profile);
+    }
+
+    async getCart(uid) {
+        const data = await this.getDocument('carts', uid);
+        return data ? data.snapshot : null;
+    }
+
+    saveCart(uid, snapshot) {
+        // Firestore rejects undefined values, so store a JSON round-trip of the snapshot
+        return this.setDocument('carts', uid, { snapshot: JSON.parse(JSON.stringify(snapshot)) });
+    }
+}
+
+// ==================== CHECKOUT ====================
+
+/**
+ * CheckoutCalculator - Applies shipping rates and tax rules to a cart subtotal
+ */
+class CheckoutCalculator {
+    constructor(config = {}) {
+        this.currency = config.currency || 'PHP';
+        this.i18n = config.i18n || new I18n();
+        this.shippingMethods = config.shippingMethods || CheckoutCalculator.DEFAULT_SHIPPING_METHODS;
+        this.taxRules = config.taxRules || CheckoutCalculator.DEFAULT_TAX_RULES;
+        this.freeShippingThreshold = new Money(
+            config.freeShippingThreshold ?? CheckoutCalculator.FREE_SHIPPING_THRESHOLD,
+            this.currency
+        );
+    }
+
+    /**
+     * Get available shipping methods
+     */
+    getShippingMethods() {
+        return [...this.shippingMethods];
+    }
+
+    /**
+     * Find shipping method by id
+     */
+    getShippingMethod(methodId) {
+        return this.shippingMethods.find(method => method.id === methodId) || null;
+    }
+
+    /**
+     * Get a shipping method's name in the current language
+     */
+    getShippingLabel(method) {
+        const key = `shipping.methods.${method.id}`;
+        return this.i18n.has(key) ? this.i18n.t(key) : method.label;
+    }
+
+    /**
+     * Get a tax line's name in the current language
+     */
+    getTaxLabel(tax) {
+        const key = `tax.${tax.id}`;
+        return this.i18n.has(key) ? this.i18n.t(key) : tax.label;
+    }
+
+    /**
+     * Whether a subtotal qualifies for free shipping
+     */
+    qualifiesForFreeShipping(subtotal) {
+        return subtotal.compare(this.freeShippingThreshold) >= 0;
+    }
+
+    /**
+     * Calculate shipping cost for a method
+     */
+    calculateShipping(subtotal, methodId) {
+        const method = this.getShippingMethod(methodId);
+        if (!method) return Money.zero(this.currency);
+
+        if (method.freeShippingEligible && this.qualifiesForFreeShipping(subtotal)) {
+            return Money.zero(this.currency);
+        }
+        return new Money(method.price, this.currency);
+    }
+
+    /**
+     * Calculate tax lines; inclusive taxes are reported but not added to the total
+     */
+    calculateTaxes(subtotal) {
+        return this.taxRules.map(rule => {
+            const amount = rule.inclusive
+                ? subtotal.subtract(subtotal.multiply(1 / (1 + rule.rate)))
+                : subtotal.multiply(rule.rate);
+
+            return {
+                id: rule.id,
+                label: rule.label,
+                inclusive: Boolean(rule.inclusive),
+                amount
+            };
+        });
+    }
+
+    /**
+     * Calculate order totals; shipping and tax apply to the discounted amount
+     *
+     * Gift wrap is taxed but does not count towards free shipping.
+     */
+    calculate(subtotal, methodId, discount = Money.zero(this.currency), giftWrap = Money.zero(this.currency)) {
+        const discounted = subtotal.subtract(discount);
+        const shipping = this.calculateShipping(discounted, methodId);
+        const taxes = this.calculateTaxes(discounted.add(giftWrap));
+        const addedTax = taxes
+            .filter(tax => !tax.inclusive)
+            .reduce((total, tax) => total.add(tax.amount), Money.zero(this.currency));
+
+        return {
+            subtotal,
+            discount,
+            giftWrap,
+            shipping,
+            taxes,
+            freeShipping: this.qualifiesForFreeShipping(discounted),
+            total: discounted.add(giftWrap).add(shipping).add(addedTax)
+        };
+    }
+}
+
+/**
+ * Free shipping on orders over ₱2,500 (minor units)
+ */
+CheckoutCalculator.FREE_SHIPPING_THRESHOLD = 250000;
+
+CheckoutCalculator.DEFAULT_SHIPPING_METHODS = [
+    { id: 'standard', label: 'Standard Delivery (3-5 days)', price: 15000, freeShippingEligible: true },
+    { id: 'express', label: 'Express Delivery (1-2 days)', price: 35000, freeShippingEligible: false },
+    { id: 'pickup', label: 'Store Pickup (Lipa City)', price: 0, freeShippingEligible: false }
+];
+
+/**
+ * Philippine VAT is included in catalog prices
+ */
+CheckoutCalculator.DEFAULT_TAX_RULES = [
+    { id: 'vat', label: 'VAT (12%)', rate: 0.12, inclusive: true }
+];
+
+/**
+ * Checkout - Multi-step checkout flow producing an order record
+ */
+class Checkout extends BaseComponent {
+    constructor(cart, validator, calculator = new CheckoutCalculator(), storage = new LocalStorageAdapter(), inventory = null, orderStore = null, payments = null) {
+        super('Checkout');
+        this.cart = cart;
+        this.validator = validator;
+        this.calculator = calculator;
+        this.storage = storage;
+        this.inventory = inventory;
+        this.orderStore = orderStore;
+        this.payments = payments;
+        this.ordersKey = 'veloura.orders';
+        this.expiryTimer = null;
+        // Card details stay out of state so they are never logged, saved or snapshotted
+        this.card = null;
+        this.state = {
+            step: null,
+            contact: {},
+            shipping: {},
+            shippingMethod: null,
+            // Chosen payment: { method, card: { brand, last4 } | null }
+            payment: null,
+            reservation: null,
+            // Rewards points applied as a discount: { points, amount } in minor units
+            redemption: null,
+            // Message for the shopper as { key, params }
+            notice: null,
+            order: null
+        };
+    }
+
+    /**
+     * Begin checkout at the first step
+     */
+    start() {
+        if (this.cart.getItemCount() === 0) {
+            throw new Error('Cannot check out an empty cart');
+        }
+
+        this.releaseReservation();
+        this.card = null;
+        this.setState({ step: Checkout.STEPS[0], payment: null, redemption: null, notice: null, order: null });
+        this.log('Checkout started');
+        this.emit('checkout:started', { itemCount: this.cart.getItemCount() });
+    }
+
+    /**
+     * Index of the current step
+     */
+    getStepIndex() {
+        return Checkout.STEPS.indexOf(this.state.step);
+    }
+
+    /**
+     * Validate and save data for the current step, then advance
+     */
+    async submitStep(formData = {}) {
+        const { step } = this.state;
+        const result = await this.validateStep(step, formData);
+        if (!result.isValid) {
+            return result;
+        }
+
+        const nextStep = Checkout.STEPS[this.getStepIndex() + 1] || step;
+        if (step === 'contact') {
+            this.setState({ contact: formData, step: nextStep, notice: null });
+        } else if (step === 'shipping') {
+            this.setState({ shipping: formData, step: nextStep, notice: null });
+        } else if (step === 'method') {
+            // Hold stock while the shopper reviews the order
+            const reserved = await this.reserveStock();
+            if (!reserved) {
+                return { isValid: false, errors: {} };
+            }
+            this.setState({ shippingMethod: formData.shippingMethod, step: nextStep, notice: null });
+        } else if (step === 'payment') {
+            const { paymentMethod, cardName, cardNumber, cardExpiry, cardCvc } = formData;
+            this.card = paymentMethod === 'card'
+                ? { name: cardName, number: cardNumber, expiry: cardExpiry, cvc: cardCvc }
+                : null;
+            this.setState({
+                payment: { method: paymentMethod, card: this.card ? PaymentCard.describe(cardNumber) : null },
+                step: nextStep,
+                notice: null
+            });
+        }
+
+        this.emit('checkout:step_completed', { step });
+        return result;
+    }
+
+    /**
+     * Reserve stock for every cart line, reporting shortfalls as a notice
+     */
+    async reserveStock() {
+        if (!this.inventory) return true;
+
+        await this.releaseReservation();
+        const items = this.cart.getCartData().items.map(item => ({ sku: item.sku, quantity: item.quantity }));
+
+        try {
+            const result = await this.inventory.reserve(items, Checkout.RESERVATION_TTL);
+            if (!result.isValid) {
+                const messages = result.unavailable.map(line => {
+                    const item = this.cart.getItem(line.sku);
+                    return this.cart.getStockMessage(item ? item.name : line.sku, line.available);
+                });
+                this.setState({ notice: { key: 'checkout.stockShortfall', params: { items: messages.join('. ') } } });
+                return false;
+            }
+
+            this.setState({ reservation: result.reservation });
+            this.scheduleExpiry(result.reservation);
+            return true;
+        } catch (err) {
+            console.error('Checkout reserveStock error', err);
+            this.setState({ notice: { key: 'checkout.reserveError' } });
+            return false;
+        }
+    }
+
+    /**
+     * Return to the delivery step when the reservation runs out
+     */
+    scheduleExpiry(reservation) {
+        clearTimeout(this.expiryTimer);
+        this.expiryTimer = setTimeout(() => {
+            if (this.state.reservation !== reservation) return;
+
+            this.releaseReservation();
+            this.setState({
+                step: 'method',
+                notice: { key: 'checkout.reservationExpired' }
+            });
+        }, Math.max(0, reservation.expiresAt - Date.now()));
+    }
+
+    /**
+     * Release the current stock reservation, if any
+     */
+    async releaseReservation() {
+        const { reservation } = this.state;
+        clearTimeout(this.expiryTimer);
+        if (!reservation || !this.inventory) return;
+
+        this.setState({ reservation: null });
+        try {
+            await this.inventory.release(reservation.id);
+        } catch (err) {
+            console.error('Checkout releaseReservation error', err);
+        }
+    }
+
+    /**
+     * Validation schema for a step
+     */
+    getSchema(step) {
+        const schemas = {
+            contact: {
+                email: ['required', 'email'],
+                phone: ['required', 'phone']
+            },
+            shipping: {
+                fullName: ['required', { type: 'maxLength', value: 80 }],
+                street: ['required', { type: 'maxLength', value: 120 }],
+                city: ['required'],
+                province: ['required'],
+                postalCode: ['required', 'postalCode']
+            },
+            method: {
+                shippingMethod: [{
+                    type: 'custom',
+                    validate: value => Boolean(this.calculator.getShippingMethod(value)),
+                    message: 'validation.shippingMethod'
+                }]
+            },
+            payment: {
+                paymentMethod: [{
+                    type: 'custom',
+                    validate: value => this.getPaymentMethods().includes(value),
+                    message: 'validation.paymentMethod'
+                }],
+                // Card fields only count when paying by card
+                cardName: [{ type: 'custom', validate: (value, data) => data.paymentMethod !== 'card' || value.length > 0, message: 'validation.required' }],
+                cardNumber: [{ type: 'custom', validate: (value, data) => data.paymentMethod !== 'card' || PaymentCard.isValidNumber(value), message: 'validation.cardNumber' }],
+                cardExpiry: [{ type: 'custom', validate: (value, data) => data.paymentMethod !== 'card' || PaymentCard.isValidExpiry(value), message: 'validation.cardExpiry' }],
+                cardCvc: [{ type: 'custom', validate: (value, data) => data.paymentMethod !== 'card' || /^\d{3,4}$/.test(value), message: 'validation.cardCvc' }]
+            }
+        };
+        return schemas[step] || {};
+    }
+
+    /**
+     * Validate step data with FormValidator
+     */
+    validateStep(step, formData) {
+        return this.validator.validate(formData, this.getSchema(step));
+    }
+
+    /**
+     * Payment methods on offer for the current totals
+     */
+    getPaymentMethods() {
+        return this.payments ? this.payments.getMethods(this.getTotals().total) : [];
+    }
+
+    /**
+     * Return to an earlier step (e.g. to choose another payment method)
+     */
+    goToStep(step) {
+        const index = Checkout.STEPS.indexOf(step);
+        if (index !== -1 && index < this.getStepIndex()) {
+            this.setState({ step, notice: null });
+        }
+    }
+
+    /**
+     * Go back one step
+     */
+    back() {
+        const index = this.getStepIndex();
+        if (index > 0) {
+            this.setState({ step: Checkout.STEPS[index - 1] });
+        }
+    }
+
+    /**
+     * Apply rewards points as a discount, or remove them with null
+     */
+    setRedemption(redemption) {
+        this.setState({ redemption });
+    }
+
+    /**
+     * Calculate totals for the current cart and shipping method; redeemed points count as a discount
+     */
+    getTotals() {
+        const { redemption } = this.state;
+        const discount = this.cart.getDiscountTotal();
+        return this.calculator.calculate(
+            this.cart.getSubtotal(),
+            this.state.shippingMethod,
+            redemption ? discount.add(new Money(redemption.amount, discount.currency)) : discount,
+            this.cart.getGiftTotal()
+        );
+    }
+
+    /**
+     * Create the order record, claim reserved stock and empty the cart
+     *
+     * With an order store the order is written there first; a failed write
+     * leaves the reservation in place so the shopper can try again.
+     */
+    async placeOrder(details = {}) {
+        if (this.state.step !== 'review') {
+            throw new Error('Checkout is not ready to place an order');
+        }
+        if (this.inventory && !this.state.reservation) {
+            throw new Error('Stock reservation has expired');
+        }
+        if (this.payments && !this.state.payment) {
+            throw new Error('No payment method chosen');
+        }
+        // Points applied on the review step change the total, and with it which methods are offered (e.g. the COD limit)
+        if (this.payments && !this.getPaymentMethods().includes(this.state.payment.method)) {
+            const { method } = this.state.payment;
+            this.setState({ step: 'payment', payment: null });
+            throw PaymentProvider.createError(`Payment method ${method} is not available for this total`, 'method-unavailable');
+        }
+
+        const order = this.createOrder(details);
+        if (this.payments) {
+            const intent = await this.payments.pay(this.state.payment.method, Money.fromJSON(order.totals.total), {
+                reference: order.orderNumber,
+                email: order.contact.email,
+                card: this.card
+            });
+            order.payment = this.payments.describe(intent);
+        }
+
+        let notice = null;
+        if (this.orderStore) {
+            try {
+                order.trackingId = await this.orderStore.getTrackingId(order.orderNumber, order.contact.email);
+                await this.orderStore.createOrder(order);
+            } catch (err) {
+                if (err.code !== 'timeout') {
+                    this.refundPayment(order);
+                    throw err;
+                }
+                // The write may still land, so the order is placed as pending and the payment
+                // webhook marks it paid once it does; only a rejected write gives the payment back
+                notice = { key: 'checkout.orderUnconfirmed' };
+                err.pending.catch(writeErr => {
+                    console.error('Checkout createOrder error', writeErr);
+                    this.refundPayment(order);
+                });
+            }
+        }
+
+        if (this.inventory) {
+            try {
+                await this.inventory.commit(this.state.reservation.id, order.trackingId || null);
+            } catch (err) {
+                this.setState({ step: 'method', reservation: null, notice: { key: 'checkout.reservationExpired' } });
+                // Rules only let members cancel their own orders; guest orders are cancelled by
+                // the payment API once the refund goes through (by staff for cash on delivery)
+                if (this.orderStore && order.uid) {
+                    this.orderStore.updateStatus(order.trackingId, 'cancelled', 'Stock reservation expired')
+                        .catch(cancelErr => console.error('Checkout cancel order error', cancelErr));
+                }
+                this.refundPayment(order);
+                throw err;
+            }
+            clearTimeout(this.expiryTimer);
+        }
+
+        if (this.cart.discountEngine && order.adjustments.length > 0) {
+            this.cart.discountEngine.recordUsage(order.adjustments.map(adjustment => adjustment.code));
+        }
+        this.saveOrder(order);
+        this.cart.clearCart('order_placed');
+        this.card = null;
+        this.setState({ order, step: 'complete', reservation: null, payment: null, redemption: null, notice });
+        this.log(`Order ${order.orderNumber} placed`);
+        this.emit('checkout:completed', { order });
+        return order;
+    }
+
+    /**
+     * Give back a payment taken for an order that could not be placed
+     */
+    async refundPayment(order) {
+        if (!this.payments || !order.payment) return;
+
+        try {
+            await this.payments.refund(order.payment);
+        } catch (err) {
+            console.error('Checkout refundPayment error', err);
+        }
+    }
+
+    /**
+     * Build the order record from the cart and checkout details
+     * (rewards: { tier, pointsEarned, pointsRedeemed, redemptionAmount } for members)
+     */
+    createOrder({ uid = null, rewards = null } = {}) {
+        const totals = this.getTotals();
+        const cartData = this.cart.getCartData();
+        return {
+            orderNumber: this.generateOrderNumber(),
+            uid,
+            status: 'pending',
+            history: [OrderLifecycle.createEntry('pending')],
+            createdAt: new Date().toISOString(),
+            contact: { ...this.state.contact },
+            shippingAddress: { ...this.state.shipping },
+            shippingMethod: this.calculator.getShippingMethod(this.state.shippingMethod),
+            items: cartData.items.map(item => ({
+                id: item.id,
+                sku: item.sku,
+                name: item.name,
+                options: { ...item.options },
+                variantLabel: item.variantLabel || '',
+                price: item.price,
+                currency: item.currency,
+                quantity: item.quantity,
+                lineTotal: this.cart.getLineTotal(item).toJSON(),
+                gift: item.gift ? this.createOrderGift(item) : null
+            })),
+            giftRecipient: cartData.giftRecipient,
+            // Filled in once paid. The order moves to 'paid' when the payment API
+            // (locally tools/mock-orders.js) gets the gateway's webhook; staff confirm COD orders
+            payment: null,
+            promoCodes: cartData.promoCodes,
+            adjustments: cartData.adjustments,
+            rewards,
+            totals: {
+                subtotal: totals.subtotal.toJSON(),
+                discount: totals.discount.toJSON(),
+                giftWrap: totals.giftWrap.toJSON(),
+                shipping: totals.shipping.toJSON(),
+                taxes: totals.taxes.map(tax => ({ ...tax, amount: tax.amount.toJSON() })),
+                total: totals.total.toJSON()
+            }
+        };
+    }
+
+    /**
+     * Gift options for an order line, keeping the style name and charge as they were when ordered
+     */
+    createOrderGift(item) {
+        const style = this.cart.getGiftWrapStyle(item.gift.wrap);
+        return {
+            wrap: style ? style.id : null,
+            wrapLabel: style ? style.label : '',
+            message: item.gift.message || '',
+            charge: this.cart.getGiftCharge(item).toJSON()
+        };
+    }
+
+    /**
+     * Keep placed orders on this device, newest first
+     */
+    saveOrder(order) {
+        const orders = [order, ...this.getOrders()].slice(0, Checkout.MAX_SAVED_ORDERS);
+        this.storage.setItem(this.ordersKey, orders);
+    }
+
+    /**
+     * Refresh a saved order with a newer copy (e.g. a status change)
+     */
+    updateSavedOrder(order) {
+        const orders = this.getOrders();
+        if (!orders.some(saved => saved.orderNumber === order.orderNumber)) return;
+
+        this.storage.setItem(this.ordersKey, orders.map(saved => saved.orderNumber === order.orderNumber ? order : saved));
+    }
+
+    /**
+     * Get orders placed on this device
+     */
+    getOrders() {
+        return this.storage.getItem(this.ordersKey) || [];
+    }
+
+    /**
+     * Find a saved order by order number
+     */
+    getOrder(orderNumber) {
+        return this.getOrders().find(order => order.orderNumber === orderNumber) || null;
+    }
+
+    /**
+     * Generate an order number like VEL-20260115-7K3Q9X
+     */
+    generateOrderNumber() {
+        const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        const alphabet = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+        const bytes = new Uint8Array(6);
+        crypto.getRandomValues(bytes);
+        const suffix = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+        return `VEL-${date}-${suffix}`;
+    }
+
+    /**
+     * Reset checkout state
+     */
+    reset() {
+        this.releaseReservation();
+        this.card = null;
+        this.setState({ step: null, contact: {}, shipping: {}, shippingMethod: null, payment: null, redemption: null, notice: null, order: null });
+    }
+}
+
+Checkout.STEPS = ['contact', 'shipping', 'method', 'payment', 'review'];
+
+/**
+ * How long stock stays reserved while the shopper reviews the order (10 minutes)
+ */
+Checkout.RESERVATION_TTL = 10 * 60 * 1000;
+
+Checkout.MAX_SAVED_ORDERS = 20;
+
+/**
+ * CheckoutView - Renders the checkout modal for the current step
+ */
+class CheckoutView extends BaseComponent {
+    constructor(checkout, element, currency = new CurrencyConverter(), i18n = new I18n(), rewards = null) {
+        super('CheckoutView');
+        this.checkout = checkout;
+        this.element = element;
+        this.currency = currency;
+        this.i18n = i18n;
+        this.rewards = rewards;
+        this.timer = null;
+
+        this.checkout.subscribe(() => this.render());
+        this.i18n.subscribe(() => this.render());
+        if (this.rewards) {
+            this.rewards.subscribe(() => this.render());
+        }
+        if (this.checkout.payments) {
+            this.checkout.payments.subscribe(() => this.renderPaymentStatus());
+        }
+    }
+
+    /**
+     * Open the checkout modal
+     */
+    open() {
+        if (!this.element) return;
+
+        this.render();
+        if (window.bootstrap && window.bootstrap.Modal) {
+            window.bootstrap.Modal.getOrCreateInstance(this.element).show();
+        } else {
+            this.element.classList.add('show');
+            this.element.style.display = 'block';
+        }
+    }
+
+    /**
+     * Close the checkout modal
+     */
+    close() {
+        if (!this.element) return;
+
+        if (window.bootstrap && window.bootstrap.Modal) {
+            window.bootstrap.Modal.getOrCreateInstance(this.element).hide();
+        } else {
+            this.element.classList.remove('show');
+            this.element.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show the panel for the current step
+     */
+    render() {
+        if (!this.element) return;
+
+        const { step } = this.checkout.getState();
+        const stepIndex = this.checkout.getStepIndex();
+
+        this.element.querySelectorAll('[data-step]').forEach(panel => {
+            panel.hidden = panel.dataset.step !== step;
+        });
+        this.element.querySelectorAll('.checkout-progress li').forEach((item, index) => {
+            item.classList.toggle('active', index === stepIndex);
+            item.classList.toggle('done', step === 'complete' || index < stepIndex);
+        });
+
+        const { notice } = this.checkout.getState();
+        const noticeElement = this.element.querySelector('.checkout-notice');
+        if (noticeElement) {
+            noticeElement.hidden = !notice;
+            noticeElement.textContent = notice ? this.i18n.t(notice.key, notice.params) : '';
+        }
+
+        if (step === 'method') this.renderShippingMethods();
+        if (step === 'payment') this.renderPaymentMethods();
+        if (step === 'review') this.renderReview();
+        if (step === 'complete') this.renderConfirmation();
+        this.renderReservationTimer();
+    }
+
+    /**
+     * Count down the stock reservation while on the review step
+     */
+    renderReservationTimer() {
+        clearInterval(this.timer);
+        const { step, reservation } = this.checkout.getState();
+        const container = this.element.querySelector('.checkout-reservation');
+        if (!container) return;
+
+        container.hidden = step !== 'review' || !reservation;
+        if (container.hidden) return;
+
+        const tick = () => {
+            const remaining = Math.max(0, reservation.expiresAt - Date.now());
+            const minutes = Math.floor(remaining / 60000);
+            const seconds = String(Math.floor((remaining % 60000) / 1000)).padStart(2, '0');
+            container.textContent = this.i18n.t('checkout.reservedFor', { time: `${minutes}:${seconds}` });
+        };
+        tick();
+        this.timer = setInterval(tick, 1000);
+    }
+
+    /**
+     * Render shipping method choices with their current price
+     */
+    renderShippingMethods() {
+        const container = this.element.querySelector('.checkout-shipping-methods');
+        if (!container) return;
+
+        const { cart } = this.checkout;
+        const subtotal = cart.getSubtotal().subtract(cart.getDiscountTotal());
+        const selected = this.checkout.getState().shippingMethod;
+        const calculator = this.checkout.calculator;
+
+        container.innerHTML = calculator.getShippingMethods().map(method => {
+            const price = calculator.calculateShipping(subtotal, method.id);
+            return `
+                <label class="checkout-option">
+                    <input type="radio" name="shippingMethod" value="${escapeHTML(method.id)}" ${method.id === selected ? 'checked' : ''}>
+                    <span class="checkout-option-label">${escapeHTML(calculator.getShippingLabel(method))}</span>
+                    <span class="checkout-option-price">${this.formatShipping(price)}</span>
+                </label>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Shipping cost, or "FREE"
+     */
+    formatShipping(amount) {
+        return amount.isZero() ? this.i18n.html('common.free') : this.currency.format(amount);
+    }
+
+    /**
+     * Render payment method choices for the order total
+     */
+    renderPaymentMethods() {
+        const container = this.element.querySelector('.checkout-payment-methods');
+        if (!container) return;
+
+        const { payment } = this.checkout.getState();
+        const methods = this.checkout.getPaymentMethods();
+        const selected = payment && methods.includes(payment.method) ? payment.method : methods[0];
+
+        // Without the payment API only cash on delivery is offered, and it has a limit
+        container.innerHTML = methods.length === 0
+            ? `<p class="checkout-payment-unavailable">${this.i18n.html('payment.noMethods')}</p>`
+            : methods.map(method => `
+            <label class="checkout-option">
+                <input type="radio" name="paymentMethod" value="${escapeHTML(method)}" ${method === selected ? 'checked' : ''}>
+                <span class="checkout-option-label"><i class="${CheckoutView.PAYMENT_ICONS[method] || 'fas fa-wallet'}"></i> ${this.i18n.html(`payment.methods.${method}`)}</span>
+                <span class="checkout-option-price">${this.i18n.html(`payment.notes.${method}`)}</span>
+            </label>
+        `).join('');
+
+        const sandboxNote = this.element.querySelector('.checkout-sandbox-note');
+        if (sandboxNote) {
+            sandboxNote.hidden = !this.checkout.payments.sandbox;
+            sandboxNote.textContent = this.i18n.t('payment.sandboxNote');
+        }
+        this.showPaymentFields(selected);
+    }
+
+    /**
+     * Show the card fields only when paying by card
+     */
+    showPaymentFields(method) {
+        const cardFields = this.element.querySelector('.checkout-card-fields');
+        if (cardFields) {
+            cardFields.hidden = method !== 'card';
+        }
+    }
+
+    /**
+     * Describe the chosen payment method, e.g. "Visa ending in 4242"
+     */
+    describePayment(payment) {
+        if (!payment) return '';
+        if (payment.card) {
+            return this.i18n.t('payment.cardEnding', {
+                brand: this.i18n.t(`payment.brands.${payment.card.brand}`),
+                last4: payment.card.last4
+            });
+        }
+        return this.i18n.t(`payment.methods.${payment.method}`);
+    }
+
+    /**
+     * Disable placing the order while a payment is in progress
+     */
+    renderPaymentStatus() {
+        const button = this.element && this.element.querySelector('[data-checkout-action="place-order"]');
+        if (!button) return;
+
+        const { status } = this.checkout.payments.getState();
+        const busy = status === 'processing' || status === 'action';
+        button.disabled = busy;
+        button.textContent = this.i18n.t(busy ? `payment.status.${status}` : 'checkout.placeOrder');
+    }
+
+    /**
+     * Render the order summary before placing the order
+     */
+    renderReview() {
+        const container = this.element.querySelector('.checkout-summary');
+        if (!container) return;
+
+        const { contact, shipping, shippingMethod, payment, redemption } = this.checkout.getState();
+        const { calculator } = this.checkout;
+        const totals = this.checkout.getTotals();
+        const method = calculator.getShippingMethod(shippingMethod);
+        const { items, giftRecipient } = this.checkout.cart.getCartData();
+        const lines = items.map(item => `
+            <li class="d-flex justify-content-between">
+                <span>${escapeHTML(item.name)}${item.variantLabel ? ` (${escapeHTML(item.variantLabel)})` : ''} &times; ${item.quantity}</span>
+                <span>${this.currency.format(this.checkout.cart.getLineTotal(item))}</span>
+            </li>
+            ${item.gift ? this.renderGift(item) : ''}
+        `).join('');
+        const discounts = this.checkout.cart.getAdjustments().map(adjustment => `
+            <li class="d-flex justify-content-between checkout-discount">
+                <span>${escapeHTML(adjustment.label)} (${escapeHTML(adjustment.code)})</span>
+                <span>${this.currency.format(adjustment.amount)}</span>
+            </li>
+        `).join('');
+        const points = redemption ? `
+            <li class="d-flex justify-content-between checkout-discount">
+                <span>${this.i18n.html('rewards.summaryLine', { count: redemption.points })}</span>
+                <span>${this.currency.format(new Money(-redemption.amount, totals.subtotal.currency))}</span>
+            </li>
+        ` : '';
+        const taxes = totals.taxes.map(tax => `
+            <li class="d-flex justify-content-between text-muted">
+                <span>${tax.inclusive ? this.i18n.html('checkout.taxIncluded', { label: calculator.getTaxLabel(tax) }) : escapeHTML(calculator.getTaxLabel(tax))}</span>
+                <span>${this.currency.format(tax.amount)}</span>
+            </li>
+        `).join('');
+
+        container.innerHTML = `
+            <h6>${this.i18n.html('checkout.contact')}</h6>
+            <p>${escapeHTML(contact.email)} &middot; ${escapeHTML(contact.phone)}</p>
+            <h6>${this.i18n.html('checkout.shipTo')}</h6>
+            <p>${escapeHTML(shipping.fullName)}<br>${escapeHTML(shipping.street)}, ${escapeHTML(shipping.city)}, ${escapeHTML(shipping.province)} ${escapeHTML(shipping.postalCode)}</p>
+            ${giftRecipient ? `
+                <h6>${this.i18n.html('gift.recipient')}</h6>
+                <p>${escapeHTML(giftRecipient.fullName)}<br>${escapeHTML(giftRecipient.street)}, ${escapeHTML(giftRecipient.city)}, ${escapeHTML(giftRecipient.province)} ${escapeHTML(giftRecipient.postalCode)}</p>
+            ` : ''}
+            ${payment ? `
+                <h6>${this.i18n.html('payment.title')}</h6>
+                <p class="checkout-payment">${escapeHTML(this.describePayment(payment))}</p>
+            ` : ''}
+            <h6>${this.i18n.html('checkout.items')}</h6>
+            <ul class="checkout-lines">${lines}</ul>
+            <ul class="checkout-totals">
+                <li class="d-flex justify-content-between"><span>${this.i18n.html('cart.subtotal')}</span><span>${this.currency.format(totals.subtotal)}</span></li>
+                ${discounts}
+                ${points}
+                ${totals.giftWrap.isZero() ? '' : `<li class="d-flex justify-content-between"><span>${this.i18n.html('gift.wrapTotal')}</span><span>${this.currency.format(totals.giftWrap)}</span></li>`}
+                <li class="d-flex justify-content-between"><span>${escapeHTML(method ? calculator.getShippingLabel(method) : this.i18n.t('checkout.shipping'))}</span><span>${this.formatShipping(totals.shipping)}</span></li>
+                ${taxes}
+                <li class="d-flex justify-content-between checkout-total"><span>${this.i18n.html('cart.total')}</span><span>${this.currency.format(totals.total)}</span></li>
+            </ul>
+        `;
+        this.renderPoints(totals, redemption);
+        if (this.checkout.payments) {
+            this.renderPaymentStatus();
+        }
+    }
+
+    /**
+     * Gift wrap and card message under an order summary line
+     */
+    renderGift(item) {
+        const { cart } = this.checkout;
+        const charge = cart.getGiftCharge(item);
+        return `
+            <li class="d-flex justify-content-between checkout-line-gift">
+                <span>
+                    <i class="fas fa-gift"></i> ${escapeHTML(item.gift.wrap ? cart.getGiftWrapLabel(item.gift.wrap) : this.i18n.t('gift.cardOnly'))}
+                    ${item.gift.message ? `<q class="gift-message">${escapeHTML(item.gift.message)}</q>` : ''}
+                </span>
+                <span>${charge.isZero() ? '' : this.currency.format(charge)}</span>
+            </li>
+        `;
+    }
+
+    /**
+     * Render points to be earned and, for members with enough points, the redeem form
+     */
+    renderPoints(totals, redemption) {
+        const container = this.element.querySelector('.checkout-points');
+        if (!container) return;
+
+        container.hidden = !this.rewards;
+        if (!this.rewards) return;
+
+        const earned = this.rewards.getEarnedFor(totals);
+        if (!this.rewards.isMember()) {
+            container.innerHTML = earned > 0 ? `<p class="checkout-points-earn"><i class="fas fa-star"></i> ${this.i18n.html('rewards.guestEarn', { count: earned })}</p>` : '';
+            return;
+        }
+
+        const { rules } = this.rewards.program;
+        const max = this.rewards.getRedeemLimit(totals, redemption);
+        let redeem = '';
+        if (redemption) {
+            redeem = `
+                <p class="checkout-points-applied">
+                    ${this.i18n.html('rewards.applied', { count: redemption.points })}
+                    <button type="button" class="btn btn-link btn-sm" data-checkout-action="remove-points">${this.i18n.html('rewards.remove')}</button>
+                </p>
+            `;
+        } else if (max > 0) {
+            redeem = `
+                <form class="points-form" id="points-form" novalidate>
+                    <label for="points-form-points" class="form-label">${this.i18n.html('rewards.available', { balance: this.rewards.getBalance(), max })}</label>
+                    <div class="d-flex gap-2">
+                        <input type="number" class="form-control form-control-sm" id="points-form-points" name="points" min="${rules.minRedeem}" max="${max}" step="${rules.redeemStep}" value="${max}">
+                        <button type="submit" class="btn btn-sm btn-outline-dark">${this.i18n.html('rewards.apply')}</button>
+                    </div>
+                </form>
+            `;
+        }
+
+        container.innerHTML = `
+            <p class="checkout-points-earn"><i class="fas fa-star"></i> ${this.i18n.html('rewards.earnEstimate', { count: earned })}</p>
+            ${redeem}
+        `;
+    }
+
+    /**
+     * Render the placed order confirmation
+     */
+    renderConfirmation() {
+        const container = this.element.querySelector('.checkout-confirmation-number');
+        const { order } = this.checkout.getState();
+        if (container && order) {
+            container.textContent = order.orderNumber;
+        }
+    }
+}
+
+/**
+ * Font Awesome icons for payment methods
+ */
+CheckoutView.PAYMENT_ICONS = {
+    card: 'fas fa-credit-card',
+    gcash: 'fas fa-mobile-alt',
+    maya: 'fas fa-mobile-alt',
+    cod: 'fas fa-money-bill-wave'
+};
+
+// ==================== PAYMENTS ====================
+
+/**
+ * PaymentCard - Card number and expiry checks shared by the card adapters
+ */
+class PaymentCard {
+    static normalizeNumber(number) {
+        return String(number || '').replace(/[\s-]/g, '');
+    }
+
+    /**
+     * Luhn checksum over a 12-19 digit card number
+     */
+    static isValidNumber(number) {
+        const digits = PaymentCard.normalizeNumber(number);
+        if (!/^\d{12,19}$/.test(digits)) return false;
+
+        const sum = Array.from(digits).reverse().reduce((total, digit, index) => {
+            let value = Number(digit);
+            if (index % 2 === 1) {
+                value *= 2;
+                if (value > 9) value -= 9;
+            }
+            return total + value;
+        }, 0);
+        return sum % 10 === 0;
+    }
+
+    /**
+     * Parse an MM/YY expiry into { month, year }, or null
+     */
+    static parseExpiry(expiry) {
+        const match = String(expiry || '').trim().match(/^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/);
+        if (!match) return null;
+
+        const month = Number(match[1]);
+        const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+        return month >= 1 && month <= 12 ? { month, year } : null;
+    }
+
+    /**
+     * Whether the card still works at the end of its expiry month
+     */
+    static isValidExpiry(expiry, now = new Date()) {
+        const parsed = PaymentCard.parseExpiry(expiry);
+        if (!parsed) return false;
+
+        return parsed.year > now.getFullYear()
+            || (parsed.year === now.getFullYear() && parsed.month >= now.getMonth() + 1);
+    }
+
+    static getBrand(number) {
+        const digits = PaymentCard.normalizeNumber(number);
+        if (/^4/.test(digits)) return 'visa';
+        if (/^(5[1-5]|2[2-7])/.test(digits)) return 'mastercard';
+        if (/^3[47]/.test(digits)) return 'amex';
+        if (/^35/.test(digits)) return 'jcb';
+        return 'card';
+    }
+
+    /**
+     * Safe description of a card for order records: { brand, last4 }
+     */
+    static describe(number) {
+        const digits = PaymentCard.normalizeNumber(number);
+        return { brand: PaymentCard.getBrand(digits), last4: digits.slice(-4) };
+    }
+}
+
+/**
+ * PaymentProvider - Interface for taking payments through a gateway
+ *
+ * Amounts are Money. createIntent() resolves to an intent
+ * { id, provider, method, amount, status, nextAction } whose status is
+ * 'requires_confirmation', 'requires_action', 'processing', 'succeeded',
+ * 'pending' (collected later, e.g. cash on delivery) or 'failed'. When a
+ * confirmed intent needs 3-D Secure or a wallet login, nextAction is
+ * { type: 'three_d_secure' | 'redirect', url } and handleAction() resolves with
+ * the intent once the shopper is back. Failures reject with an Error whose
+ * code is one of PaymentProvider.ERROR_CODES and whose retryable flag says
+ * whether trying again may succeed.
+ */
+class PaymentProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Whether the provider accepts a payment method for an amount
+     */
+    isAvailable(method, amount) {
+        return true;
+    }
+
+    async createIntent(amount, details) {
+        throw new Error(`${this.constructor.name} must implement createIntent(${amount})`);
+    }
+
+    async confirm(intent, paymentMethod) {
+        throw new Error(`${this.constructor.name} must implement confirm(${intent.id})`);
+    }
+
+    async handleAction(intent) {
+        throw new Error(`${this.constructor.name} must implement handleAction(${intent.id})`);
+    }
+
+    /**
+     * Refund some or all of a payment; resolves to { id, intentId, amount, status }
+     */
+    async refund(intent, amount) {
+        throw new Error(`${this.constructor.name} must implement refund(${intent.id})`);
+    }
+
+    /**
+     * Check a webhook's signature, resolving to the parsed event { id, type, data }
+     */
+    async verifyWebhook(payload, signature) {
+        throw new Error(`${this.constructor.name} must implement verifyWebhook()`);
+    }
+
+    /**
+     * Create an Error carrying a payment error code
+     */
+    static createError(message, code, retryable = false) {
+        return Object.assign(new Error(message), { code, retryable });
+    }
+
+    /**
+     * Hex HMAC-SHA256 of a webhook payload
+     */
+    static async sign(payload, secret) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const digest = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Verify a signed webhook payload and parse it
+     */
+    static async parseWebhook(payload, signature, secret) {
+        const expected = await PaymentProvider.sign(payload, secret);
+        const given = String(signature || '');
+        // Compare every character so the time taken does not reveal the signature
+        let mismatch = expected.length !== given.length;
+        for (let i = 0; i < expected.length; i++) {
+            mismatch = (expected.charCodeAt(i) !== given.charCodeAt(i)) || mismatch;
+        }
+        if (mismatch) {
+            throw PaymentProvider.createError('Webhook signature does not match', 'invalid-signature');
+        }
+        return JSON.parse(payload);
+    }
+}
+
+PaymentProvider.ERROR_CODES = [
+    'declined', 'insufficient-funds', 'authentication-failed', 'action-blocked',
+    'network', 'unavailable', 'method-unavailable', 'refund-failed', 'invalid-signature'
+];
+
+/**
+ * HttpPaymentProvider - Payment provider behind the shop's payment API
+ *
+ * The API keeps the gateway's secret keys and answers with intents:
+ * - POST {endpoint}/intents { amount, method, reference, email }
+ * - POST {endpoint}/intents/{id}/confirm { paymentMethod }
+ * - GET {endpoint}/intents/{id}
+ * - POST {endpoint}/intents/{id}/refund { amount }
+ * Declines answer 402 with { code }. Webhooks go to the API, which marks the
+ * order paid; webhookSecret is only needed where webhooks are received.
+ */
+class HttpPaymentProvider extends PaymentProvider {
+    constructor(endpoint, options = {}) {
+        super(options.name || 'http');
+        this.endpoint = endpoint.replace(/\/$/, '');
+        this.webhookSecret = options.webhookSecret || null;
+        this.returnUrl = options.returnUrl || `${window.location.origin}/payment-return.html`;
+    }
+
+    async request(method, path, body) {
+        let response;
+        try {
+            response = await fetch(`${this.endpoint}/${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (err) {
+            throw PaymentProvider.createError('Payment service unreachable', 'network', true);
+        }
+
+        if (response.status === 402) {
+            const { code } = await response.json().catch(() => ({}));
+            throw PaymentProvider.createError('Payment declined', code === 'insufficient-funds' ? code : 'declined');
+        }
+        if (!response.ok) {
+            throw PaymentProvider.createError(`Payment service responded with ${response.status}`, 'unavailable', true);
+        }
+        return response.json();
+    }
+
+    createIntent(amount, details = {}) {
+        return this.request('POST', 'intents', { ...details, amount: amount.toJSON() });
+    }
+
+    confirm(intent, paymentMethod = {}) {
+        return this.request('POST', `intents/${encodeURIComponent(intent.id)}/confirm`, { paymentMethod });
+    }
+
+    /**
+     * Open the 3-D Secure or wallet page in a popup and wait for the payment API to report the outcome
+     */
+    async handleAction(intent) {
+        const popup = window.open(intent.nextAction.url, 'veloura-payment', 'width=480,height=680');
+        if (!popup) {
+            throw PaymentProvider.createError('Payment window was blocked', 'action-blocked', true);
+        }
+
+        const deadline = Date.now() + HttpPaymentProvider.ACTION_TIMEOUT;
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, HttpPaymentProvider.POLL_INTERVAL));
+            const current = await this.request('GET', `intents/${encodeURIComponent(intent.id)}`);
+            if (current.status !== 'requires_action') {
+                popup.close();
+                return current;
+            }
+            if (popup.closed) break;
+        }
+
+        popup.close();
+        throw PaymentProvider.createError('Payment was not authorised', 'authentication-failed', true);
+    }
+
+    async refund(intent, amount) {
+        try {
+            return await this.request('POST', `intents/${encodeURIComponent(intent.id)}/refund`, { amount: amount.toJSON() });
+        } catch (err) {
+            throw PaymentProvider.createError(err.message, 'refund-failed', err.retryable);
+        }
+    }
+
+    async verifyWebhook(payload, signature) {
+        if (!this.webhookSecret) {
+            throw PaymentProvider.createError('No webhook secret configured', 'unavailable');
+        }
+        return PaymentProvider.parseWebhook(payload, signature, this.webhookSecret);
+    }
+}
+
+/**
+ * How often the payment API is asked whether a popup payment finished (ms)
+ */
+HttpPaymentProvider.POLL_INTERVAL = 2000;
+
+/**
+ * How long the shopper has to finish 3-D Secure or a wallet login (10 minutes)
+ */
+HttpPaymentProvider.ACTION_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * CardPaymentAdapter - Card payments; card details go straight to the gateway
+ *
+ * The card is turned into a single-use token at the gateway's tokenizeUrl with
+ * its public key, so card numbers never reach the payment API.
+ */
+class CardPaymentAdapter extends HttpPaymentProvider {
+    constructor(endpoint, options = {}) {
+        super(endpoint, { ...options, name: 'card' });
+        this.tokenizeUrl = options.tokenizeUrl || null;
+        this.publicKey = options.publicKey || null;
+    }
+
+    isAvailable(method) {
+        return method === 'card' && Boolean(this.tokenizeUrl && this.publicKey);
+    }
+
+    async tokenize({ number, expiry, cvc, name }) {
+        const { month, year } = PaymentCard.parseExpiry(expiry);
+        let response;
+        try {
+            response = await fetch(this.tokenizeUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Basic ${btoa(`${this.publicKey}:`)}` },
+                body: JSON.stringify({ card: { number: PaymentCard.normalizeNumber(number), exp_month: month, exp_year: year, cvc, name } })
+            });
+        } catch (err) {
+            throw PaymentProvider.createError('Card service unreachable', 'network', true);
+        }
+        if (!response.ok) {
+            throw PaymentProvider.createError(`Card was not accepted (${response.status})`, 'declined');
+        }
+        const { id } = await response.json();
+        return id;
+    }
+
+    async confirm(intent, { card }) {
+        const token = await this.tokenize(card);
+        const confirmed = await super.confirm(intent, { type: 'card', token, returnUrl: this.returnUrl });
+        return { ...confirmed, card: PaymentCard.describe(card.number) };
+    }
+}
+
+/**
+ * WalletPaymentAdapter - E-wallets such as GCash and Maya, paid on the wallet's own page
+ */
+class WalletPaymentAdapter extends HttpPaymentProvider {
+    constructor(endpoint, options = {}) {
+        super(endpoint, { ...options, name: options.wallet });
+        this.wallet = options.wallet;
+    }
+
+    isAvailable(method) {
+        return method === this.wallet;
+    }
+
+    confirm(intent) {
+        return super.confirm(intent, { type: this.wallet, returnUrl: this.returnUrl });
+    }
+}
+
+/**
+ * CashOnDeliveryProvider - Payment collected by the courier; nothing is charged online
+ */
+class CashOnDeliveryProvider extends PaymentProvider {
+    constructor(options = {}) {
+        super('cod');
+        this.maxAmount = options.maxAmount ?? CashOnDeliveryProvider.MAX_AMOUNT;
+    }
+
+    isAvailable(method, amount) {
+        return method === 'cod' && (!amount || amount.amount <= this.maxAmount);
+    }
+
+    async createIntent(amount, details = {}) {
+        if (!this.isAvailable('cod', amount)) {
+            throw PaymentProvider.createError('Order is over the cash on delivery limit', 'declined');
+        }
+        return {
+            id: `cod_${generateId()}`,
+            provider: this.name,
+            method: 'cod',
+            reference: details.reference || null,
+            amount: amount.toJSON(),
+            status: 'requires_confirmation',
+            nextAction: null
+        };
+    }
+
+    async confirm(intent) {
+        return { ...intent, status: 'pending' };
+    }
+
+    async handleAction(intent) {
+        return intent;
+    }
+
+    /**
+     * Nothing was charged, so there is nothing to send back
+     */
+    async refund(intent, amount) {
+        return { id: `cod_refund_${generateId()}`, intentId: intent.id, amount: amount.toJSON(), status: 'not_required' };
+    }
+
+    async verifyWebhook() {
+        throw PaymentProvider.createError('Cash on delivery has no webhooks', 'unavailable');
+    }
+}
+
+/**
+ * Largest order accepted for cash on delivery (₱20,000 in minor units)
+ */
+CashOnDeliveryProvider.MAX_AMOUNT = 2000000;
+
+/**
+ * SandboxPaymentProvider - Deterministic local gateway for testing checkout offline
+ *
+ * Cards behave according to SandboxPaymentProvider.CARDS (any other valid
+ * number is approved). Wallet and 3-D Secure pages are simulated by the
+ * authenticate callback, which approves by default. Intents are numbered in
+ * order and signed webhooks can be generated with createWebhook(); with a
+ * webhookUrl they are also posted there when a payment succeeds or is
+ * refunded (see tools/mock-orders.js).
+ */
+class SandboxPaymentProvider extends PaymentProvider {
+    constructor(options = {}) {
+        super('sandbox');
+        this.methods = options.methods || ['card', 'gcash', 'maya'];
+        this.authenticate = options.authenticate || (async () => true);
+        this.webhookSecret = options.webhookSecret || 'whsec_sandbox';
+        this.webhookUrl = options.webhookUrl || null;
+        this.delay = options.delay ?? SandboxPaymentProvider.DELAY;
+        this.intents = new Map();
+        this.sequence = 0;
+    }
+
+    isAvailable(method) {
+        return this.methods.includes(method);
+    }
+
+    wait() {
+        return this.delay > 0 ? new Promise(resolve => setTimeout(resolve, this.delay)) : Promise.resolve();
+    }
+
+    /**
+     * Store and return a copy of an updated intent
+     */
+    update(intent, changes) {
+        const updated = { ...intent, ...changes };
+        this.intents.set(updated.id, updated);
+        return { ...updated };
+    }
+
+    getIntent(intentId) {
+        const intent = this.intents.get(intentId);
+        if (!intent) {
+            throw PaymentProvider.createError(`Unknown sandbox intent ${intentId}`, 'unavailable');
+        }
+        return intent;
+    }
+
+    async createIntent(amount, details = {}) {
+        await this.wait();
+        if (!this.isAvailable(details.method)) {
+            throw PaymentProvider.createError(`Sandbox does not support ${details.method}`, 'unavailable');
+        }
+
+        this.sequence += 1;
+        return this.update({}, {
+            id: `sbx_pi_${String(this.sequence).padStart(4, '0')}`,
+            provider: this.name,
+            method: details.method,
+            reference: details.reference || null,
+            amount: amount.toJSON(),
+            refunded: 0,
+            status: 'requires_confirmation',
+            nextAction: null
+        });
+    }
+
+    async confirm(intent, { card } = {}) {
+        await this.wait();
+        const current = this.getIntent(intent.id);
+
+        if (current.method !== 'card') {
+            return this.update(current, {
+                status: 'requires_action',
+                nextAction: { type: 'redirect', url: `/sandbox/${current.method}/${current.id}` }
+            });
+        }
+
+        const outcome = SandboxPaymentProvider.CARDS[PaymentCard.normalizeNumber(card && card.number)] || 'approved';
+        const described = { card: PaymentCard.describe(card.number) };
+        if (outcome === 'declined' || outcome === 'insufficient-funds') {
+            this.update(current, { ...described, status: 'failed' });
+            throw PaymentProvider.createError('Sandbox card declined', outcome);
+        }
+        if (outcome === 'unavailable') {
+            throw PaymentProvider.createError('Sandbox processing error', 'unavailable', true);
+        }
+        if (outcome === 'three_d_secure' || outcome === 'three_d_secure_fails') {
+            return this.update(current, {
+                ...described,
+                status: 'requires_action',
+                nextAction: { type: 'three_d_secure', url: `/sandbox/3ds/${current.id}` },
+                challengePasses: outcome === 'three_d_secure'
+            });
+        }
+        return this.succeed(current, described);
+    }
+
+    async handleAction(intent) {
+        const current = this.getIntent(intent.id);
+        const approved = await this.authenticate(current) && current.challengePasses !== false;
+        await this.wait();
+
+        if (!approved) {
+            this.update(current, { status: 'failed', nextAction: null });
+            throw PaymentProvider.createError('Sandbox authentication failed', 'authentication-failed', true);
+        }
+        return this.succeed(current, { nextAction: null });
+    }
+
+    succeed(intent, changes = {}) {
+        const updated = this.update(intent, { ...changes, status: 'succeeded' });
+        this.sendWebhook('payment.succeeded', updated);
+        return updated;
+    }
+
+    async refund(intent, amount) {
+        await this.wait();
+        const current = this.getIntent(intent.id);
+        const total = Money.fromJSON(current.amount);
+        if (current.status !== 'succeeded' || current.refunded + amount.amount > total.amount) {
+            throw PaymentProvider.createError('Sandbox refund exceeds the payment', 'refund-failed');
+        }
+
+        this.sendWebhook('payment.refunded', this.update(current, { refunded: current.refunded + amount.amount }));
+        return { id: `sbx_re_${current.id.slice(-4)}_${current.refunded + amount.amount}`, intentId: current.id, amount: amount.toJSON(), status: 'succeeded' };
+    }
+
+    /**
+     * Build a signed webhook for an intent, as the gateway would send it
+     */
+    async createWebhook(type, intent) {
+        const payload = JSON.stringify({ id: `sbx_evt_${intent.id.slice(-4)}_${type}`, type, data: this.getIntent(intent.id) });
+        return { payload, signature: await PaymentProvider.sign(payload, this.webhookSecret) };
+    }
+
+    /**
+     * Post a signed webhook to webhookUrl, sending it again later (as gateways do)
+     * until it is accepted, e.g. once the order it refers to has been saved
+     */
+    async sendWebhook(type, intent, attempt = 1) {
+        if (!this.webhookUrl) return;
+
+        try {
+            const { payload, signature } = await this.createWebhook(type, intent);
+            const response = await fetch(this.webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Webhook-Signature': signature },
+                body: payload
+            });
+            if (response.ok) return;
+        } catch (err) {
+            console.error('SandboxPaymentProvider sendWebhook error', err);
+        }
+
+        if (attempt < SandboxPaymentProvider.WEBHOOK_ATTEMPTS) {
+            setTimeout(() => this.sendWebhook(type, intent, attempt + 1), SandboxPaymentProvider.WEBHOOK_RETRY_DELAY * attempt);
+        }
+    }
+
+    verifyWebhook(payload, signature) {
+        return PaymentProvider.parseWebhook(payload, signature, this.webhookSecret);
+    }
+}
+
+/**
+ * Sandbox response time (ms), so processing states can be seen
+ */
+SandboxPaymentProvider.DELAY = 400;
+
+/**
+ * Times a webhook is sent before giving up, waiting WEBHOOK_RETRY_DELAY longer (ms) after each try
+ */
+SandboxPaymentProvider.WEBHOOK_ATTEMPTS = 5;
+SandboxPaymentProvider.WEBHOOK_RETRY_DELAY = 2000;
+
+/**
+ * Sandbox test cards and their outcomes
+ */
+SandboxPaymentProvider.CARDS = {
+    '4242424242424242': 'approved',
+    '5555555555554444': 'approved',
+    '4000000000003220': 'three_d_secure',
+    '4000008400001629': 'three_d_secure_fails',
+    '4000000000000002': 'declined',
+    '4000000000009995': 'insufficient-funds',
+    '4000000000000119': 'unavailable'
+};
+
+/**
+ * Payments - Runs a payment through the provider for the chosen method
+ *
+ * Methods map an id ('card', 'gcash', 'maya', 'cod') to a PaymentProvider.
+ * State: { status: 'idle' | 'processing' | 'action' | 'succeeded' | 'failed', method, error }.
+ */
+class Payments extends BaseComponent {
+    constructor(methods = {}, options = {}) {
+        super('Payments');
+        this.methods = methods;
+        this.sandbox = Boolean(options.sandbox);
+        this.state = { status: 'idle', method: null, error: null };
+    }
+
+    /**
+     * Build the providers described by the payments config
+     *
+     * Without an endpoint, card and wallets go through the sandbox when
+     * config.sandbox is set, and otherwise only cash on delivery is offered.
+     */
+    static fromConfig(config = {}) {
+        const cod = new CashOnDeliveryProvider({ maxAmount: config.codLimit });
+        if (!config.endpoint && config.sandbox) {
+            const sandbox = new SandboxPaymentProvider({ webhookUrl: config.sandboxWebhookUrl });
+            return new Payments({ card: sandbox, gcash: sandbox, maya: sandbox, cod }, { sandbox: true });
+        }
+        if (!config.endpoint) {
+            return new Payments({ cod });
+        }
+
+        return new Payments({
+            card: new CardPaymentAdapter(config.endpoint, config.card),
+            gcash: new WalletPaymentAdapter(config.endpoint, { wallet: 'gcash' }),
+            maya: new WalletPaymentAdapter(config.endpoint, { wallet: 'maya' }),
+            cod
+        });
+    }
+
+    /**
+     * Method ids available for an amount, in display order
+     */
+    getMethods(amount) {
+        return Object.keys(this.methods).filter(method => this.methods[method].isAvailable(method, amount));
+    }
+
+    getProvider(method) {
+        return this.methods[method] || null;
+    }
+
+    /**
+     * Create, confirm and (for 3-D Secure or wallets) authorise a payment
+     *
+     * details: { reference, email, card } where card is only used for card payments.
+     * Resolves to the final intent; rejects with a coded payment error.
+     */
+    async pay(method, amount, { card, ...details } = {}) {
+        const provider = this.getProvider(method);
+        this.setState({ status: 'processing', method, error: null });
+
+        try {
+            if (!provider || !provider.isAvailable(method, amount)) {
+                throw PaymentProvider.createError(`Payment method ${method} is not available`, 'method-unavailable');
+            }
+
+            let intent = await provider.createIntent(amount, { ...details, method });
+            intent = await provider.confirm(intent, { card });
+            if (intent.status === 'requires_action') {
+                this.setState({ status: 'action' });
+                intent = await provider.handleAction(intent);
+            }
+            if (intent.status === 'failed') {
+                throw PaymentProvider.createError('Payment failed', 'declined');
+            }
+
+            this.setState({ status: 'succeeded' });
+            this.log(`Payment ${intent.id} ${intent.status}`);
+            this.emit('payment:succeeded', { method, intent });
+            return intent;
+        } catch (err) {
+            this.setState({ status: 'failed', error: err.code || 'unavailable' });
+            this.emit('payment:failed', { method, code: err.code || 'unavailable' });
+            throw err;
+        }
+    }
+
+    /**
+     * Refund a payment recorded on an order, in full unless an amount is given
+     */
+    async refund(payment, amount = Money.fromJSON(payment.amount)) {
+        const provider = this.getProvider(payment.method);
+        if (!provider) {
+            throw PaymentProvider.createError(`Payment method ${payment.method} is not available`, 'refund-failed');
+        }
+
+        const refund = await provider.refund({ id: payment.intentId }, amount);
+        this.log(`Refunded ${payment.intentId}`);
+        this.emit('payment:refunded', { payment, refund });
+        return refund;
+    }
+
+    /**
+     * Payment summary kept on the order record (no card numbers)
+     */
+    describe(intent) {
+        return {
+            provider: intent.provider,
+            method: intent.method,
+            intentId: intent.id,
+            status: intent.status,
+            amount: intent.amount,
+            card: intent.card || null
+        };
+    }
+
+    reset() {
+        this.setState({ status: 'idle', method: null, error: null });
+    }
+}
+
+// ==================== ORDERS ====================
+
+/**
+ * OrderLifecycle - Order statuses and the changes allowed between them
+ *
+ * pending → paid → packed → shipped → delivered, leaving the flow as
+ * cancelled (before shipping) or refunded (after payment).
+ */
+class OrderLifecycle {
+    static canTransition(from, to) {
+        return (OrderLifecycle.TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * A timestamped status history entry
+     */
+    static createEntry(status, note = '') {
+        return { status, at: new Date().toISOString(), note };
+    }
+
+    /**
+     * Return a copy of the order moved to a new status, with the change recorded in its history
+     */
+    static apply(order, status, note = '') {
+        if (!OrderLifecycle.canTransition(order.status, status)) {
+            throw new Error(`Order ${order.orderNumber} cannot change from ${order.status} to ${status}`);
+        }
+        return {
+            ...order,
+            status,
+            history: [...(order.history || []), OrderLifecycle.createEntry(status, note)]
+        };
+    }
+
+    /**
+     * A status's name in the current language
+     */
+    static getLabel(status, i18n) {
+        const key = `order.status.${status}`;
+        return i18n.has(key) ? i18n.t(key) : status;
+    }
+}
+
+OrderLifecycle.FLOW = ['pending', 'paid', 'packed', 'shipped', 'delivered'];
+
+OrderLifecycle.TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    paid: ['packed', 'cancelled', 'refunded'],
+    packed: ['shipped', 'cancelled', 'refunded'],
+    shipped: ['delivered', 'refunded'],
+    delivered: ['refunded'],
+    cancelled: [],
+    refunded: []
+};
+
+/**
+ * FirestoreOrderStore - Orders in Firestore, keyed by tracking id
+ *
+ * Documents live at orders/{trackingId}, where the tracking id is a SHA-256 of
+ * the order number and email, so guests can follow an order with both but
+ * cannot list orders. See firestore.rules.
+ */
+class FirestoreOrderStore {
+    constructor(firebase) {
+        this.firebase = firebase;
+    }
+
+    isAvailable() {
+        return this.firebase.isConfigured();
+    }
+
+    async getTrackingId(orderNumber, email) {
+        const value = `${orderNumber.trim().toUpperCase()}:${email.trim().toLowerCase()}`;
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    async getReference(trackingId) {
+        const [db, sdk] = await Promise.all([this.firebase.getFirestore(), this.firebase.load('firestore')]);
+        return { sdk, ref: sdk.doc(db, 'orders', trackingId) };
+    }
+
+    /**
+     * Write a new order; rejects if the server does not confirm in time
+     *
+     * A timeout does not mean the order was lost: Firestore keeps sending the
+     * write, so the error has code 'timeout' and the still-running write as
+     * `pending`.
+     */
+    async createOrder(order) {
+        const { sdk, ref } = await this.getReference(order.trackingId);
+        // Firestore rejects undefined values
+        const data = JSON.parse(JSON.stringify(order));
+        await this.withTimeout(sdk.setDoc(ref, { ...data, updatedAt: sdk.serverTimestamp() }));
+    }
+
+    /**
+     * Move an order to a new status, checked against the lifecycle
+     */
+    async updateStatus(trackingId, status, note = '') {
+        const [db, { sdk, ref }] = await Promise.all([this.firebase.getFirestore(), this.getReference(trackingId)]);
+
+        return sdk.runTransaction(db, async transaction => {
+            const snapshot = await transaction.get(ref);
+            if (!snapshot.exists()) {
+                throw new Error('Order not found');
+            }
+
+            const order = OrderLifecycle.apply(this.fromDocument(snapshot.data()), status, note);
+            transaction.update(ref, { status: order.status, history: order.history, updatedAt: sdk.serverTimestamp() });
+            return order;
+        });
+    }
+
+    /**
+     * Follow an order live; onChange receives the order, or null when there is none.
+     * Returns a function that stops listening.
+     */
+    watch(trackingId, onChange, onError = err => console.error('FirestoreOrderStore watch error', err)) {
+        let unsubscribe = null;
+        let stopped = false;
+
+        this.getReference(trackingId).then(({ sdk, ref }) => {
+            if (stopped) return;
+            unsubscribe = sdk.onSnapshot(
+                ref,
+                snapshot => onChange(snapshot.exists() ? this.fromDocument(snapshot.data()) : null),
+                onError
+            );
+        }).catch(onError);
+
+        return () => {
+            stopped = true;
+            if (unsubscribe) unsubscribe();
+        };
+    }
+
+    fromDocument(data) {
+        const { updatedAt, ...order } = data;
+        return { ...order, updatedAt: updatedAt && updatedAt.toDate ? updatedAt.toDate().toISOString() : null };
+    }
+
+    withTimeout(promise) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                reject(Object.assign(new Error('Order service timed out'), { code: 'timeout', pending: promise }));
+            }, FirestoreOrderStore.WRITE_TIMEOUT);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+}
+
+/**
+ * Firestore holds writes while offline; stop waiting for the server to confirm an order after this long
+ */
+FirestoreOrderStore.WRITE_TIMEOUT = 15000;
+
+// ==================== REWARDS ====================
+
+/**
+ * RewardsProgram - Member rewards rules: earning, tiers, redemption and expiry
+ *
+ * Pure calculations over a points ledger, configured by config.rewards.
+ * Ledger entries are { id, type, points, at, orderNumber } where 'earn'
+ * entries add points (and carry expiresAt), 'redeem' entries spend them
+ * oldest first and 'expire' entries close out the rest of an earn entry
+ * (lotId) once it lapses. When an order is cancelled or refunded, 'restore'
+ * gives its redeemed points back as a new lot (with expiresAt) and 'reverse'
+ * takes back what is left of the points it earned (lotId).
+ */
+class RewardsProgram {
+    constructor(rules = {}) {
+        this.rules = { ...RewardsProgram.DEFAULT_RULES, ...rules };
+        this.tiers = [...this.rules.tiers].sort((a, b) => a.minPoints - b.minPoints);
+    }
+
+    /**
+     * Points for an amount spent (minor units) at a tier's multiplier
+     */
+    calculateEarned(amount, tier = this.tiers[0]) {
+        if (amount <= 0) return 0;
+
+        const base = Math.floor((amount / 100) * this.rules.pointsPerPeso);
+        return Math.floor(base * tier.multiplier);
+    }
+
+    /**
+     * When points earned at a time lapse
+     */
+    getExpiryDate(at) {
+        return new Date(new Date(at).getTime() + this.rules.expiryDays * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    /**
+     * Every point ever earned counts towards the tier, even once spent or expired,
+     * unless its order was refunded
+     */
+    getLifetimePoints(ledger) {
+        return ledger
+            .filter(entry => entry.type === 'earn' || entry.type === 'reverse')
+            .reduce((total, entry) => total + entry.points, 0);
+    }
+
+    /**
+     * Highest tier the lifetime points qualify for
+     */
+    getTier(ledger) {
+        const points = this.getLifetimePoints(ledger);
+        return this.tiers.filter(tier => tier.minPoints <= points).pop() || this.tiers[0];
+    }
+
+    /**
+     * The tier after the current one, or null at the top
+     */
+    getNextTier(ledger) {
+        const points = this.getLifetimePoints(ledger);
+        return this.tiers.find(tier => tier.minPoints > points) || null;
+    }
+
+    /**
+     * Points left from each earn or restore entry as { id, remaining, expiresAt }, oldest first
+     */
+    getLots(ledger) {
+        const lots = [];
+
+        [...ledger]
+            .sort((a, b) => new Date(a.at) - new Date(b.at))
+            .forEach(entry => {
+                const at = new Date(entry.at).getTime();
+                if (entry.type === 'earn' || entry.type === 'restore') {
+                    lots.push({ id: entry.id, remaining: entry.points, expiresAt: new Date(entry.expiresAt).getTime() });
+                } else if (entry.type === 'expire' || entry.type === 'reverse') {
+                    const lot = lots.find(item => item.id === entry.lotId);
+                    if (lot) lot.remaining = Math.max(0, lot.remaining + entry.points);
+                } else if (entry.type === 'redeem') {
+                    let owed = -entry.points;
+                    lots.filter(lot => lot.expiresAt > at).forEach(lot => {
+                        const used = Math.min(lot.remaining, owed);
+                        lot.remaining -= used;
+                        owed -= used;
+                    });
+                }
+            });
+
+        return lots.filter(lot => lot.remaining > 0);
+    }
+
+    /**
+     * Points available to spend
+     */
+    getBalance(ledger, now = Date.now()) {
+        return this.getLots(ledger)
+            .filter(lot => lot.expiresAt > now)
+            .reduce((total, lot) => total + lot.remaining, 0);
+    }
+
+    /**
+     * 'expire' entries for points that have lapsed but are not yet in the ledger
+     */
+    getExpiredEntries(ledger, now = Date.now()) {
+        return this.getLots(ledger)
+            .filter(lot => lot.expiresAt <= now)
+            .map(lot => ({ type: 'expire', points: -lot.remaining, at: new Date(lot.expiresAt).toISOString(), lotId: lot.id }));
+    }
+
+    /**
+     * Points lapsing within the notice period as { points, expiresAt } (earliest date), or null
+     */
+    getExpiringSoon(ledger, now = Date.now()) {
+        const until = now + this.rules.expiryNoticeDays * 24 * 60 * 60 * 1000;
+        const lots = this.getLots(ledger).filter(lot => lot.expiresAt > now && lot.expiresAt <= until);
+        if (lots.length === 0) return null;
+
+        return {
+            points: lots.reduce((total, lot) => total + lot.remaining, 0),
+            expiresAt: new Date(Math.min(...lots.map(lot => lot.expiresAt))).toISOString()
+        };
+    }
+
+    /**
+     * Most points that may be spent against an amount (minor units), in whole steps
+     */
+    getRedeemLimit(balance, amount) {
+        const byAmount = Math.floor((amount * this.rules.maxRedeemRatio) / this.rules.pointValue);
+        const limit = Math.min(balance, byAmount);
+        const stepped = limit - (limit % this.rules.redeemStep);
+        return stepped >= this.rules.minRedeem ? stepped : 0;
+    }
+
+    /**
+     * Check a redemption; error is an i18n key taking { min, step, max }
+     */
+    validateRedemption(points, balance, amount) {
+        const max = this.getRedeemLimit(balance, amount);
+        let error = null;
+
+        if (!Number.isInteger(points) || points <= 0) {
+            error = 'rewards.invalidPoints';
+        } else if (points < this.rules.minRedeem) {
+            error = 'rewards.belowMinimum';
+        } else if (points % this.rules.redeemStep !== 0) {
+            error = 'rewards.step';
+        } else if (points > max) {
+            error = 'rewards.overLimit';
+        }
+        return { isValid: !error, error, max };
+    }
+
+    /**
+     * Discount for a number of points (minor units)
+     */
+    getRedemptionValue(points) {
+        return points * this.rules.pointValue;
+    }
+
+    /**
+     * Entries (without ids) still owed to the ledger for an order in its current
+     * status: points are redeemed when it is placed, earned once it is delivered,
+     * and given or taken back if it is cancelled or refunded. error is set (as in
+     * validateRedemption) when the points the order redeems are not available.
+     */
+    getOrderEntries(order, ledger, now = Date.now()) {
+        const { orderNumber, rewards, status, totals } = order;
+        const entries = [];
+        if (!rewards) return { entries, error: null };
+
+        const find = type => ledger.find(entry => entry.type === type && entry.orderNumber === orderNumber) || null;
+        const closed = status === 'cancelled' || status === 'refunded';
+        const spent = totals.subtotal.amount - totals.discount.amount;
+        const redeemed = find('redeem');
+        const earned = find('earn');
+
+        if (rewards.pointsRedeemed > 0 && !redeemed && !closed) {
+            const redemptionAmount = rewards.redemptionAmount.amount;
+            const { error } = this.validateRedemption(rewards.pointsRedeemed, this.getBalance(ledger, now), spent + redemptionAmount);
+            if (error || redemptionAmount !== this.getRedemptionValue(rewards.pointsRedeemed)) {
+                return { entries, error: error || 'rewards.invalidPoints' };
+            }
+            entries.push({ type: 'redeem', points: -rewards.pointsRedeemed, at: order.createdAt, orderNumber });
+        }
+
+        if (status === 'delivered' && !earned) {
+            const delivery = (order.history || []).find(entry => entry.status === 'delivered');
+            const at = delivery ? delivery.at : new Date(now).toISOString();
+            const points = this.calculateEarned(spent, this.getTier(ledger));
+            if (points > 0) {
+                entries.push({ type: 'earn', points, at, expiresAt: this.getExpiryDate(at), orderNumber });
+            }
+        }
+
+        if (closed) {
+            const at = new Date(now).toISOString();
+            if (redeemed && !find('restore')) {
+                entries.push({ type: 'restore', points: -redeemed.points, at, expiresAt: this.getExpiryDate(at), orderNumber });
+            }
+            if (earned && !find('reverse')) {
+                entries.push({ type: 'reverse', points: -earned.points, at, lotId: earned.id, orderNumber });
+            }
+        }
+        return { entries, error: null };
+    }
+}
+
+/**
+ * 1 point per ₱10 spent, each worth ₱0.10, with tiers multiplying what is earned
+ */
+RewardsProgram.DEFAULT_RULES = {
+    pointsPerPeso: 0.1,
+    pointValue: 10,
+    minRedeem: 100,
+    redeemStep: 10,
+    // Points can pay for at most half of the merchandise after promotions
+    maxRedeemRatio: 0.5,
+    expiryDays: 365,
+    expiryNoticeDays: 30,
+    tiers: [
+        { id: 'member', minPoints: 0, multiplier: 1 },
+        { id: 'silver', minPoints: 2000, multiplier: 1.25 },
+        { id: 'gold', minPoints: 10000, multiplier: 1.5 }
+    ]
+};
+
+/**
+ * FirestoreRewardsStore - Per-user points ledger in Firestore, read-only here
+ *
+ * Documents: rewards/{uid} { entries[] }. Only the order service writes them,
+ * from the member's orders (tools/mock-orders.js locally). See firestore.rules.
+ */
+class FirestoreRewardsStore {
+    constructor(firebase) {
+        this.firebase = firebase;
+    }
+
+    /**
+     * Follow a member's ledger live; onChange receives its entries.
+     * Returns a function that stops listening.
+     */
+    watch(uid, onChange, onError = err => console.error('FirestoreRewardsStore watch error', err)) {
+        let unsubscribe = null;
+        let stopped = false;
+
+        Promise.all([this.firebase.getFirestore(), this.firebase.load('firestore')]).then(([db, sdk]) => {
+            if (stopped) return;
+            unsubscribe = sdk.onSnapshot(
+                sdk.doc(db, 'rewards', uid),
+                snapshot => {
+                    const data = snapshot.exists() ? snapshot.data() : {};
+                    onChange(Array.isArray(data.entries) ? data.entries : []);
+                },
+                onError
+            );
+        }).catch(onError);
+
+        return () => {
+            stopped = true;
+            if (unsubscribe) unsubscribe();
+        };
+    }
+}
+
+/**
+ * Rewards - The signed-in member's points ledger
+ *
+ * State: { uid, ledger, loaded }. The ledger follows the store live, so
+ * points appear as the order service records them; lapsed points are shown
+ * as 'expire' entries.
+ */
+class Rewards extends BaseComponent {
+    constructor(program = new RewardsProgram(), store = null, options = {}) {
+        super('Rewards');
+        this.program = program;
+        this.store = store;
+        this.now = options.now || (() => Date.now());
+        this.unwatch = null;
+        this.state = { uid: null, ledger: [], loaded: false };
+    }
+
+    /**
+     * Follow a member's ledger; resolves once it first loads
+     */
+    load(uid) {
+        this.stopWatching();
+        this.setState({ uid, ledger: [], loaded: false });
+
+        return new Promise((resolve, reject) => {
+            this.unwatch = this.store.watch(uid, entries => {
+                // The member may have signed out while the ledger loaded
+                if (this.state.uid !== uid) return;
+                this.setState({ ledger: this.withExpired(entries), loaded: true });
+                resolve();
+            }, err => {
+                console.error('Rewards watch error', err);
+                reject(err);
+            });
+        });
+    }
+
+    clear() {
+        this.stopWatching();
+        this.setState({ uid: null, ledger: [], loaded: false });
+    }
+
+    stopWatching() {
+        if (this.unwatch) this.unwatch();
+        this.unwatch = null;
+    }
+
+    /**
+     * Add 'expire' entries for points that have lapsed since the ledger was written
+     */
+    withExpired(entries) {
+        const expired = this.program.getExpiredEntries(entries, this.now())
+            .map(entry => ({ id: `expire-${entry.lotId}`, orderNumber: null, ...entry }));
+        return [...entries, ...expired];
+    }
+
+    isMember() {
+        return Boolean(this.state.uid && this.state.loaded);
+    }
+
+    getBalance() {
+        return this.program.getBalance(this.state.ledger, this.now());
+    }
+
+    getTier() {
+        return this.program.getTier(this.state.ledger);
+    }
+
+    /**
+     * Balance, tier, progress to the next tier and points expiring soon
+     */
+    getSummary() {
+        const { ledger } = this.state;
+        const nextTier = this.program.getNextTier(ledger);
+        return {
+            balance: this.getBalance(),
+            tier: this.getTier(),
+            nextTier,
+            toNextTier: nextTier ? nextTier.minPoints - this.program.getLifetimePoints(ledger) : 0,
+            expiring: this.program.getExpiringSoon(ledger, this.now())
+        };
+    }
+
+    /**
+     * Points an order total would earn at the member's tier (the base tier for guests)
+     */
+    getEarnedFor(totals) {
+        const amount = totals.subtotal.subtract(totals.discount).amount;
+        return this.program.calculateEarned(amount, this.isMember() ? this.getTier() : this.program.tiers[0]);
+    }
+
+    /**
+     * Most points usable against totals, ignoring points already applied
+     */
+    getRedeemLimit(totals, redemption = null) {
+        const applied = redemption ? redemption.amount : 0;
+        const amount = totals.subtotal.subtract(totals.discount).amount + applied;
+        return this.isMember() ? this.program.getRedeemLimit(this.getBalance(), amount) : 0;
+    }
+
+    /**
+     * Check a redemption against the member's balance and the order totals
+     */
+    validateRedemption(points, totals, redemption = null) {
+        const applied = redemption ? redemption.amount : 0;
+        const amount = totals.subtotal.subtract(totals.discount).amount + applied;
+        return this.program.validateRedemption(points, this.isMember() ? this.getBalance() : 0, amount);
+    }
+}
+
+// ==================== OFFLINE ====================
+
+/**
+ * ConnectivityMonitor - Tracks the browser's online state
+ *
+ * Emits "network:online" and "network:offline" when connected to an EventHandler.
+ */
+class ConnectivityMonitor extends BaseComponent {
+    constructor() {
+        super('ConnectivityMonitor');
+        this.state = { online: navigator.onLine !== false };
+
+        window.addEventListener('online', () => this.update(true));
+        window.addEventListener('offline', () => this.update(false));
+    }
+
+    isOnline() {
+        return this.state.online;
+    }
+
+    update(online) {
+        if (online === this.state.online) return;
+
+        this.setState({ online });
+        this.emit(online ? 'network:online' : 'network:offline', { online });
+        this.log(online ? 'Back online' : 'Offline');
+    }
+}
+
+/**
+ * OfflineQueue - Work saved while offline and replayed once the connection returns
+ *
+ * Tasks ({ type, key, payload }) are kept in storage so they survive reloads and
+ * are run in order by the handler registered for their type. A task replaces any
+ * queued task with the same key, so only the latest cart sync per account is kept.
+ */
+class OfflineQueue extends BaseComponent {
+    constructor(options = {}) {
+        super('OfflineQueue');
+        this.storage = options.storage || new LocalStorageAdapter();
+        this.storageKey = options.storageKey || 'veloura.offline-queue';
+        this.handlers = {};
+        this.replaying = null;
+        this.state = { tasks: this.storage.getItem(this.storageKey) || [] };
+    }
+
+    /**
+     * Register the function that replays tasks of a type
+     */
+    register(type, handler) {
+        this.handlers[type] = handler;
+        return this;
+    }
+
+    getCount() {
+        return this.state.tasks.length;
+    }
+
+    has(key) {
+        return this.state.tasks.some(task => task.key === key);
+    }
+
+    enqueue(type, payload = {}, key = null) {
+        const tasks = this.state.tasks.filter(task => !key || task.key !== key);
+        this.save([...tasks, { type, key, payload, attempts: 0, queuedAt: Date.now() }]);
+        this.log(`Queued ${type}`);
+    }
+
+    remove(key) {
+        this.save(this.state.tasks.filter(task => task.key !== key));
+    }
+
+    save(tasks) {
+        this.storage.setItem(this.storageKey, tasks);
+        this.setState({ tasks });
+    }
+
+    /**
+     * Run queued tasks in order, resolving with how many succeeded. A failing task
+     * stops the run and is retried next time, up to MAX_ATTEMPTS.
+     */
+    replay() {
+        if (!this.replaying) {
+            this.replaying = this.run().finally(() => {
+                this.replaying = null;
+            });
+        }
+        return this.replaying;
+    }
+
+    async run() {
+        let replayed = 0;
+
+        while (this.state.tasks.length > 0) {
+            const task = this.state.tasks[0];
+            const handler = this.handlers[task.type];
+
+            try {
+                // Tasks nothing can handle any more are dropped
+                if (handler) await handler(task.payload);
+                replayed += 1;
+            } catch (err) {
+                console.error('OfflineQueue replay error', err);
+                const attempts = task.attempts + 1;
+                if (attempts < OfflineQueue.MAX_ATTEMPTS) {
+                    this.save(this.state.tasks.map(queued => (queued === task ? { ...task, attempts } : queued)));
+                    return replayed;
+                }
+            }
+            // The task may have been replaced by a newer one while its handler ran
+            this.save(this.state.tasks.filter(queued => queued !== task));
+        }
+        return replayed;
+    }
+}
+
+/**
+ * Failed replays before a task is dropped
+ */
+OfflineQueue.MAX_ATTEMPTS = 5;
+
+// ==================== ROUTER ====================
+
+/**
+ * Router - History API router with path parameters, lazy views and scroll restoration
+ *
+ * Routes map a pattern such as "/product/:id" to a view loader. Loaders run on
+ * first visit and may return a promise (e.g. a dynamic import); the resolved
+ * view is cached and must implement render(container, params). The route "/"
+ * shows the static home page instead of a view.
+ */
+class Router extends BaseComponent {
+    constructor(options = {}) {
+        super('Router');
+        this.homeElement = options.homeElement || null;
+        this.viewElement = options.viewElement || null;
+        this.defaultTitle = options.defaultTitle || document.title;
+        this.i18n = options.i18n || new I18n();
+        this.routes = [];
+        this.views = new Map();
+        this.currentView = null;
+        this.state = { path: null, name: null, params: {} };
+
+        // Retitle the current page in the new language
+        this.i18n.subscribe(() => {
+            this.setTitle(this.routes.find(route => route.name === this.state.name), this.state.params);
+        });
+    }
+
+    /**
+     * Register a route
+     */
+    add(pattern, options = {}) {
+        const paramNames = [];
+        // "*" matches any path and should be registered last
+        const source = pattern === '*' ? '.*' : pattern
+            .replace(/\/$/, '')
+            .replace(/:([A-Za-z_]+)/g, (match, name) => {
+                paramNames.push(name);
+                return '([^/]+)';
+            });
+
+        this.routes.push({
+            pattern,
+            name: options.name || pattern,
+            title: options.title || null,
+            load: options.load || null,
+            regex: new RegExp(`^${source}/?$`),
+            paramNames
+        });
+        return this;
+    }
+
+    /**
+     * Find the route for a path
+     */
+    match(path) {
+        for (const route of this.routes) {
+            const result = route.regex.exec(path);
+            if (result) {
+                const params = {};
+                route.paramNames.forEach((name, index) => {
+                    params[name] = decodeURIComponent(result[index + 1]);
+                });
+                return { route, params };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Start listening to navigation and render the current URL
+     */
+    start() {
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
+        window.addEventListener('popstate', (e) => {
+            this.resolve(this.getLocationPath(), { scrollY: e.state && e.state.scrollY });
+        });
+        document.addEventListener('click', (e) => this.handleLinkClick(e));
+
+        return this.resolve(this.getLocationPath(), { scrollY: history.state && history.state.scrollY });
+    }
+
+    /**
+     * Current path including query string and hash
+     */
+    getLocationPath() {
+        return window.location.pathname + window.location.search + window.location.hash;
+    }
+
+    /**
+     * Intercept same-origin links that match a route
+     */
+    handleLinkClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href]');
+        if (!link || link.target === '_blank' || link.hasAttribute('download')) return;
+
+        const url = new URL(link.href, window.location.href);
+        const matched = this.match(url.pathname);
+        if (url.origin !== window.location.origin || !matched || matched.route.pattern === '*') return;
+
+        // Same-page anchors keep the browser's native jump
+        if (url.pathname === window.location.pathname && url.search === window.location.search && url.hash) return;
+
+        e.preventDefault();
+        this.navigate(url.pathname + url.search + url.hash);
+    }
+
+    /**
+     * Navigate to a path, remembering the scroll position of the page being left
+     */
+    navigate(path, options = {}) {
+        history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+
+        if (options.replace) {
+            history.replaceState({ scrollY: 0 }, '', path);
+        } else {
+            history.pushState({ scrollY: 0 }, '', path);
+        }
+        return this.resolve(path, { scrollY: null });
+    }
+
+    /**
+     * Render the view for a path
+     */
+    async resolve(fullPath, options = {}) {
+        const url = new URL(fullPath, window.location.origin);
+        const matched = this.match(url.pathname);
+        const route = matched ? matched.route : null;
+        const params = matched ? matched.params : {};
+
+        if (this.currentView && this.currentView.destroy) {
+            this.currentView.destroy();
+        }
+        this.currentView = null;
+
+        try {
+            if (!route || !route.load) {
+                this.showHome();
+            } else {
+                const view = await this.loadView(route);
+                this.showView();
+                await view.render(this.viewElement, params, url.searchParams);
+                this.currentView = view;
+            }
+        } catch (err) {
+            console.error('Router resolve error', err);
+            this.showView();
+            this.viewElement.innerHTML = `
+                <div class="container route-view-error">
+                    <h2>${this.i18n.html('error.title')}</h2>
+                    <p>${this.i18n.html('error.text', {}, { link: `<a href="/">${this.i18n.html('error.home')}</a>` })}</p>
+                </div>
+            `;
+        }
+
+        this.setTitle(route, params);
+        this.restoreScroll(options.scrollY, url.hash);
+        this.setState({ path: url.pathname, name: route ? route.name : 'home', params });
+    }
+
+    /**
+     * Title the document for a route
+     */
+    setTitle(route, params) {
+        const title = route && route.title
+            ? (typeof route.title === 'function' ? route.title(params) : route.title)
+            : null;
+        document.title = title ? `${title} | VELOURA` : this.defaultTitle;
+    }
+
+    /**
+     * Load (once) and cache the view for a route
+     */
+    async loadView(route) {
+        if (!this.views.has(route.name)) {
+            this.views.set(route.name, Promise.resolve(route.load()));
+        }
+        return this.views.get(route.name);
+    }
+
+    showHome() {
+        if (this.homeElement) this.homeElement.hidden = false;
+        if (this.viewElement) {
+            this.viewElement.hidden = true;
+            this.viewElement.innerHTML = '';
+        }
+    }
+
+    showView() {
+        if (this.homeElement) this.homeElement.hidden = true;
+        if (this.viewElement) this.viewElement.hidden = false;
+    }
+
+    /**
+     * Restore a saved position, jump to a hash target, or start at the top
+     */
+    restoreScroll(scrollY, hash) {
+        requestAnimationFrame(() => {
+            if (typeof scrollY === 'number') {
+                window.scrollTo(0, scrollY);
+                return;
+            }
+
+            const target = hash && document.getElementById(decodeURIComponent(hash.slice(1)));
+            if (target) {
+                target.scrollIntoView();
+            } else {
+                window.scrollTo(0, 0);
+            }
+        });
+    }
+}
+
+// ==================== VIEWS ====================
+
+/**
+ * ProductDetailView - Product page for /product/:id with variant options,
+ * a zoomable image gallery, a size-guide panel and recommendations
+ */
+class ProductDetailView {
+    constructor(catalog, currency, recommendations = null, i18n = new I18n()) {
+        this.catalog = catalog;
+        this.currency = currency;
+        this.recommendations = recommendations;
+        this.i18n = i18n;
+        this.product = null;
+        this.selections = {};
+        this.container = null;
+        this.element = null;
+
+        // Redraw in the new language, keeping the chosen options
+        this.i18n.subscribe(() => {
+            if (this.container) this.draw();
+        });
+    }
+
+    async render(container, params) {
+        if (!this.catalog.getState().loaded) {
+            await this.catalog.load();
+        }
+
+        this.container = container;
+        this.product = this.catalog.getProduct(params.id);
+        this.selections = this.product ? { ...this.catalog.getDefaultVariant(this.product).options } : {};
+        this.draw();
+    }
+
+    draw() {
+        const { container, product } = this;
+        if (!product) {
+            container.innerHTML = `
+                <div class="container route-page">
+                    <h2 class="section-title">${this.i18n.html('product.notFound')}</h2>
+                    <p>${this.i18n.html('product.notFoundText', {}, { link: `<a href="/#products">${this.i18n.html('product.browse')}</a>` })}</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="container route-page product-detail" data-product-id="${escapeHTML(product.id)}">
+                <a href="/#products" class="route-back"><i class="fas fa-arrow-left"></i> ${this.i18n.html('product.back')}</a>
+                <div class="row g-5">
+                    <div class="col-lg-6">${this.renderGallery(product)}</div>
+                    <div class="col-lg-6">
+                        <div class="d-flex justify-content-between align-items-start gap-3">
+                            <h1 class="product-detail-name">${escapeHTML(product.name)}</h1>
+                            ${this.catalog.renderWishlistButton(product)}
+                        </div>
+                        <p class="product-description">${escapeHTML(product.description)}</p>
+                        <p class="product-price product-detail-price"></p>
+                        ${product.options.map(option => this.renderOption(option)).join('')}
+                        <p class="product-detail-stock" aria-live="polite"></p>
+                        <button class="btn btn-primary btn-lg btn-checkout btn-add-cart-detail" data-product-id="${escapeHTML(product.id)}">
+                            <i class="fas fa-shopping-cart"></i> ${this.i18n.html('product.addToCart')}
+                        </button>
+                        <div class="product-detail-restock"></div>
+                        ${product.sizeGuide ? this.renderSizeGuide() : ''}
+                    </div>
+                </div>
+                <div class="recommendations product-detail-recommendations" hidden></div>
+            </div>
+        `;
+
+        // Listeners live on the view's own markup, which is replaced on every render
+        this.element = container.querySelector('.product-detail');
+        this.element.addEventListener('change', (e) => this.handleOptionChange(e));
+        this.element.addEventListener('click', (e) => this.handleGalleryClick(e));
+        this.element.addEventListener('mousemove', (e) => this.handleZoomMove(e));
+        this.updateVariant();
+
+        if (this.recommendations) {
+            this.recommendations.render(this.element.querySelector('.product-detail-recommendations'), {
+                productIds: [product.id],
+                excludeIds: [product.id]
+            });
+        }
+    }
+
+    /**
+     * Build main image and thumbnail markup
+     */
+    renderGallery(product) {
+        const name = escapeHTML(product.name);
+        const thumbs = product.images.length > 1
+            ? `<div class="product-gallery-thumbs">${product.images.map((image, index) => `
+                <button type="button" class="product-gallery-thumb${index === 0 ? ' active' : ''}" data-gallery-index="${index}" aria-label="${this.i18n.html('product.showImage', { index: index + 1, count: product.images.length })}">
+                    <img src="${escapeHTML(image)}" alt="">
+                </button>
+            `).join('')}</div>`
+            : '';
+
+        return `
+            <div class="product-gallery">
+                <button type="button" class="product-gallery-main" aria-label="${this.i18n.html('product.zoomIn')}" aria-pressed="false">
+                    <img src="${escapeHTML(product.images[0] || product.image)}" alt="${name}" class="img-fluid">
+                </button>
+                ${thumbs}
+            </div>
+        `;
+    }
+
+    /**
+     * Build a radio group for one variant option
+     */
+    renderOption(option) {
+        const name = escapeHTML(option.name);
+        const values = option.values.map((value, index) => {
+            const id = `option-${name}-${index}`;
+            return `
+                <input type="radio" class="btn-check" name="${name}" id="${id}" value="${escapeHTML(value)}"${this.selections[option.name] === value ? ' checked' : ''}>
+                <label class="btn btn-outline-dark btn-sm" for="${id}">${escapeHTML(value)}</label>
+            `;
+        }).join('');
+
+        return `
+            <fieldset class="product-option mb-3">
+                <legend class="product-option-label">${escapeHTML(option.label)}</legend>
+                <div class="d-flex flex-wrap gap-2">${values}</div>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Build the collapsible size-guide panel from the size guide page content
+     */
+    renderSizeGuide() {
+        const template = document.getElementById('view-size-guide');
+        const source = template && template.content.querySelector('.size-guide-content');
+        if (!source) return '';
+
+        const content = source.cloneNode(true);
+        this.i18n.translateElements(content);
+        return `
+            <details class="size-guide-panel mt-4">
+                <summary><i class="fas fa-ruler"></i> ${this.i18n.html('sizeGuide.title')}</summary>
+                ${content.outerHTML}
+            </details>
+        `;
+    }
+
+    handleOptionChange(e) {
+        const input = e.target.closest('.product-option input');
+        if (!input) return;
+
+        this.selections[input.name] = input.value;
+        this.updateVariant();
+    }
+
+    /**
+     * Show price and stock for the selected variant
+     */
+    updateVariant() {
+        const variant = this.catalog.findVariant(this.product, this.selections);
+        const price = this.element.querySelector('.product-detail-price');
+        const stock = this.element.querySelector('.product-detail-stock');
+        const button = this.element.querySelector('.btn-add-cart-detail');
+        const restock = this.element.querySelector('.product-detail-restock');
+
+        if (!variant) {
+            price.textContent = this.catalog.formatPrice(this.product);
+            stock.textContent = this.i18n.t('product.unavailable');
+            button.hidden = false;
+            button.disabled = true;
+            restock.innerHTML = '';
+            delete button.dataset.sku;
+            return;
+        }
+
+        const soldOut = variant.stock <= 0;
+        price.textContent = this.catalog.formatPrice(this.product, variant);
+        if (soldOut) {
+            stock.textContent = this.i18n.t('product.outOfStock');
+        } else {
+            stock.textContent = this.catalog.isLowStock(variant.stock)
+                ? this.i18n.t('catalog.lowStock', { count: variant.stock })
+                : this.i18n.t('product.inStock');
+        }
+        stock.classList.toggle('is-out', soldOut);
+        stock.classList.toggle('is-low', this.catalog.isLowStock(variant.stock));
+
+        // Sold-out variants swap the add button for a back-in-stock form
+        button.hidden = soldOut;
+        button.disabled = soldOut;
+        button.dataset.sku = variant.sku;
+        restock.innerHTML = soldOut ? this.catalog.renderRestockForm(this.product, variant.sku) : '';
+    }
+
+    /**
+     * Switch images from thumbnails and toggle zoom on the main image
+     */
+    handleGalleryClick(e) {
+        const thumb = e.target.closest('.product-gallery-thumb');
+        const main = this.element.querySelector('.product-gallery-main');
+
+        if (thumb) {
+            const index = Number(thumb.dataset.galleryIndex);
+            main.querySelector('img').src = this.product.images[index];
+            this.element.querySelectorAll('.product-gallery-thumb').forEach(button => {
+                button.classList.toggle('active', button === thumb);
+            });
+            this.setZoom(main, false);
+        } else if (e.target.closest('.product-gallery-main')) {
+            this.setZoom(main, !main.classList.contains('is-zoomed'));
+            this.handleZoomMove(e);
+        }
+    }
+
+    setZoom(main, zoomed) {
+        main.classList.toggle('is-zoomed', zoomed);
+        main.setAttribute('aria-pressed', String(zoomed));
+        main.setAttribute('aria-label', this.i18n.t(zoomed ? 'product.zoomOut' : 'product.zoomIn'));
+    }
+
+    /**
+     * Pan the zoomed image to follow the pointer
+     */
+    handleZoomMove(e) {
+        const main = e.target.closest('.product-gallery-main.is-zoomed');
+        if (!main) return;
+
+        const rect = main.getBoundingClientRect();
+        const x = rect.width ? ((e.clientX - rect.left) / rect.width) * 100 : 50;
+        const y = rect.height ? ((e.clientY - rect.top) / rect.height) * 100 : 50;
+        main.querySelector('img').style.transformOrigin = `${x}% ${y}%`;
+    }
+
+    destroy() {
+        this.container = null;
+        this.element = null;
+        this.product = null;
+    }
+}
+
+/**
+ * CartView - Full-page cart for /cart, sharing line markup with CartDrawer
+ */
+class CartView {
+    constructor(cartDrawer) {
+        this.cartDrawer = cartDrawer;
+        this.cart = cartDrawer.cart;
+        this.i18n = cartDrawer.i18n;
+        this.container = null;
+
+        this.cart.subscribe(() => {
+            if (this.container) this.draw();
+        });
+        this.i18n.subscribe(() => {
+            if (this.container) this.draw();
+        });
+    }
+
+    render(container) {
+        this.container = container;
+        this.draw();
+    }
+
+    draw() {
+        const { items } = this.cart.getCartData();
+        const currency = this.cartDrawer.currency;
+        const giftTotal = this.cart.getGiftTotal();
+
+        this.container.innerHTML = `
+            <div class="container route-page cart-page">
+                <h2 class="section-title">${this.i18n.html('cart.title')}</h2>
+                ${items.length === 0
+                    ? `<p class="cart-drawer-empty">${this.i18n.html('cart.emptyPage', {}, { link: `<a href="/#products">${this.i18n.html('cart.startShopping')}</a>` })}</p>`
+                    : `
+                        <div class="row g-5">
+                            <div class="col-lg-8">
+                                ${items.map(item => this.cartDrawer.renderLine(item, 'cart-page')).join('')}
+                                ${this.cartDrawer.renderGiftRecipient('cart-page')}
+                            </div>
+                            <div class="col-lg-4">
+                                <div class="cart-page-summary">
+                                    <div class="d-flex justify-content-between mb-2"><span>${this.i18n.html('cart.subtotal')}</span><span>${currency.format(this.cart.getSubtotal())}</span></div>
+                                    ${giftTotal.isZero() ? '' : `<div class="d-flex justify-content-between mb-2"><span>${this.i18n.html('gift.wrapTotal')}</span><span>${currency.format(giftTotal)}</span></div>`}
+                                    <ul class="cart-drawer-adjustments">${this.cartDrawer.renderAdjustments()}</ul>
+                                    <div class="d-flex justify-content-between mb-3"><span>${this.i18n.html('cart.total')}</span><strong>${currency.format(this.cart.getTotal())}</strong></div>
+                                    <a href="/checkout" class="btn btn-primary btn-checkout w-100">${this.i18n.html('cart.checkout')}</a>
+                                </div>
+                            </div>
+                        </div>
+                    `}
+            </div>
+        `;
+    }
+
+    destroy() {
+        this.container = null;
+    }
+}
+
+/**
+ * CheckoutPageView - Cart page for /checkout that opens the checkout modal on entry
+ */
+class CheckoutPageView extends CartView {
+    constructor(cartDrawer, onEnter) {
+        super(cartDrawer);
+        this.onEnter = onEnter;
+    }
+
+    render(container) {
+        super.render(container);
+        this.onEnter();
+    }
+}
+
+/**
+ * AccountView - Sign-in forms, or the signed-in profile, addresses and orders, for /account
+ *
+ * Form submissions and buttons are handled by VelouraApp; call refresh() after
+ * changing the profile.
+ */
+class AccountView {
+    constructor(auth, accountStore, checkout, currency, i18n = new I18n(), rewards = null) {
+        this.auth = auth;
+        this.accountStore = accountStore;
+        this.checkout = checkout;
+        this.currency = currency;
+        this.i18n = i18n;
+        this.rewards = rewards;
+        this.container = null;
+        this.profile = null;
+
+        this.auth.subscribe(() => {
+            if (this.container) this.draw();
+        });
+        this.i18n.subscribe(() => {
+            if (this.container) this.draw();
+        });
+        if (this.rewards) {
+            this.rewards.subscribe(() => {
+                if (this.container) this.draw();
+            });
+        }
+    }
+
+    async render(container) {
+        this.container = container;
+        await this.draw();
+    }
+
+    /**
+     * Reload the signed-in profile and redraw
+     */
+    async refresh() {
+        this.profile = null;
+        if (this.container) await this.draw();
+    }
+
+    async draw() {
+        const { ready, available, user } = this.auth.getState();
+        let body;
+
+        if (!ready) {
+            body = `<p>${this.i18n.html('account.loading')}</p>`;
+        } else if (!available) {
+            body = `<p class="account-notice">${this.i18n.html('account.unavailable')}</p>`;
+        } else if (!user) {
+            body = this.renderSignIn();
+        } else {
+            await this.loadProfile(user);
+            body = this.renderProfile(user, this.profile);
+        }
+
+        // The shopper may have navigated away while the profile loaded
+        if (!this.container) return;
+        this.container.innerHTML = `
+            <div class="container route-page account-page">
+                <h2 class="section-title">${this.i18n.html('nav.account')}</h2>
+                ${body}
+                ${this.renderRewards(user)}
+                ${this.renderOrders()}
+            </div>
+        `;
+    }
+
+    async loadProfile(user) {
+        if (this.profile && this.profile.uid === user.uid) return;
+
+        try {
+            this.profile = { uid: user.uid, ...await this.accountStore.getProfile(user.uid) };
+        } catch (err) {
+            console.error('AccountView loadProfile error', err);
+            this.profile = { uid: user.uid, displayName: user.displayName, phone: '', addresses: [] };
+        }
+    }
+
+    /**
+     * Labelled input; label is a message key
+     */
+    renderField(form, name, label, type = 'text', value = '', autocomplete = 'off') {
+        return `
+            <div class="mb-3">
+                <label for="${form}-${name}" class="form-label">${this.i18n.html(label)}</label>
+                <input type="${type}" class="form-control" id="${form}-${name}" name="${name}" value="${escapeHTML(value)}" autocomplete="${autocomplete}">
+            </div>
+        `;
+    }
+
+    renderSignIn() {
+        return `
+            <div class="row g-5 mb-5">
+                <div class="col-md-6">
+                    <h5>${this.i18n.html('account.signIn')}</h5>
+                    <form class="auth-form" id="sign-in-form" data-auth-action="sign-in" novalidate>
+                        ${this.renderField('sign-in', 'email', 'account.email', 'email', '', 'email')}
+                        ${this.renderField('sign-in', 'password', 'account.password', 'password', '', 'current-password')}
+                        <button type="submit" class="btn btn-primary btn-checkout">${this.i18n.html('account.signIn')}</button>
+                    </form>
+                    <details class="mt-4">
+                        <summary>${this.i18n.html('account.forgotPassword')}</summary>
+                        <form class="auth-form mt-3" id="reset-form" data-auth-action="reset" novalidate>
+                            ${this.renderField('reset', 'email', 'account.email', 'email', '', 'email')}
+                            <button type="submit" class="btn btn-outline-dark btn-sm">${this.i18n.html('account.sendReset')}</button>
+                        </form>
+                    </details>
+                </div>
+                <div class="col-md-6">
+                    <h5>${this.i18n.html('account.createTitle')}</h5>
+                    <form class="auth-form" id="sign-up-form" data-auth-action="sign-up" novalidate>
+                        ${this.renderField('sign-up', 'displayName', 'account.name', 'text', '', 'name')}
+                        ${this.renderField('sign-up', 'email', 'account.email', 'email', '', 'email')}
+                        ${this.renderField('sign-up', 'password', 'account.password', 'password', '', 'new-password')}
+                        ${this.renderField('sign-up', 'confirmPassword', 'account.confirmPassword', 'password', '', 'new-password')}
+                        <button type="submit" class="btn btn-primary btn-checkout">${this.i18n.html('account.create')}</button>
+                    </form>
+                </div>
+            </div>
+        `;
+    }
+
+    renderAddress(address) {
+        const id = escapeHTML(address.id);
+        return `
+            <li class="account-address">
+                <div>
+                    <strong>${escapeHTML(address.label)}</strong>${address.isDefault ? ` <span class="badge bg-secondary">${this.i18n.html('account.default')}</span>` : ''}<br>
+                    ${escapeHTML(address.fullName)}<br>
+                    ${escapeHTML(address.street)}, ${escapeHTML(address.city)}, ${escapeHTML(address.province)} ${escapeHTML(address.postalCode)}
+                </div>
+                <div class="account-address-actions">
+                    ${address.isDefault ? '' : `<button type="button" class="btn btn-link btn-sm" data-account-action="default-address" data-address-id="${id}">${this.i18n.html('account.makeDefault')}</button>`}
+                    <button type="button" class="btn btn-link btn-sm text-danger" data-account-action="remove-address" data-address-id="${id}">${this.i18n.html('account.remove')}</button>
+                </div>
+            </li>
+        `;
+    }
+
+    renderProfile(user, profile) {
+        return `
+            <div class="row g-5 mb-5">
+                <div class="col-lg-5">
+                    <h5>${this.i18n.html('account.profile')}</h5>
+                    <p class="account-email">${escapeHTML(user.email)} ${user.emailVerified ? `<i class="fas fa-check-circle" title="${this.i18n.html('account.verified')}"></i>` : ''}</p>
+                    <form class="profile-form" id="profile-form" novalidate>
+                        ${this.renderField('profile', 'displayName', 'account.name', 'text', profile.displayName || user.displayName, 'name')}
+                        ${this.renderField('profile', 'phone', 'checkout.phone', 'tel', profile.phone, 'tel')}
+                        <button type="submit" class="btn btn-primary btn-checkout">${this.i18n.html('account.saveProfile')}</button>
+                    </form>
+                    <button type="button" class="btn btn-outline-secondary mt-4" data-account-action="sign-out">${this.i18n.html('account.signOut')}</button>
+                </div>
+                <div class="col-lg-7">
+                    <h5>${this.i18n.html('account.addresses')}</h5>
+                    ${profile.addresses.length
+                        ? `<ul class="account-addresses">${profile.addresses.map(address => this.renderAddress(address)).join('')}</ul>`
+                        : `<p>${this.i18n.html('account.noAddresses')}</p>`}
+                    <details class="mt-3">
+                        <summary>${this.i18n.html('account.addAddress')}</summary>
+                        <form class="address-form mt-3" id="address-form" novalidate>
+                            ${this.renderField('address', 'label', 'account.addressLabel')}
+                            ${this.renderField('address', 'fullName', 'checkout.fullName', 'text', profile.displayName || user.displayName, 'name')}
+                            ${this.renderField('address', 'street', 'checkout.street', 'text', '', 'street-address')}
+                            ${this.renderField('address', 'city', 'checkout.city', 'text', '', 'address-level2')}
+                            ${this.renderField('address', 'province', 'checkout.province', 'text', '', 'address-level1')}
+                            ${this.renderField('address', 'postalCode', 'checkout.postalCode', 'text', '', 'postal-code')}
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="address-isDefault" name="isDefault" value="true">
+                                <label class="form-check-label" for="address-isDefault">${this.i18n.html('account.useAsDefault')}</label>
+                            </div>
+                            <button type="submit" class="btn btn-primary btn-checkout">${this.i18n.html('account.saveAddress')}</button>
+                        </form>
+                    </details>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Points balance, tier and ledger for members; how the program works for everyone else
+     */
+    renderRewards(user) {
+        if (!this.rewards) return '';
+
+        const { rules } = this.rewards.program;
+        let body;
+
+        if (!user) {
+            body = `
+                <p>${this.i18n.html('rewards.intro', { points: rules.pointsPerPeso * 100, amount: this.currency.format(new Money(10000)), days: rules.expiryDays })}</p>
+                ${this.auth.getState().available ? `<p>${this.i18n.html('rewards.signIn')}</p>` : ''}
+            `;
+        } else if (!this.rewards.isMember()) {
+            body = `<p>${this.i18n.html('rewards.loading')}</p>`;
+        } else {
+            body = this.renderRewardsSummary(this.rewards.getSummary()) + this.renderLedger(this.rewards.getState().ledger);
+        }
+
+        return `
+            <section class="account-rewards mb-5" id="rewards">
+                <h5>${this.i18n.html('rewards.title')}</h5>
+                ${body}
+            </section>
+        `;
+    }
+
+    renderRewardsSummary({ balance, tier, nextTier, toNextTier, expiring }) {
+        return `
+            <div class="rewards-summary">
+                <div class="rewards-balance">
+                    <strong>${this.i18n.html('rewards.balance', { count: balance })}</strong>
+                    <span>${this.i18n.html('rewards.worth', { amount: this.currency.format(new Money(this.rewards.program.getRedemptionValue(balance))) })}</span>
+                </div>
+                <div class="rewards-tier">
+                    <span class="rewards-tier-badge rewards-tier-${escapeHTML(tier.id)}">${escapeHTML(this.getTierName(tier))}</span>
+                    ${this.i18n.html('rewards.multiplier', { multiplier: tier.multiplier })}
+                </div>
+                <p class="rewards-progress">${nextTier ? this.i18n.html('rewards.nextTier', { count: toNextTier, tier: this.getTierName(nextTier) }) : this.i18n.html('rewards.topTier')}</p>
+                ${expiring ? `<p class="rewards-expiring"><i class="fas fa-hourglass-half"></i> ${this.i18n.html('rewards.expiring', { count: expiring.points, date: this.i18n.formatDate(expiring.expiresAt) })}</p>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Points history, newest first
+     */
+    renderLedger(ledger) {
+        const rows = [...ledger]
+            .sort((a, b) => new Date(b.at) - new Date(a.at))
+            .map(entry => `
+                <li class="rewards-entry">
+                    <time datetime="${escapeHTML(entry.at)}">${this.i18n.formatDate(entry.at)}</time>
+                    <span>${entry.orderNumber
+                        ? this.i18n.html(`rewards.entry.${entry.type}`, { orderNumber: entry.orderNumber })
+                        : this.i18n.html(`rewards.entry.${entry.type}`)}</span>
+                    <span class="rewards-points ${entry.points > 0 ? 'is-positive' : 'is-negative'}">${entry.points > 0 ? '+' : ''}${entry.points}</span>
+                </li>
+            `).join('');
+
+        return `
+            <h6>${this.i18n.html('rewards.history')}</h6>
+            ${rows ? `<ul class="rewards-ledger">${rows}</ul>` : `<p>${this.i18n.html('rewards.noHistory')}</p>`}
+        `;
+    }
+
+    /**
+     * Tier names come from the catalog, falling back to a configured label
+     */
+    getTierName(tier) {
+        const key = `rewards.tier.${tier.id}`;
+        return this.i18n.has(key) ? this.i18n.t(key) : (tier.label || tier.id);
+    }
+
+    renderOrders() {
+        const orders = this.checkout.getOrders();
+        const rows = orders.map(order => `
+            <li class="account-order">
+                <a href="/orders/${encodeURIComponent(order.orderNumber)}">${escapeHTML(order.orderNumber)}</a>
+                <span>${this.i18n.formatDate(order.createdAt)}</span>
+                <span class="account-order-status">${escapeHTML(OrderLifecycle.getLabel(order.status, this.i18n))}</span>
+                <span>${this.currency.format(Money.fromJSON(order.totals.total))}</span>
+            </li>
+        `).join('');
+
+        return `
+            <h5>${this.i18n.html('account.orders')}</h5>
+            ${orders.length ? `<ul class="account-orders">${rows}</ul>` : `<p>${this.i18n.html('account.noOrders')}</p>`}
+            <p><a href="/track-order">${this.i18n.html('account.trackOrder')}</a></p>
+        `;
+    }
+
+    destroy() {
+        this.container = null;
+    }
+}
+
+/**
+ * Validation schemas for the account forms
+ */
+AccountView.SCHEMAS = {
+    'sign-in': {
+        email: ['required', 'email'],
+        password: ['required']
+    },
+    'sign-up': {
+        displayName: ['required', { type: 'maxLength', value: 60 }],
+        email: ['required', 'email'],
+        password: ['required', { type: 'minLength', value: 6 }],
+        confirmPassword: ['required', { type: 'match', field: 'password', message: 'validation.passwordMismatch' }]
+    },
+    reset: {
+        email: ['required', 'email']
+    },
+    profile: {
+        displayName: ['required', { type: 'maxLength', value: 60 }],
+        phone: ['phone']
+    },
+    address: {
+        label: ['required', { type: 'maxLength', value: 30 }],
+        fullName: ['required', { type: 'maxLength', value: 80 }],
+        street: ['required', { type: 'maxLength', value: 120 }],
+        city: ['required'],
+        province: ['required'],
+        postalCode: ['required', 'postalCode']
+    }
+};
+
+/**
+ * OrderView - Order details for /orders/:id, following live status changes
+ */
+class OrderView {
+    constructor(checkout, orderStore, currency, i18n = new I18n()) {
+        this.checkout = checkout;
+        this.orderStore = orderStore;
+        this.currency = currency;
+        this.i18n = i18n;
+        this.container = null;
+        this.order = null;
+        this.unwatch = null;
+
+        // Redraw dates in the new language
+        this.i18n.subscribe(() => {
+            if (this.container && this.order) this.show(this.order);
+        });
+    }
+
+    render(container, params) {
+        this.container = container;
+        const order = this.checkout.getOrder(params.id);
+        if (!order) {
+            container.innerHTML = `
+                <div class="container route-page">
+                    <h2 class="section-title">${this.i18n.html('order.notFound')}</h2>
+                    <p>${this.i18n.html('order.notFoundText', { orderNumber: params.id }, { link: `<a href="/track-order">${this.i18n.html('account.trackOrder')}</a>` })}</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.show(order);
+        this.watch(order.trackingId);
+    }
+
+    show(order) {
+        this.order = order;
+        this.container.innerHTML = `
+            <div class="container route-page order-page">
+                <a href="/account" class="route-back"><i class="fas fa-arrow-left"></i> ${this.i18n.html('nav.account')}</a>
+                ${this.renderOrder(order)}
+            </div>
+        `;
+    }
+
+    /**
+     * Redraw whenever the stored order changes; resolves with whether it exists
+     */
+    watch(trackingId) {
+        this.stopWatching();
+        if (!trackingId || !this.orderStore.isAvailable()) return Promise.resolve(false);
+
+        return new Promise((resolve, reject) => {
+            let first = true;
+            this.unwatch = this.orderStore.watch(trackingId, order => {
+                if (order) {
+                    this.checkout.updateSavedOrder(order);
+                    if (this.container) this.show(order);
+                }
+                if (first) {
+                    first = false;
+                    resolve(Boolean(order));
+                }
+            }, err => {
+                console.error('OrderView watch error', err);
+                if (first) {
+                    first = false;
+                    reject(err);
+                }
+            });
+        });
+    }
+
+    stopWatching() {
+        if (this.unwatch) {
+            this.unwatch();
+            this.unwatch = null;
+        }
+    }
+
+    renderOrder(order) {
+        const lines = order.items.map(item => `
+            <li class="d-flex justify-content-between">
+                <span>${escapeHTML(item.name)}${item.variantLabel ? ` (${escapeHTML(item.variantLabel)})` : ''} &times; ${item.quantity}</span>
+                <span>${this.currency.format(Money.fromJSON(item.lineTotal))}</span>
+            </li>
+            ${item.gift ? this.renderGift(item.gift) : ''}
+        `).join('');
+        const giftWrap = order.totals.giftWrap ? Money.fromJSON(order.totals.giftWrap) : null;
+        const recipient = order.giftRecipient;
+        const status = `<strong class="order-status order-status-${escapeHTML(order.status)}">${escapeHTML(OrderLifecycle.getLabel(order.status, this.i18n))}</strong>`;
+
+        return `
+            <h2 class="section-title">${this.i18n.html('order.title', { orderNumber: order.orderNumber })}</h2>
+            <p>${this.i18n.html('order.placed', { date: this.i18n.formatDate(order.createdAt, I18n.DATE_TIME_FORMAT) }, { status })}</p>
+            ${this.renderProgress(order)}
+            ${this.renderHistory(order)}
+            <ul class="checkout-lines">${lines}</ul>
+            <ul class="checkout-totals">
+                ${giftWrap && !giftWrap.isZero() ? `<li class="d-flex justify-content-between"><span>${this.i18n.html('gift.wrapTotal')}</span><span>${this.currency.format(giftWrap)}</span></li>` : ''}
+                <li class="d-flex justify-content-between checkout-total"><span>${this.i18n.html('cart.total')}</span><span>${this.currency.format(Money.fromJSON(order.totals.total))}</span></li>
+            </ul>
+            ${this.renderPayment(order.payment)}
+            ${recipient ? `
+                <h6>${this.i18n.html('gift.recipient')}</h6>
+                <p class="order-gift-recipient">${escapeHTML(recipient.fullName)}<br>${escapeHTML(recipient.street)}, ${escapeHTML(recipient.city)}, ${escapeHTML(recipient.province)} ${escapeHTML(recipient.postalCode)}</p>
+            ` : ''}
+            ${this.renderRewards(order)}
+        `;
+    }
+
+    /**
+     * How the order was paid for, e.g. "Visa ending in 4242 · Paid"
+     */
+    renderPayment(payment) {
+        if (!payment) return '';
+
+        const method = payment.card
+            ? this.i18n.html('payment.cardEnding', { brand: this.i18n.t(`payment.brands.${payment.card.brand}`), last4: payment.card.last4 })
+            : this.i18n.html(`payment.methods.${payment.method}`);
+        return `<p class="order-payment"><i class="${CheckoutView.PAYMENT_ICONS[payment.method] || 'fas fa-wallet'}"></i> ${method} &middot; ${this.i18n.html(`payment.status.${payment.status}`)}</p>`;
+    }
+
+    /**
+     * Gift wrap and card message recorded on an order line
+     */
+    renderGift(gift) {
+        const charge = Money.fromJSON(gift.charge);
+        const label = gift.wrap
+            ? (this.i18n.has(`gift.wraps.${gift.wrap}`) ? this.i18n.t(`gift.wraps.${gift.wrap}`) : gift.wrapLabel)
+            : this.i18n.t('gift.cardOnly');
+        return `
+            <li class="d-flex justify-content-between checkout-line-gift">
+                <span>
+                    <i class="fas fa-gift"></i> ${escapeHTML(label)}
+                    ${gift.message ? `<q class="gift-message">${escapeHTML(gift.message)}</q>` : ''}
+                </span>
+                <span>${charge.isZero() ? '' : this.currency.format(charge)}</span>
+            </li>
+        `;
+    }
+
+    /**
+     * Points spent on and earned by the order
+     */
+    renderRewards(order) {
+        const rewards = order.rewards;
+        if (!rewards || (!rewards.pointsEarned && !rewards.pointsRedeemed)) return '';
+
+        // Points are earned on delivery and given back if the order does not go through
+        const closed = order.status === 'cancelled' || order.status === 'refunded';
+        const earnedKey = order.status === 'delivered' ? 'rewards.orderEarned' : 'rewards.orderEarnOnDelivery';
+        return `
+            <ul class="order-rewards">
+                ${rewards.pointsRedeemed ? `<li><i class="fas fa-star"></i> ${this.i18n.html(closed ? 'rewards.orderReturned' : 'rewards.orderRedeemed', { count: rewards.pointsRedeemed, amount: this.currency.format(Money.fromJSON(rewards.redemptionAmount)) })}</li>` : ''}
+                ${rewards.pointsEarned && !closed ? `<li><i class="fas fa-star"></i> ${this.i18n.html(earnedKey, { count: rewards.pointsEarned })}</li>` : ''}
+            </ul>
+        `;
+    }
+
+    /**
+     * Step indicator along the normal flow (hidden once cancelled or refunded)
+     */
+    renderProgress(order) {
+        const current = OrderLifecycle.FLOW.indexOf(order.status);
+        if (current === -1) return '';
+
+        const steps = OrderLifecycle.FLOW.map((status, index) => {
+            const classes = [index <= current ? 'is-done' : '', index === current ? 'is-current' : ''].join(' ').trim();
+            return `<li class="${classes}"${index === current ? ' aria-current="step"' : ''}>${escapeHTML(OrderLifecycle.getLabel(status, this.i18n))}</li>`;
+        }).join('');
+
+        return `<ol class="order-progress">${steps}</ol>`;
+    }
+
+    renderHistory(order) {
+        const entries = [...(order.history || [])].reverse().map(entry => `
+            <li>
+                <time datetime="${escapeHTML(entry.at)}">${this.i18n.formatDate(entry.at, I18n.DATE_TIME_FORMAT)}</time>
+                <strong>${escapeHTML(OrderLifecycle.getLabel(entry.status, this.i18n))}</strong>
+                ${entry.note ? `<span class="order-history-note">${escapeHTML(entry.note)}</span>` : ''}
+            </li>
+        `).join('');
+
+        return entries ? `<ul class="order-history">${entries}</ul>` : '';
+    }
+
+    destroy() {
+        this.stopWatching();
+        this.container = null;
+        this.order = null;
+    }
+}
+
+/**
+ * TrackOrderView - Order lookup by number and email for /track-order
+ *
+ * VelouraApp validates the form and calls track(); results update live.
+ */
+class TrackOrderView extends OrderView {
+    render(container) {
+        const template = document.getElementById('view-track-order');
+        if (!template) {
+            throw new Error('Missing view template #view-track-order');
+        }
+
+        this.container = container;
+        container.innerHTML = '';
+        container.appendChild(template.content.cloneNode(true));
+        this.i18n.translateElements(container);
+    }
+
+    show(order) {
+        this.order = order;
+        const result = this.container.querySelector('.track-order-result');
+        if (result) {
+            result.innerHTML = this.renderOrder(order);
+        }
+    }
+
+    /**
+     * Find an order and follow it; resolves with whether it was found
+     */
+    async track(orderNumber, email) {
+        this.stopWatching();
+        this.order = null;
+        const result = this.container.querySelector('.track-order-result');
+        if (result) result.innerHTML = '';
+
+        if (!this.orderStore.isAvailable()) {
+            // Without Firestore only orders placed on this device can be found
+            const order = this.checkout.getOrder(orderNumber);
+            if (!order || order.contact.email.toLowerCase() !== email.toLowerCase()) return false;
+
+            this.show(order);
+            return true;
+        }
+
+        const found = await this.watch(await this.orderStore.getTrackingId(orderNumber, email));
+        if (!found) this.stopWatching();
+        return found;
+    }
+}
+
+/**
+ * NewsletterView - Confirm and unsubscribe links from newsletter emails
+ *
+ * /newsletter/confirm?token= confirms straight away; /newsletter/unsubscribe?token=
+ * asks first so link scanners in mail clients cannot unsubscribe anyone.
+ */
+class NewsletterView {
+    constructor(store, i18n = new I18n()) {
+        this.store = store;
+        this.i18n = i18n;
+        this.container = null;
+    }
+
+    async render(container, params, searchParams) {
+        this.container = container;
+        const token = searchParams.get('token') || '';
+
+        if (!this.store) {
+            this.show('newsletter.serviceError');
+        } else if (params.action === 'confirm') {
+            this.show('newsletter.confirming');
+            await this.run('confirm', token);
+        } else if (params.action === 'unsubscribe') {
+            this.show('newsletter.unsubscribePrompt', `
+                <button type="button" class="btn btn-primary btn-checkout" data-newsletter-action="unsubscribe">${this.i18n.html('newsletter.unsubscribe')}</button>
+            `);
+            container.querySelector('[data-newsletter-action="unsubscribe"]')
+                .addEventListener('click', () => this.run('unsubscribe', token));
+        } else {
+            this.show('newsletter.invalidLink');
+        }
+    }
+
+    /**
+     * Show a message (by key) with optional action markup
+     */
+    show(key, actions = '') {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="container route-page newsletter-page">
+                <h2 class="section-title">${this.i18n.html('newsletter.title')}</h2>
+                <p class="newsletter-page-message" role="status">${this.i18n.html(key)}</p>
+                ${actions}
+            </div>
+        `;
+    }
+
+    async run(action, token) {
+        const retry = `<button type="button" class="btn btn-outline-dark" data-newsletter-action="retry">${this.i18n.html('newsletter.retry')}</button>`;
+
+        try {
+            const { status } = await (action === 'confirm' ? this.store.confirm(token) : this.store.unsubscribe(token));
+            const key = this.i18n.has(`newsletter.status.${status}`) ? `newsletter.status.${status}` : 'newsletter.status.invalid';
+            this.show(key, `<a href="/" class="btn btn-outline-dark">${this.i18n.html('checkout.continue')}</a>`);
+        } catch (err) {
+            console.error('NewsletterView run error', err);
+            this.show(err.code === 'rate-limited' ? 'newsletter.tooManyRequests' : 'newsletter.serviceError', retry);
+            if (this.container) {
+                this.container.querySelector('[data-newsletter-action="retry"]')
+                    .addEventListener('click', () => this.run(action, token));
+            }
+        }
+    }
+
+    destroy() {
+        this.container = null;
+    }
+}
+
+/**
+ * ContentView - Static page rendered from a <template> in index.html
+ */
+class ContentView {
+    constructor(templateId, i18n = new I18n()) {
+        this.templateId = templateId;
+        this.i18n = i18n;
+    }
+
+    render(container) {
+        const template = document.getElementById(this.templateId);
+        if (!template) {
+            throw new Error(`Missing view template #${this.templateId}`);
+        }
+
+        container.innerHTML = '';
+        container.appendChild(template.content.cloneNode(true));
+        this.i18n.translateElements(container);
+    }
+}
+
+// ==================== MAIN APPLICATION ====================
+
+/**
+ * VelouraApp - Main application class
+ */
+class VelouraApp extends EventHandler {
+    constructor() {
+        super();
+        this.name = 'VelouraApp';
+        this.config = window.VELOURA_CONFIG || {};
+        this.firebase = new FirebaseClient(this.config.firebase || {});
+        
+        // Initialize components
+        this.i18n = new I18n();
+        this.currency = new CurrencyConverter({ locale: this.i18n.getLocaleTag() });
+        this.productCatalog = new ProductCatalog('/data/products.json', this.currency, this.i18n);
+        this.catalogFilter = new CatalogFilter(this.productCatalog, {
+            getPopularity: () => this.analytics.getInteractionCounts()
+        });
+        this.catalogFilterPanel = new CatalogFilterPanel(this.catalogFilter, document.getElementById('catalog-filters'), this.currency, this.i18n);
+        this.discountEngine = new DiscountEngine({ i18n: this.i18n });
+        this.inventory = this.firebase.isConfigured()
+            ? new FirestoreInventoryService(this.firebase, { catalog: this.productCatalog })
+            : new LocalInventoryService({ catalog: this.productCatalog });
+        this.cart = new Cart({ discountEngine: this.discountEngine, catalog: this.productCatalog, inventory: this.inventory, i18n: this.i18n });
+        this.cartDrawer = new CartDrawer(this.cart, document.getElementById('cart-drawer'), this.currency, this.i18n);
+        this.wishlist = new Wishlist();
+        this.notification = new Notification({ i18n: this.i18n });
+        this.consent = new ConsentManager();
+        this.analytics = new Analytics({
+            transport: AnalyticsTransport.fromConfig(this.config.analytics, { consent: this.consent }),
+            consent: this.consent
+        });
+        this.recommender = new Recommender(this.productCatalog, {
+            strategies: {
+                recent: new RecentlyViewedStrategy({ getHistory: () => this.analytics.getInteractionHistory() }),
+                together: new FrequentlyBoughtTogetherStrategy({ getHistory: () => this.analytics.getInteractionHistory() }),
+                category: new SameCategoryStrategy(this.productCatalog, { getPopularity: () => this.analytics.getInteractionCounts() })
+            }
+        });
+        this.productRecommendations = new RecommendationsView(this.recommender, this.currency, this.i18n, {
+            rails: [
+                { id: 'recent', title: 'recommendations.recent', strategies: ['recent'] },
+                { id: 'similar', title: 'recommendations.similar', strategies: ['together', 'category'] }
+            ]
+        });
+        this.productPageRecommendations = new RecommendationsView(this.recommender, this.currency, this.i18n, {
+            rails: [
+                { id: 'together', title: 'recommendations.together', strategies: ['together'] },
+                { id: 'similar', title: 'recommendations.similar', strategies: ['category'] },
+                { id: 'recent', title: 'recommendations.recent', strategies: ['recent'] }
+            ]
+        });
+        this.cartRecommendations = new RecommendationsView(this.recommender, this.currency, this.i18n, {
+            rails: [{ id: 'cart', title: 'recommendations.completeLook', strategies: ['together', 'category'] }],
+            limit: 3,
+            compact: true
+        });
+        this.formValidator = new FormValidator({}, { i18n: this.i18n });
+        this.newsletterStore = SubscriberStore.fromConfig(this.config.newsletter);
+        this.newsletterForm = new NewsletterForm(document.getElementById('newsletter-form'), this.newsletterStore, this.formValidator, {
+            i18n: this.i18n
+        });
+        this.auth = new AuthService(this.firebase, { i18n: this.i18n });
+        this.accountStore = new FirestoreAccountStore(this.firebase);
+        this.orderStore = new FirestoreOrderStore(this.firebase);
+        this.rewards = new Rewards(new RewardsProgram(this.config.rewards), new FirestoreRewardsStore(this.firebase));
+        this.payments = Payments.fromConfig(this.config.payments);
+        this.connectivity = new ConnectivityMonitor();
+        this.offlineQueue = new OfflineQueue();
+        this.signedInUid = null;
+        this.cartSyncTimer = null;
+        this.cartSyncing = false;
+        this.checkout = new Checkout(
+            this.cart,
+            this.formValidator,
+            new CheckoutCalculator({ i18n: this.i18n }),
+            new LocalStorageAdapter(),
+            this.inventory,
+            this.orderStore.isAvailable() ? this.orderStore : null,
+            this.payments
+        );
+        this.consentBanner = new ConsentBanner(this.consent, document.getElementById('consent-banner'));
+        this.checkoutView = new CheckoutView(this.checkout, document.getElementById('checkout-modal'), this.currency, this.i18n, this.rewards);
+        this.router = this.createRouter();
+
+        // Initialize app
+        this.init();
+    }
+
+    /**
+     * Initialize application
+     */
+    init() {
+        console.log('%c🚀 VELOURA Application Started', 'color: #ff6b6b; font-size: 16px; font-weight: bold;');
+        this.connectComponents();
+        this.applyLocale();
+        this.i18n.subscribe(() => this.applyLocale());
+        this.setupEventBus();
+        this.setupEventListeners();
+        this.setupOfflineSupport();
+        this.setupScrollAnimations();
+        this.setupNavbarScroll();
+        this.auth.subscribe(state => this.handleAuthChange(state));
+        this.auth.init();
+        this.wishlist.subscribe(() => {
+            this.updateWishlistBadge();
+            this.updateWishlistButtons();
+        });
+        this.catalogFilter.subscribe(() => this.handleFilterChange());
+        this.consent.subscribe(() => this.renderRecommendations());
+        this.productRecommendations.subscribe(() => this.updateWishlistButtons());
+        this.productPageRecommendations.subscribe(() => this.updateWishlistButtons());
+        this.newsletterForm.subscribe(state => this.handleNewsletterChange(state));
+        this.loadCatalog();
+        this.loadPromotions();
+        this.router.subscribe(state => this.handleRouteChange(state));
+        this.router.start();
+        this.analytics.trackEvent('app_initialized');
+        // Ensure cart badge shows correct count on startup
+        this.updateCartBadge();
+        this.updateWishlistBadge();
+    }
+
+    /**
+     * Send the domain events of these components through the app bus
+     */
+    connectComponents() {
+        [this.cart, this.checkout, this.connectivity, this.payments].forEach(component => component.connect(this));
+    }
+
+    /**
+     * React to domain events from connected components
+     */
+    setupEventBus() {
+        this.on('cart:updated', () => {
+            this.updateCartBadge();
+            this.scheduleCartSync();
+            this.renderRecommendations();
+        });
+        this.on('cart:item_added', ({ item }) => {
+            this.notification.success(this.i18n.t('toast.added', { name: `${item.name}${item.variantLabel ? ` (${item.variantLabel})` : ''}` }), {
+                actions: [{ label: this.i18n.t('toast.viewCart'), onClick: () => this.handleViewCart() }]
+            });
+            // The other cart products feed "frequently bought together"
+            this.analytics.trackProductInteraction(item, 'add_to_cart', {
+                cartProductIds: this.getCartProductIds().filter(id => id !== item.id)
+            });
+        });
+        this.on('cart:quantity_changed', ({ item, previousQuantity }) => {
+            const change = item.quantity - previousQuantity;
+            const action = change === 1 ? 'increment_quantity' : (change === -1 ? 'decrement_quantity' : 'set_quantity');
+            this.analytics.trackProductInteraction(item, action);
+        });
+        this.on('cart:item_removed', ({ item, reason, historyId }) => {
+            if (reason !== 'removed') return;
+
+            this.notification.info(this.i18n.t('toast.removed', { name: item.name }), {
+                actions: [{ label: this.i18n.t('toast.undo'), onClick: () => this.undoCartChange(historyId) }]
+            });
+            this.analytics.trackProductInteraction(item, 'remove_from_cart');
+        });
+        this.on('cart:cleared', ({ items, reason, historyId }) => {
+            if (reason !== 'cleared') return;
+
+            if (items.length > 0) {
+                this.notification.info(this.i18n.t('toast.cleared'), {
+                    actions: [{ label: this.i18n.t('toast.undo'), onClick: () => this.undoCartChange(historyId) }]
+                });
+            }
+            this.analytics.trackEvent('cart_cleared');
+        });
+        this.on('history:*', ({ component, label }, eventName) => {
+            this.analytics.trackEvent(eventName === 'history:undone' ? 'undo' : 'redo', { component, change: label });
+        });
+        this.on('network:offline', () => {
+            this.updateNetworkStatus();
+            this.notification.warning(this.i18n.t('network.offline'));
+            this.analytics.trackEvent('connection_lost');
+        });
+        this.on('network:online', () => {
+            this.updateNetworkStatus();
+            this.replayOfflineChanges();
+            this.analytics.trackEvent('connection_restored');
+        });
+        this.on('cart:promo_applied', ({ code }) => this.analytics.trackEvent('promo_applied', { code }));
+        this.on('cart:promo_removed', ({ code }) => this.analytics.trackEvent('promo_removed', { code }));
+        this.on('cart:gift_updated', ({ item }) => this.analytics.trackEvent('gift_options_updated', {
+            productId: item.id,
+            sku: item.sku,
+            wrap: item.gift ? item.gift.wrap : null,
+            hasMessage: Boolean(item.gift && item.gift.message)
+        }));
+        this.on('checkout:started', ({ itemCount }) => this.analytics.trackEvent('checkout_started', { itemCount }));
+        this.on('checkout:step_completed', ({ step }) => this.analytics.trackEvent('checkout_step_completed', { step }));
+        this.on('payment:succeeded', ({ method, intent }) => this.analytics.trackEvent('payment_succeeded', { method, status: intent.status }));
+        this.on('payment:failed', ({ method, code }) => this.analytics.trackEvent('payment_failed', { method, code }));
+        this.on('checkout:completed', ({ order }) => {
+            this.notification.success(this.i18n.t('toast.orderPlaced', { orderNumber: order.orderNumber }));
+            this.announceOrderRewards(order);
+            this.analytics.trackEvent('checkout_completed', {
+                orderNumber: order.orderNumber,
+                total: order.totals.total,
+                paymentMethod: order.payment ? order.payment.method : null
+            });
+        });
+    }
+
+    /**
+     * Register routes; views are created on first visit
+     */
+    createRouter() {
+        const t = key => this.i18n.t(key);
+        const router = new Router({
+            homeElement: document.getElementById('page-home'),
+            viewElement: document.getElementById('route-view'),
+            i18n: this.i18n
+        });
+
+        return router
+            .add('/', { name: 'home' })
+            .add('/product/:id', {
+                name: 'product',
+                title: params => {
+                    const product = this.productCatalog.getProduct(params.id);
+                    return product ? product.name : t('product.title');
+                },
+                load: () => new ProductDetailView(this.productCatalog, this.currency, this.productPageRecommendations, this.i18n)
+            })
+            .add('/cart', { name: 'cart', title: () => t('cart.title'), load: () => new CartView(this.cartDrawer) })
+            .add('/checkout', {
+                name: 'checkout',
+                title: () => t('checkout.title'),
+                load: () => new CheckoutPageView(this.cartDrawer, () => this.startCheckout())
+            })
+            .add('/wishlist', {
+                name: 'wishlist',
+                title: () => t('nav.wishlist'),
+                load: () => new WishlistView(this.wishlist, this.productCatalog, this.currency, this.i18n)
+            })
+            .add('/account', {
+                name: 'account',
+                title: () => t('nav.account'),
+                load: () => (this.accountView = new AccountView(this.auth, this.accountStore, this.checkout, this.currency, this.i18n, this.rewards))
+            })
+            .add('/orders/:id', {
+                name: 'order',
+                title: params => this.i18n.t('order.title', { orderNumber: params.id }),
+                load: () => new OrderView(this.checkout, this.orderStore, this.currency, this.i18n)
+            })
+            .add('/track-order', {
+                name: 'track-order',
+                title: () => t('footer.trackOrder'),
+                load: () => (this.trackOrderView = new TrackOrderView(this.checkout, this.orderStore, this.currency, this.i18n))
+            })
+            .add('/newsletter/:action', {
+                name: 'newsletter',
+                title: params => t(params.action === 'unsubscribe' ? 'newsletter.unsubscribe' : 'newsletter.title'),
+                load: () => new NewsletterView(this.newsletterStore, this.i18n)
+            })
+            .add('/size-guide', { name: 'size-guide', title: () => t('sizeGuide.title'), load: () => new ContentView('view-size-guide', this.i18n) })
+            .add('/faq', { name: 'faq', title: () => t('footer.faq'), load: () => new ContentView('view-faq', this.i18n) })
+            .add('*', { name: 'not-found', title: () => t('notFound.title'), load: () => new ContentView('view-not-found', this.i18n) });
+    }
+
+    /**
+     * Track every route change as a page view
+     */
+    handleRouteChange(state) {
+        this.analytics.trackPageView(state.path, { route: state.name });
+        this.updateWishlistButtons();
+
+        // Filters live in the home page query string
+        if (state.name === 'home') {
+            this.catalogFilter.fromSearchParams(new URLSearchParams(window.location.search));
+            this.renderRecommendations();
+        } else if (state.name === 'product') {
+            const product = this.productCatalog.getProduct(state.params.id);
+            if (product) this.analytics.trackProductInteraction(product, 'view');
+        }
+    }
+
+    /**
+     * Redraw the grid and keep the URL in step with the catalog filters
+     */
+    handleFilterChange() {
+        this.renderCatalog();
+        if (this.router.getState().name !== 'home') return;
+
+        const params = this.catalogFilter.toSearchParams().toString();
+        const url = `/${params ? `?${params}` : ''}${window.location.hash}`;
+        // Unchanged URLs mean the filters came from the URL itself
+        if (url === window.location.pathname + window.location.search + window.location.hash) return;
+
+        history.replaceState(history.state, '', url);
+        const { q, category, price, sort } = this.catalogFilter.getState();
+        this.analytics.trackEvent('catalog_filtered', {
+            query: q,
+            category,
+            price,
+            sort,
+            resultCount: this.productCatalog.visibleProducts.length
+        });
+    }
+
+    /**
+     * Render the filtered product grid once the catalog has loaded
+     */
+    renderCatalog() {
+        if (!this.productCatalog.getState().loaded) return;
+
+        const grid = document.getElementById('product-grid');
+        this.productCatalog.render(grid, this.catalogFilter.getResults());
+        this.observeScrollTargets(grid);
+        this.updateWishlistButtons();
+    }
+
+    /**
+     * Refresh the recommendations below the product grid and in the cart drawer
+     */
+    renderRecommendations() {
+        if (!this.productCatalog.getState().loaded) return;
+
+        const cartProductIds = this.getCartProductIds();
+        const viewed = this.analytics.getInteractionHistory()
+            .filter(entry => entry.action === 'view')
+            .map(entry => entry.productId)
+            .reverse();
+
+        this.productRecommendations.render(document.getElementById('product-recommendations'), {
+            productIds: [...new Set([...cartProductIds, ...viewed.slice(0, 3)])],
+            excludeIds: cartProductIds
+        });
+        this.cartRecommendations.render(document.querySelector('.cart-drawer-recommendations'), {
+            productIds: cartProductIds,
+            excludeIds: cartProductIds
+        });
+    }
+
+    /**
+     * Ids of the products in the cart
+     */
+    getCartProductIds() {
+        return [...new Set(this.cart.getCartData().items.map(item => item.id))];
+    }
+
+    /**
+     * Load product catalog and render the product grid
+     */
+    async loadCatalog() {
+        try {
+            await this.productCatalog.load();
+            this.renderCatalog();
+            this.renderRecommendations();
+
+            // Cap restored cart lines at current stock and redraw quantity limits
+            const limited = this.cart.enforceStockLimits();
+            if (limited.length > 0) {
+                this.notification.warning(this.i18n.t('toast.stockAdjusted', { names: limited.join(', ') }));
+            } else {
+                this.cart.refresh();
+            }
+        } catch (err) {
+            console.error('loadCatalog error', err);
+            this.notification.error(this.i18n.t('toast.catalogError'));
+        }
+    }
+
+    /**
+     * Load promotion rules for the discount engine
+     */
+    async loadPromotions() {
+        try {
+            await this.discountEngine.load();
+            // Re-price carts restored with promo codes before the rules arrived
+            this.cart.refresh();
+        } catch (err) {
+            console.error('loadPromotions error', err);
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Add to cart buttons (delegated, product cards are rendered from the catalog)
+        const productGrid = document.getElementById('product-grid');
+        if (productGrid) {
+            productGrid.addEventListener('click', (e) => {
+                const button = e.target.closest('.btn-add-cart');
+                const heart = e.target.closest('.btn-wishlist');
+                if (button) {
+                    e.preventDefault();
+                    this.handleAddToCart(button.dataset.productId);
+                } else if (heart) {
+                    this.handleWishlistToggle(heart.dataset.productId);
+                } else if (e.target.closest('[data-filter-action="clear"]')) {
+                    this.catalogFilter.reset();
+                }
+            });
+            productGrid.addEventListener('submit', (e) => {
+                if (e.target.matches('.restock-form')) {
+                    e.preventDefault();
+                    this.handleRestockRequest(e.target);
+                }
+            });
+        }
+
+        // Recommended product cards below the grid
+        const recommendations = document.getElementById('product-recommendations');
+        if (recommendations) {
+            recommendations.addEventListener('click', (e) => {
+                const button = e.target.closest('.btn-add-cart');
+                const heart = e.target.closest('.btn-wishlist');
+                if (button) {
+                    e.preventDefault();
+                    this.handleAddToCart(button.dataset.productId);
+                } else if (heart) {
+                    this.handleWishlistToggle(heart.dataset.productId);
+                }
+            });
+        }
+
+        // Suggestions in the cart drawer; following one to its page closes the drawer
+        const drawerRecommendations = document.querySelector('.cart-drawer-recommendations');
+        if (drawerRecommendations) {
+            drawerRecommendations.addEventListener('click', (e) => {
+                const button = e.target.closest('.btn-add-cart');
+                if (button) {
+                    this.handleAddToCart(button.dataset.productId);
+                } else if (e.target.closest('a[href]')) {
+                    this.cartDrawer.close();
+                }
+            });
+        }
+
+        // Recommendation rails can appear on several pages
+        document.addEventListener('click', (e) => this.trackRecommendationClick(e));
+
+        // Explore button
+        const exploreBtn = document.querySelector('.btn-explore');
+        if (exploreBtn) {
+            exploreBtn.addEventListener('click', () => this.handleExplore());
+        }
+
+        // Cart button in navbar
+        const cartBtn = document.getElementById('cart-btn');
+        if (cartBtn) {
+            cartBtn.addEventListener('click', () => this.handleViewCart());
+        }
+
+        // Cookie settings link in footer
+        const consentSettings = document.getElementById('consent-settings');
+        if (consentSettings) {
+            consentSettings.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.consentBanner.show();
+            });
+        }
+
+        // Currency selector
+        const currencySelect = document.getElementById('currency-select');
+        if (currencySelect) {
+            currencySelect.innerHTML = this.currency.getCurrencies()
+                .map(code => `<option value="${code}">${code}</option>`)
+                .join('');
+            currencySelect.value = this.currency.getState().currency;
+            currencySelect.addEventListener('change', () => this.handleCurrencyChange(currencySelect.value));
+        }
+
+        // Language selector (options are labelled in their own language)
+        const localeSelect = document.getElementById('locale-select');
+        if (localeSelect) {
+            localeSelect.innerHTML = this.i18n.getLocales()
+                .map(locale => `<option value="${locale}" lang="${locale}">${escapeHTML(this.i18n.getLocaleName(locale))}</option>`)
+                .join('');
+            localeSelect.value = this.i18n.getLocale();
+            localeSelect.addEventListener('change', () => this.handleLocaleChange(localeSelect.value));
+        }
+
+        // Cart line controls in the drawer and routed views
+        this.bindCartControls(document.getElementById('cart-drawer'));
+        const routeView = document.getElementById('route-view');
+        this.bindCartControls(routeView);
+        if (routeView) {
+            routeView.addEventListener('click', (e) => {
+                const button = e.target.closest('.btn-add-cart, .btn-add-cart-detail');
+                const heart = e.target.closest('.btn-wishlist');
+                const wishlistControl = e.target.closest('[data-wishlist-action]');
+                if (button) {
+                    e.preventDefault();
+                    this.handleAddToCart(button.dataset.productId, button.dataset.sku);
+                } else if (heart) {
+                    this.handleWishlistToggle(heart.dataset.productId);
+                } else if (wishlistControl) {
+                    this.handleWishlistAction(wishlistControl.dataset.wishlistAction, wishlistControl.dataset.key);
+                } else if (e.target.closest('[data-account-action]')) {
+                    const control = e.target.closest('[data-account-action]');
+                    this.handleAccountAction(control.dataset.accountAction, control.dataset.addressId);
+                }
+            });
+            routeView.addEventListener('submit', (e) => {
+                if (e.target.matches('.track-order-form')) {
+                    e.preventDefault();
+                    this.handleTrackOrder(e.target);
+                } else if (e.target.matches('.restock-form')) {
+                    e.preventDefault();
+                    this.handleRestockRequest(e.target);
+                } else if (e.target.matches('.auth-form')) {
+                    e.preventDefault();
+                    this.handleAuthForm(e.target);
+                } else if (e.target.matches('.profile-form')) {
+                    e.preventDefault();
+                    this.handleProfileForm(e.target);
+                } else if (e.target.matches('.address-form')) {
+                    e.preventDefault();
+                    this.handleAddressForm(e.target);
+                }
+            });
+        }
+
+        // Checkout steps
+        const checkoutModal = document.getElementById('checkout-modal');
+        if (checkoutModal) {
+            checkoutModal.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (e.target.matches('.points-form')) {
+                    this.handleRedeemPoints(e.target);
+                } else {
+                    this.handleCheckoutStep(e.target);
+                }
+            });
+            checkoutModal.addEventListener('change', (e) => {
+                if (e.target.name === 'paymentMethod') {
+                    this.checkoutView.showPaymentFields(e.target.value);
+                }
+            });
+            checkoutModal.addEventListener('hidden.bs.modal', () => this.handleCheckoutClosed());
+            checkoutModal.addEventListener('focusout', (e) => {
+                if (e.target.form && e.target.name) {
+                    const schema = this.checkout.getSchema(this.checkout.getState().step);
+                    this.formValidator.validateFormField(e.target.form, e.target.name, schema);
+                }
+            });
+            checkoutModal.addEventListener('click', (e) => {
+                const control = e.target.closest('[data-checkout-action]');
+                if (!control) return;
+
+                if (control.dataset.checkoutAction === 'back') {
+                    this.checkout.back();
+                } else if (control.dataset.checkoutAction === 'place-order') {
+                    this.handlePlaceOrder();
+                } else if (control.dataset.checkoutAction === 'remove-points') {
+                    this.checkout.setRedemption(null);
+                }
+            });
+        }
+    }
+
+    /**
+     * Record which rail a followed or added recommendation came from
+     */
+    trackRecommendationClick(e) {
+        const rail = e.target.closest('[data-rail]');
+        const control = rail && e.target.closest('a[href], .btn-add-cart');
+        if (!control) return;
+
+        const product = control.closest('[data-product-id]');
+        this.analytics.trackEvent('recommendation_clicked', {
+            rail: rail.dataset.rail,
+            productId: product ? product.dataset.productId : null,
+            action: control.matches('.btn-add-cart') ? 'add_to_cart' : 'view'
+        });
+    }
+
+    /**
+     * Delegate cart line and promo code controls within a container
+     */
+    bindCartControls(element) {
+        if (!element) return;
+
+        element.addEventListener('click', (e) => {
+            const control = e.target.closest('button[data-action]');
+            if (control) {
+                this.handleCartAction(control.dataset.action, control.dataset.sku, control.dataset.code);
+            }
+        });
+        element.addEventListener('submit', (e) => {
+            if (e.target.matches('.promo-form')) {
+                e.preventDefault();
+                this.handleApplyPromo(e.target);
+            } else if (e.target.matches('.gift-form')) {
+                e.preventDefault();
+                this.handleGiftForm(e.target);
+            } else if (e.target.matches('.gift-recipient-form')) {
+                e.preventDefault();
+                this.handleGiftRecipientForm(e.target);
+            }
+        });
+        element.addEventListener('input', (e) => {
+            const message = e.target.closest('textarea[name="giftMessage"]');
+            const count = message && message.parentElement.querySelector('.gift-message-count');
+            if (count) {
+                count.textContent = `${message.value.length}/${message.dataset.limit}`;
+            }
+        });
+        element.addEventListener('change', (e) => {
+            const input = e.target.closest('input[data-action="set-quantity"]');
+            if (input) {
+                this.handleCartAction('set-quantity', input.dataset.sku, input.value);
+            }
+        });
+    }
+
+    /**
+     * Register the service worker, replay work queued while offline and show the connection state
+     */
+    setupOfflineSupport() {
+        this.offlineQueue.register('cart:sync', ({ uid }) => {
+            // Changes for an account that has since signed out are dropped
+            if (uid !== this.signedInUid) return null;
+            return this.accountStore.saveCart(uid, this.cart.toSnapshot());
+        });
+
+        this.updateNetworkStatus();
+        this.registerServiceWorker();
+    }
+
+    /**
+     * Replay queued changes once back online
+     */
+    async replayOfflineChanges() {
+        const pending = this.offlineQueue.getCount();
+        const { ready, available } = this.auth.getState();
+        // Queued cart changes belong to an account, so wait until sign-in state is known
+        const replayed = ready && available ? await this.offlineQueue.replay() : 0;
+
+        this.notification.success(this.i18n.t(pending > 0 && replayed === pending ? 'network.synced' : 'network.online'));
+    }
+
+    /**
+     * Show or hide the offline indicator
+     */
+    updateNetworkStatus() {
+        const status = document.getElementById('network-status');
+        if (status) {
+            status.hidden = this.connectivity.isOnline();
+        }
+    }
+
+    /**
+     * Register the service worker and offer a reload when a new version is waiting
+     */
+    async registerServiceWorker() {
+        const url = (this.config.offline || {}).serviceWorker;
+        if (!url || !('serviceWorker' in navigator)) return;
+
+        let updating = false;
+        const offerUpdate = worker => {
+            this.notification.info(this.i18n.t('network.updateAvailable'), {
+                actions: [{
+                    label: this.i18n.t('network.reload'),
+                    onClick: () => {
+                        updating = true;
+                        worker.postMessage({ type: 'SKIP_WAITING' });
+                    }
+                }]
+            });
+        };
+
+        // The first install also takes control of the page; only reload for accepted updates
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (updating) window.location.reload();
+        });
+
+        try {
+            const registration = await navigator.serviceWorker.register(url);
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                offerUpdate(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        offerUpdate(worker);
+                    }
+                });
+            });
+        } catch (err) {
+            console.error('registerServiceWorker error', err);
+        }
+    }
+
+    /**
+     * Setup scroll animations
+     */
+    setupScrollAnimations() {
+        const observerOptions = {
+            threshold: 0.1,
+            rootMargin: '0px 0px -100px 0px'
+        };
+
+        this.scrollObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('appears-on-scroll');
+                    this.scrollObserver.unobserve(entry.target);
+                }
+            });
+        }, observerOptions);
+
+        // Observe feature cards, product cards, and contact cards
+        this.observeScrollTargets(document);
+    }
+
+    /**
+     * Observe animated cards within a container (used for content rendered after init)
+     */
+    observeScrollTargets(root) {
+        if (!root || !this.scrollObserver) return;
+
+        root.querySelectorAll('.feature-card, .product-card, .contact-card').forEach(el => {
+            this.scrollObserver.observe(el);
+        });
+    }
+
+    /**
+     * Setup navbar scroll effect
+     */
+    setupNavbarScroll() {
+        const navbar = document.querySelector('.navbar-custom');
+        let lastScrollTop = 0;
+
+        window.addEventListener('scroll', () => {
+            const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+
+            if (scrollTop > 100) {
+                navbar.style.boxShadow = '0 10px 30px rgba(0, 0, 0, 0.3)';
+                navbar.style.backgroundColor = 'rgba(26, 26, 46, 0.95)';
+            } else {
+                navbar.style.boxShadow = 'var(--shadow-lg)';
+                navbar.style.backgroundColor = '';
+            }
+
+            lastScrollTop = scrollTop;
+        });
+    }
+
+    /**
+     * Handle add to cart (products with several variants need a SKU); returns whether it was added
+     */
+    handleAddToCart(productId, sku = null) {
+        const product = this.productCatalog.getProduct(productId);
+        if (!product) {
+            this.notification.error(this.i18n.t('toast.productUnavailable'));
+            return false;
+        }
+
+        if (!sku && this.productCatalog.hasVariants(product)) {
+            this.notification.info(this.i18n.t('toast.chooseOptions', { name: product.name }));
+            this.router.navigate(`/product/${encodeURIComponent(product.id)}`);
+            return false;
+        }
+
+        const variant = sku ? this.productCatalog.getVariant(product, sku) : product.variants[0];
+        if (!variant) {
+            this.notification.error(this.i18n.t('toast.optionUnavailable'));
+            return false;
+        }
+        if (variant.stock <= 0) {
+            this.notification.error(this.i18n.t('toast.optionOutOfStock', { name: product.name }));
+            return false;
+        }
+
+        const result = this.cart.addItem({
+            id: product.id,
+            sku: variant.sku,
+            name: product.name,
+            options: { ...variant.options },
+            variantLabel: variant.label,
+            price: variant.price,
+            currency: product.currency,
+            image: product.image,
+            category: product.category
+        });
+        if (!result.isValid) {
+            this.notification.warning(result.error);
+            return false;
+        }
+
+        // Log cart data
+        console.log('📦 Cart Updated:', this.cart.getCartData());
+        return true;
+    }
+
+    /**
+     * Toggle a product on the wishlist from a heart button
+     */
+    handleWishlistToggle(productId) {
+        const product = this.productCatalog.getProduct(productId);
+        if (!product) return;
+
+        const saved = this.wishlist.toggle({
+            id: product.id,
+            sku: null,
+            name: product.name,
+            price: this.productCatalog.getPrice(product).amount,
+            currency: product.currency,
+            image: product.image,
+            category: product.category
+        });
+        this.notification.info(this.i18n.t(saved ? 'toast.wishlistSaved' : 'toast.wishlistRemoved', { name: product.name }));
+        this.analytics.trackProductInteraction(product, saved ? 'wishlist_add' : 'wishlist_remove');
+    }
+
+    /**
+     * Handle wishlist page actions
+     */
+    handleWishlistAction(action, key) {
+        const item = this.wishlist.getItem(key);
+        if (!item) return;
+
+        if (action === 'move-to-cart') {
+            // Product-level entries for products with options open the product page instead
+            if (this.handleAddToCart(item.id, item.sku)) {
+                this.wishlist.remove(key);
+                this.analytics.trackProductInteraction(item, 'move_to_cart');
+            }
+        } else if (action === 'remove') {
+            this.wishlist.remove(key);
+            this.analytics.trackProductInteraction(item, 'wishlist_remove');
+        }
+    }
+
+    /**
+     * Move a cart line to the wishlist
+     */
+    handleSaveForLater(item) {
+        this.wishlist.add({
+            id: item.id,
+            sku: item.sku,
+            name: item.name,
+            options: { ...item.options },
+            variantLabel: item.variantLabel || '',
+            price: item.price,
+            currency: item.currency,
+            image: item.image,
+            category: item.category
+        });
+        this.cart.removeItem(item.sku, 'saved_for_later');
+        this.notification.info(this.i18n.t('toast.savedForLater', { name: item.name }));
+        this.analytics.trackProductInteraction(item, 'save_for_later');
+    }
+
+    /**
+     * Update wishlist count badge in navbar
+     */
+    updateWishlistBadge() {
+        const badge = document.getElementById('wishlist-count');
+        if (!badge) return;
+
+        const count = this.wishlist.getCount();
+        badge.textContent = count;
+        badge.style.display = count > 0 ? 'flex' : 'none';
+    }
+
+    /**
+     * Reflect saved state on every heart toggle on the page
+     */
+    updateWishlistButtons() {
+        document.querySelectorAll('.btn-wishlist[data-product-id]').forEach(button => {
+            const saved = this.wishlist.has(button.dataset.productId);
+            button.classList.toggle('active', saved);
+            button.setAttribute('aria-pressed', String(saved));
+            const icon = button.querySelector('i');
+            if (icon) icon.className = `${saved ? 'fas' : 'far'} fa-heart`;
+        });
+    }
+
+    /**
+     * Update cart count badge in navbar
+     */
+    updateCartBadge() {
+        try {
+            const cartCount = document.getElementById('cart-count');
+            if (cartCount) {
+                const count = this.cart.getItemCount();
+                cartCount.textContent = count;
+                if (count > 0) {
+                    cartCount.style.display = 'flex';
+                } else {
+                    cartCount.style.display = 'none';
+                }
+            }
+        } catch (err) {
+            console.error('updateCartBadge error', err);
+        }
+    }
+
+    /**
+     * Handle view cart
+     */
+    handleViewCart() {
+        try {
+            this.cartDrawer.open();
+            this.analytics.trackEvent('cart_viewed', { itemCount: this.cart.getItemCount() });
+            console.log('🛒 Cart Items:', this.cart.getCartData());
+        } catch (err) {
+            console.error('handleViewCart error', err);
+        }
+    }
+
+    /**
+     * Handle display currency change
+     */
+    handleCurrencyChange(currency) {
+        try {
+            this.currency.setCurrency(currency);
+            this.analytics.trackEvent('currency_changed', { currency });
+        } catch (err) {
+            console.error('handleCurrencyChange error', err);
+            this.notification.error(this.i18n.t('toast.currencyUnsupported'));
+        }
+    }
+
+    /**
+     * Handle display language change
+     */
+    handleLocaleChange(locale) {
+        try {
+            this.i18n.setLocale(locale);
+            this.analytics.trackEvent('locale_changed', { locale });
+        } catch (err) {
+            console.error('handleLocaleChange error', err);
+            this.notification.error(this.i18n.t('toast.localeUnsupported'));
+        }
+    }
+
+    /**
+     * Bring page text, number and date formats in line with the active locale
+     */
+    applyLocale() {
+        const locale = this.i18n.getLocale();
+        document.documentElement.lang = locale;
+        this.currency.setLocale(this.i18n.getLocaleTag());
+        this.i18n.translateElements(document);
+        this.updateAccountLink(this.auth.getUser());
+        this.updateWishlistButtons();
+    }
+
+    /**
+     * Handle cart drawer line actions
+     */
+    handleCartAction(action, sku, value) {
+        const item = this.cart.getItem(sku);
+
+        switch (action) {
+            case 'increment':
+                if (!item) return;
+                this.notifyStockLimit(this.cart.setQuantity(sku, item.quantity + 1));
+                break;
+            case 'decrement':
+                if (!item) return;
+                this.cart.decrementItem(sku);
+                break;
+            case 'set-quantity':
+                if (!item) return;
+                this.notifyStockLimit(this.cart.setQuantity(sku, value));
+                break;
+            case 'remove':
+                if (!item) return;
+                this.cart.removeItem(sku);
+                break;
+            case 'save-for-later':
+                if (!item) return;
+                this.handleSaveForLater(item);
+                break;
+            case 'clear':
+                this.cart.clearCart();
+                break;
+            case 'checkout':
+                this.handleCheckout();
+                break;
+            case 'remove-promo':
+                this.cart.removePromoCode(value);
+                break;
+            case 'remove-gift':
+                if (!item) return;
+                this.cart.setGiftOptions(sku, null);
+                break;
+            case 'remove-gift-recipient':
+                this.cart.setGiftRecipient(null);
+                break;
+            default:
+                console.error('handleCartAction unknown action', action);
+        }
+    }
+
+    /**
+     * Undo a cart change from a toast, unless the cart has changed since
+     */
+    undoCartChange(historyId) {
+        if (!this.cart.undo(historyId)) {
+            this.notification.info(this.i18n.t('toast.undoExpired'));
+        }
+    }
+
+    /**
+     * Warn when a quantity change was capped at the stock limit
+     */
+    notifyStockLimit(result) {
+        if (result && !result.isValid && result.error) {
+            this.notification.warning(result.error);
+        }
+    }
+
+    /**
+     * Handle back-in-stock notify form submission
+     */
+    async handleRestockRequest(form) {
+        const schema = { email: ['required', 'email'] };
+        const formData = this.formValidator.getFormData(form);
+        const result = await this.formValidator.validate(formData, schema);
+
+        this.formValidator.showErrors(form, result.errors, schema);
+        if (!result.isValid) return;
+
+        try {
+            const { duplicate } = await this.inventory.requestRestockNotice(form.dataset.sku, formData.email);
+            this.notification.success(this.i18n.t(duplicate ? 'toast.restockDuplicate' : 'toast.restockSaved'));
+            this.analytics.trackEvent('restock_requested', { productId: form.dataset.productId, sku: form.dataset.sku });
+            form.reset();
+        } catch (err) {
+            console.error('handleRestockRequest error', err);
+            this.notification.error(this.i18n.t('toast.restockError'));
+        }
+    }
+
+    /**
+     * React to sign-in and sign-out
+     */
+    async handleAuthChange({ user }) {
+        this.updateAccountLink(user);
+
+        const uid = user ? user.uid : null;
+        if (uid === this.signedInUid) return;
+
+        const wasSignedIn = Boolean(this.signedInUid);
+        this.signedInUid = uid;
+        clearTimeout(this.cartSyncTimer);
+
+        if (uid) {
+            this.loadRewards(uid);
+            await this.syncCartOnSignIn(uid);
+            if (this.connectivity.isOnline()) this.offlineQueue.replay();
+        } else if (wasSignedIn) {
+            // The saved cart and points belong to the account, not the device
+            this.rewards.clear();
+            this.checkout.setRedemption(null);
+            this.cart.clearCart('signed_out');
+        }
+    }
+
+    /**
+     * Load the member's points ledger
+     */
+    async loadRewards(uid) {
+        try {
+            await this.rewards.load(uid);
+        } catch (err) {
+            console.error('loadRewards error', err);
+            this.notification.error(this.i18n.t('toast.rewardsError'));
+        }
+    }
+
+    /**
+     * Tell the member when the order's points arrive; the order service records them
+     */
+    announceOrderRewards(order) {
+        if (!order.rewards) return;
+
+        if (order.rewards.pointsEarned > 0) {
+            this.notification.info(this.i18n.t('toast.pointsOnDelivery', { count: order.rewards.pointsEarned }));
+        }
+        this.analytics.trackEvent('rewards_pending', {
+            tier: order.rewards.tier,
+            pointsEarned: order.rewards.pointsEarned,
+            pointsRedeemed: order.rewards.pointsRedeemed
+        });
+    }
+
+    /**
+     * Merge the guest cart with the cart saved to the account
+     */
+    async syncCartOnSignIn(uid) {
+        this.cartSyncing = true;
+        try {
+            // Changes queued while offline make this device's cart the newest copy
+            const saved = this.offlineQueue.has(`cart:${uid}`) ? null : await this.accountStore.getCart(uid);
+            const hadGuestItems = this.cart.getItemCount() > 0;
+
+            this.cart.applySnapshot(Cart.merge(this.cart.toSnapshot(), saved ? this.cart.migrate(saved) : null));
+            const limited = this.cart.enforceStockLimits();
+            this.cart.save();
+            await this.accountStore.saveCart(uid, this.cart.toSnapshot());
+            this.offlineQueue.remove(`cart:${uid}`);
+
+            if (limited.length > 0) {
+                this.notification.warning(this.i18n.t('toast.stockAdjusted', { names: limited.join(', ') }));
+            } else if (hadGuestItems && saved && saved.items && saved.items.length > 0) {
+                this.notification.info(this.i18n.t('toast.cartMerged'));
+            }
+        } catch (err) {
+            console.error('syncCartOnSignIn error', err);
+            this.notification.error(this.i18n.t('toast.cartLoadError'));
+        } finally {
+            this.cartSyncing = false;
+        }
+    }
+
+    /**
+     * Save cart changes to the signed-in account (debounced)
+     */
+    scheduleCartSync() {
+        if (!this.signedInUid || this.cartSyncing) return;
+
+        const uid = this.signedInUid;
+        clearTimeout(this.cartSyncTimer);
+        // Firestore writes made offline would be lost on reload; keep them until the connection returns
+        if (!this.connectivity.isOnline()) {
+            this.offlineQueue.enqueue('cart:sync', { uid }, `cart:${uid}`);
+            return;
+        }
+
+        this.cartSyncTimer = setTimeout(() => {
+            this.accountStore.saveCart(uid, this.cart.toSnapshot()).catch(err => {
+                console.error('scheduleCartSync error', err);
+                this.offlineQueue.enqueue('cart:sync', { uid }, `cart:${uid}`);
+            });
+        }, VelouraApp.CART_SYNC_DELAY);
+    }
+
+    /**
+     * Greet the signed-in shopper in the navbar
+     */
+    updateAccountLink(user) {
+        const link = document.getElementById('account-link');
+        if (!link) return;
+
+        const firstName = user && user.displayName ? user.displayName.split(' ')[0] : '';
+        if (!user) {
+            link.textContent = this.i18n.t('nav.account');
+        } else {
+            link.textContent = firstName ? this.i18n.t('nav.greeting', { name: firstName }) : this.i18n.t('nav.greetingAnonymous');
+        }
     }
 
     /**
-     * Track page view
+     * Handle sign-in, sign-up and password reset forms
      */
-    trackPageView(section) {
-        this.trackEvent('page_view', { section });
+    async handleAuthForm(form) {
+        const action = form.dataset.authAction;
+        const schema = AccountView.SCHEMAS[action];
+        const formData = this.formValidator.getFormData(form);
+        const result = await this.formValidator.validate(formData, schema);
+
+        this.formValidator.showErrors(form, result.errors, schema);
+        if (!result.isValid) return;
+
+        // Passwords are used exactly as typed
+        const password = form.elements.password ? form.elements.password.value : '';
+        const submit = form.querySelector('[type="submit"]');
+        submit.disabled = true;
+
+        try {
+            if (action === 'sign-in') {
+                await this.auth.signIn(formData.email, password);
+                this.notification.success(this.i18n.t('toast.welcomeBack'));
+                this.analytics.trackEvent('login', { method: 'password' });
+            } else if (action === 'sign-up') {
+                await this.auth.signUp(formData.email, password, formData.displayName);
+                this.notification.success(this.i18n.t('toast.accountCreated'));
+                this.analytics.trackEvent('sign_up', { method: 'password' });
+            } else if (action === 'reset') {
+                await this.auth.resetPassword(formData.email);
+                this.notification.info(this.i18n.t('toast.resetSent'));
+                form.reset();
+            }
+        } catch (err) {
+            // Do not reveal whether an email is registered
+            if (action === 'reset' && err.code === 'auth/user-not-found') {
+                this.notification.info(this.i18n.t('toast.resetSent'));
+            } else {
+                console.error('handleAuthForm error', err);
+                this.notification.error(this.auth.getErrorMessage(err));
+            }
+        } finally {
+            submit.disabled = false;
+        }
     }
 
     /**
-     * Track product interaction
+     * Save the signed-in shopper's name and phone
      */
-    trackProductInteraction(productName, action) {
-        this.trackEvent('product_interaction', { productName, action });
+    async handleProfileForm(form) {
+        const user = this.auth.getUser();
+        if (!user) return;
+
+        const schema = AccountView.SCHEMAS.profile;
+        const formData = this.formValidator.getFormData(form);
+        const result = await this.formValidator.validate(formData, schema);
+
+        this.formValidator.showErrors(form, result.errors, schema);
+        if (!result.isValid) return;
+
+        try {
+            await this.accountStore.saveProfile(user.uid, { displayName: formData.displayName, phone: formData.phone || '' });
+            await this.auth.updateDisplayName(formData.displayName);
+            this.notification.success(this.i18n.t('toast.profileSaved'));
+            if (this.accountView) this.accountView.refresh();
+        } catch (err) {
+            console.error('handleProfileForm error', err);
+            this.notification.error(this.i18n.t('toast.profileError'));
+        }
     }
 
     /**
-     * Get analytics report
+     * Add an address to the signed-in shopper's profile
      */
-    getReport() {
-        return {
-            totalEvents: this.events.length,
-            sessionDuration: Date.now() - this.sessionStart.getTime(),
-            events: this.events
-        };
-    }
-}
+    async handleAddressForm(form) {
+        const user = this.auth.getUser();
+        if (!user) return;
 
-// ==================== FORM VALIDATOR ====================
+        const schema = AccountView.SCHEMAS.address;
+        const formData = this.formValidator.getFormData(form);
+        const result = await this.formValidator.validate(formData, schema);
 
-/**
- * FormValidator - Validate form inputs
- */
-class FormValidator extends BaseComponent {
-    constructor() {
-        super('FormValidator');
-        this.rules = {};
+        this.formValidator.showErrors(form, result.errors, schema);
+        if (!result.isValid) return;
+
+        const { label, fullName, street, city, province, postalCode } = formData;
+        await this.updateAddresses(user.uid, addresses => {
+            const isDefault = addresses.length === 0 || formData.isDefault === 'true';
+            const others = isDefault ? addresses.map(address => ({ ...address, isDefault: false })) : addresses;
+            return [...others, { id: generateId(), label, fullName, street, city, province, postalCode, isDefault }];
+        }, 'toast.addressSaved');
     }
 
     /**
-     * Add validation rule
+     * Handle sign-out and address list buttons on the account page
      */
-    addRule(fieldName, rule) {
-        if (!this.rules[fieldName]) {
-            this.rules[fieldName] = [];
+    async handleAccountAction(action, addressId) {
+        const user = this.auth.getUser();
+        if (!user) return;
+
+        if (action === 'sign-out') {
+            try {
+                await this.auth.signOut();
+                this.notification.info(this.i18n.t('toast.signedOut'));
+                this.analytics.trackEvent('logout');
+            } catch (err) {
+                console.error('handleAccountAction error', err);
+                this.notification.error(this.auth.getErrorMessage(err));
+            }
+        } else if (action === 'remove-address') {
+            await this.updateAddresses(user.uid, addresses => {
+                const remaining = addresses.filter(address => address.id !== addressId);
+                // Keep a default address whenever any are saved
+                if (remaining.length > 0 && !remaining.some(address => address.isDefault)) {
+                    remaining[0] = { ...remaining[0], isDefault: true };
+                }
+                return remaining;
+            }, 'toast.addressRemoved');
+        } else if (action === 'default-address') {
+            await this.updateAddresses(user.uid, addresses => addresses.map(address => ({
+                ...address,
+                isDefault: address.id === addressId
+            })), 'toast.defaultAddress');
         }
-        this.rules[fieldName].push(rule);
     }
 
     /**
-     * Validate email
+     * Read, change and save the address list, then redraw the account page
      */
-    validateEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+    async updateAddresses(uid, update, messageKey) {
+        try {
+            const profile = await this.accountStore.getProfile(uid);
+            await this.accountStore.saveProfile(uid, { addresses: update(profile.addresses) });
+            this.notification.success(this.i18n.t(messageKey));
+            if (this.accountView) this.accountView.refresh();
+        } catch (err) {
+            console.error('updateAddresses error', err);
+            this.notification.error(this.i18n.t('toast.addressError'));
+        }
     }
 
     /**
-     * Validate required field
+     * Handle promo code form submission
      */
-    validateRequired(value) {
-        return value.trim().length > 0;
+    handleApplyPromo(form) {
+        const input = form.elements.promoCode;
+        const code = input.value.trim();
+
+        if (!code) {
+            this.notification.error(this.i18n.t('toast.promoRequired'));
+            return;
+        }
+
+        const result = this.cart.applyPromoCode(code);
+        if (!result.isValid) {
+            this.notification.error(result.error);
+            this.analytics.trackEvent('promo_rejected', { code });
+            return;
+        }
+
+        input.value = '';
+        this.notification.success(this.i18n.t('toast.promoApplied', { label: result.rule.label }));
     }
 
     /**
-     * Validate minimum length
+     * Save a cart line's gift wrap and card message
      */
-    validateMinLength(value, minLength) {
-        return value.length >= minLength;
+    async handleGiftForm(form) {
+        const schema = {
+            giftWrap: [{
+                type: 'custom',
+                validate: value => !value || Boolean(this.cart.getGiftWrapStyle(value)),
+                message: 'validation.giftWrap'
+            }],
+            giftMessage: [{ type: 'maxLength', value: this.cart.giftMessageLimit }]
+        };
+        const formData = this.formValidator.getFormData(form);
+        const result = await this.formValidator.validate(formData, schema);
+
+        this.formValidator.showErrors(form, result.errors, schema);
+        if (!result.isValid) return;
+
+        const update = this.cart.setGiftOptions(form.dataset.sku, { wrap: formData.giftWrap, message: formData.giftMessage });
+        if (!update.isValid) {
+            if (update.error) this.notification.error(update.error);
+            return;
+        }
+        this.notification.success(this.i18n.t('toast.giftSaved'));
     }
 
     /**
-     * Validate form data
+     * Save the address gift lines are sent to
      */
-    validate(formData) {
-        const errors = {};
+    async handleGiftRecipientForm(form) {
+        const schema = this.checkout.getSchema('shipping');
+        const formData = this.formValidator.getFormData(form);
+        const result = await this.formValidator.validate(formData, schema);
 
-        for (const [fieldName, value] of Object.entries(formData)) {
-            if (fieldName === 'email') {
-                if (!this.validateEmail(value)) {
-                    errors[fieldName] = 'Invalid email format';
-                }
-            }
-            if (!this.validateRequired(value)) {
-                errors[fieldName] = 'This field is required';
-            }
-        }
+        this.formValidator.showErrors(form, result.errors, schema);
+        if (!result.isValid) return;
 
-        return {
-            isValid: Object.keys(errors).length === 0,
-            errors
-        };
+        const { fullName, street, city, province, postalCode } = formData;
+        this.cart.setGiftRecipient({ fullName, street, city, province, postalCode });
+        this.notification.success(this.i18n.t('toast.giftRecipientSaved', { name: fullName }));
     }
-}
 
-// ==================== MAIN APPLICATION ====================
+    /**
+     * Go to checkout from the cart drawer
+     */
+    handleCheckout() {
+        this.cartDrawer.close();
+        this.router.navigate('/checkout');
+    }
 
-/**
- * VelouraApp - Main application class
- */
-class VelouraApp extends EventHandler {
-    constructor() {
-        super();
-        this.name = 'VelouraApp';
-        
-        // Initialize components
-        this.cart = new Cart();
-        this.notification = new Notification();
-        this.analytics = new Analytics();
-        this.formValidator = new FormValidator();
+    /**
+     * Open the checkout modal (entered through the /checkout route)
+     */
+    startCheckout() {
+        if (this.cart.getItemCount() === 0) {
+            this.notification.info(this.i18n.t('cart.empty'));
+            this.router.navigate('/cart', { replace: true });
+            return;
+        }
 
-        // Initialize app
-        this.init();
+        this.checkout.start();
+        this.checkoutView.open();
     }
 
     /**
-     * Initialize application
+     * Leave the /checkout route when the checkout modal closes
      */
-    init() {
-        console.log('%c🚀 VELOURA Application Started', 'color: #ff6b6b; font-size: 16px; font-weight: bold;');
-        this.setupEventListeners();
-        this.setupScrollAnimations();
-        this.setupNavbarScroll();
-        this.analytics.trackEvent('app_initialized');
-        // Ensure cart badge shows correct count on startup
-        this.updateCartBadge();
+    handleCheckoutClosed() {
+        if (this.router.getState().path !== '/checkout') return;
+
+        const { order } = this.checkout.getState();
+        if (!order) {
+            this.checkout.releaseReservation();
+        }
+        this.router.navigate(order ? `/orders/${encodeURIComponent(order.orderNumber)}` : '/cart', { replace: true });
     }
 
     /**
-     * Setup event listeners
+     * Look up an order from the track order page
      */
-    setupEventListeners() {
-        // Add to cart buttons
-        document.querySelectorAll('.btn-add-cart').forEach(button => {
-            button.addEventListener('click', (e) => {
-                e.preventDefault();
-                const productCard = button.closest('.product-card');
-                const productName = productCard.querySelector('.product-info h5').textContent;
-                const productPrice = productCard.querySelector('.product-price').textContent;
-                
-                this.handleAddToCart(productName, productPrice);
-            });
-        });
+    async handleTrackOrder(form) {
+        const schema = { orderNumber: ['required'], email: ['required', 'email'] };
+        const formData = this.formValidator.getFormData(form);
+        const result = await this.formValidator.validate(formData, schema);
 
-        // Explore button
-        const exploreBtn = document.querySelector('.btn-explore');
-        if (exploreBtn) {
-            exploreBtn.addEventListener('click', () => this.handleExplore());
-        }
+        this.formValidator.showErrors(form, result.errors, schema);
+        if (!result.isValid || !this.trackOrderView) return;
 
-        // Newsletter form
-        const emailInput = document.getElementById('email-input');
-        if (emailInput) {
-            emailInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    this.handleSubscribe();
-                }
-            });
-        }
-        // Cart button in navbar
-        const cartBtn = document.getElementById('cart-btn');
-        if (cartBtn) {
-            cartBtn.addEventListener('click', () => this.handleViewCart());
+        try {
+            const found = await this.trackOrderView.track(formData.orderNumber.toUpperCase(), formData.email);
+            if (!found) {
+                this.notification.error(this.i18n.t('toast.orderNotFound'));
+            }
+        } catch (err) {
+            console.error('handleTrackOrder error', err);
+            this.notification.error(this.i18n.t('toast.trackError'));
         }
     }
 
     /**
-     * Setup scroll animations
+     * Handle checkout step form submission
      */
-    setupScrollAnimations() {
-        const observerOptions = {
-            threshold: 0.1,
-            rootMargin: '0px 0px -100px 0px'
-        };
+    async handleCheckoutStep(form) {
+        const formData = this.formValidator.getFormData(form);
+        const step = this.checkout.getState().step;
+        const result = await this.checkout.submitStep(formData);
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('appears-on-scroll');
-                    observer.unobserve(entry.target);
-                }
-            });
-        }, observerOptions);
-
-        // Observe feature cards, product cards, and contact cards
-        document.querySelectorAll('.feature-card, .product-card, .contact-card').forEach(el => {
-            observer.observe(el);
-        });
+        this.formValidator.showErrors(form, result.errors, this.checkout.getSchema(step));
     }
 
     /**
-     * Setup navbar scroll effect
+     * Apply rewards points from the review step
      */
-    setupNavbarScroll() {
-        const navbar = document.querySelector('.navbar-custom');
-        let lastScrollTop = 0;
-
-        window.addEventListener('scroll', () => {
-            const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+    async handleRedeemPoints(form) {
+        const { redemption } = this.checkout.getState();
+        const schema = {
+            points: ['required', {
+                type: 'custom',
+                validate: value => {
+                    const result = this.rewards.validateRedemption(Number(value), this.checkout.getTotals(), redemption);
+                    return result.isValid || this.i18n.t(result.error, {
+                        min: this.rewards.program.rules.minRedeem,
+                        step: this.rewards.program.rules.redeemStep,
+                        max: result.max
+                    });
+                }
+            }]
+        };
+        const formData = this.formValidator.getFormData(form);
+        const result = await this.formValidator.validate(formData, schema);
 
-            if (scrollTop > 100) {
-                navbar.style.boxShadow = '0 10px 30px rgba(0, 0, 0, 0.3)';
-                navbar.style.backgroundColor = 'rgba(26, 26, 46, 0.95)';
-            } else {
-                navbar.style.boxShadow = 'var(--shadow-lg)';
-                navbar.style.backgroundColor = '';
-            }
+        this.formValidator.showErrors(form, result.errors, schema);
+        if (!result.isValid) return;
 
-            lastScrollTop = scrollTop;
-        });
+        const points = Number(formData.points);
+        this.checkout.setRedemption({ points, amount: this.rewards.program.getRedemptionValue(points) });
+        this.analytics.trackEvent('points_redeemed', { points });
     }
 
     /**
-     * Handle add to cart
+     * Points the member spends on and earns from the order being placed (null for guests)
      */
-    handleAddToCart(productName, productPrice) {
-        // Normalize price by stripping any non-numeric characters (currency symbols, commas)
-        const priceClean = String(productPrice).replace(/[^0-9.]/g, '');
-        const product = {
-            name: productName,
-            price: priceClean
-        };
+    getOrderRewards() {
+        if (!this.rewards.isMember()) return null;
 
-        this.cart.addItem(product);
-        this.notification.success(`✨ ${productName} added to cart!`);
-        this.analytics.trackProductInteraction(productName, 'add_to_cart');
-        
-        // Log cart data
-        console.log('📦 Cart Updated:', this.cart.getCartData());
-        // Update navbar badge when item is added
-        this.updateCartBadge();
+        const { redemption } = this.checkout.getState();
+        return {
+            tier: this.rewards.getTier().id,
+            pointsEarned: this.rewards.getEarnedFor(this.checkout.getTotals()),
+            pointsRedeemed: redemption ? redemption.points : 0,
+            redemptionAmount: new Money(redemption ? redemption.amount : 0).toJSON()
+        };
     }
 
     /**
-     * Update cart count badge in navbar
+     * Handle place order
      */
-    updateCartBadge() {
+    async handlePlaceOrder() {
+        // The balance may have changed since the points were applied (e.g. on another device)
+        const { redemption } = this.checkout.getState();
+        if (redemption && !this.rewards.validateRedemption(redemption.points, this.checkout.getTotals(), redemption).isValid) {
+            this.checkout.setRedemption(null);
+            this.notification.warning(this.i18n.t('toast.pointsRemoved'));
+            return;
+        }
+
+        // Ignore repeat clicks (or a retry) while a payment is still running
+        const { status } = this.payments.getState();
+        if (status === 'processing' || status === 'action') return;
+
         try {
-            const cartCount = document.getElementById('cart-count');
-            if (cartCount) {
-                const count = this.cart.getItemCount();
-                cartCount.textContent = count;
-                if (count > 0) {
-                    cartCount.style.display = 'flex';
-                } else {
-                    cartCount.style.display = 'none';
-                }
-            }
+            await this.checkout.placeOrder({ uid: this.signedInUid, rewards: this.getOrderRewards() });
         } catch (err) {
-            console.error('updateCartBadge error', err);
+            console.error('handlePlaceOrder error', err);
+            if (PaymentProvider.ERROR_CODES.includes(err.code)) {
+                this.notifyPaymentFailure(err);
+            } else {
+                this.notification.error(this.i18n.t('toast.orderError'));
+            }
         }
     }
 
     /**
-     * Handle view cart
+     * Explain a failed payment, offering a retry when it may succeed and another method otherwise
      */
-    handleViewCart() {
-        try {
-            const cartData = this.cart.getCartData();
-            if (cartData.itemCount === 0) {
-                this.notification.info('Your cart is empty. Start shopping!');
-                return;
-            }
-            this.notification.success(`🛍️ You have ${cartData.itemCount} items in cart worth ₱${cartData.totalPrice.toFixed(2)}`);
-            console.log('🛒 Cart Items:', cartData);
-        } catch (err) {
-            console.error('handleViewCart error', err);
+    notifyPaymentFailure(err) {
+        const actions = [{ label: this.i18n.t('payment.changeMethod'), onClick: () => this.checkout.goToStep('payment') }];
+        if (err.retryable) {
+            actions.unshift({ label: this.i18n.t('payment.retry'), onClick: () => this.handlePlaceOrder() });
         }
+        this.notification.error(this.i18n.t(`payment.errors.${err.code}`), { actions });
     }
 
     /**
@@ -597,27 +11151,19 @@ class VelouraApp extends EventHandler {
         
         if (productsSection) {
             productsSection.scrollIntoView({ behavior: 'smooth' });
-            this.notification.info('Explore our amazing products!');
+            this.notification.info(this.i18n.t('toast.explore'));
         }
     }
 
     /**
-     * Handle newsletter subscription
+     * Track newsletter sign-up outcomes
      */
-    handleSubscribe() {
-        const emailInput = document.getElementById('email-input');
-        const email = emailInput.value.trim();
-
-        if (!this.formValidator.validateEmail(email)) {
-            this.notification.error('Please enter a valid email address');
-            this.analytics.trackEvent('newsletter_failed', { email });
-            return;
+    handleNewsletterChange({ status, result }) {
+        if (status === 'success' && result) {
+            this.analytics.trackEvent('newsletter_subscribed', { result });
+        } else if (status === 'error') {
+            this.analytics.trackEvent('newsletter_failed', { reason: result });
         }
-
-        // Simulate API call
-        this.notification.success(`🎉 Successfully subscribed with ${email}!`);
-        this.analytics.trackEvent('newsletter_subscribed', { email });
-        emailInput.value = '';
     }
 
     /**
@@ -639,6 +11185,11 @@ class VelouraApp extends EventHandler {
     }
 }
 
+/**
+ * Delay before cart changes are saved to the signed-in account
+ */
+VelouraApp.CART_SYNC_DELAY = 1000;
+
 // ==================== GLOBAL FUNCTIONS ====================
 
 // Initialize app when DOM is loaded
@@ -652,20 +11203,9 @@ document.addEventListener('DOMContentLoaded', () => {
 /**
  * Global function to add product to cart
  */
-function handleAddCart(productName) {
+function handleAddCart(productId, sku) {
     if (app) {
-        const card = document.evaluate(
-            `//h5[text()='${productName}']/ancestor::div[@class='product-card']`,
-            document,
-            null,
-            XPathResult.FIRST_ORDERED_NODE_TYPE,
-            null
-        ).singleNodeValue;
-        
-        if (card) {
-            const price = card.querySelector('.product-price').textContent;
-            app.handleAddToCart(productName, price);
-        }
+        app.handleAddToCart(productId, sku);
     }
 }
 
@@ -678,38 +11218,44 @@ function handleExplore() {
     }
 }
 
-/**
- * Global function to handle subscribe
- */
-function handleSubscribe() {
-    if (app) {
-        app.handleSubscribe();
-    }
-}
-
 // ==================== TOAST NOTIFICATION STYLES ====================
 
 // Add toast styles dynamically
 const style = document.createElement('style');
 style.textContent = `
-    .toast {
+    .toast-stack {
         position: fixed;
-        bottom: -100px;
+        bottom: 20px;
         right: 20px;
+        z-index: 10000;
+        display: flex;
+        flex-direction: column;
+        align-items: flex-end;
+        gap: 10px;
+        max-width: 400px;
+    }
+
+    .toast-stack .toast {
+        display: block;
+        width: auto;
         background: white;
         padding: 16px 24px;
         border-radius: 8px;
         box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
-        z-index: 10000;
-        transition: bottom 0.3s ease;
+        opacity: 0;
+        transform: translateY(20px);
+        transition: opacity 0.3s ease, transform 0.3s ease;
+    }
+
+    .toast-stack .toast.show {
+        opacity: 1;
+        transform: none;
+    }
+
+    .toast-container {
         display: flex;
         align-items: center;
         gap: 12px;
-        max-width: 400px;
-    }
-
-    .toast.show {
-        bottom: 20px;
     }
 
     .toast-success {
@@ -755,6 +11301,34 @@ style.textContent = `
         font-weight: 500;
     }
 
+    .toast-count {
+        font-size: 12px;
+        font-weight: 700;
+        color: #636e72;
+    }
+
+    .toast-actions {
+        display: flex;
+        gap: 6px;
+    }
+
+    .toast-action {
+        background: none;
+        border: 1px solid #2d3436;
+        border-radius: 4px;
+        padding: 2px 10px;
+        font-size: 13px;
+        font-weight: 600;
+        color: #2d3436;
+        cursor: pointer;
+    }
+
+    .toast-action:hover,
+    .toast-action:focus-visible {
+        background: #2d3436;
+        color: white;
+    }
+
     .toast-close {
         background: none;
         border: none;
@@ -770,10 +11344,11 @@ style.textContent = `
     }
 
     @media (max-width: 576px) {
-        .toast {
+        .toast-stack {
             right: 10px;
             left: 10px;
             max-width: none;
+            align-items: stretch;
         }
     }
 `;
@@ -819,4 +11394,48 @@ window.clearCart = function() {
     }
 };
 
-console.log('%c💡 Tip: Use viewCart(), viewAnalytics(), viewAppState(), clearCart() in console!', 'color: #ff6b6b; font-style: italic;');
+/**
+ * Undo / redo the last cart change
+ */
+window.undoCart = function() {
+    if (app) {
+        console.log(app.cart.undo() ? '↩️ Cart change undone' : 'Nothing to undo');
+    }
+};
+
+window.redoCart = function() {
+    if (app) {
+        console.log(app.cart.redo() ? '↪️ Cart change redone' : 'Nothing to redo');
+    }
+};
+
+/**
+ * Copy the cart and its history as JSON (for bug reports), or load such a snapshot
+ */
+window.exportCartSnapshot = function() {
+    if (app) {
+        const json = app.cart.exportSnapshot();
+        console.log(json);
+        return json;
+    }
+};
+
+window.importCartSnapshot = function(json) {
+    if (app) {
+        app.cart.importSnapshot(json);
+        console.log('✅ Cart snapshot loaded');
+    }
+};
+
+/**
+ * Move an order to a new status (needs a signed-in account with the admin claim)
+ */
+window.updateOrderStatus = async function(orderNumber, email, status, note = '') {
+    if (app) {
+        const trackingId = await app.orderStore.getTrackingId(orderNumber, email);
+        const order = await app.orderStore.updateStatus(trackingId, status, note);
+        console.log(`✅ Order ${order.orderNumber} is now ${order.status}`);
+    }
+};
+
+console.log('%c💡 Tip: Use viewCart(), viewAnalytics(), viewAppState(), clearCart(), undoCart(), exportCartSnapshot(), updateOrderStatus() in console!', 'color: #ff6b6b; font-style: italic;');
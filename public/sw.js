@@ -0,0 +1,149 @@
+/**
+ * VELOURA service worker
+ *
+ * - App shell (pages, script, styles, images) is precached on install
+ * - Pages are fetched from the network first. App routes fall back to the
+ *   cached shell and then to offline.html; standalone pages such as
+ *   payment-return.html are never stored as the shell
+ * - Shell files, catalog data and CDN assets use stale-while-revalidate, so
+ *   changes reach shoppers on their next visit
+ * - Product images are cached as they are used, up to IMAGE_LIMIT
+ *
+ * Bump VERSION when SHELL_ASSETS changes to drop the old caches.
+ */
+const VERSION = 'v2';
+const SHELL_CACHE = `veloura-shell-${VERSION}`;
+const DATA_CACHE = `veloura-data-${VERSION}`;
+const RUNTIME_CACHE = `veloura-runtime-${VERSION}`;
+const IMAGE_CACHE = `veloura-images-${VERSION}`;
+const IMAGE_LIMIT = 60;
+
+const SHELL_ASSETS = [
+    '/',
+    '/index.html',
+    '/offline.html',
+    '/manifest.webmanifest',
+    '/scripts/config.js',
+    '/scripts/script.js',
+    '/styles/styles.css',
+    '/images/logo.png',
+    '/images/model.png',
+    '/images/icons/icon-192.png',
+    '/images/icons/icon-512.png'
+];
+
+// Cached on install when reachable; a CDN outage must not block installing
+const CDN_ASSETS = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
+];
+
+// Bootstrap, Font Awesome and the Firebase SDK modules
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'www.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_ASSETS);
+
+        const runtime = await caches.open(RUNTIME_CACHE);
+        await Promise.allSettled(CDN_ASSETS.map(url => runtime.add(new Request(url, { mode: 'cors' }))));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, DATA_CACHE, RUNTIME_CACHE, IMAGE_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('veloura-') && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page asks a waiting worker to take over once the shopper accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.origin === self.location.origin && url.pathname.startsWith('/data/')) {
+        event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE));
+    } else if (request.destination === 'image') {
+        event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE, IMAGE_LIMIT));
+    }
+    // Everything else (Firestore, analytics, newsletter API) goes straight to the network
+});
+
+/**
+ * Whether a path is one of the app's routes, which the host rewrites to index.html
+ * (anything with a file extension, e.g. /payment-return.html, is its own page)
+ */
+function isAppRoute(pathname) {
+    return pathname === '/index.html' || !/\.[a-z0-9]+$/i.test(pathname);
+}
+
+/**
+ * Network first so deploys show up straight away; only app routes refresh the cached shell
+ */
+async function handleNavigation(request) {
+    const shell = await caches.open(SHELL_CACHE);
+    const appRoute = isAppRoute(new URL(request.url).pathname);
+    try {
+        const response = await fetch(request);
+        if (response.ok && appRoute) {
+            await shell.put('/index.html', response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = appRoute
+            ? await shell.match('/index.html')
+            : await shell.match(request, { ignoreSearch: true });
+        return cached || (await shell.match('/offline.html')) || Response.error();
+    }
+}
+
+/**
+ * Answer from the cache when possible and refresh the entry in the background
+ */
+async function staleWhileRevalidate(event, cacheName, limit = 0) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request, { ignoreSearch: cacheName === SHELL_CACHE });
+
+    const update = fetch(event.request).then(async (response) => {
+        // Opaque (no-cors) responses cannot be checked, but are still worth keeping
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(event.request, response.clone());
+            if (limit) await trimCache(cache, limit);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update.catch(() => Response.error());
+}
+
+/**
+ * Drop the oldest entries beyond a limit
+ */
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,72 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('../tools/load-app');
+
+const { Cart, LocalInventoryService, MemoryStorageAdapter, ProductCatalog } = loadApp([
+    'Cart', 'LocalInventoryService', 'MemoryStorageAdapter', 'ProductCatalog'
+]);
+
+// Objects made inside the script's sandbox have its prototypes; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const NOW = Date.parse('2026-06-01T00:00:00.000Z');
+
+const PRODUCTS = [
+    { id: 'scarf', sku: 'SCARF', name: 'Silk Scarf', price: 5000, category: 'scarves', stock: 5 },
+    { id: 'ring', sku: 'RING', name: 'Ring', price: 9000, category: 'jewelry', stock: 2 }
+];
+
+describe('LocalInventoryService', () => {
+    let catalog;
+    let inventory;
+    let now;
+
+    beforeEach(async () => {
+        catalog = new ProductCatalog(PRODUCTS);
+        await catalog.load();
+        now = NOW;
+        inventory = new LocalInventoryService({ catalog, storage: new MemoryStorageAdapter(), now: () => now });
+    });
+
+    it('holds reserved stock from other shoppers until it expires', async () => {
+        const { isValid } = await inventory.reserve([{ sku: 'SCARF', quantity: 3 }], 60000);
+
+        assert.equal(isValid, true);
+        assert.equal(await inventory.getAvailable('SCARF'), 2);
+        now += 60001;
+        assert.equal(await inventory.getAvailable('SCARF'), 5);
+    });
+
+    it('reports lines it cannot hold', async () => {
+        const result = await inventory.reserve([{ sku: 'SCARF', quantity: 1 }, { sku: 'RING', quantity: 3 }]);
+
+        assert.equal(result.isValid, false);
+        assert.deepEqual(plain(result.unavailable), [{ sku: 'RING', requested: 3, available: 2 }]);
+    });
+
+    it('takes committed reservations off the stock level', async () => {
+        const { reservation } = await inventory.reserve([{ sku: 'SCARF', quantity: 2 }]);
+        assert.equal(inventory.getStockLevel('SCARF'), 5);
+
+        await inventory.commit(reservation.id, 'tracking-id');
+
+        assert.equal(inventory.getStockLevel('SCARF'), 3);
+        assert.equal(await inventory.getAvailable('SCARF'), 3);
+        await assert.rejects(inventory.commit(reservation.id), /expired/);
+    });
+
+    it('records a restock request once per SKU and email', async () => {
+        assert.equal((await inventory.requestRestockNotice('RING', 'Shopper@Example.com ')).duplicate, false);
+        assert.equal((await inventory.requestRestockNotice('RING', 'shopper@example.com')).duplicate, true);
+        assert.equal((await inventory.requestRestockNotice('SCARF', 'shopper@example.com')).duplicate, false);
+    });
+
+    it('limits cart quantities to stock that has not been sold', async () => {
+        const cart = new Cart({ catalog, inventory, storage: new MemoryStorageAdapter(), history: false });
+        const { reservation } = await inventory.reserve([{ sku: 'RING', quantity: 1 }]);
+        await inventory.commit(reservation.id, 'tracking-id');
+
+        assert.equal(cart.getStockLimit('RING'), 1);
+        assert.equal(new Cart({ catalog, storage: new MemoryStorageAdapter(), history: false }).getStockLimit('RING'), 2);
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('../tools/load-app');
+
+const { VelouraApp, EventHandler, Payments, SandboxPaymentProvider, CashOnDeliveryProvider, Money } = loadApp([
+    'VelouraApp', 'EventHandler', 'Payments', 'SandboxPaymentProvider', 'CashOnDeliveryProvider', 'Money'
+]);
+
+// Objects made inside the script's sandbox have its prototypes; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * An app bus wired the way VelouraApp.init wires it, around the given payments
+ */
+function connectApp(payments) {
+    const component = { connect() {} };
+    const app = Object.assign(new EventHandler(), { cart: component, checkout: component, connectivity: component, payments });
+    VelouraApp.prototype.connectComponents.call(app);
+    return app;
+}
+
+function sandboxPayments() {
+    const sandbox = new SandboxPaymentProvider({ delay: 0 });
+    return new Payments({ card: sandbox, cod: new CashOnDeliveryProvider() }, { sandbox: true });
+}
+
+describe('Payments events', () => {
+    const card = { number: '4242 4242 4242 4242', expiry: '12/30', cvc: '123', name: 'Test Shopper' };
+
+    it('reaches the app bus when a payment succeeds', async () => {
+        const app = connectApp(sandboxPayments());
+        const received = [];
+        app.on('payment:succeeded', data => received.push(data));
+
+        const intent = await app.payments.pay('card', Money.fromMajor(1500), { reference: 'VEL-TEST', card });
+
+        assert.equal(received.length, 1);
+        assert.equal(received[0].method, 'card');
+        assert.equal(received[0].intent.id, intent.id);
+        assert.equal(plain(received[0].intent).status, 'succeeded');
+    });
+
+    it('reaches the app bus when a payment fails', async () => {
+        const app = connectApp(sandboxPayments());
+        const received = [];
+        app.on('payment:*', (data, eventName) => received.push(eventName));
+
+        await assert.rejects(app.payments.pay('card', Money.fromMajor(1500), {
+            card: { ...card, number: '4000 0000 0000 0002' }
+        }));
+
+        assert.deepEqual(received, ['payment:failed']);
+    });
+});
+
+describe('Payments.fromConfig', () => {
+    it('offers only cash on delivery without an endpoint or the sandbox', () => {
+        const payments = Payments.fromConfig({ endpoint: null });
+
+        assert.deepEqual(plain(payments.getMethods(Money.fromMajor(1500))), ['cod']);
+        assert.equal(payments.sandbox, false);
+    });
+
+    it('uses the sandbox for card and wallets only when it is turned on', () => {
+        const payments = Payments.fromConfig({ endpoint: null, sandbox: true });
+
+        assert.deepEqual(plain(payments.getMethods(Money.fromMajor(1500))), ['card', 'gcash', 'maya', 'cod']);
+        assert.ok(payments.getProvider('card') instanceof SandboxPaymentProvider);
+        assert.equal(payments.sandbox, true);
+    });
+});
@@ -0,0 +1,210 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('../tools/load-app');
+
+const { RewardsProgram } = loadApp(['RewardsProgram']);
+
+// Objects made inside the script's sandbox have its prototypes; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-01T00:00:00.000Z');
+const iso = time => new Date(time).toISOString();
+
+function earn(id, points, at, expiresAt = at + 365 * DAY) {
+    return { id, type: 'earn', points, at: iso(at), expiresAt: iso(expiresAt), orderNumber: id };
+}
+
+function redeem(id, points, at) {
+    return { id, type: 'redeem', points: -points, at: iso(at), orderNumber: id };
+}
+
+describe('RewardsProgram earning', () => {
+    const program = new RewardsProgram();
+    const [member, silver, gold] = program.tiers;
+
+    it('earns 1 point per ₱10 spent, rounding down', () => {
+        assert.equal(program.calculateEarned(100000), 100);
+        assert.equal(program.calculateEarned(109999), 109);
+        assert.equal(program.calculateEarned(999), 0);
+    });
+
+    it('earns nothing on zero or negative amounts', () => {
+        assert.equal(program.calculateEarned(0), 0);
+        assert.equal(program.calculateEarned(-5000), 0);
+    });
+
+    it('multiplies points by the tier, rounding down', () => {
+        assert.equal(program.calculateEarned(100000, member), 100);
+        assert.equal(program.calculateEarned(100000, silver), 125);
+        assert.equal(program.calculateEarned(100000, gold), 150);
+        assert.equal(program.calculateEarned(10000, silver), 12);
+    });
+
+    it('picks the tier from lifetime points, including spent ones', () => {
+        assert.equal(program.getTier([]).id, 'member');
+        assert.equal(program.getTier([earn('a', 1999, NOW)]).id, 'member');
+        assert.equal(program.getTier([earn('a', 1500, NOW), earn('b', 500, NOW), redeem('c', 1000, NOW)]).id, 'silver');
+        assert.equal(program.getTier([earn('a', 10000, NOW)]).id, 'gold');
+        assert.equal(program.getNextTier([earn('a', 10000, NOW)]), null);
+    });
+
+    it('takes refunded orders out of the tier', () => {
+        const ledger = [earn('a', 2500, NOW), { id: 'r', type: 'reverse', points: -2500, at: iso(NOW), lotId: 'a', orderNumber: 'a' }];
+        assert.equal(program.getLifetimePoints(ledger), 0);
+        assert.equal(program.getTier(ledger).id, 'member');
+    });
+});
+
+describe('RewardsProgram lots and expiry', () => {
+    const program = new RewardsProgram();
+
+    it('redeems from the oldest points first', () => {
+        const ledger = [earn('new', 300, NOW - 10 * DAY), earn('old', 200, NOW - 20 * DAY), redeem('r', 250, NOW - 5 * DAY)];
+        assert.deepEqual(plain(program.getLots(ledger).map(({ id, remaining }) => ({ id, remaining }))), [
+            { id: 'new', remaining: 250 }
+        ]);
+    });
+
+    it('skips points that had already lapsed when they were redeemed', () => {
+        const ledger = [
+            earn('lapsed', 200, NOW - 400 * DAY),
+            earn('current', 300, NOW - 10 * DAY),
+            redeem('r', 100, NOW - 5 * DAY)
+        ];
+        const lots = program.getLots(ledger);
+        assert.equal(lots.find(lot => lot.id === 'lapsed').remaining, 200);
+        assert.equal(lots.find(lot => lot.id === 'current').remaining, 200);
+    });
+
+    it('counts points until the moment they expire', () => {
+        const ledger = [earn('a', 300, NOW - 365 * DAY + 1)];
+        assert.equal(program.getBalance(ledger, NOW), 300);
+        assert.deepEqual(plain(program.getExpiredEntries(ledger, NOW)), []);
+    });
+
+    it('expires what is left of a lot once it lapses', () => {
+        const expiresAt = NOW - DAY;
+        const ledger = [earn('a', 300, expiresAt - 365 * DAY, expiresAt), earn('b', 100, NOW - DAY), redeem('r', 120, NOW - 30 * DAY)];
+
+        assert.equal(program.getBalance(ledger, expiresAt), 100);
+        assert.deepEqual(plain(program.getExpiredEntries(ledger, NOW)), [
+            { type: 'expire', points: -180, at: iso(expiresAt), lotId: 'a' }
+        ]);
+    });
+
+    it('does not expire a lot twice', () => {
+        const expiresAt = NOW - DAY;
+        const ledger = [earn('a', 300, expiresAt - 365 * DAY, expiresAt)];
+        const expired = program.getExpiredEntries(ledger, NOW).map(entry => ({ id: 'x', ...entry }));
+
+        assert.deepEqual(plain(program.getExpiredEntries([...ledger, ...expired], NOW)), []);
+        assert.equal(program.getBalance([...ledger, ...expired], NOW), 0);
+    });
+});
+
+describe('RewardsProgram redemption', () => {
+    const program = new RewardsProgram();
+
+    it('caps redemption at half the amount', () => {
+        // ₱1,000 at ₱0.10 a point: at most ₱500, or 5000 points
+        assert.equal(program.getRedeemLimit(10000, 100000), 5000);
+        assert.equal(program.getRedeemLimit(3000, 100000), 3000);
+    });
+
+    it('rounds the limit down to whole steps', () => {
+        assert.equal(program.getRedeemLimit(1234, 1000000), 1230);
+        assert.equal(program.getRedeemLimit(10000, 24990), 1240);
+    });
+
+    it('allows nothing below the minimum', () => {
+        assert.equal(program.getRedeemLimit(99, 1000000), 0);
+        assert.equal(program.getRedeemLimit(1000, 1900), 0);
+        assert.equal(program.getRedeemLimit(100, 2000), 100);
+    });
+
+    it('validates points against the minimum, step and limit', () => {
+        const check = points => program.validateRedemption(points, 1000, 100000);
+
+        assert.deepEqual(plain(check(500)), { isValid: true, error: null, max: 1000 });
+        assert.equal(check(0).error, 'rewards.invalidPoints');
+        assert.equal(check(12.5).error, 'rewards.invalidPoints');
+        assert.equal(check(90).error, 'rewards.belowMinimum');
+        assert.equal(check(105).error, 'rewards.step');
+        assert.equal(check(1010).error, 'rewards.overLimit');
+    });
+
+    it('applies the max ratio in validation', () => {
+        const result = program.validateRedemption(600, 5000, 100000 / 10);
+        assert.equal(result.max, 500);
+        assert.equal(result.error, 'rewards.overLimit');
+    });
+
+    it('values points in minor units', () => {
+        assert.equal(program.getRedemptionValue(150), 1500);
+    });
+});
+
+describe('RewardsProgram order entries', () => {
+    const program = new RewardsProgram();
+    const balance = earn('start', 1000, NOW - 30 * DAY);
+
+    function order(status, pointsRedeemed = 0, history = []) {
+        const redemptionAmount = program.getRedemptionValue(pointsRedeemed);
+        return {
+            orderNumber: 'VEL-1',
+            status,
+            createdAt: iso(NOW - DAY),
+            history: [{ status: 'pending', at: iso(NOW - DAY), note: '' }, ...history],
+            rewards: { tier: 'member', pointsEarned: 100, pointsRedeemed, redemptionAmount: { amount: redemptionAmount, currency: 'PHP' } },
+            totals: {
+                subtotal: { amount: 100000, currency: 'PHP' },
+                discount: { amount: redemptionAmount, currency: 'PHP' }
+            }
+        };
+    }
+
+    it('redeems points when the order is placed and earns nothing yet', () => {
+        const { entries, error } = program.getOrderEntries(order('pending', 200), [balance], NOW);
+        assert.equal(error, null);
+        assert.deepEqual(plain(entries), [{ type: 'redeem', points: -200, at: iso(NOW - DAY), orderNumber: 'VEL-1' }]);
+        assert.deepEqual(plain(program.getOrderEntries(order('paid'), [balance], NOW).entries), []);
+    });
+
+    it('rejects redemptions over the balance or with the wrong value', () => {
+        assert.equal(program.getOrderEntries(order('pending', 2000), [balance], NOW).error, 'rewards.overLimit');
+
+        const tampered = order('pending', 200);
+        tampered.rewards.redemptionAmount.amount = 50000;
+        assert.equal(program.getOrderEntries(tampered, [balance], NOW).error, 'rewards.invalidPoints');
+    });
+
+    it('earns on delivery from what was paid, at the member tier', () => {
+        const deliveredAt = iso(NOW - 60 * 1000);
+        const delivered = order('delivered', 200, [{ status: 'delivered', at: deliveredAt, note: '' }]);
+        const ledger = [balance, { id: 'r', ...redeem('VEL-1', 200, NOW - DAY) }];
+
+        assert.deepEqual(plain(program.getOrderEntries(delivered, ledger, NOW).entries), [{
+            type: 'earn',
+            points: 98,
+            at: deliveredAt,
+            expiresAt: program.getExpiryDate(deliveredAt),
+            orderNumber: 'VEL-1'
+        }]);
+    });
+
+    it('gives back redeemed points and takes back earned ones on a refund', () => {
+        const ledger = [balance, { id: 'r', ...redeem('VEL-1', 200, NOW - DAY) }, earn('VEL-1', 98, NOW - DAY / 2)];
+        const { entries } = program.getOrderEntries(order('refunded', 200), ledger, NOW);
+
+        assert.deepEqual(plain(entries.map(({ type, points, lotId = null }) => ({ type, points, lotId }))), [
+            { type: 'restore', points: 200, lotId: null },
+            { type: 'reverse', points: -98, lotId: 'VEL-1' }
+        ]);
+        assert.deepEqual(plain(program.getOrderEntries(order('refunded', 200), [...ledger, ...entries], NOW).entries), []);
+    });
+
+    it('records nothing for an order cancelled before its points were redeemed', () => {
+        assert.deepEqual(plain(program.getOrderEntries(order('cancelled', 200), [balance], NOW)), { entries: [], error: null });
+    });
+});
@@ -0,0 +1,41 @@
+/**
+ * Load classes from the shop's browser script in Node
+ *
+ * public/scripts/script.js is a classic script, so it is run in a sandbox
+ * with the little of window and document its top-level code touches, after
+ * public/scripts/config.js (as served on localhost). Used by the mock order
+ * service and the unit tests:
+ *
+ *   const { RewardsProgram, config } = loadApp(['RewardsProgram']);
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const scripts = path.join(__dirname, '..', 'public', 'scripts');
+
+function loadApp(names) {
+    const noop = () => {};
+    const window = { location: { hostname: 'localhost', origin: 'http://localhost:5000' }, crypto: globalThis.crypto };
+    const context = vm.createContext({
+        window,
+        document: { addEventListener: noop, createElement: () => ({}), head: { appendChild: noop } },
+        console: { ...console, log: noop, info: noop },
+        crypto: globalThis.crypto,
+        TextEncoder,
+        fetch,
+        setTimeout,
+        clearTimeout
+    });
+
+    const run = (file, suffix = '') => vm.runInContext(
+        fs.readFileSync(path.join(scripts, file), 'utf8') + suffix,
+        context,
+        { filename: file }
+    );
+    run('config.js');
+    const classes = run('script.js', `\n;({ ${names.join(', ')} })`);
+    return { ...classes, config: window.VELOURA_CONFIG };
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,58 @@
+/**
+ * Mock analytics collector for local testing
+ *
+ * Usage: node tools/mock-collector.js [port]
+ * Then set analytics.collectorUrl to http://localhost:8787/collect in public/scripts/config.js.
+ *
+ * Set FAIL_RATE (0-1) to reject a share of requests and exercise the retry queue.
+ */
+const http = require('http');
+
+const port = Number(process.argv[2]) || 8787;
+const failRate = Number(process.env.FAIL_RATE) || 0;
+let received = 0;
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST' || req.url !== '/collect') {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        if (Math.random() < failRate) {
+            console.log('✗ Rejected batch (FAIL_RATE)');
+            res.writeHead(503);
+            res.end();
+            return;
+        }
+
+        try {
+            const { events = [] } = JSON.parse(body);
+            received += events.length;
+            events.forEach(event => console.log(`• ${event.timestamp} ${event.name}`, JSON.stringify(event.data)));
+            console.log(`✓ Batch of ${events.length} (total ${received})`);
+            res.writeHead(204);
+        } catch (err) {
+            console.error('✗ Invalid payload', err.message);
+            res.writeHead(400);
+        }
+        res.end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Mock analytics collector listening on http://localhost:${port}/collect`);
+});
@@ -0,0 +1,120 @@
+/**
+ * Mock newsletter subscriber API for local testing
+ *
+ * Usage: node tools/mock-newsletter.js [port]
+ * On localhost, newsletter.endpoint in public/scripts/config.js already points here.
+ *
+ * Subscribers are kept in memory. Instead of sending email, confirmation and
+ * unsubscribe links are printed here. Each client IP may make RATE_LIMIT
+ * requests per minute (default 5); set FAIL_RATE (0-1) to exercise retries.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const port = Number(process.argv[2]) || 8788;
+const siteUrl = process.env.SITE_URL || 'http://localhost:5000';
+const rateLimit = Number(process.env.RATE_LIMIT) || 5;
+const failRate = Number(process.env.FAIL_RATE) || 0;
+const subscribers = new Map();
+const requests = new Map();
+
+function isRateLimited(ip) {
+    const now = Date.now();
+    const recent = (requests.get(ip) || []).filter(at => at > now - 60000);
+    requests.set(ip, [...recent, now]);
+    return recent.length >= rateLimit;
+}
+
+function findByToken(field, token) {
+    return Array.from(subscribers.values()).find(subscriber => token && subscriber[field] === token) || null;
+}
+
+const actions = {
+    subscribe({ email = '' }) {
+        const key = String(email).trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(key)) return [400, { error: 'invalid-email' }];
+
+        const existing = subscribers.get(key);
+        if (existing && existing.status === 'confirmed') return [200, { status: 'subscribed' }];
+
+        const subscriber = {
+            email: key,
+            status: 'pending',
+            confirmToken: existing && existing.status === 'pending' ? existing.confirmToken : crypto.randomUUID(),
+            unsubscribeToken: existing ? existing.unsubscribeToken : crypto.randomUUID()
+        };
+        subscribers.set(key, subscriber);
+        console.log(`✉ ${key}\n  confirm:     ${siteUrl}/newsletter/confirm?token=${subscriber.confirmToken}\n  unsubscribe: ${siteUrl}/newsletter/unsubscribe?token=${subscriber.unsubscribeToken}`);
+        return [200, { status: existing && existing.status === 'pending' ? 'resent' : 'pending' }];
+    },
+
+    confirm({ token }) {
+        const subscriber = findByToken('confirmToken', token);
+        if (!subscriber || subscriber.status === 'unsubscribed') return [200, { status: 'invalid' }];
+
+        subscriber.status = 'confirmed';
+        console.log(`✓ Confirmed ${subscriber.email}`);
+        return [200, { status: 'confirmed' }];
+    },
+
+    unsubscribe({ token }) {
+        const subscriber = findByToken('unsubscribeToken', token);
+        if (!subscriber) return [200, { status: 'invalid' }];
+
+        subscriber.status = 'unsubscribed';
+        subscriber.confirmToken = null;
+        console.log(`✗ Unsubscribed ${subscriber.email}`);
+        return [200, { status: 'unsubscribed' }];
+    }
+};
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const action = actions[(req.url.match(/^\/newsletter\/(\w+)$/) || [])[1]];
+    if (req.method !== 'POST' || !action) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    if (isRateLimited(req.socket.remoteAddress)) {
+        res.writeHead(429, { 'Retry-After': '60' });
+        res.end();
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        if (Math.random() < failRate) {
+            console.log('✗ Rejected request (FAIL_RATE)');
+            res.writeHead(503);
+            res.end();
+            return;
+        }
+
+        try {
+            const [status, payload] = action(JSON.parse(body || '{}'));
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        } catch (err) {
+            console.error('✗ Invalid payload', err.message);
+            res.writeHead(400);
+            res.end();
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Mock newsletter API listening on http://localhost:${port}/newsletter`);
+});
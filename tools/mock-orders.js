@@ -0,0 +1,409 @@
+/**
+ * Mock order service for local testing against the Firestore emulator
+ *
+ * Usage: node tools/mock-orders.js [port]
+ * Run it next to `npx firebase emulators:start`. On localhost the sandbox
+ * payment provider posts its signed webhooks to
+ * http://localhost:8789/payments/webhook (payments.sandboxWebhookUrl in
+ * public/scripts/config.js).
+ *
+ * Does what the shop's order backend does in production:
+ * - a verified payment.succeeded webhook moves the order from 'pending' to
+ *   'paid', and a full payment.refunded webhook cancels or refunds it. Until
+ *   the order exists the webhook is answered with 404, so the sandbox sends
+ *   it again, as a gateway would.
+ * - every POLL_INTERVAL (default 3000 ms) members' orders are checked and the
+ *   points they redeem, earn on delivery or get back on a cancel or refund are
+ *   written to rewards/{uid} (RewardsProgram.getOrderEntries). An order
+ *   redeeming points the member does not have is cancelled.
+ * - on the same poll, orders using a promo code with a usageLimit (see
+ *   public/data/promotions.json) are counted in promoUsage/{code}, oldest
+ *   first; an order over the limit is cancelled, and cancelled or refunded
+ *   orders give their use back.
+ * - units sold are counted from orders into inventory/{sku}, oldest first,
+ *   against the stock in public/data/products.json; an order that cannot be
+ *   filled is cancelled. Checkout holds in reservations/{id} are deleted once
+ *   their order is counted or they expire.
+ *
+ * Documents are written through the emulator's REST API as its owner, which
+ * bypasses firestore.rules.
+ *
+ * FIRESTORE_EMULATOR_HOST (default 127.0.0.1:8080) and WEBHOOK_SECRET
+ * (default the sandbox's whsec_sandbox) can be set in the environment.
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { loadApp } = require('./load-app');
+
+const { OrderLifecycle, PaymentProvider, ProductCatalog, RewardsProgram, config } = loadApp([
+    'OrderLifecycle', 'PaymentProvider', 'ProductCatalog', 'RewardsProgram'
+]);
+const program = new RewardsProgram(config.rewards);
+const catalog = new ProductCatalog(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'public', 'data', 'products.json'), 'utf8')));
+
+const port = Number(process.argv[2]) || 8789;
+const pollInterval = Number(process.env.POLL_INTERVAL) || 3000;
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080';
+const webhookSecret = process.env.WEBHOOK_SECRET || 'whsec_sandbox';
+const documents = `http://${emulatorHost}/v1/projects/${config.firebase.options.projectId}/databases/(default)/documents`;
+
+// Promo code → usageLimit, for the codes that have one
+const { promotions } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'public', 'data', 'promotions.json'), 'utf8'));
+const usageLimits = new Map(promotions
+    .filter(promotion => Number.isInteger(promotion.usageLimit))
+    .map(promotion => [promotion.code.toUpperCase(), promotion.usageLimit]));
+
+// ---- Firestore REST values ----
+
+function toValue(value) {
+    if (value === null || value === undefined) return { nullValue: null };
+    if (value instanceof Date) return { timestampValue: value.toISOString() };
+    if (Array.isArray(value)) return { arrayValue: { values: value.map(toValue) } };
+    switch (typeof value) {
+        case 'boolean': return { booleanValue: value };
+        case 'number': return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+        case 'string': return { stringValue: value };
+        default: return { mapValue: { fields: toFields(value) } };
+    }
+}
+
+function toFields(object) {
+    return Object.fromEntries(Object.entries(object)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [key, toValue(value)]));
+}
+
+function fromValue(value) {
+    if ('arrayValue' in value) return (value.arrayValue.values || []).map(fromValue);
+    if ('mapValue' in value) return fromFields(value.mapValue.fields || {});
+    if ('integerValue' in value) return Number(value.integerValue);
+    if ('nullValue' in value) return null;
+    // stringValue, booleanValue, doubleValue and timestampValue need no conversion
+    return Object.values(value)[0];
+}
+
+function fromFields(fields) {
+    return Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, fromValue(value)]));
+}
+
+async function firestore(method, path, body) {
+    const response = await fetch(`${documents}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer owner' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        throw new Error(`Firestore emulator responded with ${response.status}: ${await response.text()}`);
+    }
+    return response.json();
+}
+
+// ---- Orders ----
+
+/**
+ * { id, order, updateTime } for an order number, or null
+ */
+async function findOrder(orderNumber) {
+    const results = await firestore('POST', ':runQuery', {
+        structuredQuery: {
+            from: [{ collectionId: 'orders' }],
+            where: { fieldFilter: { field: { fieldPath: 'orderNumber' }, op: 'EQUAL', value: toValue(orderNumber) } },
+            limit: 1
+        }
+    });
+    const match = (results || []).find(result => result.document);
+    if (!match) return null;
+
+    const { name, fields, updateTime } = match.document;
+    return { id: name.split('/').pop(), order: fromFields(fields), updateTime };
+}
+
+/**
+ * Move an order along its lifecycle, failing if it changed since it was read
+ */
+async function setStatus({ id, order, updateTime }, status, note) {
+    const updated = OrderLifecycle.apply(order, status, note);
+    const mask = ['status', 'history', 'updatedAt'].map(field => `updateMask.fieldPaths=${field}`).join('&');
+    await firestore('PATCH', `/orders/${id}?${mask}&currentDocument.updateTime=${updateTime}`, {
+        fields: toFields({ status: updated.status, history: updated.history, updatedAt: new Date() })
+    });
+    console.log(`→ ${order.orderNumber} ${order.status} → ${status} (${note})`);
+    return updated;
+}
+
+// ---- Rewards ----
+
+/**
+ * Every document in a collection as { id, data, updateTime }
+ */
+async function listDocuments(collection) {
+    const documents = [];
+    let pageToken = '';
+    do {
+        const page = await firestore('GET', `/${collection}?pageSize=300${pageToken ? `&pageToken=${pageToken}` : ''}`);
+        ((page && page.documents) || []).forEach(({ name, fields, updateTime }) => {
+            documents.push({ id: name.split('/').pop(), data: fromFields(fields), updateTime });
+        });
+        pageToken = page && page.nextPageToken;
+    } while (pageToken);
+    return documents;
+}
+
+/**
+ * Every order as { id, order, updateTime }
+ */
+async function listOrders() {
+    return (await listDocuments('orders')).map(({ id, data, updateTime }) => ({ id, order: data, updateTime }));
+}
+
+async function getLedger(uid) {
+    const document = await firestore('GET', `/rewards/${uid}`);
+    return {
+        entries: document ? fromFields(document.fields).entries || [] : [],
+        updateTime: document ? document.updateTime : null
+    };
+}
+
+async function saveLedger(uid, ledger) {
+    const precondition = ledger.updateTime
+        ? `currentDocument.updateTime=${ledger.updateTime}`
+        : 'currentDocument.exists=false';
+    const document = await firestore('PATCH', `/rewards/${uid}?${precondition}`, {
+        fields: toFields({ entries: ledger.entries, updatedAt: new Date() })
+    });
+    ledger.updateTime = document.updateTime;
+}
+
+/**
+ * Bring every member's ledger up to date with their orders
+ */
+async function syncRewards() {
+    const ledgers = new Map();
+
+    for (const found of await listOrders()) {
+        const { order } = found;
+        if (!order.uid || !order.rewards) continue;
+
+        if (!ledgers.has(order.uid)) ledgers.set(order.uid, await getLedger(order.uid));
+        const ledger = ledgers.get(order.uid);
+        const { entries, error } = program.getOrderEntries(order, ledger.entries);
+
+        if (error) {
+            if (OrderLifecycle.canTransition(order.status, 'cancelled')) {
+                await setStatus(found, 'cancelled', `Points could not be redeemed (${error})`);
+            }
+            continue;
+        }
+        if (entries.length === 0) continue;
+
+        ledger.entries = [...ledger.entries, ...entries.map(entry => ({ id: crypto.randomUUID(), ...entry }))];
+        await saveLedger(order.uid, ledger);
+        entries.forEach(entry => console.log(`★ ${order.orderNumber} ${entry.type} ${entry.points > 0 ? '+' : ''}${entry.points}`));
+    }
+}
+
+// ---- Promo code limits ----
+
+/**
+ * Order numbers counted against a promo code's usageLimit
+ */
+async function getPromoUsage(code) {
+    const document = await firestore('GET', `/promoUsage/${encodeURIComponent(code)}`);
+    return {
+        orders: document ? fromFields(document.fields).orders || [] : [],
+        updateTime: document ? document.updateTime : null,
+        changed: false
+    };
+}
+
+async function savePromoUsage(code, usage) {
+    const precondition = usage.updateTime
+        ? `currentDocument.updateTime=${usage.updateTime}`
+        : 'currentDocument.exists=false';
+    const document = await firestore('PATCH', `/promoUsage/${encodeURIComponent(code)}?${precondition}`, {
+        fields: toFields({ orders: usage.orders, count: usage.orders.length, updatedAt: new Date() })
+    });
+    usage.updateTime = document.updateTime;
+}
+
+/**
+ * Count orders against promo code limits, oldest first, cancelling orders over a limit
+ */
+async function syncPromoUsage() {
+    const usage = new Map();
+    const orders = (await listOrders()).sort((a, b) => String(a.order.createdAt).localeCompare(String(b.order.createdAt)));
+
+    for (const found of orders) {
+        const { order } = found;
+        const released = ['cancelled', 'refunded'].includes(order.status);
+        const codes = (order.promoCodes || []).map(code => code.toUpperCase()).filter(code => usageLimits.has(code));
+
+        for (const code of codes) {
+            if (!usage.has(code)) usage.set(code, await getPromoUsage(code));
+            const record = usage.get(code);
+            const counted = record.orders.includes(order.orderNumber);
+
+            if (released && counted) {
+                record.orders = record.orders.filter(orderNumber => orderNumber !== order.orderNumber);
+                record.changed = true;
+            } else if (!released && !counted) {
+                if (record.orders.length >= usageLimits.get(code)) {
+                    // Orders already shipped are left for staff to handle
+                    if (OrderLifecycle.canTransition(order.status, 'cancelled')) {
+                        await setStatus(found, 'cancelled', `Promo code ${code} has reached its usage limit`);
+                    }
+                    break;
+                }
+                record.orders.push(order.orderNumber);
+                record.changed = true;
+            }
+        }
+    }
+
+    for (const [code, record] of usage) {
+        if (!record.changed) continue;
+        await savePromoUsage(code, record);
+        console.log(`% ${code} used ${record.orders.length}/${usageLimits.get(code)}`);
+    }
+}
+
+// ---- Inventory ----
+
+/**
+ * Count units sold per SKU from orders, oldest first, cancelling orders that
+ * cannot be filled, then clear holds that are used up or expired
+ */
+async function syncInventory() {
+    const sold = {};
+    const counted = new Set();
+    const orders = (await listOrders()).sort((a, b) => String(a.order.createdAt).localeCompare(String(b.order.createdAt)));
+
+    for (const found of orders) {
+        const { order } = found;
+        // Cancelled and refunded orders put their stock back
+        if (['cancelled', 'refunded'].includes(order.status)) continue;
+
+        const items = order.items || [];
+        const short = items.find(item => {
+            const match = catalog.findBySku(item.sku);
+            return (match ? match.variant.stock : 0) - (sold[item.sku] || 0) < item.quantity;
+        });
+        // Orders already shipped are counted anyway and left for staff to handle
+        if (short && OrderLifecycle.canTransition(order.status, 'cancelled')) {
+            await setStatus(found, 'cancelled', `Not enough stock of ${short.sku}`);
+            continue;
+        }
+
+        items.forEach(item => {
+            sold[item.sku] = (sold[item.sku] || 0) + item.quantity;
+        });
+        counted.add(found.id);
+    }
+
+    const current = new Map((await listDocuments('inventory')).map(({ id, data }) => [id, data.sold || 0]));
+    for (const sku of new Set([...current.keys(), ...Object.keys(sold)])) {
+        const units = sold[sku] || 0;
+        if (current.get(sku) === units) continue;
+        await firestore('PATCH', `/inventory/${encodeURIComponent(sku)}`, { fields: toFields({ sold: units, updatedAt: new Date() }) });
+        console.log(`# ${sku} sold ${units}`);
+    }
+
+    for (const { id, data } of await listDocuments('reservations')) {
+        const used = data.status === 'committed' && counted.has(data.trackingId);
+        // A committed hold whose order never arrives is dropped an hour after it expired
+        const expired = data.expiresAt + (data.status === 'committed' ? 60 * 60 * 1000 : 0) < Date.now();
+        if (used || expired) {
+            await firestore('DELETE', `/reservations/${id}`);
+        }
+    }
+}
+
+async function pollOrders() {
+    try {
+        await syncInventory();
+    } catch (err) {
+        console.error('✗ Inventory sync failed', err.message);
+    }
+    try {
+        await syncPromoUsage();
+    } catch (err) {
+        console.error('✗ Promo usage sync failed', err.message);
+    }
+    try {
+        await syncRewards();
+    } catch (err) {
+        console.error('✗ Rewards sync failed', err.message);
+    }
+    setTimeout(pollOrders, pollInterval);
+}
+
+// ---- Payment webhooks ----
+
+/**
+ * Apply a verified webhook; resolves to the HTTP status to answer with
+ */
+async function handlePaymentEvent({ type, data: intent }) {
+    const found = await findOrder(intent.reference);
+    if (!found) return 404;
+
+    const { order } = found;
+    const total = order.totals.total;
+    if (intent.amount.amount !== total.amount || intent.amount.currency !== total.currency) {
+        console.error(`✗ ${intent.id} is for ${intent.amount.amount} but order ${order.orderNumber} totals ${total.amount}`);
+        return 422;
+    }
+
+    if (type === 'payment.succeeded' && order.status === 'pending') {
+        await setStatus(found, 'paid', `Paid by ${intent.method} (${intent.id})`);
+    } else if (type === 'payment.refunded' && intent.refunded >= total.amount) {
+        // Partial refunds leave the order where it is for staff to handle
+        const status = order.status === 'pending' ? 'cancelled' : 'refunded';
+        if (OrderLifecycle.canTransition(order.status, status)) {
+            await setStatus(found, status, `Payment ${intent.id} refunded`);
+        }
+    }
+    return 200;
+}
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Webhook-Signature');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST' || req.url !== '/payments/webhook') {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+        try {
+            const event = await PaymentProvider.parseWebhook(body, req.headers['x-webhook-signature'], webhookSecret);
+            const status = await handlePaymentEvent(event);
+            console.log(`${status === 200 ? '✓' : '…'} ${event.type} ${event.data.reference} (${status})`);
+            res.writeHead(status);
+        } catch (err) {
+            console.error('✗ Webhook rejected', err.code || '', err.message);
+            res.writeHead(err.code === 'invalid-signature' ? 401 : 500);
+        }
+        res.end();
+    });
+});
+
+server.listen(port, async () => {
+    console.log(`Mock order service listening on http://localhost:${port}/payments/webhook`);
+    console.log(`Using the Firestore emulator at ${emulatorHost}`);
+    await catalog.load();
+    pollOrders();
+});